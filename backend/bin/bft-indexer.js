@@ -0,0 +1,71 @@
+#!/usr/bin/env node
+const { ethers } = require("ethers");
+const { CliError, describeError, loadAbi, loadDeployment, resolveRpcUrl } = require("bft-cli");
+const { createApiServer, createIndexer, openDatabase, resolveSettings } = require("../src");
+
+// Contracts whose events are indexed
+const INDEXED_CONTRACTS = ["FileRegistry", "TransferContract", "AuditContract", "GroupRegistry"];
+
+async function main() {
+  const settings = resolveSettings();
+  const deployment = loadDeployment();
+  const provider = new ethers.providers.JsonRpcProvider(resolveRpcUrl());
+
+  const contracts = {};
+  for (const name of INDEXED_CONTRACTS) {
+    if (deployment.contracts[name]) {
+      contracts[name] = new ethers.Contract(deployment.contracts[name], loadAbi(name), provider);
+    }
+  }
+
+  const db = openDatabase(settings.database);
+  const indexer = createIndexer({
+    provider,
+    contracts,
+    db,
+    startBlock: deployment.startBlock || 0,
+    confirmations: settings.confirmations,
+    batchSize: settings.batchSize,
+    // The deployment's admin can read every file and transfer
+    reader: settings.reader || deployment.admin
+  });
+
+  // Fail fast on an unreachable node instead of retrying forever
+  await indexer.sync();
+
+  // Exports read the contracts directly and are signed with INDEXER_EXPORT_KEY
+  const exporter = settings.exportKey && contracts.AuditContract ? {
+    contracts: {
+      auditContract: contracts.AuditContract,
+      fileRegistry: contracts.FileRegistry,
+      transferContract: contracts.TransferContract
+    },
+    signer: new ethers.Wallet(settings.exportKey),
+    fromBlock: deployment.startBlock || 0
+  } : null;
+
+  const server = createApiServer(db, indexer.status, {
+    transferContract: contracts.TransferContract,
+    exporter
+  });
+  server.listen(settings.port, settings.host, () => {
+    console.log(`Indexing ${deployment.network} into ${settings.database}`);
+    console.log(`API listening on http://${settings.host}:${settings.port}`);
+  });
+  indexer.start(settings.pollInterval);
+
+  const shutdown = () => {
+    indexer.stop();
+    server.close(() => db.close());
+  };
+  process.on("SIGINT", shutdown);
+  process.on("SIGTERM", shutdown);
+}
+
+main().catch((error) => {
+  console.error(`Error: ${describeError(error)}`);
+  if (!(error instanceof CliError) && process.env.BFT_DEBUG) {
+    console.error(error);
+  }
+  process.exit(1);
+});
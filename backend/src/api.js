@@ -0,0 +1,293 @@
+const http = require("http");
+const {
+  AUDIT_ACTIONS,
+  CliError,
+  TRANSFER_STATUSES,
+  exportAuditBundle,
+  parseAddress,
+  parseBytes32,
+  parseEnum,
+  parseExportFormat,
+  parsePastTimestamp,
+  recoverExportRequester
+} = require("bft-cli");
+const { createGraphqlHandler } = require("./graphql");
+const { collectMetrics } = require("./metrics");
+const { getFile, getTransfer, listAuditRecords, listFiles, listTransfers } = require("./queries");
+
+const MAX_BODY_BYTES = 64 * 1024;
+// Export requests may be signed to expire at most this far ahead, in seconds,
+// so a shared or logged URL soon stops working
+const MAX_EXPORT_REQUEST_LIFETIME = 60 * 60;
+
+function parseBoolean(value, label) {
+  if (value === true || value === "true") {
+    return true;
+  }
+  if (value === false || value === "false") {
+    return false;
+  }
+  throw new CliError(`Invalid ${label}: ${value} (expected true or false)`);
+}
+
+function parseCount(value, label) {
+  if (!/^\d+$/.test(String(value))) {
+    throw new CliError(`Invalid ${label}: ${value}`);
+  }
+  return Number(value);
+}
+
+function parseStatus(value) {
+  const index = parseEnum(TRANSFER_STATUSES, "status", value);
+  if (index === 0) {
+    throw new CliError("Status NONE is never indexed");
+  }
+  return TRANSFER_STATUSES[index];
+}
+
+function parseAction(value) {
+  const index = parseEnum(AUDIT_ACTIONS, "action", value);
+  if (index === 0) {
+    throw new CliError("Action NONE is never recorded");
+  }
+  return AUDIT_ACTIONS[index];
+}
+
+const parseTime = (value) => parsePastTimestamp(value);
+
+// Each parser takes (value, filter name)
+const FILTER_PARSERS = {
+  owner: parseAddress,
+  sharedWith: parseAddress,
+  sender: parseAddress,
+  recipient: parseAddress,
+  party: parseAddress,
+  actor: parseAddress,
+  fileId: parseBytes32,
+  transferId: parseBytes32,
+  status: parseStatus,
+  action: parseAction,
+  deleted: parseBoolean,
+  name: (value) => String(value),
+  since: parseTime,
+  until: parseTime,
+  initiatedSince: parseTime,
+  initiatedUntil: parseTime,
+  updatedSince: parseTime,
+  updatedUntil: parseTime,
+  limit: parseCount,
+  offset: parseCount
+};
+
+/**
+ * Validates and normalizes listing filters given as query parameters or
+ * GraphQL arguments. Times take unix seconds, ISO dates or durations ago.
+ * @param {object} input Filter values (null and undefined are ignored)
+ * @returns {object} Filter for the queries module
+ */
+function parseFilter(input) {
+  const filter = {};
+  for (const [key, value] of Object.entries(input)) {
+    if (value === null || value === undefined || value === "") {
+      continue;
+    }
+    const parse = FILTER_PARSERS[key];
+    if (!parse) {
+      throw new CliError(`Unknown filter: ${key}`);
+    }
+    filter[key] = parse(value, key);
+  }
+  return filter;
+}
+
+/**
+ * Checks that an export request is signed by the file's current owner and has
+ * not expired, so the indexer signs bundles only for owners. The index itself
+ * is served to anyone; this does not keep a file's grants or audit records
+ * private.
+ * @param {object} exporter { contracts, signer, fromBlock }
+ * @param {object} query Query parameters, with expires and signature
+ * @returns {Promise<object|null>} { status, error } refusing the request, or null
+ */
+async function refuseExport(exporter, query) {
+  if (!query.signature || !query.expires) {
+    return { status: 401, error: "Sign the request as the file's owner, e.g. with `bft audit export-url`" };
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  const expires = parseCount(query.expires, "expires");
+  if (expires <= now) {
+    return { status: 401, error: "Request has expired" };
+  }
+  if (expires > now + MAX_EXPORT_REQUEST_LIFETIME) {
+    return { status: 401, error: `Request must expire within ${MAX_EXPORT_REQUEST_LIFETIME} seconds` };
+  }
+
+  const { auditContract, fileRegistry } = exporter.contracts;
+  const { chainId } = await auditContract.provider.getNetwork();
+  const requester = recoverExportRequester(query, { chainId, auditContract: auditContract.address });
+  const owner = await fileRegistry.getFileOwner(parseBytes32(query.fileId, "fileId"));
+  if (requester !== owner) {
+    return { status: 403, error: "Only the file's owner may export its audit trail" };
+  }
+  return null;
+}
+
+/**
+ * Builds a signed bundle of a file's audit trail, grants and transfer events,
+ * read from the contracts rather than the index.
+ * @param {object} exporter { contracts, signer, fromBlock }
+ * @param {object} query { fileId, from, to, format, expires, signature }
+ * @returns {Promise<object>} { manifest, content }
+ */
+async function exportBundle(exporter, query) {
+  const { fileId, from, to, format, expires, signature, ...unknown } = query;
+  const extra = Object.keys(unknown);
+  if (extra.length > 0) {
+    throw new CliError(`Unknown filter: ${extra[0]}`);
+  }
+  if (!fileId) {
+    throw new CliError("fileId is required");
+  }
+
+  return exportAuditBundle(exporter.contracts, exporter.signer, parseBytes32(fileId, "fileId"), {
+    from: from ? parseTime(from) : null,
+    to: to ? parseTime(to) : null,
+    format: parseExportFormat(format || "json"),
+    fromBlock: exporter.fromBlock
+  });
+}
+
+function sendJson(response, status, body) {
+  response.writeHead(status, { "Content-Type": "application/json" });
+  response.end(JSON.stringify(body));
+}
+
+function readBody(request) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    request.on("data", (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(new CliError("Request body too large"));
+        request.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    request.on("end", () => resolve(Buffer.concat(chunks).toString("utf8")));
+    request.on("error", reject);
+  });
+}
+
+/**
+ * Creates the HTTP API over the index:
+ *
+ *   GET  /status                   indexer progress
+ *   GET  /files?owner&sharedWith&deleted&name&since&until&limit&offset
+ *   GET  /files/:fileId            file with its grants
+ *   GET  /transfers?sender&recipient&party&fileId&status&initiatedSince&...
+ *   GET  /transfers/:transferId
+ *   GET  /audit?fileId&actor&action&transferId&since&until&limit&offset
+ *   GET  /audit/export?fileId&from&to&format&expires&signature
+ *                                  signed bundle, as `bft audit export` writes,
+ *                                  for requests signed by the file's owner
+ *   GET  /metrics                  transfer counts in the Prometheus text format
+ *   POST /graphql                  { query, variables, operationName }
+ *
+ * @param {Database} db Index database
+ * @param {Function} getStatus Returns the indexer status
+ * @param {object} [options] { logger, transferContract, exporter }; the logger
+ *   receives unexpected errors, /metrics reads TransferContract's counters when
+ *   given it, and /audit/export needs an exporter ({ contracts, signer, fromBlock })
+ * @returns {http.Server} Server, not yet listening
+ */
+function createApiServer(db, getStatus, { logger = console, transferContract, exporter } = {}) {
+  const handleGraphql = createGraphqlHandler(db, getStatus, parseFilter);
+
+  const routes = [
+    [/^\/status$/, () => getStatus()],
+    [/^\/files$/, (match, query) => listFiles(db, parseFilter(query))],
+    [/^\/files\/([^/]+)$/, (match) => getFile(db, parseFilter({ fileId: match[1] }).fileId)],
+    [/^\/transfers$/, (match, query) => listTransfers(db, parseFilter(query))],
+    [/^\/transfers\/([^/]+)$/, (match) => getTransfer(db, parseFilter({ transferId: match[1] }).transferId)],
+    [/^\/audit$/, (match, query) => listAuditRecords(db, parseFilter(query))]
+  ];
+
+  return http.createServer(async (request, response) => {
+    const url = new URL(request.url, "http://localhost");
+
+    try {
+      if (url.pathname === "/graphql") {
+        if (request.method !== "POST") {
+          sendJson(response, 405, { error: "use POST" });
+          return;
+        }
+
+        let body;
+        try {
+          body = JSON.parse(await readBody(request));
+        } catch (error) {
+          throw error instanceof CliError ? error : new CliError("Expected a JSON body");
+        }
+        sendJson(response, 200, await handleGraphql(body));
+        return;
+      }
+
+      if (request.method !== "GET") {
+        sendJson(response, 405, { error: "use GET" });
+        return;
+      }
+
+      if (url.pathname === "/metrics") {
+        const metrics = await collectMetrics(db, getStatus(), transferContract);
+        response.writeHead(200, { "Content-Type": "text/plain; version=0.0.4" });
+        response.end(metrics);
+        return;
+      }
+
+      if (url.pathname === "/audit/export") {
+        if (!exporter) {
+          sendJson(response, 503, { error: "Exports are disabled; set INDEXER_EXPORT_KEY" });
+          return;
+        }
+        const query = Object.fromEntries(url.searchParams);
+        if (!query.fileId) {
+          throw new CliError("fileId is required");
+        }
+        const refusal = await refuseExport(exporter, query);
+        if (refusal) {
+          sendJson(response, refusal.status, { error: refusal.error });
+          return;
+        }
+        sendJson(response, 200, await exportBundle(exporter, query));
+        return;
+      }
+
+      for (const [pattern, handler] of routes) {
+        const match = url.pathname.match(pattern);
+        if (match) {
+          const result = handler(match, Object.fromEntries(url.searchParams));
+          if (result === null) {
+            sendJson(response, 404, { error: "Not found" });
+          } else {
+            sendJson(response, 200, result);
+          }
+          return;
+        }
+      }
+
+      sendJson(response, 404, { error: `Unknown endpoint ${url.pathname}` });
+    } catch (error) {
+      if (error instanceof CliError) {
+        sendJson(response, 400, { error: error.message });
+      } else {
+        logger.error(error);
+        sendJson(response, 500, { error: "Internal error" });
+      }
+    }
+  });
+}
+
+module.exports = { parseFilter, createApiServer };
@@ -0,0 +1,61 @@
+const path = require("path");
+const { CliError } = require("bft-cli");
+const { DEFAULT_BATCH_SIZE } = require("./indexer");
+
+const DEFAULT_DATABASE = path.resolve(__dirname, "../data/indexer.sqlite");
+const DEFAULT_HOST = "127.0.0.1";
+const DEFAULT_PORT = 4000;
+const DEFAULT_CONFIRMATIONS = 2;
+const DEFAULT_POLL_INTERVAL = 2000;
+
+function readPrivateKey(env, name) {
+  const value = env[name];
+  if (value === undefined || value === "") {
+    return null;
+  }
+  if (!/^(0x)?[0-9a-fA-F]{64}$/.test(value)) {
+    // Never echo a key, even a malformed one
+    throw new CliError(`Invalid ${name}: expected a 32-byte hex private key`);
+  }
+  return value.startsWith("0x") ? value : `0x${value}`;
+}
+
+function readCount(env, name, fallback, min = 0) {
+  const value = env[name];
+  if (value === undefined || value === "") {
+    return fallback;
+  }
+  if (!/^\d+$/.test(value) || Number(value) < min) {
+    throw new CliError(`Invalid ${name}: ${value}`);
+  }
+  return Number(value);
+}
+
+/**
+ * Resolves the indexer settings from the environment. The node, deployment
+ * file and artifacts are found as the CLI finds them (BFT_RPC_URL,
+ * BFT_NETWORK, BFT_DEPLOYMENT, BFT_ARTIFACTS).
+ * @param {object} [env] Environment variables
+ * @returns {object} { database, host, port, confirmations, pollInterval, batchSize, reader, exportKey }
+ */
+function resolveSettings(env = process.env) {
+  return {
+    database: env.INDEXER_DB ? path.resolve(env.INDEXER_DB) : DEFAULT_DATABASE,
+    host: env.INDEXER_HOST || DEFAULT_HOST,
+    port: readCount(env, "INDEXER_PORT", DEFAULT_PORT, 1),
+    confirmations: readCount(env, "INDEXER_CONFIRMATIONS", DEFAULT_CONFIRMATIONS),
+    pollInterval: readCount(env, "INDEXER_POLL_INTERVAL", DEFAULT_POLL_INTERVAL, 1),
+    batchSize: readCount(env, "INDEXER_BATCH_SIZE", DEFAULT_BATCH_SIZE, 1),
+    reader: env.INDEXER_READER || null,
+    exportKey: readPrivateKey(env, "INDEXER_EXPORT_KEY")
+  };
+}
+
+module.exports = {
+  DEFAULT_DATABASE,
+  DEFAULT_HOST,
+  DEFAULT_PORT,
+  DEFAULT_CONFIRMATIONS,
+  DEFAULT_POLL_INTERVAL,
+  resolveSettings
+};
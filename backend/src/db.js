@@ -0,0 +1,172 @@
+const fs = require("fs");
+const path = require("path");
+const Database = require("better-sqlite3");
+
+const SCHEMA_VERSION = 3;
+
+// Timestamps are unix seconds, addresses checksummed, enums stored by name
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS meta (
+    key TEXT PRIMARY KEY,
+    value TEXT NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS files (
+    file_id TEXT PRIMARY KEY,
+    owner TEXT NOT NULL,
+    name TEXT,
+    content_hash TEXT NOT NULL,
+    file_size INTEGER,
+    content_type TEXT,
+    is_public INTEGER,
+    is_deleted INTEGER NOT NULL DEFAULT 0,
+    version INTEGER NOT NULL DEFAULT 1,
+    created_at INTEGER NOT NULL,
+    updated_at INTEGER NOT NULL,
+    deleted_at INTEGER
+  );
+  CREATE INDEX IF NOT EXISTS files_owner ON files (owner);
+
+  CREATE TABLE IF NOT EXISTS permissions (
+    file_id TEXT NOT NULL,
+    grantee TEXT NOT NULL,
+    access_level TEXT NOT NULL,
+    granted_by TEXT NOT NULL,
+    granted_at INTEGER NOT NULL,
+    expires_at INTEGER NOT NULL DEFAULT 0,
+    uses_left INTEGER NOT NULL DEFAULT 0,
+    PRIMARY KEY (file_id, grantee)
+  );
+  CREATE INDEX IF NOT EXISTS permissions_grantee ON permissions (grantee);
+
+  CREATE TABLE IF NOT EXISTS group_permissions (
+    file_id TEXT NOT NULL,
+    group_id TEXT NOT NULL,
+    access_level TEXT NOT NULL,
+    granted_by TEXT NOT NULL,
+    granted_at INTEGER NOT NULL,
+    expires_at INTEGER NOT NULL DEFAULT 0,
+    PRIMARY KEY (file_id, group_id)
+  );
+  CREATE INDEX IF NOT EXISTS group_permissions_group ON group_permissions (group_id);
+
+  CREATE TABLE IF NOT EXISTS groups (
+    group_id TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    owner TEXT NOT NULL,
+    created_at INTEGER NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS group_members (
+    group_id TEXT NOT NULL,
+    member TEXT NOT NULL,
+    PRIMARY KEY (group_id, member)
+  );
+  CREATE INDEX IF NOT EXISTS group_members_member ON group_members (member);
+
+  CREATE TABLE IF NOT EXISTS transfers (
+    transfer_id TEXT PRIMARY KEY,
+    file_id TEXT NOT NULL,
+    sender TEXT NOT NULL,
+    recipient TEXT NOT NULL,
+    status TEXT NOT NULL,
+    batch_id TEXT,
+    message TEXT,
+    reason TEXT,
+    transfers_ownership INTEGER NOT NULL DEFAULT 0,
+    deadline INTEGER,
+    initiated_at INTEGER NOT NULL,
+    updated_at INTEGER NOT NULL,
+    completed_at INTEGER
+  );
+  CREATE INDEX IF NOT EXISTS transfers_sender ON transfers (sender);
+  CREATE INDEX IF NOT EXISTS transfers_recipient ON transfers (recipient);
+  CREATE INDEX IF NOT EXISTS transfers_status ON transfers (status, updated_at);
+
+  CREATE TABLE IF NOT EXISTS audit_records (
+    record_id TEXT PRIMARY KEY,
+    sequence INTEGER NOT NULL,
+    file_id TEXT NOT NULL,
+    actor TEXT NOT NULL,
+    action TEXT NOT NULL,
+    counterparty TEXT,
+    transfer_id TEXT,
+    payload_hash TEXT,
+    timestamp INTEGER NOT NULL,
+    block_number INTEGER NOT NULL,
+    transaction_hash TEXT NOT NULL
+  );
+  CREATE UNIQUE INDEX IF NOT EXISTS audit_records_sequence ON audit_records (sequence);
+  CREATE INDEX IF NOT EXISTS audit_records_file ON audit_records (file_id, timestamp);
+  CREATE INDEX IF NOT EXISTS audit_records_actor ON audit_records (actor, timestamp);
+  CREATE INDEX IF NOT EXISTS audit_records_action ON audit_records (action, timestamp);
+`;
+
+const DATA_TABLES = [
+  "meta",
+  "files",
+  "permissions",
+  "group_permissions",
+  "groups",
+  "group_members",
+  "transfers",
+  "audit_records"
+];
+
+/**
+ * Opens (creating if needed) the index database and applies the schema.
+ * @param {string} filename Database file, or ":memory:"
+ * @returns {Database} better-sqlite3 connection
+ */
+function openDatabase(filename) {
+  if (filename !== ":memory:") {
+    fs.mkdirSync(path.dirname(path.resolve(filename)), { recursive: true });
+  }
+
+  const db = new Database(filename);
+  if (filename !== ":memory:") {
+    db.pragma("journal_mode = WAL");
+  }
+
+  const version = db.pragma("user_version", { simple: true });
+  if (version !== 0 && version !== SCHEMA_VERSION) {
+    // Older layouts are rebuilt from the chain rather than migrated
+    for (const table of DATA_TABLES) {
+      db.exec(`DROP TABLE IF EXISTS ${table}`);
+    }
+  }
+
+  db.exec(SCHEMA);
+  db.pragma(`user_version = ${SCHEMA_VERSION}`);
+  return db;
+}
+
+/**
+ * Empties every table so the chain can be indexed again from the start.
+ * @param {Database} db Index database
+ */
+function resetDatabase(db) {
+  db.transaction(() => {
+    for (const table of DATA_TABLES) {
+      db.exec(`DELETE FROM ${table}`);
+    }
+  })();
+}
+
+function getMeta(db, key) {
+  const row = db.prepare("SELECT value FROM meta WHERE key = ?").get(key);
+  return row ? row.value : null;
+}
+
+function setMeta(db, key, value) {
+  db.prepare("INSERT INTO meta (key, value) VALUES (?, ?) ON CONFLICT (key) DO UPDATE SET value = excluded.value")
+    .run(key, String(value));
+}
+
+module.exports = {
+  SCHEMA_VERSION,
+  openDatabase,
+  resetDatabase,
+  getMeta,
+  setMeta
+};
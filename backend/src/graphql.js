@@ -0,0 +1,148 @@
+const { buildSchema, graphql } = require("graphql");
+const { MAX_LIMIT, getFile, getTransfer, listAuditRecords, listFiles, listTransfers } = require("./queries");
+
+// Times are unix seconds; sizes and times are Float because GraphQL's Int is 32-bit
+const schema = buildSchema(`
+  type Status {
+    startBlock: Int!
+    lastBlock: Int
+    lastBlockHash: String
+    confirmations: Int!
+  }
+
+  type Permission {
+    grantee: String!
+    accessLevel: String!
+    grantedBy: String!
+    grantedAt: Float!
+    expiresAt: Float!
+    usesLeft: Int!
+  }
+
+  type GroupPermission {
+    groupId: ID!
+    accessLevel: String!
+    grantedBy: String!
+    grantedAt: Float!
+    expiresAt: Float!
+  }
+
+  type File {
+    fileId: ID!
+    owner: String!
+    name: String
+    contentHash: String!
+    fileSize: Float
+    contentType: String
+    isPublic: Boolean
+    isDeleted: Boolean!
+    version: Int!
+    createdAt: Float!
+    updatedAt: Float!
+    deletedAt: Float
+    permissions: [Permission!]!
+    groupPermissions: [GroupPermission!]!
+    transfers: [Transfer!]!
+  }
+
+  type Transfer {
+    transferId: ID!
+    fileId: ID!
+    file: File
+    sender: String!
+    recipient: String!
+    status: String!
+    batchId: ID
+    message: String
+    reason: String
+    transfersOwnership: Boolean!
+    deadline: Float
+    initiatedAt: Float!
+    updatedAt: Float!
+    completedAt: Float
+  }
+
+  type AuditRecord {
+    recordId: ID!
+    sequence: Int!
+    fileId: ID!
+    actor: String!
+    action: String!
+    counterparty: String
+    transferId: ID
+    payloadHash: String
+    timestamp: Float!
+    blockNumber: Int!
+    transactionHash: String!
+  }
+
+  type FilePage {
+    total: Int!
+    items: [File!]!
+  }
+
+  type TransferPage {
+    total: Int!
+    items: [Transfer!]!
+  }
+
+  type AuditPage {
+    total: Int!
+    items: [AuditRecord!]!
+  }
+
+  type Query {
+    status: Status!
+    files(owner: String, sharedWith: String, deleted: Boolean, name: String,
+      since: String, until: String, limit: Int, offset: Int): FilePage!
+    file(fileId: ID!): File
+    transfers(sender: String, recipient: String, party: String, fileId: ID, status: String,
+      initiatedSince: String, initiatedUntil: String, updatedSince: String, updatedUntil: String,
+      limit: Int, offset: Int): TransferPage!
+    transfer(transferId: ID!): Transfer
+    auditRecords(fileId: ID, actor: String, action: String, transferId: ID,
+      since: String, until: String, limit: Int, offset: Int): AuditPage!
+  }
+`);
+
+/**
+ * Creates the handler for GraphQL requests against the index.
+ * @param {Database} db Index database
+ * @param {Function} getStatus Returns the indexer status
+ * @param {Function} parseFilter Validates and normalizes filter arguments
+ * @returns {Function} async ({ query, variables, operationName }) => result
+ */
+function createGraphqlHandler(db, getStatus, parseFilter) {
+  function fileNode(file) {
+    return file && {
+      ...file,
+      permissions: () => getFile(db, file.fileId).permissions,
+      groupPermissions: () => getFile(db, file.fileId).groupPermissions,
+      transfers: () => listTransfers(db, { fileId: file.fileId, limit: MAX_LIMIT }).items.map(transferNode)
+    };
+  }
+
+  function transferNode(transfer) {
+    return transfer && { ...transfer, file: () => fileNode(getFile(db, transfer.fileId)) };
+  }
+
+  const rootValue = {
+    status: () => getStatus(),
+    files: (args) => {
+      const page = listFiles(db, parseFilter(args));
+      return { ...page, items: page.items.map(fileNode) };
+    },
+    file: ({ fileId }) => fileNode(getFile(db, parseFilter({ fileId }).fileId)),
+    transfers: (args) => {
+      const page = listTransfers(db, parseFilter(args));
+      return { ...page, items: page.items.map(transferNode) };
+    },
+    transfer: ({ transferId }) => transferNode(getTransfer(db, parseFilter({ transferId }).transferId)),
+    auditRecords: (args) => listAuditRecords(db, parseFilter(args))
+  };
+
+  return ({ query, variables, operationName }) =>
+    graphql({ schema, source: query, rootValue, variableValues: variables, operationName });
+}
+
+module.exports = { schema, createGraphqlHandler };
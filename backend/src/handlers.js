@@ -0,0 +1,208 @@
+const { ACCESS_LEVELS, AUDIT_ACTIONS, RESOLUTIONS } = require("bft-cli");
+
+// Unset addresses and hashes in events are all zeros
+function zeroToNull(value) {
+  return /^0x0*$/.test(value) ? null : value;
+}
+
+// Records each event leaves for the indexer to fill in, by event name
+const trackers = {
+  FileRegistered: (args, changes) => changes.files.add(args.fileId),
+  FileUpdated: (args, changes) => changes.files.add(args.fileId),
+  FileOwnershipTransferred: (args, changes) => changes.files.add(args.fileId),
+  FilePurged: (args, changes) => changes.files.delete(args.fileId),
+  FileAccessGranted: (args, changes) =>
+    changes.permissions.set(`${args.fileId}:${args.grantee}`, [args.fileId, args.grantee]),
+  GroupAccessGranted: (args, changes) =>
+    changes.groupPermissions.set(`${args.fileId}:${args.groupId}`, [args.fileId, args.groupId]),
+  TransferInitiated: (args, changes) => changes.transfers.add(args.transferId)
+};
+
+/**
+ * Lists the records a batch of events touches, so the indexer can fetch the
+ * details events do not carry (names, sizes, expiries, ...) before applying
+ * the events.
+ * @param {object[]} events Events in chain order, as applyEvent takes them
+ * @returns {object} { files, transfers, permissions, groupPermissions }
+ */
+function collectChanges(events) {
+  const changes = {
+    files: new Set(),
+    transfers: new Set(),
+    permissions: new Map(),
+    groupPermissions: new Map()
+  };
+  for (const event of events) {
+    const track = trackers[event.name];
+    if (track) {
+      track(event.args, changes);
+    }
+  }
+  return changes;
+}
+
+/**
+ * Prepares the statements that apply contract events to the index.
+ * @param {Database} db Index database
+ * @returns {Function} applyEvent(event); event is
+ *   { name, args, timestamp, blockNumber, transactionHash }
+ */
+function createEventHandler(db) {
+  const statements = {
+    insertFile: db.prepare(`
+      INSERT OR REPLACE INTO files (file_id, owner, content_hash, created_at, updated_at)
+      VALUES (?, ?, ?, ?, ?)`),
+    updateFileContent: db.prepare("UPDATE files SET content_hash = ?, updated_at = ? WHERE file_id = ?"),
+    updateFileVersion: db.prepare("UPDATE files SET version = ? WHERE file_id = ?"),
+    updateFileOwner: db.prepare("UPDATE files SET owner = ?, updated_at = ? WHERE file_id = ?"),
+    deleteFileFlag: db.prepare("UPDATE files SET is_deleted = 1, deleted_at = ? WHERE file_id = ?"),
+    restoreFile: db.prepare("UPDATE files SET is_deleted = 0, deleted_at = NULL WHERE file_id = ?"),
+    purgeFile: db.prepare("DELETE FROM files WHERE file_id = ?"),
+    purgePermissions: db.prepare("DELETE FROM permissions WHERE file_id = ?"),
+    purgeGroupPermissions: db.prepare("DELETE FROM group_permissions WHERE file_id = ?"),
+
+    grant: db.prepare(`
+      INSERT OR REPLACE INTO permissions (file_id, grantee, access_level, granted_by, granted_at)
+      VALUES (?, ?, ?, ?, ?)`),
+    revoke: db.prepare("DELETE FROM permissions WHERE file_id = ? AND grantee = ?"),
+    useAccess: db.prepare("UPDATE permissions SET uses_left = ? WHERE file_id = ? AND grantee = ?"),
+    grantGroup: db.prepare(`
+      INSERT OR REPLACE INTO group_permissions (file_id, group_id, access_level, granted_by, granted_at)
+      VALUES (?, ?, ?, ?, ?)`),
+    revokeGroup: db.prepare("DELETE FROM group_permissions WHERE file_id = ? AND group_id = ?"),
+
+    insertGroup: db.prepare("INSERT OR REPLACE INTO groups (group_id, name, owner, created_at) VALUES (?, ?, ?, ?)"),
+    updateGroupOwner: db.prepare("UPDATE groups SET owner = ? WHERE group_id = ?"),
+    addMember: db.prepare("INSERT OR IGNORE INTO group_members (group_id, member) VALUES (?, ?)"),
+    removeMember: db.prepare("DELETE FROM group_members WHERE group_id = ? AND member = ?"),
+
+    insertTransfer: db.prepare(`
+      INSERT OR REPLACE INTO transfers (transfer_id, file_id, sender, recipient, status, initiated_at, updated_at)
+      VALUES (?, ?, ?, ?, 'INITIATED', ?, ?)`),
+    updateTransferStatus: db.prepare(`
+      UPDATE transfers SET status = ?, updated_at = ?, reason = COALESCE(?, reason),
+        completed_at = CASE WHEN ? = 'COMPLETED' THEN ? ELSE completed_at END
+      WHERE transfer_id = ?`),
+    markOwnershipTransfer: db.prepare("UPDATE transfers SET transfers_ownership = 1 WHERE transfer_id = ?"),
+
+    insertAuditRecord: db.prepare(`
+      INSERT OR IGNORE INTO audit_records (
+        record_id, sequence, file_id, actor, action, counterparty, transfer_id, payload_hash,
+        timestamp, block_number, transaction_hash
+      )
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`)
+  };
+
+  function setTransferStatus(event, status, reason = null) {
+    statements.updateTransferStatus.run(status, event.timestamp, reason, status, event.timestamp, event.args.transferId);
+  }
+
+  const handlers = {
+    // FileRegistry
+    FileRegistered(event) {
+      const { fileId, owner, contentHash } = event.args;
+      statements.insertFile.run(fileId, owner, contentHash, event.timestamp, event.timestamp);
+    },
+    FileUpdated(event) {
+      statements.updateFileContent.run(event.args.newContentHash, event.timestamp, event.args.fileId);
+    },
+    FileVersionCreated(event) {
+      statements.updateFileVersion.run(event.args.version.toNumber(), event.args.fileId);
+    },
+    FileOwnershipTransferred(event) {
+      statements.updateFileOwner.run(event.args.newOwner, event.timestamp, event.args.fileId);
+    },
+    FileDeleted(event) {
+      statements.deleteFileFlag.run(event.timestamp, event.args.fileId);
+    },
+    FileRestored(event) {
+      statements.restoreFile.run(event.args.fileId);
+    },
+    FilePurged(event) {
+      statements.purgeFile.run(event.args.fileId);
+      statements.purgePermissions.run(event.args.fileId);
+      statements.purgeGroupPermissions.run(event.args.fileId);
+    },
+    FileAccessGranted(event) {
+      const { fileId, grantee, accessLevel, grantedBy } = event.args;
+      statements.grant.run(fileId, grantee, ACCESS_LEVELS[accessLevel], grantedBy, event.timestamp);
+    },
+    FileAccessRevoked(event) {
+      statements.revoke.run(event.args.fileId, event.args.grantee);
+    },
+    FileAccessUsed(event) {
+      statements.useAccess.run(event.args.usesLeft.toNumber(), event.args.fileId, event.args.grantee);
+    },
+    GroupAccessGranted(event) {
+      const { fileId, groupId, accessLevel, grantedBy } = event.args;
+      statements.grantGroup.run(fileId, groupId, ACCESS_LEVELS[accessLevel], grantedBy, event.timestamp);
+    },
+    GroupAccessRevoked(event) {
+      statements.revokeGroup.run(event.args.fileId, event.args.groupId);
+    },
+
+    // GroupRegistry
+    GroupCreated(event) {
+      statements.insertGroup.run(event.args.groupId, event.args.name, event.args.owner, event.timestamp);
+    },
+    GroupMemberAdded(event) {
+      statements.addMember.run(event.args.groupId, event.args.member);
+    },
+    GroupMemberRemoved(event) {
+      statements.removeMember.run(event.args.groupId, event.args.member);
+    },
+    GroupOwnershipTransferred(event) {
+      statements.updateGroupOwner.run(event.args.newOwner, event.args.groupId);
+    },
+
+    // TransferContract
+    TransferInitiated(event) {
+      const { transferId, fileId, sender, recipient } = event.args;
+      statements.insertTransfer.run(transferId, fileId, sender, recipient, event.timestamp, event.timestamp);
+    },
+    OwnershipTransferInitiated(event) {
+      statements.markOwnershipTransfer.run(event.args.transferId);
+    },
+    TransferAccepted(event) {
+      setTransferStatus(event, "IN_PROGRESS");
+    },
+    TransferRejected(event) {
+      setTransferStatus(event, "REJECTED", event.args.reason);
+    },
+    TransferCancelled(event) {
+      setTransferStatus(event, "CANCELLED");
+    },
+    TransferCompleted(event) {
+      setTransferStatus(event, "COMPLETED");
+    },
+    TransferDisputed(event) {
+      setTransferStatus(event, "DISPUTED", event.args.reason);
+    },
+    TransferResolved(event) {
+      setTransferStatus(event, RESOLUTIONS[event.args.resolution]);
+    },
+    TransferExpired(event) {
+      setTransferStatus(event, "EXPIRED");
+    },
+
+    // AuditContract
+    AuditRecorded(event) {
+      const { recordId, sequence, fileId, actor, action, counterparty, transferId, payloadHash, timestamp } = event.args;
+      statements.insertAuditRecord.run(
+        recordId, sequence.toNumber(), fileId, actor, AUDIT_ACTIONS[action],
+        zeroToNull(counterparty), zeroToNull(transferId), zeroToNull(payloadHash),
+        timestamp.toNumber(), event.blockNumber, event.transactionHash
+      );
+    }
+  };
+
+  return function applyEvent(event) {
+    const handler = handlers[event.name];
+    if (handler) {
+      handler(event);
+    }
+    return Boolean(handler);
+  };
+}
+
+module.exports = { collectChanges, createEventHandler };
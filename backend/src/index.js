@@ -0,0 +1,9 @@
+module.exports = {
+  ...require("./api"),
+  ...require("./config"),
+  ...require("./db"),
+  ...require("./handlers"),
+  ...require("./indexer"),
+  ...require("./metrics"),
+  ...require("./queries")
+};
@@ -0,0 +1,233 @@
+const { getMeta, resetDatabase, setMeta } = require("./db");
+const { collectChanges, createEventHandler } = require("./handlers");
+
+const DEFAULT_BATCH_SIZE = 1000;
+
+function isRevert(error) {
+  return error.code === "CALL_EXCEPTION";
+}
+
+/**
+ * Creates an indexer that copies the contracts' events into the index.
+ *
+ * Only blocks at least `confirmations` deep are indexed, so reorgs shallower
+ * than that never reach the database. A deeper one (or a restarted dev node)
+ * shows up as a changed hash of the last indexed block, and the index is then
+ * rebuilt from `startBlock`.
+ *
+ * Each range of blocks is written in one transaction, with the details read
+ * from the views as of its last block, so a failed read leaves the range to be
+ * indexed again rather than indexed without them.
+ *
+ * @param {object} options
+ * @param {ethers.providers.Provider} options.provider Node to follow
+ * @param {object} options.contracts Contracts to index, by deployment name
+ *   (FileRegistry and TransferContract are also read for details)
+ * @param {Database} options.db Index database
+ * @param {number} [options.startBlock] First block to index
+ * @param {number} [options.confirmations] Blocks to wait before indexing a block
+ * @param {number} [options.batchSize] Blocks fetched per getLogs call
+ * @param {string} [options.reader] Account views are called as; it must be a
+ *   FileRegistry admin and TransferContract operator to see private records,
+ *   whose names and messages the index then holds for anyone who can query it
+ * @param {object} [options.logger] Receives info/warn messages
+ * @returns {object} { sync, start, stop, status }
+ */
+function createIndexer({
+  provider,
+  contracts,
+  db,
+  startBlock = 0,
+  confirmations = 0,
+  batchSize = DEFAULT_BATCH_SIZE,
+  reader,
+  logger = console
+}) {
+  const applyEvent = createEventHandler(db);
+  const byAddress = new Map(Object.values(contracts).map((contract) => [contract.address.toLowerCase(), contract]));
+  const { FileRegistry: fileRegistry, TransferContract: transferContract } = contracts;
+
+  const details = {
+    file: db.prepare("UPDATE files SET name = ?, file_size = ?, content_type = ?, is_public = ? WHERE file_id = ?"),
+    transfer: db.prepare("UPDATE transfers SET message = ?, deadline = ?, batch_id = ? WHERE transfer_id = ?"),
+    permission: db.prepare("UPDATE permissions SET expires_at = ?, uses_left = ? WHERE file_id = ? AND grantee = ?"),
+    groupPermission: db.prepare("UPDATE group_permissions SET expires_at = ? WHERE file_id = ? AND group_id = ?")
+  };
+
+  let timer = null;
+  let stopped = true;
+
+  function status() {
+    const lastBlock = getMeta(db, "lastBlock");
+    return {
+      startBlock,
+      lastBlock: lastBlock === null ? null : Number(lastBlock),
+      lastBlockHash: getMeta(db, "lastBlockHash"),
+      confirmations
+    };
+  }
+
+  async function checkForReorg() {
+    const { lastBlock, lastBlockHash } = status();
+    if (lastBlock === null) {
+      return;
+    }
+
+    const block = await provider.getBlock(lastBlock);
+    if (!block || block.hash !== lastBlockHash) {
+      logger.warn(`Block ${lastBlock} is no longer on the chain; rebuilding the index from block ${startBlock}`);
+      resetDatabase(db);
+    }
+  }
+
+  async function fetchEvents(fromBlock, toBlock) {
+    const logs = [];
+    for (const address of byAddress.keys()) {
+      logs.push(...await provider.getLogs({ address, fromBlock, toBlock }));
+    }
+    logs.sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+
+    const timestamps = new Map();
+    const events = [];
+    for (const log of logs) {
+      let parsed;
+      try {
+        parsed = byAddress.get(log.address.toLowerCase()).interface.parseLog(log);
+      } catch (error) {
+        // Events of other ABIs (OpenZeppelin internals, older builds) are skipped
+        continue;
+      }
+
+      if (!timestamps.has(log.blockNumber)) {
+        timestamps.set(log.blockNumber, (await provider.getBlock(log.blockNumber)).timestamp);
+      }
+      events.push({
+        name: parsed.name,
+        args: parsed.args,
+        blockNumber: log.blockNumber,
+        transactionHash: log.transactionHash,
+        timestamp: timestamps.get(log.blockNumber)
+      });
+    }
+    return events;
+  }
+
+  // Reads what events do not carry, as of the range's last block; returns the
+  // updates that write it, to run once the events are applied
+  async function fetchDetails(changes, blockTag) {
+    const overrides = reader ? { blockTag, from: reader } : { blockTag };
+    const updates = [];
+
+    for (const fileId of fileRegistry ? changes.files : []) {
+      try {
+        const view = await fileRegistry.getFileMetadata(fileId, overrides);
+        updates.push(() => details.file.run(
+          view.name, view.fileSize.toNumber(), view.contentType, view.isPublic ? 1 : 0, fileId
+        ));
+      } catch (error) {
+        if (!isRevert(error)) {
+          throw error;
+        }
+      }
+    }
+
+    for (const transferId of transferContract ? changes.transfers : []) {
+      try {
+        const view = await transferContract.getTransfer(transferId, overrides);
+        const batchId = await transferContract.getTransferBatch(transferId, { blockTag });
+        updates.push(() => details.transfer.run(
+          view.message, view.deadline.toNumber(), /^0x0+$/.test(batchId) ? null : batchId, transferId
+        ));
+      } catch (error) {
+        if (!isRevert(error)) {
+          throw error;
+        }
+      }
+    }
+
+    for (const [fileId, grantee] of fileRegistry ? changes.permissions.values() : []) {
+      const permission = await fileRegistry.getAccessPermission(fileId, grantee, { blockTag });
+      updates.push(() => details.permission.run(
+        permission.expiresAt.toNumber(), permission.usesLeft.toNumber(), fileId, grantee
+      ));
+    }
+
+    for (const [fileId, groupId] of fileRegistry ? changes.groupPermissions.values() : []) {
+      const permission = await fileRegistry.getGroupPermission(fileId, groupId, { blockTag });
+      updates.push(() => details.groupPermission.run(permission.expiresAt.toNumber(), fileId, groupId));
+    }
+
+    return updates;
+  }
+
+  async function indexRange(fromBlock, toBlock) {
+    const events = await fetchEvents(fromBlock, toBlock);
+    const { hash } = await provider.getBlock(toBlock);
+    const updates = await fetchDetails(collectChanges(events), toBlock);
+
+    db.transaction(() => {
+      for (const event of events) {
+        applyEvent(event);
+      }
+      for (const update of updates) {
+        update();
+      }
+      setMeta(db, "lastBlock", toBlock);
+      setMeta(db, "lastBlockHash", hash);
+    })();
+
+    return events.length;
+  }
+
+  /**
+   * Indexes every confirmed block not indexed yet.
+   * @returns {Promise<object>} Indexer status afterwards
+   */
+  async function sync() {
+    await checkForReorg();
+
+    const target = await provider.getBlockNumber() - confirmations;
+    const { lastBlock } = status();
+    let fromBlock = lastBlock === null ? startBlock : lastBlock + 1;
+
+    while (fromBlock <= target) {
+      const toBlock = Math.min(fromBlock + batchSize - 1, target);
+      const count = await indexRange(fromBlock, toBlock);
+      if (count > 0) {
+        logger.info(`Indexed ${count} events from blocks ${fromBlock}-${toBlock}`);
+      }
+      fromBlock = toBlock + 1;
+    }
+
+    return status();
+  }
+
+  /**
+   * Keeps syncing until stopped, retrying after errors.
+   * @param {number} intervalMs Delay between syncs
+   */
+  function start(intervalMs) {
+    stopped = false;
+
+    const tick = async () => {
+      try {
+        await sync();
+      } catch (error) {
+        logger.warn(`Sync failed: ${error.message}`);
+      }
+      if (!stopped) {
+        timer = setTimeout(tick, intervalMs);
+      }
+    };
+    tick();
+  }
+
+  function stop() {
+    stopped = true;
+    clearTimeout(timer);
+  }
+
+  return { sync, start, stop, status };
+}
+
+module.exports = { DEFAULT_BATCH_SIZE, createIndexer };
@@ -0,0 +1,64 @@
+const { TRANSFER_STATUSES } = require("bft-cli");
+const { countTransfers } = require("./queries");
+
+// TransferStats fields reported as counters, by the status label they get
+const CONTRACT_COUNTERS = {
+  initiated: "totalInitiated",
+  completed: "totalCompleted",
+  rejected: "totalRejected",
+  cancelled: "totalCancelled",
+  disputed: "totalDisputed",
+  expired: "totalExpired"
+};
+
+/**
+ * Appends one metric, with its HELP and TYPE lines, in the Prometheus text format.
+ * @param {string[]} lines Output lines
+ * @param {string} name Metric name
+ * @param {string} type counter or gauge
+ * @param {string} help Description
+ * @param {Array} samples [labels or null, value] pairs
+ */
+function addMetric(lines, name, type, help, samples) {
+  lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+  for (const [labels, value] of samples) {
+    const rendered = labels
+      ? `{${Object.entries(labels).map(([key, label]) => `${key}="${label}"`).join(",")}}`
+      : "";
+    lines.push(`${name}${rendered} ${value}`);
+  }
+}
+
+/**
+ * Collects metrics for Prometheus: TransferContract's own transfer counters,
+ * read live, and the index's transfers by current status.
+ * @param {Database} db Index database
+ * @param {object} status Indexer status
+ * @param {Contract} [transferContract] TransferContract; without it only index metrics are reported
+ * @returns {Promise<string>} Metrics in the Prometheus text format
+ */
+async function collectMetrics(db, status, transferContract) {
+  const lines = [];
+
+  if (transferContract) {
+    const stats = await transferContract.getTransferStats();
+    addMetric(lines, "bft_transfers_total", "counter",
+      "Transfers that reached each status, as counted by TransferContract; completed transfers that are disputed count as completed once",
+      Object.entries(CONTRACT_COUNTERS).map(([label, field]) => [{ status: label }, stats[field].toString()]));
+    addMetric(lines, "bft_transfer_completion_seconds_average", "gauge",
+      "Average time from initiation to completion of completed transfers",
+      [[null, stats.averageCompletionTime.toString()]]);
+  }
+
+  const { byStatus, overdue } = countTransfers(db);
+  addMetric(lines, "bft_indexed_transfers", "gauge", "Indexed transfers by current status",
+    TRANSFER_STATUSES.slice(1).map((name) => [{ status: name.toLowerCase() }, byStatus[name] || 0]));
+  addMetric(lines, "bft_indexed_transfers_overdue", "gauge",
+    "Indexed transfers still initiated past their deadline, waiting to be expired", [[null, overdue]]);
+  addMetric(lines, "bft_indexer_last_block", "gauge", "Last block indexed",
+    status.lastBlock === null ? [] : [[null, status.lastBlock]]);
+
+  return `${lines.join("\n")}\n`;
+}
+
+module.exports = { collectMetrics };
@@ -0,0 +1,222 @@
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 500;
+
+const BOOLEAN_COLUMNS = new Set(["is_public", "is_deleted", "transfers_ownership"]);
+
+function toRecord(row) {
+  const record = {};
+  for (const [column, value] of Object.entries(row)) {
+    const key = column.replace(/_([a-z])/g, (_, letter) => letter.toUpperCase());
+    record[key] = BOOLEAN_COLUMNS.has(column) && value !== null ? value === 1 : value;
+  }
+  return record;
+}
+
+function now() {
+  return Math.floor(Date.now() / 1000);
+}
+
+/**
+ * Runs a filtered listing and returns one page of it.
+ * @param {Database} db Index database
+ * @param {string} from Table and joins to select from
+ * @param {string[]} conditions SQL conditions, all of which must hold
+ * @param {object} params Named parameters of the conditions
+ * @param {string} orderBy ORDER BY clause
+ * @param {object} page { limit, offset }
+ * @returns {object} { total, items }
+ */
+function listPage(db, from, conditions, params, orderBy, { limit = DEFAULT_LIMIT, offset = 0 } = {}) {
+  const where = conditions.length > 0 ? `WHERE ${conditions.join(" AND ")}` : "";
+  const { total } = db.prepare(`SELECT COUNT(*) AS total FROM ${from} ${where}`).get(params);
+  const rows = db.prepare(`SELECT * FROM ${from} ${where} ORDER BY ${orderBy} LIMIT @limit OFFSET @offset`)
+    .all({ ...params, limit: Math.min(limit, MAX_LIMIT), offset });
+
+  return { total, items: rows.map(toRecord) };
+}
+
+/**
+ * Lists files.
+ * @param {Database} db Index database
+ * @param {object} filter { owner, sharedWith, deleted, name, since, until, limit, offset };
+ *   sharedWith keeps files the address holds unexpired access to, directly or
+ *   through a group, and name matches case-insensitive substrings
+ * @returns {object} { total, items }
+ */
+function listFiles(db, filter = {}) {
+  const conditions = [];
+  const params = {};
+
+  if (filter.owner) {
+    conditions.push("owner = @owner");
+    params.owner = filter.owner;
+  }
+  if (filter.sharedWith) {
+    conditions.push(`(
+      file_id IN (
+        SELECT file_id FROM permissions
+        WHERE grantee = @sharedWith AND (expires_at = 0 OR expires_at > @now)
+      ) OR file_id IN (
+        SELECT gp.file_id FROM group_permissions gp
+        JOIN group_members gm ON gm.group_id = gp.group_id
+        WHERE gm.member = @sharedWith AND (gp.expires_at = 0 OR gp.expires_at > @now)
+      )
+    )`);
+    params.sharedWith = filter.sharedWith;
+    params.now = now();
+  }
+  if (filter.deleted !== undefined) {
+    conditions.push("is_deleted = @deleted");
+    params.deleted = filter.deleted ? 1 : 0;
+  }
+  if (filter.name) {
+    conditions.push("name LIKE @name ESCAPE '\\'");
+    params.name = `%${filter.name.replace(/[\\%_]/g, "\\$&")}%`;
+  }
+  if (filter.since !== undefined) {
+    conditions.push("created_at >= @since");
+    params.since = filter.since;
+  }
+  if (filter.until !== undefined) {
+    conditions.push("created_at <= @until");
+    params.until = filter.until;
+  }
+
+  return listPage(db, "files", conditions, params, "created_at DESC, file_id", filter);
+}
+
+/**
+ * Gets a file with the grants on it.
+ * @param {Database} db Index database
+ * @param {string} fileId File identifier
+ * @returns {object|null} File, with permissions and groupPermissions
+ */
+function getFile(db, fileId) {
+  const row = db.prepare("SELECT * FROM files WHERE file_id = ?").get(fileId);
+  if (!row) {
+    return null;
+  }
+
+  return {
+    ...toRecord(row),
+    permissions: db.prepare("SELECT * FROM permissions WHERE file_id = ? ORDER BY granted_at").all(fileId).map(toRecord),
+    groupPermissions: db.prepare("SELECT * FROM group_permissions WHERE file_id = ? ORDER BY granted_at")
+      .all(fileId).map(toRecord)
+  };
+}
+
+/**
+ * Lists transfers.
+ * @param {Database} db Index database
+ * @param {object} filter { sender, recipient, party, fileId, status, initiatedSince,
+ *   initiatedUntil, updatedSince, updatedUntil, limit, offset }; party matches
+ *   either side, and updated* bound the time of the last status change
+ * @returns {object} { total, items }
+ */
+function listTransfers(db, filter = {}) {
+  const conditions = [];
+  const params = {};
+
+  for (const column of ["sender", "recipient", "status"]) {
+    if (filter[column]) {
+      conditions.push(`${column} = @${column}`);
+      params[column] = filter[column];
+    }
+  }
+  if (filter.fileId) {
+    conditions.push("file_id = @fileId");
+    params.fileId = filter.fileId;
+  }
+  if (filter.party) {
+    conditions.push("(sender = @party OR recipient = @party)");
+    params.party = filter.party;
+  }
+
+  const bounds = {
+    initiatedSince: "initiated_at >=",
+    initiatedUntil: "initiated_at <=",
+    updatedSince: "updated_at >=",
+    updatedUntil: "updated_at <="
+  };
+  for (const [key, condition] of Object.entries(bounds)) {
+    if (filter[key] !== undefined) {
+      conditions.push(`${condition} @${key}`);
+      params[key] = filter[key];
+    }
+  }
+
+  return listPage(db, "transfers", conditions, params, "initiated_at DESC, transfer_id", filter);
+}
+
+function getTransfer(db, transferId) {
+  const row = db.prepare("SELECT * FROM transfers WHERE transfer_id = ?").get(transferId);
+  return row ? toRecord(row) : null;
+}
+
+/**
+ * Counts indexed transfers by their current status.
+ * @param {Database} db Index database
+ * @returns {object} { byStatus: { [status]: count }, overdue }; overdue counts
+ *   transfers still INITIATED past their deadline, waiting for someone to expire them
+ */
+function countTransfers(db) {
+  const byStatus = {};
+  for (const { status, count } of db.prepare("SELECT status, COUNT(*) AS count FROM transfers GROUP BY status").all()) {
+    byStatus[status] = count;
+  }
+  const { overdue } = db.prepare(`
+    SELECT COUNT(*) AS overdue FROM transfers
+    WHERE status = 'INITIATED' AND deadline > 0 AND deadline < ?
+  `).get(now());
+
+  return { byStatus, overdue };
+}
+
+/**
+ * Lists audit records, newest first.
+ * @param {Database} db Index database
+ * @param {object} filter { fileId, actor, action, transferId, since, until, limit, offset }
+ * @returns {object} { total, items }
+ */
+function listAuditRecords(db, filter = {}) {
+  const conditions = [];
+  const params = {};
+
+  if (filter.fileId) {
+    conditions.push("file_id = @fileId");
+    params.fileId = filter.fileId;
+  }
+  if (filter.actor) {
+    conditions.push("actor = @actor");
+    params.actor = filter.actor;
+  }
+  if (filter.action) {
+    conditions.push("action = @action");
+    params.action = filter.action;
+  }
+  if (filter.transferId) {
+    conditions.push("transfer_id = @transferId");
+    params.transferId = filter.transferId;
+  }
+  if (filter.since !== undefined) {
+    conditions.push("timestamp >= @since");
+    params.since = filter.since;
+  }
+  if (filter.until !== undefined) {
+    conditions.push("timestamp <= @until");
+    params.until = filter.until;
+  }
+
+  return listPage(db, "audit_records", conditions, params, "sequence DESC", filter);
+}
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  listFiles,
+  getFile,
+  listTransfers,
+  getTransfer,
+  countTransfers,
+  listAuditRecords
+};
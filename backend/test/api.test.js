@@ -0,0 +1,169 @@
+const { expect } = require("chai");
+const { ethers } = require("ethers");
+const { signExportRequest, verifyAuditBundle } = require("bft-cli");
+const { createApiServer } = require("../src/api");
+const { openDatabase } = require("../src/db");
+const { createEventHandler } = require("../src/handlers");
+
+describe("api", function () {
+  const ownerWallet = ethers.Wallet.createRandom();
+  const owner = ownerWallet.address;
+  const recipient = ethers.Wallet.createRandom().address;
+  const fileId = ethers.utils.id("file");
+  const transferId = ethers.utils.id("transfer");
+  const status = { startBlock: 0, lastBlock: 7, lastBlockHash: ethers.utils.id("block"), confirmations: 2 };
+  const deployment = { chainId: 31337, auditContract: ethers.Wallet.createRandom().address };
+
+  let db;
+  let server;
+  let baseUrl;
+
+  before(async function () {
+    db = openDatabase(":memory:");
+    const applyEvent = createEventHandler(db);
+    const events = [
+      ["FileRegistered", { fileId, owner, contentHash: ethers.utils.id("content") }],
+      ["FileAccessGranted", { fileId, grantee: recipient, accessLevel: 1, grantedBy: owner }],
+      ["TransferInitiated", { transferId, fileId, sender: owner, recipient }],
+      ["TransferDisputed", { transferId, reason: "Corrupt" }]
+    ];
+    for (const [name, args] of events) {
+      applyEvent({ name, args, timestamp: 1700000000, blockNumber: 1, transactionHash: ethers.utils.id(name) });
+    }
+
+    const transferContract = {
+      getTransferStats: async () => ({
+        totalInitiated: ethers.BigNumber.from(1),
+        totalCompleted: ethers.BigNumber.from(0),
+        totalRejected: ethers.BigNumber.from(0),
+        totalCancelled: ethers.BigNumber.from(0),
+        totalDisputed: ethers.BigNumber.from(1),
+        totalExpired: ethers.BigNumber.from(0),
+        averageCompletionTime: ethers.BigNumber.from(0)
+      })
+    };
+
+    // A chain where nothing happened to any file
+    const quietContract = {
+      address: deployment.auditContract,
+      filters: new Proxy({}, { get: () => () => ({}) }),
+      queryFilter: async () => [],
+      getAuditTrailPage: async () => [[], ethers.BigNumber.from(0)],
+      getFileOwner: async (id) => (id === fileId ? owner : ethers.constants.AddressZero),
+      provider: { getNetwork: async () => ({ chainId: deployment.chainId }) }
+    };
+    const exporter = {
+      contracts: { auditContract: quietContract, fileRegistry: quietContract, transferContract: quietContract },
+      signer: ethers.Wallet.createRandom(),
+      fromBlock: 0
+    };
+
+    server = createApiServer(db, () => status, { transferContract, exporter });
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(function () {
+    server.close();
+    db.close();
+  });
+
+  async function get(path) {
+    const response = await fetch(`${baseUrl}${path}`);
+    return { status: response.status, body: await response.json() };
+  }
+
+  async function query(source, variables) {
+    const response = await fetch(`${baseUrl}/graphql`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ query: source, variables })
+    });
+    return response.json();
+  }
+
+  it("Should answer REST searches with validated filters", async function () {
+    expect((await get("/status")).body).to.deep.equal(status);
+
+    const shared = await get(`/files?sharedWith=${recipient.toLowerCase()}`);
+    expect(shared.body.total).to.equal(1);
+    expect(shared.body.items[0].fileId).to.equal(fileId);
+
+    const disputed = await get("/transfers?status=disputed&updatedSince=2023-11-01T00:00:00Z");
+    expect(disputed.body.items.map((t) => t.transferId)).to.deep.equal([transferId]);
+
+    expect((await get(`/files/${fileId}`)).body.permissions).to.have.lengthOf(1);
+    expect((await get(`/transfers/${ethers.utils.id("missing")}`)).status).to.equal(404);
+    expect(await get("/files?owner=nobody")).to.deep.equal({ status: 400, body: { error: "Invalid owner: nobody" } });
+    expect((await get("/files?colour=red")).status).to.equal(400);
+  });
+
+  it("Should report transfer counts as Prometheus metrics", async function () {
+    const response = await fetch(`${baseUrl}/metrics`);
+    const text = await response.text();
+
+    expect(response.headers.get("content-type")).to.match(/^text\/plain/);
+    expect(text).to.include("# TYPE bft_transfers_total counter\n");
+    expect(text).to.include("bft_transfers_total{status=\"disputed\"} 1\n");
+    expect(text).to.include("bft_indexed_transfers{status=\"disputed\"} 1\n");
+    expect(text).to.include("bft_indexed_transfers{status=\"initiated\"} 0\n");
+    expect(text).to.include("bft_indexer_last_block 7\n");
+  });
+
+  async function signedExportQuery(signer, params, expiresIn = 600) {
+    const expires = String(Math.floor(Date.now() / 1000) + expiresIn);
+    return signExportRequest(signer, { fileId, ...params, expires }, deployment);
+  }
+
+  it("Should export signed audit bundles to the file's owner", async function () {
+    const signed = await signedExportQuery(ownerWallet, { format: "csv", from: "2023-11-01" });
+    const { status: code, body } = await get(`/audit/export?${new URLSearchParams(signed)}`);
+
+    expect(code).to.equal(200);
+    expect(body.manifest).to.include({ fileId, format: "csv", from: 1698796800, to: null, entries: 0 });
+    expect(verifyAuditBundle(body.manifest, body.content).valid).to.equal(true);
+    expect((await get("/audit/export?format=csv")).body).to.deep.equal({ error: "fileId is required" });
+
+    const pdf = await signedExportQuery(ownerWallet, { format: "pdf" });
+    expect((await get(`/audit/export?${new URLSearchParams(pdf)}`)).status).to.equal(400);
+  });
+
+  it("Should refuse export requests not signed by the file's owner", async function () {
+    expect((await get(`/audit/export?fileId=${fileId}`)).status).to.equal(401);
+
+    const other = await signedExportQuery(ethers.Wallet.createRandom(), { format: "json" });
+    expect(await get(`/audit/export?${new URLSearchParams(other)}`)).to.deep.equal({
+      status: 403, body: { error: "Only the file's owner may export its audit trail" }
+    });
+
+    // The signature covers the query, so an edited one no longer recovers the owner
+    const edited = await signedExportQuery(ownerWallet, { format: "json", from: "2023-11-01" });
+    expect((await get(`/audit/export?${new URLSearchParams({ ...edited, from: "2020-01-01" })}`)).status).to.equal(403);
+
+    const expired = await signedExportQuery(ownerWallet, { format: "json" }, -1);
+    expect((await get(`/audit/export?${new URLSearchParams(expired)}`)).body).to.deep.equal({ error: "Request has expired" });
+    const lasting = await signedExportQuery(ownerWallet, { format: "json" }, 24 * 60 * 60);
+    expect((await get(`/audit/export?${new URLSearchParams(lasting)}`)).status).to.equal(401);
+  });
+
+  it("Should resolve nested records over GraphQL", async function () {
+    const result = await query(`
+      query Shared($me: String!) {
+        files(sharedWith: $me) {
+          total
+          items { fileId permissions { grantee accessLevel } transfers { status reason file { owner } } }
+        }
+      }
+    `, { me: recipient });
+
+    expect(result.errors).to.equal(undefined);
+    expect(result.data.files.items[0]).to.deep.equal({
+      fileId,
+      permissions: [{ grantee: recipient, accessLevel: "READ" }],
+      transfers: [{ status: "DISPUTED", reason: "Corrupt", file: { owner } }]
+    });
+
+    const invalid = await query("{ transfers(status: \"lost\") { total } }");
+    expect(invalid.errors[0].message).to.match(/Invalid status/);
+  });
+});
@@ -0,0 +1,142 @@
+const { expect } = require("chai");
+const { ethers } = require("ethers");
+const { openDatabase } = require("../src/db");
+const { createIndexer } = require("../src/indexer");
+const { getFile, listFiles } = require("../src/queries");
+
+describe("indexer", function () {
+  const abi = [
+    "event FileRegistered(bytes32 indexed fileId, address indexed owner, bytes32 contentHash)",
+    "function getFileMetadata(bytes32 fileId) view returns (tuple(bytes32 fileId, string name, uint256 fileSize, string contentType, bool isPublic))"
+  ];
+  const iface = new ethers.utils.Interface(abi);
+  const address = ethers.Wallet.createRandom().address;
+  const owner = ethers.Wallet.createRandom().address;
+  const logger = { info() {}, warn() {} };
+
+  /**
+   * A chain of blocks, each holding the fileIds registered in it; `fork`
+   * replaces the blocks from a height on, as a reorg would.
+   */
+  function createChain() {
+    const chain = { blocks: [], salt: "a" };
+
+    chain.mine = (...fileIds) => {
+      chain.blocks.push({ hash: ethers.utils.id(`${chain.salt}${chain.blocks.length}`), fileIds });
+    };
+    chain.fork = (height) => {
+      chain.blocks.length = height;
+      chain.salt = "b";
+    };
+    chain.provider = {
+      getBlockNumber: async () => chain.blocks.length - 1,
+      getBlock: async (number) => chain.blocks[number] && { hash: chain.blocks[number].hash, timestamp: 1000 + number },
+      getLogs: async ({ fromBlock, toBlock }) => chain.blocks.slice(fromBlock, toBlock + 1).flatMap((block, i) =>
+        block.fileIds.map((fileId, logIndex) => ({
+          ...iface.encodeEventLog(iface.getEvent("FileRegistered"), [fileId, owner, fileId]),
+          address,
+          blockNumber: fromBlock + i,
+          logIndex,
+          transactionHash: ethers.utils.id(fileId)
+        })))
+    };
+    return chain;
+  }
+
+  let db;
+
+  beforeEach(function () {
+    db = openDatabase(":memory:");
+  });
+
+  afterEach(function () {
+    db.close();
+  });
+
+  it("Should index confirmed blocks only and fill in file details", async function () {
+    const chain = createChain();
+    const fileRegistry = {
+      address,
+      interface: iface,
+      getFileMetadata: async (fileId, overrides) => {
+        expect(overrides).to.deep.equal({ blockTag: 1, from: owner });
+        return { name: "report.pdf", fileSize: ethers.BigNumber.from(42), contentType: "application/pdf", isPublic: true };
+      }
+    };
+    chain.mine();
+    chain.mine(ethers.utils.id("one"));
+    chain.mine(ethers.utils.id("two"));
+
+    const indexer = createIndexer({
+      provider: chain.provider,
+      contracts: { FileRegistry: fileRegistry },
+      db,
+      confirmations: 1,
+      reader: owner,
+      logger
+    });
+
+    expect(await indexer.sync()).to.include({ lastBlock: 1, lastBlockHash: chain.blocks[1].hash });
+    expect(listFiles(db).total).to.equal(1);
+    expect(getFile(db, ethers.utils.id("one"))).to.include({
+      name: "report.pdf", fileSize: 42, isPublic: true, createdAt: 1001
+    });
+  });
+
+  it("Should index a range again when its details could not be read", async function () {
+    const chain = createChain();
+    let failures = 1;
+    const fileRegistry = {
+      address,
+      interface: iface,
+      getFileMetadata: async () => {
+        if (failures-- > 0) {
+          throw Object.assign(new Error("connection reset"), { code: "SERVER_ERROR" });
+        }
+        return { name: "report.pdf", fileSize: ethers.BigNumber.from(42), contentType: "application/pdf", isPublic: true };
+      }
+    };
+    chain.mine(ethers.utils.id("one"));
+
+    const indexer = createIndexer({ provider: chain.provider, contracts: { FileRegistry: fileRegistry }, db, logger });
+    let error;
+    try {
+      await indexer.sync();
+    } catch (e) {
+      error = e;
+    }
+    expect(error.message).to.equal("connection reset");
+    expect(indexer.status().lastBlock).to.equal(null);
+    expect(listFiles(db).total).to.equal(0);
+
+    await indexer.sync();
+    expect(getFile(db, ethers.utils.id("one"))).to.include({ name: "report.pdf", fileSize: 42 });
+  });
+
+  it("Should rebuild the index when an indexed block is reorged away", async function () {
+    const chain = createChain();
+    const fileRegistry = {
+      address,
+      interface: iface,
+      getFileMetadata: async () => {
+        throw Object.assign(new Error("Not authorized"), { code: "CALL_EXCEPTION" });
+      }
+    };
+    chain.mine(ethers.utils.id("kept"));
+    chain.mine(ethers.utils.id("dropped"));
+
+    const indexer = createIndexer({ provider: chain.provider, contracts: { FileRegistry: fileRegistry }, db, logger });
+    await indexer.sync();
+    expect(listFiles(db).total).to.equal(2);
+    expect(getFile(db, ethers.utils.id("kept")).name).to.equal(null);
+
+    chain.fork(1);
+    chain.mine(ethers.utils.id("replacement"));
+    await indexer.sync();
+
+    expect(listFiles(db).items.map((f) => f.fileId).sort()).to.deep.equal(
+      [ethers.utils.id("kept"), ethers.utils.id("replacement")].sort()
+    );
+    expect(indexer.status().lastBlockHash).to.equal(chain.blocks[1].hash);
+  });
+});
@@ -0,0 +1,106 @@
+const { expect } = require("chai");
+const { ethers } = require("ethers");
+const { openDatabase } = require("../src/db");
+const { collectChanges, createEventHandler } = require("../src/handlers");
+const { getFile, listAuditRecords, listFiles, listTransfers } = require("../src/queries");
+
+describe("queries", function () {
+  const owner = ethers.Wallet.createRandom().address;
+  const alice = ethers.Wallet.createRandom().address;
+  const bob = ethers.Wallet.createRandom().address;
+  const fileId = ethers.utils.id("file");
+  const otherFileId = ethers.utils.id("other-file");
+  const groupId = ethers.utils.id("group");
+  const transferId = ethers.utils.id("transfer");
+
+  let db;
+  let applied;
+  let applyEvent;
+
+  function apply(name, args, timestamp = 1000) {
+    const event = { name, args, timestamp, blockNumber: 1, transactionHash: ethers.utils.id(name) };
+    applyEvent(event);
+    applied.push(event);
+  }
+
+  beforeEach(function () {
+    db = openDatabase(":memory:");
+    applied = [];
+    applyEvent = createEventHandler(db);
+
+    apply("FileRegistered", { fileId, owner, contentHash: ethers.utils.id("content") });
+    apply("FileRegistered", { fileId: otherFileId, owner, contentHash: ethers.utils.id("other") }, 2000);
+  });
+
+  afterEach(function () {
+    db.close();
+  });
+
+  it("Should find files shared directly or through a group", function () {
+    apply("FileAccessGranted", { fileId, grantee: alice, accessLevel: 1, grantedBy: owner });
+    apply("GroupCreated", { groupId, owner, name: "Team" });
+    apply("GroupMemberAdded", { groupId, member: bob });
+    apply("GroupAccessGranted", { fileId: otherFileId, groupId, accessLevel: 2, grantedBy: owner });
+
+    expect(listFiles(db, { sharedWith: alice }).items.map((f) => f.fileId)).to.deep.equal([fileId]);
+    expect(listFiles(db, { sharedWith: bob }).items.map((f) => f.fileId)).to.deep.equal([otherFileId]);
+    expect(getFile(db, fileId).permissions).to.deep.include({
+      fileId, grantee: alice, accessLevel: "READ", grantedBy: owner, grantedAt: 1000, expiresAt: 0, usesLeft: 0
+    });
+
+    apply("GroupMemberRemoved", { groupId, member: bob });
+    apply("FileAccessRevoked", { fileId, grantee: alice, revokedBy: owner });
+    expect(listFiles(db, { sharedWith: alice }).total).to.equal(0);
+    expect(listFiles(db, { sharedWith: bob }).total).to.equal(0);
+    expect([...collectChanges(applied).permissions.keys()]).to.deep.equal([`${fileId}:${alice}`]);
+  });
+
+  it("Should follow deletion, restore and purge", function () {
+    apply("FileAccessGranted", { fileId, grantee: alice, accessLevel: 1, grantedBy: owner });
+    apply("FileDeleted", { fileId }, 3000);
+    expect(listFiles(db, { owner, deleted: true }).items[0]).to.include({ fileId, isDeleted: true, deletedAt: 3000 });
+
+    apply("FileRestored", { fileId, restoredBy: owner });
+    expect(listFiles(db, { owner, deleted: false }).total).to.equal(2);
+
+    apply("FilePurged", { fileId });
+    expect(getFile(db, fileId)).to.equal(null);
+    expect(listFiles(db, { sharedWith: alice }).total).to.equal(0);
+  });
+
+  it("Should track transfer status changes and filter by them", function () {
+    apply("TransferInitiated", { transferId, fileId, sender: owner, recipient: alice }, 1000);
+    apply("TransferAccepted", { transferId }, 1100);
+    apply("TransferDisputed", { transferId, reason: "Corrupt" }, 1200);
+
+    const disputed = listTransfers(db, { status: "DISPUTED", updatedSince: 1200 });
+    expect(disputed.total).to.equal(1);
+    expect(disputed.items[0]).to.include({ transferId, reason: "Corrupt", initiatedAt: 1000, updatedAt: 1200 });
+    expect(listTransfers(db, { status: "DISPUTED", updatedSince: 1201 }).total).to.equal(0);
+    expect(listTransfers(db, { party: alice }).total).to.equal(1);
+
+    apply("TransferResolved", { transferId, resolution: 1 }, 1300); // COMPLETED
+    expect(listTransfers(db, { recipient: alice }).items[0]).to.include({ status: "COMPLETED", completedAt: 1300 });
+  });
+
+  it("Should store typed audit records and filter them by action", function () {
+    const recorder = ethers.Wallet.createRandom().address;
+    const record = { fileId, actor: recorder, counterparty: alice, transferId, timestamp: ethers.BigNumber.from(1000) };
+    apply("AuditRecorded", { ...record, recordId: ethers.utils.id("1"), sequence: ethers.BigNumber.from(0), action: 1, payloadHash: ethers.constants.HashZero });
+    apply("AuditRecorded", { ...record, recordId: ethers.utils.id("2"), sequence: ethers.BigNumber.from(1), action: 3, payloadHash: ethers.utils.id("Wrong file") });
+
+    const rejected = listAuditRecords(db, { action: "TRANSFER_REJECTED", transferId });
+    expect(rejected.total).to.equal(1);
+    expect(rejected.items[0]).to.include({ sequence: 1, counterparty: alice, payloadHash: ethers.utils.id("Wrong file") });
+    expect(listAuditRecords(db, { action: "TRANSFER_INITIATED" }).items[0].payloadHash).to.equal(null);
+    expect(listAuditRecords(db).items.map((r) => r.sequence)).to.deep.equal([1, 0]);
+  });
+
+  it("Should page listings newest first", function () {
+    const first = listFiles(db, { owner, limit: 1 });
+    expect(first.total).to.equal(2);
+    expect(first.items.map((f) => f.fileId)).to.deep.equal([otherFileId]);
+    expect(listFiles(db, { owner, limit: 1, offset: 1 }).items.map((f) => f.fileId)).to.deep.equal([fileId]);
+    expect(listFiles(db, { owner, since: 1500 }).total).to.equal(1);
+  });
+});
@@ -0,0 +1,13 @@
+#!/usr/bin/env node
+const { createProgram } = require("../lib/cli");
+const { CliError, describeError } = require("../lib/errors");
+
+createProgram()
+  .parseAsync(process.argv)
+  .catch((error) => {
+    console.error(`Error: ${describeError(error)}`);
+    if (!(error instanceof CliError) && process.env.BFT_DEBUG) {
+      console.error(error);
+    }
+    process.exit(1);
+  });
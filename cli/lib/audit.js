@@ -0,0 +1,96 @@
+const { ethers } = require("ethers");
+const { AUDIT_ACTIONS, formatTimestamp } = require("./format");
+
+// How each action reads in a trail. TransferContract records the transfer's
+// sender as the counterparty when the recipient acted, its recipient otherwise;
+// FileRegistry records the grantee or new owner, and as payload the hash of a
+// storage location or the uses left after an access use.
+const ACTION_DESCRIPTIONS = {
+  TRANSFER_INITIATED: "Transfer initiated to {counterparty}",
+  TRANSFER_ACCEPTED: "Transfer from {counterparty} accepted",
+  TRANSFER_REJECTED: "Transfer from {counterparty} rejected",
+  TRANSFER_COMPLETED: "Transfer with {counterparty} completed, receipt confirmed",
+  TRANSFER_DISPUTED: "Transfer with {counterparty} disputed",
+  TRANSFER_RESOLVED_COMPLETED: "Dispute over transfer to {counterparty} resolved as completed",
+  TRANSFER_RESOLVED_CANCELLED: "Dispute over transfer to {counterparty} resolved as cancelled",
+  TRANSFER_CANCELLED: "Transfer to {counterparty} cancelled",
+  TRANSFER_EXPIRED: "Transfer with {counterparty} expired",
+  FILE_REGISTERED: "File registered",
+  FILE_UPDATED: "Content updated",
+  ACCESS_GRANTED: "Access granted to {counterparty}",
+  ACCESS_REVOKED: "Access of {counterparty} revoked",
+  GROUP_ACCESS_GRANTED: "Access granted to a group",
+  GROUP_ACCESS_REVOKED: "Access of a group revoked",
+  OWNERSHIP_TRANSFERRED: "Ownership transferred to {counterparty}",
+  FILE_DELETED: "File deleted",
+  FILE_RESTORED: "File restored",
+  FILE_PURGED: "File purged",
+  ACCESS_USED: "Use-limited access used",
+  WRAPPED_KEY_STORED: "Key wrapped for {counterparty}",
+  STORAGE_LOCATION_ADDED: "Storage location added",
+  STORAGE_LOCATION_REMOVED: "Storage location removed"
+};
+
+function orNull(value, zero) {
+  return value === zero ? null : value;
+}
+
+/**
+ * Decodes an AuditRecord returned by AuditContract into a plain object with a
+ * readable description. Records carry only a hash of their payload, such as a
+ * rejection reason; a payload is shown when one of the given texts hashes to it.
+ * @param {object} record Decoded struct
+ * @param {string[]} [texts] Candidate payloads, e.g. the reasons given in a transfer's events
+ * @returns {object} Plain record; `detail` is the matching text or null
+ */
+function decodeAuditRecord(record, texts = []) {
+  const action = AUDIT_ACTIONS[record.action] || `UNKNOWN_${record.action}`;
+  const counterparty = orNull(record.counterparty, ethers.constants.AddressZero);
+  const payloadHash = orNull(record.payloadHash, ethers.constants.HashZero);
+  const template = ACTION_DESCRIPTIONS[action] || action;
+
+  return {
+    recordId: record.recordId,
+    timestamp: formatTimestamp(record.timestamp),
+    action,
+    description: template.replace("{counterparty}", counterparty || "nobody"),
+    actor: record.actor,
+    counterparty,
+    transferId: orNull(record.transferId, ethers.constants.HashZero),
+    payloadHash,
+    detail: payloadHash && texts.find((text) => ethers.utils.id(text) === payloadHash) || null,
+    previousRecordHash: orNull(record.previousRecordHash, ethers.constants.HashZero)
+  };
+}
+
+/**
+ * Collects the reasons given when rejecting or disputing transfers, as
+ * candidate payloads for decodeAuditRecord.
+ * @param {ethers.Contract} transferContract TransferContract instance
+ * @param {string[]} transferIds Transfers to look up
+ * @param {number} [fromBlock] First block to search
+ * @returns {Promise<string[]>} Reasons found in TransferRejected and TransferDisputed events
+ */
+async function findTransferReasons(transferContract, transferIds, fromBlock = 0) {
+  const reasons = [];
+  for (const transferId of new Set(transferIds)) {
+    for (const name of ["TransferRejected", "TransferDisputed"]) {
+      const events = await transferContract.queryFilter(transferContract.filters[name](transferId), fromBlock);
+      reasons.push(...events.map((event) => event.args.reason));
+    }
+  }
+  return reasons;
+}
+
+/**
+ * Renders a decoded record as one line of a trail.
+ * @param {object} record Result of decodeAuditRecord
+ * @returns {string} Rendered line
+ */
+function renderAuditRecord(record) {
+  const detail = record.detail === null ? "" : `: ${JSON.stringify(record.detail)}`;
+  const transfer = record.transferId ? ` (transfer ${record.transferId})` : "";
+  return `${record.timestamp}  ${record.description}${detail}${transfer}`;
+}
+
+module.exports = { decodeAuditRecord, findTransferReasons, renderAuditRecord };
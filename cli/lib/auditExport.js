@@ -0,0 +1,421 @@
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+const { decodeAuditRecord, findTransferReasons } = require("./audit");
+const { CliError } = require("./errors");
+const { hashContent } = require("./files");
+const { ACCESS_LEVELS, RESOLUTIONS, formatTimestamp } = require("./format");
+const { iterateAuditTrail } = require("./listing");
+
+const BUNDLE_VERSION = 1;
+const EXPORT_FORMATS = ["json", "csv"];
+
+// Columns of an exported entry, in CSV order
+const ENTRY_COLUMNS = [
+  "time",
+  "timestamp",
+  "source",
+  "event",
+  "actor",
+  "counterparty",
+  "transferId",
+  "detail",
+  "recordId",
+  "sequence",
+  "blockNumber",
+  "transactionHash"
+];
+
+// Manifest fields covered by the signature, in signing order
+const MANIFEST_FIELDS = [
+  "version",
+  "fileId",
+  "from",
+  "to",
+  "format",
+  "file",
+  "contentHash",
+  "entries",
+  "chainId",
+  "contracts",
+  "exportedAt",
+  "exporter"
+];
+
+// Query parameters of an /audit/export request covered by the requester's
+// signature, in signing order
+const EXPORT_REQUEST_FIELDS = ["fileId", "from", "to", "format", "expires"];
+
+// TransferContract events joined in, besides TransferInitiated
+const TRANSFER_EVENTS = [
+  "TransferAccepted",
+  "TransferRejected",
+  "TransferCompleted",
+  "TransferDisputed",
+  "TransferResolved",
+  "TransferCancelled",
+  "TransferExpired"
+];
+
+/**
+ * Validates an export format.
+ * @param {string} value Input value
+ * @returns {string} "json" or "csv"
+ */
+function parseExportFormat(value) {
+  const format = String(value).toLowerCase();
+  if (!EXPORT_FORMATS.includes(format)) {
+    throw new CliError(`Invalid format: ${value} (expected ${EXPORT_FORMATS.join(" or ")})`);
+  }
+  return format;
+}
+
+function transferEventDetail(event) {
+  switch (event.event) {
+    case "TransferRejected":
+    case "TransferDisputed":
+      return event.args.reason;
+    case "TransferCompleted":
+      return event.args.proofOfDelivery;
+    case "TransferResolved":
+      return RESOLUTIONS[event.args.resolution];
+    default:
+      return null;
+  }
+}
+
+/**
+ * Collects everything that happened to a file between two times: its audit
+ * trail, walked with getAuditTrailPage, joined with the grants and
+ * revocations FileRegistry logged for it and the events of its transfers.
+ * Each entry carries the block and transaction it happened in.
+ * @param {object} contracts { auditContract, fileRegistry, transferContract }
+ * @param {string} fileId File identifier
+ * @param {object} [range] { from, to, fromBlock }: unix seconds (null for
+ *   unbounded) and the first block to search for events
+ * @returns {Promise<object[]>} Entries, oldest first
+ */
+async function collectAuditEntries({ auditContract, fileRegistry, transferContract }, fileId, { from = null, to = null, fromBlock = 0 } = {}) {
+  const records = [];
+  for await (const record of iterateAuditTrail(auditContract, fileId)) {
+    records.push(record);
+  }
+
+  // The trail stores no blocks; the events recording it do
+  const recorded = new Map();
+  for (const event of await auditContract.queryFilter(auditContract.filters.AuditRecorded(null, fileId), fromBlock)) {
+    recorded.set(event.args.recordId, event);
+  }
+
+  const initiated = await transferContract.queryFilter(transferContract.filters.TransferInitiated(null, fileId), fromBlock);
+  const parties = new Map(initiated.map((event) => [event.args.transferId, event.args]));
+  const reasons = await findTransferReasons(transferContract, [...parties.keys()], fromBlock);
+
+  const blocks = new Map();
+  const senders = new Map();
+  const blockTime = async (event) => {
+    if (!blocks.has(event.blockNumber)) {
+      blocks.set(event.blockNumber, (await event.getBlock()).timestamp);
+    }
+    return blocks.get(event.blockNumber);
+  };
+  const sentBy = async (event) => {
+    if (!senders.has(event.transactionHash)) {
+      senders.set(event.transactionHash, (await event.getTransaction()).from);
+    }
+    return senders.get(event.transactionHash);
+  };
+  const fromEvent = async (event, fields) => ({
+    timestamp: await blockTime(event),
+    recordId: null,
+    sequence: null,
+    blockNumber: event.blockNumber,
+    logIndex: event.logIndex,
+    transactionHash: event.transactionHash,
+    ...fields
+  });
+
+  const entries = [];
+
+  for (const record of records) {
+    const decoded = decodeAuditRecord(record, reasons);
+    const event = recorded.get(record.recordId);
+    entries.push({
+      timestamp: record.timestamp.toNumber(),
+      source: "audit",
+      event: decoded.action,
+      actor: decoded.actor,
+      counterparty: decoded.counterparty,
+      transferId: decoded.transferId,
+      detail: decoded.detail || decoded.payloadHash,
+      recordId: record.recordId,
+      sequence: record.sequence.toNumber(),
+      blockNumber: event ? event.blockNumber : null,
+      logIndex: event ? event.logIndex : null,
+      transactionHash: event ? event.transactionHash : null
+    });
+  }
+
+  // A FileRegistry linked to AuditContract records grants and revocations in
+  // the trail too; only the events of the others are added
+  const inTrail = new Set(entries.map((entry) => `${entry.transactionHash}:${entry.event}:${entry.counterparty}`));
+  const alreadyRecorded = (event, action) => inTrail.has(`${event.transactionHash}:${action}:${event.args.grantee}`);
+
+  for (const event of await fileRegistry.queryFilter(fileRegistry.filters.FileAccessGranted(fileId), fromBlock)) {
+    if (alreadyRecorded(event, "ACCESS_GRANTED")) {
+      continue;
+    }
+    entries.push(await fromEvent(event, {
+      source: "access",
+      event: event.event,
+      actor: event.args.grantedBy,
+      counterparty: event.args.grantee,
+      transferId: null,
+      detail: ACCESS_LEVELS[event.args.accessLevel]
+    }));
+  }
+  for (const event of await fileRegistry.queryFilter(fileRegistry.filters.FileAccessRevoked(fileId), fromBlock)) {
+    if (alreadyRecorded(event, "ACCESS_REVOKED")) {
+      continue;
+    }
+    entries.push(await fromEvent(event, {
+      source: "access",
+      event: event.event,
+      actor: event.args.revokedBy,
+      counterparty: event.args.grantee,
+      transferId: null,
+      detail: null
+    }));
+  }
+
+  for (const event of initiated) {
+    entries.push(await fromEvent(event, {
+      source: "transfer",
+      event: event.event,
+      actor: event.args.sender,
+      counterparty: event.args.recipient,
+      transferId: event.args.transferId,
+      detail: null
+    }));
+  }
+  for (const [transferId, { sender, recipient }] of parties) {
+    for (const name of TRANSFER_EVENTS) {
+      for (const event of await transferContract.queryFilter(transferContract.filters[name](transferId), fromBlock)) {
+        const actor = await sentBy(event);
+        entries.push(await fromEvent(event, {
+          source: "transfer",
+          event: event.event,
+          actor,
+          counterparty: actor === sender ? recipient : actor === recipient ? sender : null,
+          transferId,
+          detail: transferEventDetail(event)
+        }));
+      }
+    }
+  }
+
+  return entries
+    .filter((entry) => (from === null || entry.timestamp >= from) && (to === null || entry.timestamp <= to))
+    .sort((a, b) => a.timestamp - b.timestamp || a.blockNumber - b.blockNumber || a.logIndex - b.logIndex)
+    .map(({ logIndex, ...entry }) => ({ time: formatTimestamp(entry.timestamp), ...entry }));
+}
+
+function csvField(value) {
+  const text = value === null || value === undefined ? "" : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, "\"\"")}"` : text;
+}
+
+/**
+ * Renders entries as the content of a bundle.
+ * @param {object[]} entries Result of collectAuditEntries
+ * @param {string} format "json" or "csv"
+ * @returns {string} Content
+ */
+function renderAuditEntries(entries, format) {
+  if (format === "csv") {
+    const rows = [ENTRY_COLUMNS, ...entries.map((entry) => ENTRY_COLUMNS.map((column) => entry[column]))];
+    return rows.map((row) => row.map(csvField).join(",")).join("\r\n") + "\r\n";
+  }
+  return JSON.stringify(entries.map((entry) => Object.fromEntries(ENTRY_COLUMNS.map((column) => [column, entry[column]]))), null, 2) + "\n";
+}
+
+// The text an exporter signs: the manifest's fields in a fixed order
+function manifestMessage(manifest) {
+  return JSON.stringify(Object.fromEntries(MANIFEST_FIELDS.map((field) => [field, manifest[field]])));
+}
+
+/**
+ * Builds and signs the manifest of a bundle. The signature covers the
+ * content's hash, so the manifest vouches for the content file too.
+ * @param {ethers.Signer} signer Exporter
+ * @param {object} fields { fileId, from, to, format, file, entries, chainId, contracts }
+ *   where file is the content file's name, next to the manifest
+ * @param {string} content Bundle content
+ * @returns {Promise<object>} Signed manifest
+ */
+async function signAuditBundle(signer, fields, content) {
+  const manifest = {
+    version: BUNDLE_VERSION,
+    fileId: fields.fileId,
+    from: fields.from,
+    to: fields.to,
+    format: fields.format,
+    file: fields.file,
+    contentHash: hashContent(Buffer.from(content, "utf8")),
+    entries: fields.entries,
+    chainId: fields.chainId,
+    contracts: fields.contracts,
+    exportedAt: Math.floor(Date.now() / 1000),
+    exporter: await signer.getAddress()
+  };
+
+  manifest.signature = await signer.signMessage(manifestMessage(manifest));
+  return manifest;
+}
+
+/**
+ * Exports a file's audit entries as a signed bundle.
+ * @param {object} contracts { auditContract, fileRegistry, transferContract }
+ * @param {ethers.Signer} signer Exporter
+ * @param {string} fileId File identifier
+ * @param {object} [options] { from, to, format, file, fromBlock }; file names
+ *   the content file (default audit-<fileId prefix>.<format>)
+ * @returns {Promise<object>} { manifest, content }
+ */
+async function exportAuditBundle(contracts, signer, fileId, { from = null, to = null, format = "json", file, fromBlock = 0 } = {}) {
+  const entries = await collectAuditEntries(contracts, fileId, { from, to, fromBlock });
+  const content = renderAuditEntries(entries, format);
+  const { chainId } = await contracts.auditContract.provider.getNetwork();
+
+  const manifest = await signAuditBundle(signer, {
+    fileId,
+    from,
+    to,
+    format,
+    file: file || `audit-${fileId.slice(2, 10)}.${format}`,
+    entries: entries.length,
+    chainId,
+    contracts: {
+      AuditContract: contracts.auditContract.address,
+      FileRegistry: contracts.fileRegistry.address,
+      TransferContract: contracts.transferContract.address
+    }
+  }, content);
+  return { manifest, content };
+}
+
+// The text a requester signs: the query as sent, bound to one deployment
+function exportRequestMessage(query, { chainId, auditContract }) {
+  const fields = Object.fromEntries(EXPORT_REQUEST_FIELDS.map((field) => {
+    const value = query[field];
+    return [field, value === undefined || value === null || value === "" ? null : String(value)];
+  }));
+  return JSON.stringify({
+    request: "audit-export",
+    ...fields,
+    chainId: Number(chainId),
+    auditContract: ethers.utils.getAddress(auditContract)
+  });
+}
+
+/**
+ * Signs a request for the indexer's /audit/export endpoint, which only serves
+ * a file's owner. The values are signed as sent, so a relative time such as
+ * "30d" is signed as written.
+ * @param {ethers.Signer} signer File owner
+ * @param {object} query { fileId, from, to, format, expires }; expires is unix
+ *   seconds after which the indexer refuses the request
+ * @param {object} deployment { chainId, auditContract }
+ * @returns {Promise<object>} The query with its signature added
+ */
+async function signExportRequest(signer, query, deployment) {
+  const signature = await signer.signMessage(exportRequestMessage(query, deployment));
+  return { ...query, signature };
+}
+
+/**
+ * Recovers the account that signed an /audit/export request.
+ * @param {object} query Query parameters, including the signature
+ * @param {object} deployment { chainId, auditContract }
+ * @returns {string} Signer address
+ */
+function recoverExportRequester(query, deployment) {
+  try {
+    return ethers.utils.verifyMessage(exportRequestMessage(query, deployment), query.signature);
+  } catch (error) {
+    throw new CliError("Malformed request signature");
+  }
+}
+
+/**
+ * Checks a bundle without a node: the content must match the manifest's hash
+ * and the manifest must be signed by its exporter.
+ * @param {object} manifest Signed manifest
+ * @param {string|Buffer} content Bundle content
+ * @returns {object} { valid, signer, reason }
+ */
+function verifyAuditBundle(manifest, content) {
+  if (hashContent(Buffer.from(content)) !== String(manifest.contentHash).toLowerCase()) {
+    return { valid: false, signer: null, reason: "content does not match the manifest" };
+  }
+
+  let signer;
+  try {
+    signer = ethers.utils.verifyMessage(manifestMessage(manifest), manifest.signature);
+  } catch (error) {
+    return { valid: false, signer: null, reason: "malformed signature" };
+  }
+
+  if (signer !== manifest.exporter) {
+    return { valid: false, signer, reason: "not signed by the exporter" };
+  }
+  return { valid: true, signer, reason: null };
+}
+
+/**
+ * Reads a bundle: a manifest file with its content file next to it, or a
+ * single JSON document holding both as `manifest` and `content`, as the
+ * indexer's /audit/export endpoint returns it.
+ * @param {string} bundlePath Manifest or bundle file
+ * @returns {object} { manifest, content }
+ */
+function loadAuditBundle(bundlePath) {
+  if (!fs.existsSync(bundlePath) || !fs.statSync(bundlePath).isFile()) {
+    throw new CliError(`Not a file: ${bundlePath}`);
+  }
+
+  let document;
+  try {
+    document = JSON.parse(fs.readFileSync(bundlePath, "utf8"));
+  } catch (error) {
+    throw new CliError(`Not an audit bundle: ${bundlePath}`);
+  }
+
+  const manifest = document.manifest || document;
+  if (manifest.version !== BUNDLE_VERSION || !manifest.signature || !manifest.file) {
+    throw new CliError(`Unsupported audit bundle: ${bundlePath}`);
+  }
+  if (typeof document.content === "string") {
+    return { manifest, content: document.content };
+  }
+
+  // Only the name is taken, so a manifest cannot point outside its directory
+  const contentPath = path.join(path.dirname(bundlePath), path.basename(manifest.file));
+  if (!fs.existsSync(contentPath)) {
+    throw new CliError(`Bundle content not found: ${contentPath}`);
+  }
+  return { manifest, content: fs.readFileSync(contentPath) };
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  parseExportFormat,
+  collectAuditEntries,
+  renderAuditEntries,
+  signAuditBundle,
+  exportAuditBundle,
+  signExportRequest,
+  recoverExportRequester,
+  verifyAuditBundle,
+  loadAuditBundle
+};
@@ -0,0 +1,269 @@
+const fs = require("fs");
+const { ethers } = require("ethers");
+const { CliError } = require("./errors");
+
+// Version 2 logs come from AuditContracts that hash leaves behind a 0x00 byte
+const AUDIT_LOG_VERSION = 2;
+
+// The fields AuditContract hashes into a record's ID, in order
+const RECORD_FIELDS = [
+  ["sequence", "uint256"],
+  ["fileId", "bytes32"],
+  ["actor", "address"],
+  ["action", "uint8"],
+  ["counterparty", "address"],
+  ["transferId", "bytes32"],
+  ["payloadHash", "bytes32"],
+  ["timestamp", "uint256"],
+  ["previousRecordHash", "bytes32"],
+  ["previousGlobalHash", "bytes32"]
+];
+
+/**
+ * Recomputes a record's ID from its contents, as AuditContract does.
+ * @param {object} record Audit record
+ * @returns {string} Record ID
+ */
+function hashAuditRecord(record) {
+  return ethers.utils.keccak256(ethers.utils.defaultAbiCoder.encode(
+    RECORD_FIELDS.map(([, type]) => type),
+    RECORD_FIELDS.map(([name]) => record[name])
+  ));
+}
+
+/**
+ * Computes a record's Merkle leaf as AuditContract does: the ID hashed behind a
+ * 0x00 byte, so a leaf never equals an inner node.
+ * @param {string} recordId Record ID
+ * @returns {string} Leaf hash
+ */
+function leafHash(recordId) {
+  return ethers.utils.solidityKeccak256(["bytes1", "bytes32"], ["0x00", recordId]);
+}
+
+// Sorted pair hashing, as OpenZeppelin's MerkleProof expects
+function hashPair(a, b) {
+  const [first, second] = a.toLowerCase() < b.toLowerCase() ? [a, b] : [b, a];
+  return ethers.utils.solidityKeccak256(["bytes32", "bytes32"], [first, second]);
+}
+
+function nextLevel(level) {
+  const next = [];
+  for (let i = 0; i < level.length; i += 2) {
+    next.push(i + 1 < level.length ? hashPair(level[i], level[i + 1]) : level[i]);
+  }
+  return next;
+}
+
+/**
+ * Computes the Merkle root AuditContract stores in a checkpoint: leaves are
+ * leafHash of the recordIds, pairs are hashed sorted, odd nodes carried up
+ * unchanged.
+ * @param {string[]} recordIds Record IDs in sequence order
+ * @returns {string} Merkle root
+ */
+function checkpointRoot(recordIds) {
+  if (recordIds.length === 0) {
+    throw new CliError("Cannot compute a checkpoint root without records");
+  }
+
+  let level = recordIds.map(leafHash);
+  while (level.length > 1) {
+    level = nextLevel(level);
+  }
+  return level[0];
+}
+
+/**
+ * Builds the proof that a record is under a checkpoint's root, as
+ * AuditContract.getInclusionProof does.
+ * @param {string[]} recordIds Record IDs the checkpoint covers
+ * @param {number} index Position of the record among them
+ * @returns {string[]} Sibling hashes from the leaf up to the root
+ */
+function inclusionProof(recordIds, index) {
+  const proof = [];
+  let level = recordIds.map(leafHash);
+  let position = index;
+
+  while (level.length > 1) {
+    if ((position ^ 1) < level.length) {
+      proof.push(level[position ^ 1]);
+    }
+    level = nextLevel(level);
+    position = Math.floor(position / 2);
+  }
+  return proof;
+}
+
+/**
+ * Checks an inclusion proof without a node.
+ * @param {string} recordId Record ID
+ * @param {string[]} proof Sibling hashes
+ * @param {string} root Checkpoint's Merkle root
+ * @returns {boolean} True if the proof leads to the root
+ */
+function verifyInclusionProof(recordId, proof, root) {
+  return proof.reduce(hashPair, leafHash(recordId)).toLowerCase() === root.toLowerCase();
+}
+
+/**
+ * Converts an AuditRecord returned by AuditContract into a log entry.
+ * @param {object} record Decoded struct
+ * @returns {object} Plain record
+ */
+function toLogRecord(record) {
+  return {
+    sequence: Number(record.sequence),
+    recordId: record.recordId,
+    fileId: record.fileId,
+    actor: record.actor,
+    action: Number(record.action),
+    counterparty: record.counterparty,
+    transferId: record.transferId,
+    payloadHash: record.payloadHash,
+    timestamp: Number(record.timestamp),
+    previousRecordHash: record.previousRecordHash,
+    previousGlobalHash: record.previousGlobalHash
+  };
+}
+
+/**
+ * Converts a Checkpoint returned by AuditContract into a log entry.
+ * @param {object} checkpoint Decoded struct
+ * @returns {object} Plain checkpoint
+ */
+function toLogCheckpoint(checkpoint) {
+  return {
+    fromSequence: Number(checkpoint.fromSequence),
+    toSequence: Number(checkpoint.toSequence),
+    merkleRoot: checkpoint.merkleRoot,
+    lastRecordId: checkpoint.lastRecordId,
+    timestamp: Number(checkpoint.timestamp)
+  };
+}
+
+/**
+ * Builds an audit log as verifyAuditLog reads it from records and
+ * checkpoints already fetched.
+ * @param {string} auditContract AuditContract address
+ * @param {object[]} records AuditRecord structs in sequence order
+ * @param {object[]} checkpoints Checkpoint structs in order
+ * @returns {object} Audit log
+ */
+function buildAuditLog(auditContract, records, checkpoints) {
+  return {
+    version: AUDIT_LOG_VERSION,
+    auditContract,
+    exportedAt: Math.floor(Date.now() / 1000),
+    records: records.map(toLogRecord),
+    checkpoints: checkpoints.map(toLogCheckpoint)
+  };
+}
+
+function broken(result, sequence, reason) {
+  return { ...result, valid: false, brokenAt: sequence, reason };
+}
+
+/**
+ * Replays an audit log offline: every record must hash to its ID and link to
+ * the previous record in the log and of its file, and every checkpoint root
+ * must match the records it covers.
+ * @param {object} log Audit log
+ * @returns {object} { valid, records, checkpoints, uncheckpointed, brokenAt, reason };
+ *   brokenAt is the sequence of the first record that fails, or null
+ */
+function verifyAuditLog(log) {
+  const { records, checkpoints } = log;
+  const covered = checkpoints.length === 0 ? 0 : checkpoints[checkpoints.length - 1].toSequence;
+  const result = {
+    valid: true,
+    records: records.length,
+    checkpoints: checkpoints.length,
+    uncheckpointed: Math.max(records.length - covered, 0),
+    brokenAt: null,
+    reason: null
+  };
+
+  const lastOfFile = new Map();
+  let previous = ethers.constants.HashZero;
+
+  for (let i = 0; i < records.length; i++) {
+    const record = records[i];
+    const fileId = record.fileId.toLowerCase();
+    const previousOfFile = lastOfFile.get(fileId) || ethers.constants.HashZero;
+
+    if (Number(record.sequence) !== i) {
+      return broken(result, i, `expected record ${i}, found ${record.sequence}`);
+    }
+    if (record.previousGlobalHash.toLowerCase() !== previous.toLowerCase()) {
+      return broken(result, i, "does not link to the previous record");
+    }
+    if (record.previousRecordHash.toLowerCase() !== previousOfFile.toLowerCase()) {
+      return broken(result, i, "does not link to the previous record of its file");
+    }
+    if (hashAuditRecord(record) !== record.recordId.toLowerCase()) {
+      return broken(result, i, "contents do not match the record ID");
+    }
+
+    previous = record.recordId;
+    lastOfFile.set(fileId, record.recordId);
+  }
+
+  for (let i = 0; i < checkpoints.length; i++) {
+    const { fromSequence, toSequence, merkleRoot, lastRecordId } = checkpoints[i];
+    const expectedFrom = i === 0 ? 0 : checkpoints[i - 1].toSequence;
+
+    if (fromSequence !== expectedFrom || toSequence <= fromSequence) {
+      return broken(result, expectedFrom, `checkpoint ${i} does not follow the previous one`);
+    }
+    if (toSequence > records.length) {
+      return broken(result, records.length, `checkpoint ${i} covers records missing from the log`);
+    }
+
+    const recordIds = records.slice(fromSequence, toSequence).map((record) => record.recordId);
+    if (recordIds[recordIds.length - 1].toLowerCase() !== lastRecordId.toLowerCase()) {
+      return broken(result, toSequence - 1, `checkpoint ${i} ends with a different record`);
+    }
+    if (checkpointRoot(recordIds).toLowerCase() !== merkleRoot.toLowerCase()) {
+      return broken(result, fromSequence, `records ${fromSequence}-${toSequence - 1} do not match checkpoint ${i}`);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Reads an audit log JSON file.
+ * @param {string} logPath Log file
+ * @returns {object} Audit log
+ */
+function loadAuditLog(logPath) {
+  if (!fs.existsSync(logPath) || !fs.statSync(logPath).isFile()) {
+    throw new CliError(`Not a file: ${logPath}`);
+  }
+
+  let log;
+  try {
+    log = JSON.parse(fs.readFileSync(logPath, "utf8"));
+  } catch (error) {
+    throw new CliError(`Not an audit log: ${logPath}`);
+  }
+  if (log.version !== AUDIT_LOG_VERSION || !Array.isArray(log.records) || !Array.isArray(log.checkpoints)) {
+    throw new CliError(`Unsupported audit log: ${logPath}`);
+  }
+  return log;
+}
+
+module.exports = {
+  hashAuditRecord,
+  leafHash,
+  checkpointRoot,
+  inclusionProof,
+  verifyInclusionProof,
+  toLogRecord,
+  toLogCheckpoint,
+  buildAuditLog,
+  verifyAuditLog,
+  loadAuditLog
+};
@@ -0,0 +1,49 @@
+const { sendTransaction } = require("./contracts");
+const { prepareRecipientKey } = require("./pipeline");
+
+/**
+ * Offers a file to every recipient in a list, as many batches as
+ * TransferContract's MAX_BATCH_RECIPIENTS requires. Recipients listed with a
+ * public key get the file key re-wrapped for them, one batch at a time, so a
+ * batch that fails leaves the later ones unwrapped.
+ * @param {object} connection Result of connect()
+ * @param {string} fileId File identifier
+ * @param {object[]} recipients [{ address, publicKey }] (see parseRecipientList)
+ * @param {object} terms { message, deadline, level } of every transfer
+ * @returns {Promise<object[]>} [{ batchId, recipients, transactionHash }] per batch, in list order
+ */
+async function sendBatchTransfers(connection, fileId, recipients, terms) {
+  const { transferContract } = connection;
+  const { message, deadline, level } = terms;
+  const batchSize = (await transferContract.MAX_BATCH_RECIPIENTS()).toNumber();
+  const batches = [];
+
+  for (let start = 0; start < recipients.length; start += batchSize) {
+    const batch = recipients.slice(start, start + batchSize);
+    const addresses = batch.map((entry) => entry.address);
+
+    let pending;
+    if (batch.some((entry) => entry.publicKey)) {
+      const keys = [];
+      for (const entry of batch) {
+        keys.push(entry.publicKey ? await prepareRecipientKey(connection, fileId, entry.address, entry.publicKey) : "0x");
+      }
+      pending = transferContract.initiateBatchTransferWithKeys(fileId, addresses, message, deadline, level, keys);
+    } else {
+      pending = transferContract.initiateBatchTransfer(fileId, addresses, message, deadline, level);
+    }
+    const { receipt, events } = await sendTransaction(pending);
+
+    batches.push({
+      batchId: events.BatchTransferInitiated.batchId,
+      recipients: batch.length,
+      transactionHash: receipt.transactionHash
+    });
+  }
+
+  return batches;
+}
+
+module.exports = {
+  sendBatchTransfers
+};
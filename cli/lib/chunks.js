@@ -0,0 +1,158 @@
+const fs = require("fs");
+const { ethers } = require("ethers");
+const { encryptChunk } = require("./encryption");
+const { CliError } = require("./errors");
+
+// Chunk hashes recorded per addFileChunks transaction, and read per getFileChunks call
+const CHUNK_BATCH_SIZE = 50;
+const CHUNK_PAGE_SIZE = 100;
+
+const MANIFEST_VERSION = 1;
+
+/**
+ * Picks the chunk size for a file: the requested size, or the smallest size
+ * that stays within both limits.
+ * @param {number} fileSize File size in bytes
+ * @param {object} limits { minChunkSize, maxChunks } from FileRegistry.getStorageLimits
+ * @param {number} [requested] Chunk size asked for
+ * @returns {object} { chunkSize, chunkCount }
+ */
+function planChunks(fileSize, limits, requested) {
+  const chunkSize = requested || Math.max(limits.minChunkSize, Math.ceil(fileSize / limits.maxChunks));
+  const chunkCount = Math.max(1, Math.ceil(fileSize / chunkSize));
+
+  if (chunkCount > 1 && chunkSize < limits.minChunkSize) {
+    throw new CliError(`Chunk size ${chunkSize} is below the registry minimum of ${limits.minChunkSize} bytes`);
+  }
+  if (chunkCount > limits.maxChunks) {
+    throw new CliError(`${chunkCount} chunks exceed the registry maximum of ${limits.maxChunks}; use a larger chunk size`);
+  }
+
+  return { chunkSize, chunkCount };
+}
+
+/**
+ * Reads one chunk of a local file, without loading the rest of it.
+ * @param {number} fd Open file descriptor
+ * @param {number} sequence Chunk position, from 0
+ * @param {number} chunkSize Chunk size in bytes
+ * @param {number} fileSize File size in bytes
+ * @returns {Buffer} Chunk content
+ */
+function readChunk(fd, sequence, chunkSize, fileSize) {
+  const offset = sequence * chunkSize;
+  const buffer = Buffer.alloc(Math.min(chunkSize, fileSize - offset));
+
+  fs.readSync(fd, buffer, 0, buffer.length, offset);
+  return buffer;
+}
+
+/**
+ * Returns a chunk as it is stored: encrypted under the file key, or as is.
+ * @param {Buffer} plaintext Chunk content
+ * @param {Buffer|null} fileKey File key, or null for plain files
+ * @param {number} sequence Chunk position
+ * @returns {Buffer} Stored chunk
+ */
+function sealChunk(plaintext, fileKey, sequence) {
+  return fileKey ? encryptChunk(plaintext, fileKey, sequence) : plaintext;
+}
+
+/**
+ * Computes the Merkle root FileRegistry checks chunk hashes against
+ * (SecurityUtils.computeMerkleRoot): pairs hashed with keccak256, odd nodes
+ * carried up unchanged.
+ * @param {string[]} leaves Chunk hashes in sequence order
+ * @returns {string} Merkle root
+ */
+function merkleRoot(leaves) {
+  if (leaves.length === 0) {
+    throw new CliError("Cannot compute a Merkle root without chunks");
+  }
+
+  let level = leaves;
+  while (level.length > 1) {
+    const next = [];
+    for (let i = 0; i < level.length; i += 2) {
+      next.push(i + 1 < level.length
+        ? ethers.utils.solidityKeccak256(["bytes32", "bytes32"], [level[i], level[i + 1]])
+        : level[i]);
+    }
+    level = next;
+  }
+
+  return level[0];
+}
+
+/**
+ * Builds the manifest stored at a chunked file's storage location: where each
+ * chunk lives on that backend. Chunks are verified against the hashes
+ * recorded on-chain, not against the manifest.
+ * @param {string} fileId File identifier
+ * @param {string} root Merkle root of the chunks
+ * @param {string[]} locations Chunk locations in sequence order
+ * @returns {Buffer} Manifest JSON
+ */
+function buildManifest(fileId, root, locations) {
+  return Buffer.from(JSON.stringify({
+    version: MANIFEST_VERSION,
+    fileId,
+    merkleRoot: root,
+    chunks: locations
+  }));
+}
+
+/**
+ * Parses a manifest written by buildManifest.
+ * @param {Buffer} data Manifest JSON
+ * @param {string} root Merkle root the manifest must describe
+ * @returns {string[]} Chunk locations in sequence order
+ */
+function parseManifest(data, root) {
+  let manifest;
+  try {
+    manifest = JSON.parse(data.toString("utf8"));
+  } catch (error) {
+    throw new CliError("Not a chunk manifest");
+  }
+
+  if (manifest.version !== MANIFEST_VERSION || !Array.isArray(manifest.chunks)) {
+    throw new CliError("Unsupported chunk manifest");
+  }
+  if (String(manifest.merkleRoot).toLowerCase() !== root.toLowerCase()) {
+    throw new CliError("Manifest describes different content");
+  }
+  return manifest.chunks;
+}
+
+/**
+ * Loads a resume journal, or null if there is none.
+ * @param {string} journalPath Journal file
+ * @returns {object|null} Journal contents
+ */
+function loadJournal(journalPath) {
+  return fs.existsSync(journalPath) ? JSON.parse(fs.readFileSync(journalPath, "utf8")) : null;
+}
+
+/**
+ * Writes a resume journal, replacing the previous one atomically.
+ * @param {string} journalPath Journal file
+ * @param {object} journal Journal contents
+ */
+function saveJournal(journalPath, journal) {
+  fs.writeFileSync(`${journalPath}.tmp`, JSON.stringify(journal));
+  fs.renameSync(`${journalPath}.tmp`, journalPath);
+}
+
+module.exports = {
+  CHUNK_BATCH_SIZE,
+  CHUNK_PAGE_SIZE,
+  planChunks,
+  readChunk,
+  sealChunk,
+  merkleRoot,
+  buildManifest,
+  parseManifest,
+  loadJournal,
+  saveJournal
+};
@@ -0,0 +1,49 @@
+const { Command } = require("commander");
+const { version } = require("../package.json");
+const registerAccessCommands = require("./commands/access");
+const registerAdminCommands = require("./commands/admin");
+const registerAuditCommands = require("./commands/audit");
+const registerFileCommands = require("./commands/file");
+const registerGroupCommands = require("./commands/group");
+const registerInboxCommands = require("./commands/inbox");
+const registerKeyCommands = require("./commands/key");
+const registerStatsCommands = require("./commands/stats");
+const registerStorageCommands = require("./commands/storage");
+const registerTransferCommands = require("./commands/transfer");
+
+/**
+ * Builds the `bft` command tree.
+ * @returns {Command} Root command
+ */
+function createProgram() {
+  const program = new Command();
+
+  program
+    .name("bft")
+    .description("Blockchain file transfer command-line client")
+    .version(version)
+    .option("-n, --network <name>", "network whose deployment file to use (default: localhost)")
+    .option("--rpc-url <url>", "JSON-RPC endpoint (default: http://127.0.0.1:8545)")
+    .option("--deployment <file>", "path to a <network>-deployment.json file")
+    .option("--artifacts <dir>", "hardhat artifacts directory holding the contract ABIs")
+    .option("--private-key <key>", "sign with this private key (or set BFT_PRIVATE_KEY)")
+    .option("--account <index>", "sign with the node's unlocked account at this index", "0")
+    .option("--store-dir <dir>", "directory of the local storage backend (default: ~/.bft/store)")
+    .option("--ipfs-api <url>", "IPFS HTTP API of the ipfs storage backend (default: http://127.0.0.1:5001)")
+    .option("--json", "print machine-readable JSON", false);
+
+  registerFileCommands(program);
+  registerAccessCommands(program);
+  registerGroupCommands(program);
+  registerTransferCommands(program);
+  registerInboxCommands(program);
+  registerAuditCommands(program);
+  registerStatsCommands(program);
+  registerKeyCommands(program);
+  registerStorageCommands(program);
+  registerAdminCommands(program);
+
+  return program;
+}
+
+module.exports = { createProgram };
@@ -0,0 +1,23 @@
+const { connect } = require("./contracts");
+
+/**
+ * Wraps a command handler so it receives a live connection. Commander passes
+ * (...positionals, localOptions, command); the handler gets
+ * (context, ...positionals), where context.options merges local and global
+ * options.
+ * @param {Function} handler async (context, ...positionals) => void
+ * @returns {Function} Commander action
+ */
+function action(handler) {
+  return async function (...args) {
+    const command = args.pop();
+    args.pop();
+
+    const options = command.optsWithGlobals();
+    const connection = await connect(options);
+
+    await handler({ ...connection, options }, ...args);
+  };
+}
+
+module.exports = { action };
@@ -0,0 +1,175 @@
+const { action } = require("../command");
+const { requireGroupRegistry, sendTransaction } = require("../contracts");
+const {
+  ACCESS_LEVELS,
+  formatTimestamp,
+  parseAccessLevel,
+  parseAddress,
+  parseBytes32,
+  parseTimestamp,
+  printResult,
+  renderTable
+} = require("../format");
+const { prepareRecipientKey } = require("../pipeline");
+
+const GROUP_ACCESS_COLUMNS = ["groupId", "name", "level", "grantedAt", "expiresAt"];
+
+function registerAccessCommands(program) {
+  const access = program
+    .command("access")
+    .description("grant, revoke and check file permissions");
+
+  access
+    .command("grant")
+    .description("grant a user access to a file (owner or admin grantee)")
+    .argument("<fileId>", "file identifier")
+    .argument("<grantee>", "address to grant access to")
+    .option("-l, --level <level>", "read, write or admin", "read")
+    .option("--expires <time>", "expiry as unix seconds, ISO date or duration such as 7d")
+    .option("--public-key <key>", "grantee's public key; also stores the file key re-wrapped for them")
+    .action(action(async (ctx, fileId, grantee) => {
+      const { options } = ctx;
+      const id = parseBytes32(fileId, "file id");
+      const address = parseAddress(grantee, "grantee");
+      const level = parseAccessLevel(options.level);
+      const expiresAt = options.expires ? parseTimestamp(options.expires) : 0;
+
+      const pending = options.publicKey
+        ? ctx.fileRegistry.grantAccessWithKey(
+          id, address, level, expiresAt,
+          await prepareRecipientKey(ctx, id, address, options.publicKey)
+        )
+        : ctx.fileRegistry.grantAccess(id, address, level, expiresAt);
+      const { receipt } = await sendTransaction(pending);
+
+      printResult({
+        fileId: id,
+        grantee: address,
+        level: ACCESS_LEVELS[level],
+        expiresAt: formatTimestamp(expiresAt),
+        transactionHash: receipt.transactionHash
+      }, options);
+    }));
+
+  access
+    .command("revoke")
+    .description("revoke a user's access to a file (owner or admin grantee)")
+    .argument("<fileId>", "file identifier")
+    .argument("<grantee>", "address to revoke access from")
+    .action(action(async (ctx, fileId, grantee) => {
+      const id = parseBytes32(fileId, "file id");
+      const address = parseAddress(grantee, "grantee");
+
+      const { receipt } = await sendTransaction(ctx.fileRegistry.revokeAccess(id, address));
+
+      printResult({
+        fileId: id,
+        grantee: address,
+        revoked: true,
+        transactionHash: receipt.transactionHash
+      }, ctx.options);
+    }));
+
+  access
+    .command("key")
+    .description("store the file key re-wrapped for a user who has access another way, such as a group member (owner or admin grantee)")
+    .argument("<fileId>", "file identifier")
+    .argument("<user>", "address to wrap the key for")
+    .requiredOption("--public-key <key>", "the user's public key")
+    .action(action(async (ctx, fileId, user) => {
+      const id = parseBytes32(fileId, "file id");
+      const address = parseAddress(user, "user");
+      const wrappedKey = await prepareRecipientKey(ctx, id, address, ctx.options.publicKey);
+
+      const { receipt } = await sendTransaction(ctx.fileRegistry.setWrappedKey(id, address, wrappedKey));
+
+      printResult({ fileId: id, user: address, transactionHash: receipt.transactionHash }, ctx.options);
+    }));
+
+  access
+    .command("grant-group")
+    .description("grant every member of a group access to a file (owner or admin grantee)")
+    .argument("<fileId>", "file identifier")
+    .argument("<groupId>", "group identifier")
+    .option("-l, --level <level>", "read, write or admin", "read")
+    .option("--expires <time>", "expiry as unix seconds, ISO date or duration such as 7d")
+    .action(action(async (ctx, fileId, groupId) => {
+      const { options } = ctx;
+      const id = parseBytes32(fileId, "file id");
+      const group = parseBytes32(groupId, "group id");
+      const level = parseAccessLevel(options.level);
+      const expiresAt = options.expires ? parseTimestamp(options.expires) : 0;
+
+      const { receipt } = await sendTransaction(ctx.fileRegistry.grantGroupAccess(id, group, level, expiresAt));
+
+      printResult({
+        fileId: id,
+        groupId: group,
+        level: ACCESS_LEVELS[level],
+        expiresAt: formatTimestamp(expiresAt),
+        transactionHash: receipt.transactionHash
+      }, options);
+    }));
+
+  access
+    .command("revoke-group")
+    .description("revoke a group's access to a file (owner or admin grantee)")
+    .argument("<fileId>", "file identifier")
+    .argument("<groupId>", "group identifier")
+    .action(action(async (ctx, fileId, groupId) => {
+      const id = parseBytes32(fileId, "file id");
+      const group = parseBytes32(groupId, "group id");
+
+      const { receipt } = await sendTransaction(ctx.fileRegistry.revokeGroupAccess(id, group));
+
+      printResult({
+        fileId: id,
+        groupId: group,
+        revoked: true,
+        transactionHash: receipt.transactionHash
+      }, ctx.options);
+    }));
+
+  access
+    .command("groups")
+    .description("list the groups a file is shared with")
+    .argument("<fileId>", "file identifier")
+    .action(action(async (ctx, fileId) => {
+      const id = parseBytes32(fileId, "file id");
+      const registry = requireGroupRegistry(ctx);
+      const rows = [];
+
+      for (const groupId of await ctx.fileRegistry.getFileGroups(id)) {
+        const permission = await ctx.fileRegistry.getGroupPermission(id, groupId);
+        rows.push({
+          groupId,
+          name: (await registry.getGroup(groupId)).name,
+          level: ACCESS_LEVELS[permission.level],
+          grantedAt: formatTimestamp(permission.grantedAt),
+          expiresAt: formatTimestamp(permission.expiresAt)
+        });
+      }
+
+      printResult(rows, ctx.options, (data) => renderTable(data, GROUP_ACCESS_COLUMNS));
+    }));
+
+  access
+    .command("check")
+    .description("check whether a user holds an access level on a file")
+    .argument("<fileId>", "file identifier")
+    .argument("[user]", "address to check (defaults to the signer)")
+    .option("-l, --level <level>", "read, write or admin", "read")
+    .action(action(async (ctx, fileId, user) => {
+      const id = parseBytes32(fileId, "file id");
+      const address = user ? parseAddress(user, "user") : ctx.address;
+      const level = parseAccessLevel(ctx.options.level);
+
+      const hasAccess = await ctx.fileRegistry.checkAccess(id, address, level);
+
+      printResult({ fileId: id, user: address, level: ACCESS_LEVELS[level], hasAccess }, ctx.options);
+    }));
+
+  return access;
+}
+
+module.exports = registerAccessCommands;
@@ -0,0 +1,121 @@
+const { action } = require("../command");
+const { sendTransaction, systemContracts } = require("../contracts");
+const { CliError } = require("../errors");
+const { printResult, renderTable } = require("../format");
+const {
+  describeProposalCall,
+  encodeProposalCall,
+  formatProposal,
+  resolveProposalTarget
+} = require("../proposals");
+
+const PROPOSAL_COLUMNS = ["proposalId", "status", "approvals", "call", "description", "expiresAt"];
+
+function requireAdminProposals(ctx) {
+  if (!ctx.adminProposals || !ctx.accessControl) {
+    throw new CliError("Deployment has no AdminProposals; redeploy the contracts to use admin proposals");
+  }
+  return ctx.adminProposals;
+}
+
+function parseProposalId(value) {
+  if (!/^\d+$/.test(String(value))) {
+    throw new CliError(`Invalid proposal id: ${value}`);
+  }
+  return Number(value);
+}
+
+/**
+ * Formats proposals with their approvals by current admins and the threshold
+ * AccessControlContract sets now.
+ */
+async function loadProposals(ctx, proposals) {
+  const adminProposals = requireAdminProposals(ctx);
+  const accessControl = ctx.accessControl.attach(await adminProposals.getAccessControl());
+  const threshold = (await accessControl.minAdminThreshold()).toNumber();
+  const { timestamp: now } = await ctx.provider.getBlock("latest");
+  const contracts = systemContracts(ctx);
+
+  const results = [];
+  for (const proposal of proposals) {
+    const approvals = (await adminProposals.getValidApprovalCount(proposal.proposalId)).toNumber();
+    results.push(formatProposal(proposal, {
+      approvals,
+      threshold,
+      now,
+      call: describeProposalCall(contracts, proposal.target, proposal.data)
+    }));
+  }
+  return results;
+}
+
+/**
+ * Registers a sub-command that acts on one proposal and shows it afterwards.
+ */
+function proposalCommand(parent, name, description, invoke) {
+  return parent
+    .command(name)
+    .description(description)
+    .argument("<proposalId>", "proposal identifier")
+    .action(action(async (ctx, proposalId) => {
+      const id = parseProposalId(proposalId);
+      const adminProposals = requireAdminProposals(ctx);
+
+      const { receipt } = await sendTransaction(invoke(adminProposals, id));
+      const [proposal] = await loadProposals(ctx, [await adminProposals.getProposal(id)]);
+
+      printResult({ ...proposal, transactionHash: receipt.transactionHash }, ctx.options);
+    }));
+}
+
+function registerAdminCommands(program) {
+  const admin = program
+    .command("admin")
+    .description("make admin calls that need the approval of several admins (AccessControlContract admins only)");
+
+  admin
+    .command("propose")
+    .description("propose a call to a system contract; it counts as approved by the signer")
+    .argument("<contract>", "contract name from the deployment, e.g. TransferContract")
+    .argument("<function>", "function name, or its signature when overloaded")
+    .argument("[args...]", "function arguments; arrays and tuples as JSON")
+    .option("-d, --description <text>", "what the call is for", "")
+    .action(action(async (ctx, contractName, functionName, args) => {
+      const adminProposals = requireAdminProposals(ctx);
+      const { contract } = resolveProposalTarget(systemContracts(ctx), contractName);
+      const data = encodeProposalCall(contract.interface, functionName, args);
+
+      const { receipt, events } = await sendTransaction(
+        adminProposals.propose(contract.address, data, ctx.options.description)
+      );
+      const id = events.ProposalCreated.proposalId;
+      const [proposal] = await loadProposals(ctx, [await adminProposals.getProposal(id)]);
+
+      printResult({ ...proposal, transactionHash: receipt.transactionHash }, ctx.options);
+    }));
+
+  proposalCommand(admin, "approve", "approve an open proposal",
+    (adminProposals, id) => adminProposals.approve(id));
+
+  proposalCommand(admin, "execute", "make a proposal's call once enough current admins approved it",
+    (adminProposals, id) => adminProposals.execute(id));
+
+  admin
+    .command("list")
+    .description("list open proposals, oldest first")
+    .option("-a, --all", "include executed and expired proposals", false)
+    .action(action(async (ctx) => {
+      const [proposals] = await requireAdminProposals(ctx).getProposals(0, 0);
+      const rows = (await loadProposals(ctx, proposals))
+        .filter((proposal) => ctx.options.all || proposal.status === "pending" || proposal.status === "ready");
+
+      printResult(rows, ctx.options, (items) => renderTable(
+        items.map((item) => ({ ...item, approvals: `${item.approvals}/${item.threshold}` })),
+        PROPOSAL_COLUMNS
+      ));
+    }));
+
+  return admin;
+}
+
+module.exports = registerAdminCommands;
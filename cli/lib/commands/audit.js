@@ -0,0 +1,265 @@
+const fs = require("fs");
+const path = require("path");
+const { action } = require("../command");
+const { decodeAuditRecord, findTransferReasons, renderAuditRecord } = require("../audit");
+const {
+  exportAuditBundle,
+  loadAuditBundle,
+  parseExportFormat,
+  signExportRequest,
+  verifyAuditBundle
+} = require("../auditExport");
+const { buildAuditLog, loadAuditLog, verifyAuditLog, verifyInclusionProof } = require("../auditLog");
+const { sendTransaction } = require("../contracts");
+const { CliError } = require("../errors");
+const {
+  AUDIT_ACTIONS,
+  formatTimestamp,
+  parseAddress,
+  parseBytes32,
+  parseDuration,
+  parsePastTimestamp,
+  printResult
+} = require("../format");
+const { iterateAuditLog, iterateAuditTrail } = require("../listing");
+
+// Actions whose payload is a reason given in the transfer's events
+const REASON_ACTIONS = new Set(["TRANSFER_REJECTED", "TRANSFER_DISPUTED"]);
+
+function requireAuditContract(ctx) {
+  if (!ctx.auditContract) {
+    throw new CliError("Deployment has no AuditContract");
+  }
+  return ctx.auditContract;
+}
+
+function parseSequence(value) {
+  if (!/^\d+$/.test(String(value))) {
+    throw new CliError(`Invalid sequence number: ${value}`);
+  }
+  return Number(value);
+}
+
+function registerAuditCommands(program) {
+  const audit = program
+    .command("audit")
+    .description("read and verify the audit log");
+
+  audit
+    .command("show")
+    .description("show a file's audit trail, oldest first")
+    .argument("<fileId>", "file identifier")
+    .option("--action <action>", "only show records of this action, e.g. transfer-rejected")
+    .option("--actor <address>", "only show records made by this account")
+    .action(action(async (ctx, fileId) => {
+      const auditContract = requireAuditContract(ctx);
+      const id = parseBytes32(fileId, "file id");
+      const records = [];
+      for await (const record of iterateAuditTrail(auditContract, id, ctx.options)) {
+        records.push(record);
+      }
+
+      const reasons = await findTransferReasons(
+        ctx.transferContract,
+        records.filter((record) => REASON_ACTIONS.has(AUDIT_ACTIONS[record.action])).map((record) => record.transferId),
+        ctx.deployment.startBlock || 0
+      );
+      const decoded = records.map((record) => decodeAuditRecord(record, reasons));
+
+      printResult(decoded, ctx.options, (rows) => rows.length === 0 ? "(none)" : rows.map(renderAuditRecord).join("\n"));
+    }));
+
+  audit
+    .command("export")
+    .description("export a file's audit trail, grants and transfer events as a signed bundle")
+    .requiredOption("--file <fileId>", "file identifier")
+    .option("--from <time>", "only entries at or after this time (unix seconds, ISO date or duration ago)")
+    .option("--to <time>", "only entries at or before this time")
+    .option("--format <format>", "json or csv", "json")
+    .option("-o, --out <path>", "where to write the entries (default: audit-<fileId prefix>.<format>); the manifest goes next to it")
+    .action(action(async (ctx) => {
+      const auditContract = requireAuditContract(ctx);
+      const { options } = ctx;
+      const fileId = parseBytes32(options.file, "file id");
+      const format = parseExportFormat(options.format);
+      const from = options.from === undefined ? null : parsePastTimestamp(options.from);
+      const to = options.to === undefined ? null : parsePastTimestamp(options.to);
+      if (from !== null && to !== null && from > to) {
+        throw new CliError("--from must not be after --to");
+      }
+
+      const out = options.out || `audit-${fileId.slice(2, 10)}.${format}`;
+      const { manifest, content } = await exportAuditBundle(
+        { auditContract, fileRegistry: ctx.fileRegistry, transferContract: ctx.transferContract },
+        ctx.signer,
+        fileId,
+        { from, to, format, file: path.basename(out), fromBlock: ctx.deployment.startBlock || 0 }
+      );
+
+      const manifestPath = `${out}.manifest.json`;
+      fs.writeFileSync(out, content);
+      fs.writeFileSync(manifestPath, JSON.stringify(manifest, null, 2) + "\n");
+      printResult({
+        fileId,
+        entries: manifest.entries,
+        exporter: manifest.exporter,
+        content: out,
+        manifest: manifestPath
+      }, options);
+    }));
+
+  audit
+    .command("export-url")
+    .description("sign a request for the indexer's /audit/export endpoint, which only serves the file's owner")
+    .requiredOption("--file <fileId>", "file identifier")
+    .option("--from <time>", "only entries at or after this time, as the indexer should read it")
+    .option("--to <time>", "only entries at or before this time")
+    .option("--format <format>", "json or csv", "json")
+    .option("--valid-for <duration>", "how long the request may be used, at most 1h", "10m")
+    .option("--indexer <url>", "indexer API to address", "http://localhost:4000")
+    .action(action(async (ctx) => {
+      const auditContract = requireAuditContract(ctx);
+      const { options } = ctx;
+      const query = {
+        fileId: parseBytes32(options.file, "file id"),
+        from: options.from,
+        to: options.to,
+        format: parseExportFormat(options.format),
+        expires: String(Math.floor(Date.now() / 1000) + parseDuration(options.validFor))
+      };
+      const { chainId } = await ctx.provider.getNetwork();
+
+      const signed = await signExportRequest(ctx.signer, query, { chainId, auditContract: auditContract.address });
+      const url = new URL("/audit/export", options.indexer);
+      for (const [key, value] of Object.entries(signed)) {
+        if (value !== undefined) {
+          url.searchParams.set(key, value);
+        }
+      }
+
+      printResult({
+        fileId: query.fileId,
+        requester: await ctx.signer.getAddress(),
+        expires: formatTimestamp(Number(query.expires)),
+        url: url.toString()
+      }, options);
+    }));
+
+  audit
+    .command("verify-bundle")
+    .description("check an exported bundle's content and signature offline")
+    .argument("<manifest>", "manifest written by `bft audit export`, or a bundle from the indexer")
+    .option("--exporter <address>", "also require the bundle to be signed by this account")
+    .action((manifestPath, localOptions, command) => {
+      const options = command.optsWithGlobals();
+      const { manifest, content } = loadAuditBundle(manifestPath);
+      const { valid, signer, reason } = verifyAuditBundle(manifest, content);
+
+      if (!valid) {
+        throw new CliError(`Invalid bundle: ${reason}`);
+      }
+      if (options.exporter && signer !== parseAddress(options.exporter, "exporter")) {
+        throw new CliError(`Bundle was exported by ${signer}, not ${options.exporter}`);
+      }
+
+      printResult({
+        valid,
+        exporter: signer,
+        fileId: manifest.fileId,
+        from: manifest.from === null ? null : formatTimestamp(manifest.from),
+        to: manifest.to === null ? null : formatTimestamp(manifest.to),
+        format: manifest.format,
+        entries: manifest.entries,
+        exportedAt: formatTimestamp(manifest.exportedAt)
+      }, options);
+    });
+
+  audit
+    .command("log")
+    .description("export the global audit log and its checkpoints, for verify-log")
+    .option("-o, --out <path>", "write the log here instead of printing it")
+    .action(action(async (ctx) => {
+      const auditContract = requireAuditContract(ctx);
+      const records = [];
+      for await (const record of iterateAuditLog(auditContract)) {
+        records.push(record);
+      }
+
+      const checkpoints = [];
+      const checkpointCount = (await auditContract.getCheckpointCount()).toNumber();
+      for (let i = 0; i < checkpointCount; i++) {
+        checkpoints.push(await auditContract.getCheckpoint(i));
+      }
+
+      const log = buildAuditLog(auditContract.address, records, checkpoints);
+      if (ctx.options.out) {
+        fs.writeFileSync(ctx.options.out, JSON.stringify(log, null, 2) + "\n");
+        printResult({ records: log.records.length, checkpoints: log.checkpoints.length, log: ctx.options.out }, ctx.options);
+      } else {
+        console.log(JSON.stringify(log, null, 2));
+      }
+    }));
+
+  audit
+    .command("verify-log")
+    .description("replay an exported audit log offline and report the first broken link")
+    .argument("<log>", "log file written by `bft audit log`")
+    .action((logPath, localOptions, command) => {
+      const options = command.optsWithGlobals();
+      const result = verifyAuditLog(loadAuditLog(logPath));
+
+      if (!result.valid) {
+        throw new CliError(`Audit log broken at record ${result.brokenAt}: ${result.reason}`);
+      }
+      printResult(result, options);
+    });
+
+  audit
+    .command("checkpoint")
+    .description("commit the records logged since the last checkpoint to a Merkle root")
+    .action(action(async (ctx) => {
+      const auditContract = requireAuditContract(ctx);
+      const { receipt, events } = await sendTransaction(auditContract.createCheckpoint());
+      const created = events.CheckpointCreated;
+
+      printResult({
+        checkpoint: created.checkpointIndex.toNumber(),
+        fromSequence: created.fromSequence.toNumber(),
+        toSequence: created.toSequence.toNumber(),
+        merkleRoot: created.merkleRoot,
+        transactionHash: receipt.transactionHash
+      }, ctx.options);
+    }));
+
+  audit
+    .command("proof")
+    .description("prove that a record is included in its checkpoint")
+    .argument("<sequence>", "record's sequence number in the global log")
+    .action(action(async (ctx, sequence) => {
+      const auditContract = requireAuditContract(ctx);
+      const parsed = parseSequence(sequence);
+      const record = await auditContract.getRecordBySequence(parsed);
+      const [checkpointIndex, proof] = await auditContract.getInclusionProof(parsed);
+      const checkpoint = await auditContract.getCheckpoint(checkpointIndex);
+
+      // Checked locally, so the proof can be handed to anyone holding the root
+      if (!verifyInclusionProof(record.recordId, proof, checkpoint.merkleRoot)) {
+        throw new CliError(`Proof for record ${parsed} does not match checkpoint ${checkpointIndex}`);
+      }
+
+      printResult({
+        sequence: parsed,
+        recordId: record.recordId,
+        fileId: record.fileId,
+        action: AUDIT_ACTIONS[record.action],
+        checkpoint: checkpointIndex.toNumber(),
+        merkleRoot: checkpoint.merkleRoot,
+        checkpointedAt: formatTimestamp(checkpoint.timestamp),
+        proof
+      }, ctx.options);
+    }));
+
+  return audit;
+}
+
+module.exports = registerAuditCommands;
@@ -0,0 +1,564 @@
+const fs = require("fs");
+const path = require("path");
+const { CHUNK_PAGE_SIZE } = require("../chunks");
+const { action } = require("../command");
+const { sendTransaction } = require("../contracts");
+const { ENCRYPTION_SCHEME } = require("../encryption");
+const { CliError } = require("../errors");
+const { DEFAULT_CONTENT_TYPE, describeLocalFile, hashContent } = require("../files");
+const {
+  formatFile,
+  formatLocation,
+  formatTimestamp,
+  formatVersion,
+  parseAddress,
+  parseByteSize,
+  parseBytes32,
+  printResult,
+  renderTable
+} = require("../format");
+const { iterateFiles } = require("../listing");
+const {
+  decryptFileContent,
+  downloadChunkedFile,
+  downloadFileVersion,
+  encryptFileUpdate,
+  fetchStoredContent,
+  publishContent,
+  uploadChunkedFile,
+  uploadEncryptedFile
+} = require("../pipeline");
+const { STORAGE_PROTOCOLS, parseStores } = require("../storage");
+
+const FILE_COLUMNS = ["fileId", "name", "fileSize", "contentType", "updatedAt", "isPublic", "isDeleted"];
+const LOCATION_COLUMNS = ["protocol", "location", "isEncrypted", "encryptionType"];
+const CHUNK_COLUMNS = ["sequence", "contentHash", "size"];
+const VERSION_COLUMNS = ["version", "contentHash", "fileSize", "createdAt", "creator", "changeDescription"];
+const VERSION_PAGE_SIZE = 100;
+const STORE_HELP = `storage backends to copy the content to (${STORAGE_PROTOCOLS.join(", ")})`;
+
+/**
+ * Writes output without clobbering existing files unless forced.
+ * @param {string} outPath Destination
+ * @param {Buffer} data Content
+ * @param {boolean} force Overwrite an existing file
+ */
+function writeOutput(outPath, data, force) {
+  if (fs.existsSync(outPath) && !force) {
+    throw new CliError(`${outPath} already exists; pass --force to overwrite`);
+  }
+  fs.writeFileSync(outPath, data);
+}
+
+/**
+ * Spends one use of the signer's grant on a file when the grant is
+ * use-limited. Called before the content is fetched, as FileRegistry's
+ * useAccess asks, and after everything the download needs has been read
+ * on-chain, since the last use revokes the grant.
+ * @param {object} ctx Command context
+ * @param {string} fileId File identifier
+ * @returns {Promise<number|null>} Uses left, or null when the grant has no limit
+ */
+async function spendAccessUse(ctx, fileId) {
+  const permission = await ctx.fileRegistry.getAccessPermission(fileId, ctx.address);
+  if (!permission.hasAccess || permission.usesLeft.isZero()) {
+    return null;
+  }
+
+  const { events } = await sendTransaction(ctx.fileRegistry.useAccess(fileId));
+  return events.FileAccessUsed.usesLeft.toNumber();
+}
+
+function parseVersion(value) {
+  if (!/^[1-9]\d*$/.test(String(value))) {
+    throw new CliError(`Invalid version: ${value} (expected a number from 1)`);
+  }
+  return Number(value);
+}
+
+/**
+ * Summarises published locations as "protocol:location" pairs.
+ * @param {object[]|undefined} stored Result of publishContent()
+ * @returns {string|undefined} Comma-separated locations
+ */
+function describeStored(stored) {
+  return stored && stored.map((entry) => `${entry.protocol}:${entry.location}`).join(", ");
+}
+
+/**
+ * Combines metadata derived from a local file with explicit overrides.
+ * @param {string|undefined} filePath Optional local file
+ * @param {object} options Command options
+ * @returns {object} { name, contentHash, fileSize, contentType }
+ */
+function resolveFileInput(filePath, options) {
+  const local = filePath ? describeLocalFile(filePath) : {};
+
+  const input = {
+    name: options.name || local.name,
+    contentHash: options.contentHash ? parseBytes32(options.contentHash, "content hash") : local.contentHash,
+    fileSize: options.size !== undefined ? Number(options.size) : local.fileSize,
+    contentType: options.type || local.contentType || DEFAULT_CONTENT_TYPE
+  };
+
+  if (!input.contentHash) {
+    throw new CliError("Provide a file path or --content-hash");
+  }
+  if (!Number.isInteger(input.fileSize) || input.fileSize <= 0) {
+    throw new CliError("Provide a file path or a positive --size");
+  }
+
+  return input;
+}
+
+function registerFileCommands(program) {
+  const file = program
+    .command("file")
+    .description("register and manage files in the FileRegistry");
+
+  file
+    .command("register")
+    .description("register a file; metadata is derived from [path] unless overridden")
+    .argument("[path]", "local file to register")
+    .option("--name <name>", "file name (defaults to the file's base name)")
+    .option("--content-hash <hash>", "bytes32 content hash (defaults to SHA-256 of the file)")
+    .option("--size <bytes>", "file size in bytes")
+    .option("--type <mime>", "MIME type")
+    .option("--key <hex>", "encrypted symmetric key to store", "0x")
+    .option("--public", "make the file publicly readable", false)
+    .option("--encrypt", "encrypt [path] with AES-256-GCM and store the key wrapped for the signer", false)
+    .option("-o, --out <path>", "where to write the encrypted content (default: <path>.enc unless --store is given)")
+    .option("--force", "overwrite the encrypted output if it exists", false)
+    .option("--store <backends>", STORE_HELP, parseStores)
+    .option("--chunked", "split [path] into chunks verified one by one (needs --store)", false)
+    .option("--chunk-size <size>", "chunk size, e.g. 4M (default: the smallest the registry allows)", parseByteSize)
+    .option("--resume", "continue an interrupted chunked upload of [path]", false)
+    .action(action(async (ctx, filePath) => {
+      const { options } = ctx;
+
+      if (options.chunked || options.resume) {
+        if (!filePath || !options.store) {
+          throw new CliError("Chunked uploads need a file path and --store");
+        }
+
+        const result = await uploadChunkedFile(ctx, filePath, {
+          stores: options.store,
+          name: options.name,
+          contentType: options.type,
+          isPublic: options.public,
+          encrypt: options.encrypt,
+          chunkSize: options.chunkSize,
+          resume: options.resume
+        });
+
+        printResult({
+          fileId: result.fileId,
+          merkleRoot: result.merkleRoot,
+          chunkCount: result.chunkCount,
+          chunkSize: result.chunkSize,
+          resumed: result.resumed,
+          stored: describeStored(result.stored)
+        }, options);
+        return;
+      }
+
+      if (options.encrypt) {
+        if (!filePath) {
+          throw new CliError("--encrypt needs a file path");
+        }
+
+        const outPath = options.out || (options.store ? null : `${filePath}.enc`);
+        const result = await uploadEncryptedFile(ctx, filePath, {
+          name: options.name,
+          contentType: options.type,
+          isPublic: options.public
+        });
+        if (outPath) {
+          writeOutput(outPath, result.encrypted, options.force);
+        }
+        const stored = options.store
+          ? await publishContent(ctx, result.fileId, result.encrypted, options.store, ENCRYPTION_SCHEME)
+          : undefined;
+
+        printResult({
+          fileId: result.fileId,
+          contentHash: result.contentHash,
+          encryptedPath: outPath,
+          stored: describeStored(stored),
+          transactionHash: result.transactionHash
+        }, options);
+        return;
+      }
+
+      const input = resolveFileInput(filePath, options);
+
+      if (options.store && (!filePath || options.contentHash)) {
+        throw new CliError("--store needs a file path and the content hash derived from it");
+      }
+
+      if (!input.name) {
+        throw new CliError("Provide a file path or --name");
+      }
+      if (options.key === "0x" && ctx.systemConfig && await ctx.systemConfig.enforceEncryption()) {
+        throw new CliError("SystemConfig enforces encryption; use --encrypt or pass a wrapped --key");
+      }
+
+      const { receipt, events } = await sendTransaction(
+        ctx.fileRegistry.registerFile(
+          input.name,
+          input.contentHash,
+          options.key,
+          input.fileSize,
+          input.contentType,
+          options.public
+        )
+      );
+
+      const fileId = events.FileRegistered.fileId;
+      const stored = options.store
+        ? await publishContent(
+          ctx, fileId, describeLocalFile(filePath).data, options.store, options.key === "0x" ? "" : ENCRYPTION_SCHEME
+        )
+        : undefined;
+
+      printResult({
+        fileId,
+        name: input.name,
+        contentHash: input.contentHash,
+        fileSize: input.fileSize,
+        stored: describeStored(stored),
+        transactionHash: receipt.transactionHash
+      }, options);
+    }));
+
+  file
+    .command("get")
+    .description("fetch a registered file, verify it against contentHash and decrypt it if needed")
+    .argument("<fileId>", "file identifier")
+    .option("--from <path>", "read the encrypted content from this file instead of the recorded storage locations")
+    .option("-o, --out <path>", "where to write the file (default: the registered name)")
+    .option("--force", "overwrite the output if it exists", false)
+    .action(action(async (ctx, fileId) => {
+      const { options } = ctx;
+      const id = parseBytes32(fileId, "file id");
+
+      const { chunkCount } = await ctx.fileRegistry.getChunkInfo(id);
+      if (!chunkCount.isZero() && options.from) {
+        throw new CliError("Chunked files are fetched from their storage locations; drop --from");
+      }
+
+      const metadata = formatFile(await ctx.fileRegistry.getFileMetadata(id));
+      const outPath = options.out || path.basename(metadata.name);
+      if (fs.existsSync(outPath) && !options.force) {
+        throw new CliError(`${outPath} already exists; pass --force to overwrite`);
+      }
+
+      let usesLeft = null;
+      const spendUse = async () => {
+        usesLeft = await spendAccessUse(ctx, id);
+      };
+
+      if (!chunkCount.isZero()) {
+        const result = await downloadChunkedFile(ctx, id, outPath, spendUse);
+        printResult({
+          fileId: id,
+          contentHash: metadata.contentHash,
+          chunkCount: result.chunkCount,
+          resumed: result.resumed,
+          fileSize: result.fileSize,
+          path: outPath,
+          ...(usesLeft === null ? {} : { usesLeft })
+        }, options);
+        return;
+      }
+
+      let source = options.from;
+      let data;
+      if (options.from) {
+        await spendUse();
+        data = decryptFileContent(ctx, metadata, fs.readFileSync(options.from));
+      } else {
+        const fetched = await fetchStoredContent(ctx, id, spendUse);
+        source = `${fetched.location.protocol}:${fetched.location.location}`;
+        data = fetched.location.isEncrypted ? decryptFileContent(ctx, metadata, fetched.data) : fetched.data;
+      }
+      writeOutput(outPath, data, options.force);
+
+      printResult({
+        fileId: metadata.fileId,
+        contentHash: metadata.contentHash,
+        source,
+        fileSize: data.length,
+        path: outPath,
+        ...(usesLeft === null ? {} : { usesLeft })
+      }, options);
+    }));
+
+  file
+    .command("store")
+    .description("copy a file's content to storage backends and record the locations")
+    .argument("<fileId>", "file identifier")
+    .argument("<path>", "content as registered (the .enc output for encrypted files)")
+    .requiredOption("--store <backends>", STORE_HELP, parseStores)
+    .action(action(async (ctx, fileId, filePath) => {
+      const { options } = ctx;
+      const id = parseBytes32(fileId, "file id");
+      const metadata = formatFile(await ctx.fileRegistry.getFileMetadata(id));
+      const { data } = describeLocalFile(filePath);
+
+      if (hashContent(data) !== metadata.contentHash.toLowerCase()) {
+        throw new CliError(`${filePath} does not match the registered contentHash ${metadata.contentHash}`);
+      }
+
+      // Files registered with a key hold encrypted content
+      const encryptionType = metadata.encryptionKey ? ENCRYPTION_SCHEME : "";
+      const stored = await publishContent(ctx, id, data, options.store, encryptionType);
+
+      printResult(stored, options, (rows) => renderTable(rows, ["protocol", "location", "transactionHash"]));
+    }));
+
+  file
+    .command("locations")
+    .description("list where a file's content is stored")
+    .argument("<fileId>", "file identifier")
+    .action(action(async (ctx, fileId) => {
+      const locations = await ctx.fileRegistry.getStorageLocations(parseBytes32(fileId, "file id"));
+      printResult(locations.map(formatLocation), ctx.options, (rows) => renderTable(rows, LOCATION_COLUMNS));
+    }));
+
+  file
+    .command("chunks")
+    .description("list the chunk hashes recorded for a chunked file")
+    .argument("<fileId>", "file identifier")
+    .action(action(async (ctx, fileId) => {
+      const id = parseBytes32(fileId, "file id");
+      const { chunkCount, recordedChunks } = await ctx.fileRegistry.getChunkInfo(id);
+
+      const chunks = [];
+      while (chunks.length < recordedChunks.toNumber()) {
+        chunks.push(...await ctx.fileRegistry.getFileChunks(id, chunks.length, CHUNK_PAGE_SIZE));
+      }
+      const rows = chunks.map((chunk) => ({
+        sequence: chunk.sequence.toNumber(),
+        contentHash: chunk.contentHash,
+        size: chunk.size.toString()
+      }));
+
+      printResult({ fileId: id, chunkCount: chunkCount.toNumber(), recordedChunks: rows.length, chunks: rows }, ctx.options,
+        (data) => `chunks: ${data.recordedChunks}/${data.chunkCount} recorded\n${renderTable(data.chunks, CHUNK_COLUMNS)}`);
+    }));
+
+  file
+    .command("unstore")
+    .description("remove a recorded storage location (the stored content itself is left alone)")
+    .argument("<fileId>", "file identifier")
+    .argument("<protocol>", "storage protocol of the location")
+    .argument("<location>", "location identifier")
+    .action(action(async (ctx, fileId, protocol, location) => {
+      const id = parseBytes32(fileId, "file id");
+      const { receipt } = await sendTransaction(ctx.fileRegistry.removeStorageLocation(id, protocol, location));
+
+      printResult({ fileId: id, protocol, location, removed: true, transactionHash: receipt.transactionHash }, ctx.options);
+    }));
+
+  file
+    .command("update")
+    .description("replace a file's content hash and size")
+    .argument("<fileId>", "file identifier")
+    .argument("[path]", "local file holding the new content")
+    .option("--content-hash <hash>", "new bytes32 content hash")
+    .option("--size <bytes>", "new file size in bytes")
+    .option("--key <hex>", "new encrypted symmetric key (owner only)", "0x")
+    .option("-m, --message <text>", "describe the change in the file's version history", "")
+    .option("--encrypt", "encrypt [path] under the file's existing key", false)
+    .option("--store <backends>", STORE_HELP, parseStores)
+    .action(action(async (ctx, fileId, filePath) => {
+      const { options } = ctx;
+      const id = parseBytes32(fileId, "file id");
+
+      let input;
+      let content;
+      if (options.encrypt) {
+        if (!filePath) {
+          throw new CliError("--encrypt needs a file path");
+        }
+        const update = await encryptFileUpdate(ctx, id, filePath);
+        input = { contentHash: update.contentHash, fileSize: update.fileSize };
+        content = update.encrypted;
+      } else {
+        input = resolveFileInput(filePath, options);
+        if (options.store && (!filePath || options.contentHash)) {
+          throw new CliError("--store needs a file path and the content hash derived from it");
+        }
+        content = options.store && describeLocalFile(filePath).data;
+      }
+
+      const { receipt, events } = await sendTransaction(
+        ctx.fileRegistry.updateFileWithDescription(id, input.contentHash, options.key, input.fileSize, options.message)
+      );
+      const stored = options.store
+        ? await publishContent(
+          ctx, id, content, options.store, options.encrypt || options.key !== "0x" ? ENCRYPTION_SCHEME : ""
+        )
+        : undefined;
+
+      printResult({
+        fileId: id,
+        version: events.FileVersionCreated.version.toNumber(),
+        contentHash: input.contentHash,
+        fileSize: input.fileSize,
+        stored: describeStored(stored),
+        transactionHash: receipt.transactionHash
+      }, options);
+    }));
+
+  file
+    .command("history")
+    .description("list a file's versions, oldest first")
+    .argument("<fileId>", "file identifier")
+    .action(action(async (ctx, fileId) => {
+      const id = parseBytes32(fileId, "file id");
+      const count = (await ctx.fileRegistry.getFileVersionCount(id)).toNumber();
+
+      const versions = [];
+      while (versions.length < count) {
+        const page = await ctx.fileRegistry.getFileVersions(id, versions.length, VERSION_PAGE_SIZE);
+        page.forEach((entry) => versions.push(formatVersion(entry, versions.length + 1)));
+      }
+
+      printResult(versions, ctx.options, (rows) => renderTable(rows, VERSION_COLUMNS));
+    }));
+
+  file
+    .command("checkout")
+    .description("fetch the content of a version from storage, verified and decrypted, without changing the file")
+    .argument("<fileId>", "file identifier")
+    .argument("<version>", "version number (see file history)")
+    .option("-o, --out <path>", "where to write the content (default: <name>.v<version><ext>)")
+    .option("--force", "overwrite the output if it exists", false)
+    .action(action(async (ctx, fileId, version) => {
+      const { options } = ctx;
+      const id = parseBytes32(fileId, "file id");
+      const number = parseVersion(version);
+
+      const metadata = formatFile(await ctx.fileRegistry.getFileMetadata(id));
+      const result = await downloadFileVersion(ctx, id, number);
+
+      const extension = path.extname(metadata.name);
+      const outPath = options.out || `${path.basename(metadata.name, extension)}.v${number}${extension}`;
+      writeOutput(outPath, result.data, options.force);
+
+      printResult({
+        fileId: id,
+        version: number,
+        contentHash: result.version.contentHash,
+        source: `${result.location.protocol}:${result.location.location}`,
+        fileSize: result.data.length,
+        path: outPath
+      }, options);
+    }));
+
+  file
+    .command("rollback")
+    .description("make a previous version's content current again, recorded as a new version")
+    .argument("<fileId>", "file identifier")
+    .argument("<version>", "version number to restore")
+    .option("-m, --message <text>", "why the file is rolled back (default: \"Rollback to version <n>\")")
+    .action(action(async (ctx, fileId, version) => {
+      const { options } = ctx;
+      const id = parseBytes32(fileId, "file id");
+      const number = parseVersion(version);
+
+      const { receipt, events } = await sendTransaction(
+        ctx.fileRegistry.rollbackFile(id, number, options.message || `Rollback to version ${number}`)
+      );
+
+      printResult({
+        fileId: id,
+        restoredVersion: number,
+        version: events.FileRolledBack.newVersion.toNumber(),
+        transactionHash: receipt.transactionHash
+      }, options);
+    }));
+
+  file
+    .command("delete")
+    .description("logically delete a file, revoking its grants and cancelling its open transfers")
+    .argument("<fileId>", "file identifier")
+    .action(action(async (ctx, fileId) => {
+      const id = parseBytes32(fileId, "file id");
+      const { receipt } = await sendTransaction(ctx.fileRegistry.deleteFile(id));
+
+      const view = await ctx.fileRegistry.getFileMetadata(id);
+      const restoreWindow = await ctx.fileRegistry.restoreWindow();
+      const count = (name) => receipt.events.filter((event) => event.event === name).length;
+
+      printResult({
+        fileId: id,
+        deleted: true,
+        revokedGrants: count("FileAccessRevoked"),
+        revokedGroups: count("GroupAccessRevoked"),
+        restorableUntil: formatTimestamp(view.deletedAt.add(restoreWindow)),
+        transactionHash: receipt.transactionHash
+      }, ctx.options);
+    }));
+
+  file
+    .command("restore")
+    .description("undo the deletion of a file within the restore window (grants stay revoked)")
+    .argument("<fileId>", "file identifier")
+    .action(action(async (ctx, fileId) => {
+      const id = parseBytes32(fileId, "file id");
+      const { receipt } = await sendTransaction(ctx.fileRegistry.restoreFile(id));
+
+      printResult({ fileId: id, restored: true, transactionHash: receipt.transactionHash }, ctx.options);
+    }));
+
+  file
+    .command("purge")
+    .description("permanently remove a deleted file once the restore window has passed")
+    .argument("<fileId>", "file identifier")
+    .action(action(async (ctx, fileId) => {
+      const id = parseBytes32(fileId, "file id");
+
+      // Each call erases a bounded number of versions; repeat until the file is gone
+      let purge;
+      do {
+        purge = await sendTransaction(ctx.fileRegistry.purgeFile(id));
+      } while (!purge.events.FilePurged);
+
+      printResult({ fileId: id, purged: true, transactionHash: purge.receipt.transactionHash }, ctx.options);
+    }));
+
+  file
+    .command("info")
+    .description("show file metadata")
+    .argument("<fileId>", "file identifier")
+    .action(action(async (ctx, fileId) => {
+      const view = await ctx.fileRegistry.getFileMetadata(parseBytes32(fileId, "file id"));
+      printResult(formatFile(view), ctx.options);
+    }));
+
+  file
+    .command("ls")
+    .description("list the files of an address the signer may view (defaults to the signer's own)")
+    .argument("[owner]", "owner address")
+    .option("--deleted", "list deleted files that can still be restored or purged instead", false)
+    .option("--since <time>", "only list files registered since (unix time, ISO date or e.g. 7d ago)")
+    .option("--until <time>", "only list files registered until (unix time, ISO date or e.g. 1d ago)")
+    .action(action(async (ctx, owner) => {
+      const address = owner ? parseAddress(owner, "owner") : ctx.address;
+      const { deleted, since, until } = ctx.options;
+
+      const files = [];
+      for await (const view of iterateFiles(ctx.fileRegistry, address, { deleted, since, until })) {
+        files.push(formatFile(view));
+      }
+
+      printResult(files, ctx.options, (rows) => renderTable(rows, FILE_COLUMNS));
+    }));
+
+  return file;
+}
+
+module.exports = registerFileCommands;
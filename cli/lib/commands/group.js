@@ -0,0 +1,109 @@
+const { action } = require("../command");
+const { requireGroupRegistry, sendTransaction } = require("../contracts");
+const { formatGroup, parseAddress, parseBytes32, printResult, renderObject, renderTable } = require("../format");
+
+const GROUP_COLUMNS = ["groupId", "name", "owner", "members", "createdAt"];
+
+function parseMembers(members) {
+  return members.map((member) => parseAddress(member, "member"));
+}
+
+/**
+ * Registers a sub-command that changes a group's membership.
+ */
+function membershipCommand(parent, name, description, invoke) {
+  return parent
+    .command(name)
+    .description(description)
+    .argument("<groupId>", "group identifier")
+    .argument("<members...>", "member addresses")
+    .action(action(async (ctx, groupId, members) => {
+      const id = parseBytes32(groupId, "group id");
+      const addresses = parseMembers(members);
+
+      const { receipt } = await sendTransaction(invoke(requireGroupRegistry(ctx), id, addresses));
+      const group = formatGroup(await ctx.groupRegistry.getGroup(id));
+
+      printResult({ groupId: id, members: group.members, transactionHash: receipt.transactionHash }, ctx.options);
+    }));
+}
+
+function registerGroupCommands(program) {
+  const group = program
+    .command("group")
+    .description("manage groups of accounts that files can be shared with");
+
+  group
+    .command("create")
+    .description("create a group owned by the signer")
+    .argument("<name>", "group name")
+    .argument("[members...]", "initial members besides the signer")
+    .action(action(async (ctx, name, members) => {
+      const addresses = parseMembers(members);
+      const { receipt, events } = await sendTransaction(requireGroupRegistry(ctx).createGroup(name, addresses));
+
+      printResult({
+        groupId: events.GroupCreated.groupId,
+        name,
+        members: addresses.length + 1,
+        transactionHash: receipt.transactionHash
+      }, ctx.options);
+    }));
+
+  membershipCommand(group, "add", "add members to a group (group owner only)",
+    (registry, id, addresses) => registry.addMembers(id, addresses));
+
+  membershipCommand(group, "remove", "remove members from a group (group owner only); they lose the group's file access at once",
+    (registry, id, addresses) => registry.removeMembers(id, addresses));
+
+  group
+    .command("transfer")
+    .description("hand a group over to a new owner (group owner only)")
+    .argument("<groupId>", "group identifier")
+    .argument("<newOwner>", "address of the new owner")
+    .action(action(async (ctx, groupId, newOwner) => {
+      const id = parseBytes32(groupId, "group id");
+      const owner = parseAddress(newOwner, "new owner");
+
+      const { receipt } = await sendTransaction(requireGroupRegistry(ctx).transferGroupOwnership(id, owner));
+
+      printResult({ groupId: id, owner, transactionHash: receipt.transactionHash }, ctx.options);
+    }));
+
+  group
+    .command("show")
+    .description("show a group and its members")
+    .argument("<groupId>", "group identifier")
+    .action(action(async (ctx, groupId) => {
+      const id = parseBytes32(groupId, "group id");
+      const registry = requireGroupRegistry(ctx);
+      const details = formatGroup(await registry.getGroup(id));
+      const members = (await registry.getGroupMembers(id)).map((address) => ({
+        address,
+        role: address === details.owner ? "owner" : "member"
+      }));
+
+      printResult({ ...details, memberList: members }, ctx.options, ({ memberList: rows, ...rest }) =>
+        `${renderObject(rest)}\n\n${renderTable(rows, ["address", "role"])}`);
+    }));
+
+  group
+    .command("ls")
+    .description("list the groups an account belongs to")
+    .argument("[address]", "account (defaults to the signer)")
+    .action(action(async (ctx, address) => {
+      const account = address ? parseAddress(address, "address") : ctx.address;
+      const registry = requireGroupRegistry(ctx);
+      const groups = [];
+
+      for (const groupId of await registry.getUserGroups(account)) {
+        groups.push(formatGroup(await registry.getGroup(groupId)));
+      }
+
+      printResult(groups, ctx.options, (rows) => renderTable(rows, GROUP_COLUMNS));
+    }));
+
+  return group;
+}
+
+module.exports = registerGroupCommands;
@@ -0,0 +1,69 @@
+const { action } = require("../command");
+const { sendTransaction } = require("../contracts");
+const { CliError, describeError } = require("../errors");
+const { printResult, renderTable } = require("../format");
+const { getUnreadNotifications, watchNotifications } = require("../notifications");
+
+const NOTIFICATION_COLUMNS = ["index", "timestamp", "status", "transferId", "from", "message"];
+
+function parseIndex(value) {
+  if (!/^\d+$/.test(String(value))) {
+    throw new CliError(`Invalid notification index: ${value}`);
+  }
+  return Number(value);
+}
+
+/**
+ * Renders a notification as one line of a --watch stream.
+ */
+function renderNotificationLine(notification) {
+  return NOTIFICATION_COLUMNS
+    .map((column) => notification[column])
+    .filter((value) => value !== null && value !== undefined)
+    .join("  ");
+}
+
+function registerInboxCommands(program) {
+  const inbox = program
+    .command("inbox")
+    .description("show the signer's unread notifications of transfers changing status")
+    .option("-w, --watch", "keep running and print notifications as they arrive (JSON lines with --json)")
+    .action(action(async (ctx) => {
+      if (!ctx.options.watch) {
+        const unread = await getUnreadNotifications(ctx.transferContract, ctx.address);
+        printResult(unread, ctx.options, (rows) => renderTable(rows, NOTIFICATION_COLUMNS));
+        return;
+      }
+
+      // Notifications made while the unread ones are read may come both ways
+      const printed = new Set();
+      const print = (notification) => {
+        if (printed.has(notification.index)) {
+          return;
+        }
+        printed.add(notification.index);
+        console.log(ctx.options.json ? JSON.stringify(notification) : renderNotificationLine(notification));
+      };
+
+      // Runs until interrupted; the provider's polling keeps the process alive
+      await watchNotifications(ctx.transferContract, ctx.address, print, (error) => {
+        console.error(`Error: ${describeError(error)}`);
+      });
+      (await getUnreadNotifications(ctx.transferContract, ctx.address)).forEach(print);
+    }));
+
+  inbox
+    .command("read")
+    .description("mark notifications as read")
+    .argument("<indexes...>", "notification indexes, as `bft inbox` lists them")
+    .action(action(async (ctx, indexes) => {
+      const parsed = indexes.map(parseIndex);
+      const { receipt } = await sendTransaction(ctx.transferContract.markNotificationsRead(parsed));
+
+      printResult({ indexes: parsed, transactionHash: receipt.transactionHash }, ctx.options);
+    }));
+
+  return inbox;
+}
+
+module.exports = registerInboxCommands;
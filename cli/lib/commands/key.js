@@ -0,0 +1,21 @@
+const { action } = require("../command");
+const { printResult } = require("../format");
+const { requireKeyPair } = require("../pipeline");
+
+function registerKeyCommands(program) {
+  const key = program
+    .command("key")
+    .description("inspect the signer's encryption keys");
+
+  key
+    .command("show")
+    .description("print the signer's address and public key, to share with senders")
+    .action(action(async (ctx) => {
+      const { publicKey } = requireKeyPair(ctx.signer);
+      printResult({ address: ctx.address, publicKey }, ctx.options);
+    }));
+
+  return key;
+}
+
+module.exports = registerKeyCommands;
@@ -0,0 +1,22 @@
+const { action } = require("../command");
+const { formatTransferStats, parseAddress, printResult } = require("../format");
+
+function registerStatsCommands(program) {
+  return program
+    .command("stats")
+    .description("count transfers by status, across all users or for one user (own stats, or any as admin or operator)")
+    .argument("[address]", "user whose sent and received transfers to count")
+    .action(action(async (ctx, address) => {
+      if (!address) {
+        printResult(formatTransferStats(await ctx.transferContract.getTransferStats()), ctx.options);
+        return;
+      }
+
+      const user = parseAddress(address, "user");
+      const stats = await ctx.transferContract.getUserTransferStats(user);
+
+      printResult({ address: user, ...formatTransferStats(stats) }, ctx.options);
+    }));
+}
+
+module.exports = registerStatsCommands;
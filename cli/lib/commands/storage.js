@@ -0,0 +1,54 @@
+const os = require("os");
+const path = require("path");
+const { action } = require("../command");
+const { parseAddress, printResult } = require("../format");
+const { createIpfsStandIn } = require("../storage");
+
+const DEFAULT_STANDIN_DIR = path.join(os.homedir(), ".bft", "ipfs");
+
+function registerStorageCommands(program) {
+  const storage = program
+    .command("storage")
+    .description("run and inspect storage backends");
+
+  storage
+    .command("serve-ipfs")
+    .description("serve a local stand-in for the IPFS HTTP API (add, cat, version) until interrupted")
+    .option("--port <port>", "port to listen on", "5001")
+    .option("--host <host>", "interface to bind", "127.0.0.1")
+    .option("--dir <dir>", "directory to keep blocks in", DEFAULT_STANDIN_DIR)
+    .action((options) => new Promise((resolve, reject) => {
+      const server = createIpfsStandIn(path.resolve(options.dir));
+
+      server.on("error", reject);
+      server.listen(Number(options.port), options.host, () => {
+        console.log(`IPFS stand-in listening on http://${options.host}:${options.port} (blocks in ${options.dir})`);
+      });
+
+      process.once("SIGINT", () => server.close(resolve));
+      process.once("SIGTERM", () => server.close(resolve));
+    }));
+
+  storage
+    .command("usage")
+    .description("show how much of a user's storage quota their live files use")
+    .argument("[address]", "user address (defaults to the signer)")
+    .action(action(async (ctx, address) => {
+      const user = address ? parseAddress(address, "user") : ctx.address;
+      const { used, quota } = await ctx.fileRegistry.getStorageUsage(user);
+      const limits = await ctx.fileRegistry.getStorageLimits();
+
+      printResult({
+        address: user,
+        used: used.toString(),
+        quota: quota.isZero() ? null : quota.toString(),
+        maxFileSize: limits.fileSizeLimit.toString(),
+        minChunkSize: limits.chunkSizeMin.toString(),
+        maxChunks: limits.chunkCountMax.toString()
+      }, ctx.options);
+    }));
+
+  return storage;
+}
+
+module.exports = registerStorageCommands;
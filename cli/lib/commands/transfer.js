@@ -0,0 +1,421 @@
+const fs = require("fs");
+const { sendBatchTransfers } = require("../batches");
+const { action } = require("../command");
+const { sendTransaction } = require("../contracts");
+const { CliError } = require("../errors");
+const { describeLocalFile } = require("../files");
+const {
+  ACCESS_LEVELS,
+  formatBatch,
+  formatRemainingAccess,
+  formatTimestamp,
+  formatTransfer,
+  parseAccessLevel,
+  parseAddress,
+  parseBytes32,
+  parseDuration,
+  parseEnum,
+  parseRecipientList,
+  parseTimestamp,
+  printResult,
+  renderObject,
+  renderTable
+} = require("../format");
+const { iterateReceivedTransfers, iterateSentTransfers } = require("../listing");
+const { prepareRecipientKey } = require("../pipeline");
+const { fromDeliveryReceipt, loadReceipt, signReceipt, verifyReceipt } = require("../receipts");
+
+const TRANSFER_COLUMNS = ["transferId", "fileId", "sender", "recipient", "status", "deadline"];
+
+/**
+ * Loads full transfer records for a list of IDs.
+ * @param {ethers.Contract} transferContract TransferContract instance
+ * @param {string[]} transferIds Transfer identifiers
+ * @returns {Promise<object[]>} Formatted transfers
+ */
+async function loadTransfers(transferContract, transferIds) {
+  const transfers = [];
+  for (const transferId of transferIds) {
+    transfers.push(formatTransfer(await transferContract.getTransfer(transferId)));
+  }
+  return transfers;
+}
+
+/**
+ * Collects the transfers an iterator yields, formatted for output.
+ * @param {AsyncIterable<object>} views TransferView structs
+ * @returns {Promise<object[]>} Formatted transfers
+ */
+async function collectTransfers(views) {
+  const transfers = [];
+  for await (const view of views) {
+    transfers.push(formatTransfer(view));
+  }
+  return transfers;
+}
+
+/**
+ * Reads the listing filter options of `transfer inbox` and `transfer outbox`.
+ * @param {object} options Command options
+ * @returns {object} Criteria for the listing iterators
+ */
+function listingCriteria(options) {
+  return { status: options.status, counterparty: options.with, since: options.since, until: options.until };
+}
+
+function parseUses(value) {
+  if (!/^[1-9]\d*$/.test(String(value))) {
+    throw new CliError(`Invalid use count: ${value} (expected a number from 1)`);
+  }
+  return Number(value);
+}
+
+/**
+ * Offers a file to every recipient in a recipient list, in as many batches as
+ * the contract's batch size requires.
+ * @param {object} ctx Command context
+ * @param {string} fileId File identifier
+ * @param {string} listPath Recipient list (see parseRecipientList)
+ * @param {number} deadline Acceptance deadline (0 for the default)
+ * @param {number} level Access level granted on completion
+ * @returns {Promise<object>} { fileId, recipients, batches: [{ batchId, recipients, transactionHash }] }
+ */
+async function sendBatch(ctx, fileId, listPath, deadline, level) {
+  if (!fs.existsSync(listPath) || !fs.statSync(listPath).isFile()) {
+    throw new CliError(`Not a file: ${listPath}`);
+  }
+
+  const recipients = parseRecipientList(fs.readFileSync(listPath, "utf8"));
+  const batches = await sendBatchTransfers(ctx, fileId, recipients, { message: ctx.options.message, deadline, level });
+
+  return { fileId, recipients: recipients.length, batches };
+}
+
+/**
+ * Hashes what the recipient received: the content given with --file, hashed
+ * as it was registered, or --content-hash as is.
+ * @param {object} options Command options
+ * @returns {string} Content hash
+ */
+function receivedContentHash(options) {
+  if (options.file) {
+    return describeLocalFile(options.file).contentHash;
+  }
+  if (options.contentHash) {
+    return parseBytes32(options.contentHash, "content hash");
+  }
+  throw new CliError("Pass the received content with --file, or its hash with --content-hash");
+}
+
+/**
+ * Signs a delivery receipt for a transfer as the signer, timestamped with the
+ * latest block so the contract accepts it right away.
+ * @param {object} ctx Command context
+ * @param {string} transferId Transfer identifier
+ * @returns {Promise<object>} Signed receipt
+ */
+async function signTransferReceipt(ctx, transferId) {
+  const transfer = await ctx.transferContract.getTransfer(transferId);
+  if (transfer.recipient !== ctx.address) {
+    throw new CliError("Only the transfer's recipient can sign its receipt");
+  }
+
+  return signReceipt(ctx.signer, {
+    transferId,
+    fileId: transfer.fileId,
+    contentHash: receivedContentHash(ctx.options),
+    receivedAt: (await ctx.provider.getBlock("latest")).timestamp
+  });
+}
+
+/**
+ * Loads the receipt to complete a transfer with: the --receipt file, or a
+ * receipt signed now.
+ * @param {object} ctx Command context
+ * @param {string} transferId Transfer identifier
+ * @returns {Promise<object>} Signed receipt
+ */
+async function resolveReceipt(ctx, transferId) {
+  if (!ctx.options.receipt) {
+    return signTransferReceipt(ctx, transferId);
+  }
+
+  const receipt = loadReceipt(ctx.options.receipt);
+  if (receipt.transferId.toLowerCase() !== transferId) {
+    throw new CliError("Receipt is for a different transfer");
+  }
+  const { valid, reason } = verifyReceipt(receipt);
+  if (!valid) {
+    throw new CliError(`Invalid receipt: ${reason}`);
+  }
+  return receipt;
+}
+
+/**
+ * Writes a receipt to a file, or prints it.
+ * @param {object} receipt Receipt
+ * @param {object} options Command options
+ */
+function outputReceipt(receipt, options) {
+  if (options.out) {
+    fs.writeFileSync(options.out, JSON.stringify(receipt, null, 2) + "\n");
+    printResult({ transferId: receipt.transferId, receipt: options.out }, options);
+  } else {
+    console.log(JSON.stringify(receipt, null, 2));
+  }
+}
+
+/**
+ * Registers a sub-command that sends a single state-changing transaction for
+ * an existing transfer.
+ */
+function transitionCommand(parent, name, description, invoke) {
+  return parent
+    .command(name)
+    .description(description)
+    .argument("<transferId>", "transfer identifier")
+    .action(action(async (ctx, transferId) => {
+      const id = parseBytes32(transferId, "transfer id");
+      const { receipt, events } = await sendTransaction(invoke(ctx, id));
+      const transfer = formatTransfer(await ctx.transferContract.getTransfer(id));
+      const result = {
+        transferId: id,
+        status: transfer.status,
+        transactionHash: receipt.transactionHash
+      };
+
+      // Completing a transfer grants the recipient access, which can fail on its own
+      const grant = events.RecipientAccessGranted;
+      if (grant) {
+        result.accessGranted = grant.granted;
+        if (!grant.granted) {
+          result.accessError = grant.failureReason;
+        }
+      }
+      printResult(result, ctx.options);
+    }));
+}
+
+function registerTransferCommands(program) {
+  const transfer = program
+    .command("transfer")
+    .description("send files and manage the transfer lifecycle");
+
+  transfer
+    .command("send")
+    .description("offer a file to a recipient, or to every recipient in a list in batches")
+    .argument("<fileId>", "file identifier")
+    .argument("[recipient]", "recipient address (omit with --to-file)")
+    .option("--to-file <path>", "CSV of recipients, one \"address[,publicKey]\" per line")
+    .option("-m, --message <text>", "message to the recipient", "")
+    .option("--deadline <time>", "acceptance deadline as unix seconds, ISO date or duration such as 3d")
+    .option("-l, --level <level>", "access level granted on completion", "read")
+    .option("--public-key <key>", "recipient's public key; hands over the file key re-wrapped for them")
+    .option("--access-for <duration>", "access lapses this long after completion, e.g. 12h or 7d")
+    .option("--uses <count>", "access lapses after this many downloads")
+    .option("--ownership", "make the recipient the file's owner on completion (owner only)")
+    .option("--keep <level>", "with --ownership, access you keep: none, read, write or admin")
+    .action(action(async (ctx, fileId, recipient) => {
+      const { options } = ctx;
+      const id = parseBytes32(fileId, "file id");
+      const deadline = options.deadline ? parseTimestamp(options.deadline) : 0;
+      const level = parseAccessLevel(options.level);
+      const accessDuration = options.accessFor ? parseDuration(options.accessFor) : 0;
+      const accessUses = options.uses ? parseUses(options.uses) : 0;
+
+      if (options.ownership) {
+        if (options.toFile || accessDuration || accessUses) {
+          throw new CliError("--ownership cannot be combined with --to-file, --access-for or --uses");
+        }
+      } else if (options.keep) {
+        throw new CliError("--keep only applies with --ownership");
+      }
+
+      if (options.toFile) {
+        if (recipient || options.publicKey) {
+          throw new CliError("--to-file replaces the recipient and --public-key; list public keys in the file");
+        }
+        if (accessDuration || accessUses) {
+          throw new CliError("--access-for and --uses are not supported with --to-file");
+        }
+        printResult(await sendBatch(ctx, id, options.toFile, deadline, level), options,
+          (result) => renderTable(result.batches, ["batchId", "recipients", "transactionHash"]));
+        return;
+      }
+      if (!recipient) {
+        throw new CliError("Missing recipient address (or --to-file)");
+      }
+
+      const to = parseAddress(recipient, "recipient");
+      const recipientKey = options.publicKey ? await prepareRecipientKey(ctx, id, to, options.publicKey) : null;
+      let pending;
+      if (options.ownership) {
+        const retained = options.keep ? parseEnum(ACCESS_LEVELS, "access level", options.keep) : 0;
+        const { encryptionKey } = await ctx.fileRegistry.getFileMetadata(id);
+        if (!recipientKey && encryptionKey !== "0x") {
+          throw new CliError("Encrypted files need the new owner's --public-key");
+        }
+        pending = ctx.transferContract.initiateOwnershipTransfer(
+          id, to, options.message, deadline, retained, recipientKey || "0x"
+        );
+      } else if (accessDuration || accessUses) {
+        pending = ctx.transferContract.initiateTransferWithTerms(
+          id, to, options.message, deadline, level, accessDuration, accessUses, recipientKey || "0x"
+        );
+      } else if (recipientKey) {
+        pending = ctx.transferContract.initiateTransferWithKey(id, to, options.message, deadline, level, recipientKey);
+      } else {
+        pending = ctx.transferContract.initiateTransfer(id, to, options.message, deadline, level);
+      }
+      const { receipt, events } = await sendTransaction(pending);
+
+      printResult({
+        transferId: events.TransferInitiated.transferId,
+        fileId: id,
+        recipient: to,
+        transactionHash: receipt.transactionHash
+      }, options);
+    }));
+
+  transitionCommand(transfer, "accept", "accept an incoming transfer",
+    (ctx, id) => ctx.transferContract.acceptTransfer(id));
+
+  transitionCommand(transfer, "reject", "reject an incoming transfer",
+    (ctx, id) => ctx.transferContract.rejectTransfer(id, ctx.options.reason))
+    .option("-r, --reason <text>", "reason for rejecting", "");
+
+  transitionCommand(transfer, "complete", "confirm delivery of an accepted transfer with a signed receipt",
+    async (ctx, id) => {
+      const receipt = await resolveReceipt(ctx, id);
+      return ctx.transferContract.completeTransfer(id, receipt.contentHash, receipt.receivedAt, receipt.signature);
+    })
+    .option("--file <path>", "content as received, hashed into the receipt the recipient signs")
+    .option("--content-hash <hash>", "hash of the received content, instead of --file")
+    .option("--receipt <path>", "submit a receipt the recipient signed with `transfer receipt sign`");
+
+  transitionCommand(transfer, "dispute", "dispute an accepted or completed transfer",
+    (ctx, id) => ctx.transferContract.disputeTransfer(id, ctx.options.reason))
+    .requiredOption("-r, --reason <text>", "reason for the dispute");
+
+  transitionCommand(transfer, "cancel", "cancel a transfer that has not been accepted yet",
+    (ctx, id) => ctx.transferContract.cancelTransfer(id));
+
+  transitionCommand(transfer, "expire", "mark a transfer not accepted before its deadline as expired",
+    (ctx, id) => ctx.transferContract.expireTransfer(id));
+
+  const receipt = transfer
+    .command("receipt")
+    .description("sign, fetch and verify delivery receipts");
+
+  receipt
+    .command("sign")
+    .description("sign a delivery receipt as the recipient without submitting it")
+    .argument("<transferId>", "transfer identifier")
+    .option("--file <path>", "content as received")
+    .option("--content-hash <hash>", "hash of the received content, instead of --file")
+    .option("-o, --out <path>", "write the receipt here instead of printing it")
+    .action(action(async (ctx, transferId) => {
+      outputReceipt(await signTransferReceipt(ctx, parseBytes32(transferId, "transfer id")), ctx.options);
+    }));
+
+  receipt
+    .command("get")
+    .description("fetch the receipt a transfer was completed with")
+    .argument("<transferId>", "transfer identifier")
+    .option("-o, --out <path>", "write the receipt here instead of printing it")
+    .action(action(async (ctx, transferId) => {
+      const view = await ctx.transferContract.getDeliveryReceipt(parseBytes32(transferId, "transfer id"));
+      outputReceipt(fromDeliveryReceipt(view), ctx.options);
+    }));
+
+  receipt
+    .command("verify")
+    .description("check a receipt's signature offline, and optionally the content it covers")
+    .argument("<receipt>", "receipt file")
+    .option("--file <path>", "content to check against the receipt's content hash")
+    .action((receiptPath, localOptions, command) => {
+      const options = command.optsWithGlobals();
+      const signed = loadReceipt(receiptPath);
+      const { valid, signer, reason } = verifyReceipt(signed);
+
+      if (!valid) {
+        throw new CliError(`Invalid receipt: ${reason}`);
+      }
+      if (options.file && describeLocalFile(options.file).contentHash !== signed.contentHash.toLowerCase()) {
+        throw new CliError(`Receipt covers different content than ${options.file}`);
+      }
+
+      printResult({
+        valid,
+        transferId: signed.transferId,
+        fileId: signed.fileId,
+        recipient: signer,
+        contentHash: signed.contentHash,
+        receivedAt: formatTimestamp(signed.receivedAt),
+        contentChecked: Boolean(options.file)
+      }, options);
+    });
+
+  transfer
+    .command("show")
+    .description("show transfer details")
+    .argument("<transferId>", "transfer identifier")
+    .action(action(async (ctx, transferId) => {
+      const view = await ctx.transferContract.getTransfer(parseBytes32(transferId, "transfer id"));
+      const transfer = formatTransfer(view);
+
+      // For limited grants, show what the recipient has left
+      if (view.completedAt.gt(0) && (transfer.accessDuration || transfer.accessUses)) {
+        const permission = await ctx.fileRegistry.getAccessPermission(view.fileId, view.recipient);
+        const now = (await ctx.provider.getBlock("latest")).timestamp;
+        Object.assign(transfer, formatRemainingAccess(permission, now));
+      }
+      printResult(transfer, ctx.options);
+    }));
+
+  transfer
+    .command("batch")
+    .description("show a batch sent with --to-file and the state of each of its transfers")
+    .argument("<batchId>", "batch identifier")
+    .action(action(async (ctx, batchId) => {
+      const view = await ctx.transferContract.getBatch(parseBytes32(batchId, "batch id"));
+      const transfers = await loadTransfers(ctx.transferContract, view.transferIds);
+
+      printResult({ ...formatBatch(view), transfers }, ctx.options, ({ transfers: rows, ...batch }) =>
+        `${renderObject(batch)}\n\n${renderTable(rows, TRANSFER_COLUMNS)}`);
+    }));
+
+  transfer
+    .command("inbox")
+    .description("list transfers received by the signer")
+    .option("-s, --status <status>", "only show transfers in this status")
+    .option("--with <address>", "only show transfers from this sender")
+    .option("--since <time>", "only show transfers initiated since (unix time, ISO date or e.g. 7d ago)")
+    .option("--until <time>", "only show transfers initiated until (unix time, ISO date or e.g. 1d ago)")
+    .action(action(async (ctx) => {
+      const transfers = await collectTransfers(
+        iterateReceivedTransfers(ctx.transferContract, ctx.address, listingCriteria(ctx.options))
+      );
+
+      printResult(transfers, ctx.options, (rows) => renderTable(rows, TRANSFER_COLUMNS));
+    }));
+
+  transfer
+    .command("outbox")
+    .description("list transfers sent by the signer")
+    .option("-s, --status <status>", "only show transfers in this status")
+    .option("--with <address>", "only show transfers to this recipient")
+    .option("--since <time>", "only show transfers initiated since (unix time, ISO date or e.g. 7d ago)")
+    .option("--until <time>", "only show transfers initiated until (unix time, ISO date or e.g. 1d ago)")
+    .action(action(async (ctx) => {
+      const transfers = await collectTransfers(
+        iterateSentTransfers(ctx.transferContract, ctx.address, listingCriteria(ctx.options))
+      );
+
+      printResult(transfers, ctx.options, (rows) => renderTable(rows, TRANSFER_COLUMNS));
+    }));
+
+  return transfer;
+}
+
+module.exports = registerTransferCommands;
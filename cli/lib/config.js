@@ -0,0 +1,157 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { CliError } = require("./errors");
+
+const DEFAULT_NETWORK = "localhost";
+const DEFAULT_RPC_URL = "http://127.0.0.1:8545";
+const DEFAULT_IPFS_API = "http://127.0.0.1:5001";
+const DEFAULT_STORE_DIR = path.join(os.homedir(), ".bft", "store");
+
+// The smart-contracts workspace writes deployments/ and artifacts/ next to its
+// hardhat config; the CLI reads them from there unless told otherwise.
+const CONTRACTS_DIR = path.resolve(__dirname, "../../smart-contracts");
+
+/**
+ * Resolves the network name from CLI options or the environment.
+ * @param {object} options Parsed global options
+ * @returns {string} Network name
+ */
+function resolveNetwork(options = {}) {
+  return options.network || process.env.BFT_NETWORK || DEFAULT_NETWORK;
+}
+
+/**
+ * Resolves the JSON-RPC endpoint to connect to.
+ * @param {object} options Parsed global options
+ * @returns {string} RPC URL
+ */
+function resolveRpcUrl(options = {}) {
+  return options.rpcUrl || process.env.BFT_RPC_URL || DEFAULT_RPC_URL;
+}
+
+/**
+ * Resolves the path of the deployment file written by scripts/deploy-local.js.
+ * @param {object} options Parsed global options
+ * @returns {string} Absolute path to `<network>-deployment.json`
+ */
+function resolveDeploymentPath(options = {}) {
+  if (options.deployment) {
+    return path.resolve(options.deployment);
+  }
+  if (process.env.BFT_DEPLOYMENT) {
+    return path.resolve(process.env.BFT_DEPLOYMENT);
+  }
+  return path.join(CONTRACTS_DIR, "deployments", `${resolveNetwork(options)}-deployment.json`);
+}
+
+/**
+ * Loads the deployment information for the selected network.
+ * @param {object} options Parsed global options
+ * @returns {object} Deployment info ({ network, contracts, ... })
+ */
+function loadDeployment(options = {}) {
+  const deploymentPath = resolveDeploymentPath(options);
+
+  if (!fs.existsSync(deploymentPath)) {
+    throw new CliError(
+      `Deployment file not found: ${deploymentPath}\n` +
+      "Deploy the contracts first (npm run deploy:local in smart-contracts) or pass --deployment."
+    );
+  }
+
+  const deployment = JSON.parse(fs.readFileSync(deploymentPath, "utf8"));
+  if (!deployment.contracts) {
+    throw new CliError(`Deployment file has no contracts section: ${deploymentPath}`);
+  }
+
+  return deployment;
+}
+
+/**
+ * Resolves the directory holding the hardhat compilation artifacts.
+ * @param {object} options Parsed global options
+ * @returns {string} Absolute path to the artifacts directory
+ */
+function resolveArtifactsDir(options = {}) {
+  if (options.artifacts) {
+    return path.resolve(options.artifacts);
+  }
+  if (process.env.BFT_ARTIFACTS) {
+    return path.resolve(process.env.BFT_ARTIFACTS);
+  }
+  return path.join(CONTRACTS_DIR, "artifacts");
+}
+
+function findArtifact(dir, fileName) {
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    const entryPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      const found = findArtifact(entryPath, fileName);
+      if (found) {
+        return found;
+      }
+    } else if (entry.name === fileName) {
+      return entryPath;
+    }
+  }
+  return null;
+}
+
+/**
+ * Loads the ABI of a compiled contract.
+ * @param {string} contractName Contract name, e.g. "FileRegistry"
+ * @param {object} options Parsed global options
+ * @returns {Array} Contract ABI
+ */
+function loadAbi(contractName, options = {}) {
+  const artifactsDir = resolveArtifactsDir(options);
+  const sourcesDir = path.join(artifactsDir, "contracts");
+
+  if (!fs.existsSync(sourcesDir)) {
+    throw new CliError(
+      `Contract artifacts not found in ${artifactsDir}\n` +
+      "Compile the contracts first (npm run compile in smart-contracts) or pass --artifacts."
+    );
+  }
+
+  const artifactPath = findArtifact(sourcesDir, `${contractName}.json`);
+  if (!artifactPath) {
+    throw new CliError(`No artifact for ${contractName} in ${artifactsDir}`);
+  }
+
+  return JSON.parse(fs.readFileSync(artifactPath, "utf8")).abi;
+}
+
+/**
+ * Resolves the directory backing the local storage adapter.
+ * @param {object} options Parsed global options
+ * @returns {string} Absolute path of the store directory
+ */
+function resolveStoreDir(options = {}) {
+  return path.resolve(options.storeDir || process.env.BFT_STORE_DIR || DEFAULT_STORE_DIR);
+}
+
+/**
+ * Resolves the IPFS HTTP API endpoint used by the ipfs storage adapter.
+ * @param {object} options Parsed global options
+ * @returns {string} API base URL
+ */
+function resolveIpfsApi(options = {}) {
+  return options.ipfsApi || process.env.BFT_IPFS_API || DEFAULT_IPFS_API;
+}
+
+module.exports = {
+  DEFAULT_NETWORK,
+  DEFAULT_RPC_URL,
+  DEFAULT_IPFS_API,
+  DEFAULT_STORE_DIR,
+  resolveNetwork,
+  resolveRpcUrl,
+  resolveDeploymentPath,
+  loadDeployment,
+  resolveArtifactsDir,
+  loadAbi,
+  resolveStoreDir,
+  resolveIpfsApi
+};
@@ -0,0 +1,123 @@
+const { ethers } = require("ethers");
+const { loadDeployment, loadAbi, resolveRpcUrl } = require("./config");
+const { CliError } = require("./errors");
+
+// Deployment key -> property name on the connection object
+const CONTRACTS = {
+  FileRegistry: "fileRegistry",
+  TransferContract: "transferContract",
+  AuditContract: "auditContract",
+  SystemConfig: "systemConfig",
+  AccessControlContract: "accessControl",
+  AdminProposals: "adminProposals",
+  GroupRegistry: "groupRegistry"
+};
+
+/**
+ * Picks the signer for outgoing transactions: an explicit private key wins,
+ * otherwise one of the node's unlocked accounts is used.
+ * @param {ethers.providers.JsonRpcProvider} provider Connected provider
+ * @param {object} options Parsed global options
+ * @returns {ethers.Signer} Signer
+ */
+function resolveSigner(provider, options = {}) {
+  const privateKey = options.privateKey || process.env.BFT_PRIVATE_KEY;
+
+  if (privateKey) {
+    try {
+      return new ethers.Wallet(privateKey, provider);
+    } catch (error) {
+      throw new CliError("Invalid private key");
+    }
+  }
+
+  const index = Number(options.account || 0);
+  if (!Number.isInteger(index) || index < 0) {
+    throw new CliError(`Invalid account index: ${options.account}`);
+  }
+  return provider.getSigner(index);
+}
+
+/**
+ * Connects to the node and instantiates the deployed system contracts.
+ * @param {object} options Parsed global options
+ * @returns {Promise<object>} { provider, signer, address, deployment, fileRegistry, transferContract, ... }
+ */
+async function connect(options = {}) {
+  const deployment = loadDeployment(options);
+  const provider = new ethers.providers.JsonRpcProvider(resolveRpcUrl(options));
+  const signer = resolveSigner(provider, options);
+
+  const connection = {
+    provider,
+    signer,
+    address: await signer.getAddress(),
+    deployment
+  };
+
+  for (const [name, property] of Object.entries(CONTRACTS)) {
+    const address = deployment.contracts[name];
+    if (address) {
+      connection[property] = new ethers.Contract(address, loadAbi(name, options), signer);
+    }
+  }
+
+  if (!connection.fileRegistry || !connection.transferContract) {
+    throw new CliError("Deployment is missing FileRegistry or TransferContract");
+  }
+
+  return connection;
+}
+
+/**
+ * Returns the connection's GroupRegistry, which older deployments lack.
+ * @param {object} connection Result of connect()
+ * @returns {ethers.Contract} GroupRegistry instance
+ */
+function requireGroupRegistry(connection) {
+  if (!connection.groupRegistry) {
+    throw new CliError("Deployment has no GroupRegistry; redeploy the contracts to use groups");
+  }
+  return connection.groupRegistry;
+}
+
+/**
+ * Lists the connection's system contracts by their deployment names.
+ * @param {object} connection Result of connect()
+ * @returns {object} Deployment name -> ethers.Contract, for the deployed ones
+ */
+function systemContracts(connection) {
+  return Object.fromEntries(
+    Object.entries(CONTRACTS)
+      .filter(([, property]) => connection[property])
+      .map(([name, property]) => [name, connection[property]])
+  );
+}
+
+/**
+ * Waits for a transaction and returns its receipt together with the
+ * parsed events, keyed by event name.
+ * @param {Promise<ethers.ContractTransaction>} pending Transaction promise
+ * @returns {Promise<object>} { receipt, events }
+ */
+async function sendTransaction(pending) {
+  const tx = await pending;
+  const receipt = await tx.wait();
+  const events = {};
+
+  for (const event of receipt.events || []) {
+    if (event.event) {
+      events[event.event] = event.args;
+    }
+  }
+
+  return { receipt, events };
+}
+
+module.exports = {
+  resolveSigner,
+  connect,
+  requireGroupRegistry,
+  systemContracts,
+  sendTransaction
+};
@@ -0,0 +1,230 @@
+const crypto = require("crypto");
+const { ethers } = require("ethers");
+const { CliError } = require("./errors");
+
+// Matches SystemConfig.defaultEncryptionScheme
+const ENCRYPTION_SCHEME = "AES-256-GCM";
+const KEY_BYTES = 32;
+const KEY_BITS = KEY_BYTES * 8;
+const IV_BYTES = 12;
+const TAG_BYTES = 16;
+// Bytes encryptContent adds to the plaintext
+const ENCRYPTION_OVERHEAD = IV_BYTES + TAG_BYTES;
+const CHUNK_IV_INFO = Buffer.from("bft-chunk-iv-v1");
+
+// Wrapped key layout: version | ephemeral public key | iv | tag | encrypted file key
+const WRAP_VERSION = 1;
+const PUBLIC_KEY_BYTES = 65;
+const WRAP_INFO = Buffer.from("bft-key-wrap-v1");
+const WRAPPED_KEY_BYTES = 1 + PUBLIC_KEY_BYTES + IV_BYTES + TAG_BYTES + KEY_BYTES;
+
+function toBuffer(value) {
+  return Buffer.isBuffer(value) ? value : Buffer.from(ethers.utils.arrayify(value));
+}
+
+/**
+ * Generates a fresh symmetric file key.
+ * @returns {Buffer} 32-byte key
+ */
+function generateFileKey() {
+  return crypto.randomBytes(KEY_BYTES);
+}
+
+/**
+ * Encrypts content with AES-256-GCM.
+ * @param {Buffer} plaintext Content to encrypt
+ * @param {Buffer} key 32-byte file key
+ * @returns {Buffer} iv | ciphertext | tag
+ */
+function encryptContent(plaintext, key) {
+  return seal(plaintext, key, crypto.randomBytes(IV_BYTES));
+}
+
+/**
+ * Encrypts one chunk of a chunked file, in the same layout as encryptContent.
+ * The IV is derived from the key, the chunk's position and its content rather
+ * than drawn at random, so resuming an upload reproduces the chunk hashes
+ * already registered. An IV only repeats for identical content at the same
+ * position, which encrypts to the identical chunk.
+ * @param {Buffer} plaintext Chunk content
+ * @param {Buffer} key 32-byte file key
+ * @param {number} sequence Chunk position, from 0
+ * @returns {Buffer} iv | ciphertext | tag
+ */
+function encryptChunk(plaintext, key, sequence) {
+  const position = Buffer.alloc(8);
+  position.writeBigUInt64BE(BigInt(sequence));
+
+  const iv = crypto.createHmac("sha256", key)
+    .update(CHUNK_IV_INFO)
+    .update(position)
+    .update(crypto.createHash("sha256").update(plaintext).digest())
+    .digest()
+    .subarray(0, IV_BYTES);
+
+  return seal(plaintext, key, iv);
+}
+
+function seal(plaintext, key, iv) {
+  const cipher = crypto.createCipheriv("aes-256-gcm", key, iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+
+  return Buffer.concat([iv, ciphertext, cipher.getAuthTag()]);
+}
+
+/**
+ * Decrypts content produced by encryptContent and checks its auth tag.
+ * @param {Buffer} encrypted iv | ciphertext | tag
+ * @param {Buffer} key 32-byte file key
+ * @returns {Buffer} Plaintext
+ */
+function decryptContent(encrypted, key) {
+  if (encrypted.length < IV_BYTES + TAG_BYTES) {
+    throw new CliError("Encrypted content is truncated");
+  }
+
+  const iv = encrypted.subarray(0, IV_BYTES);
+  const tag = encrypted.subarray(encrypted.length - TAG_BYTES);
+  const ciphertext = encrypted.subarray(IV_BYTES, encrypted.length - TAG_BYTES);
+
+  const decipher = crypto.createDecipheriv("aes-256-gcm", key, iv);
+  decipher.setAuthTag(tag);
+
+  try {
+    return Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+  } catch (error) {
+    throw new CliError("Decryption failed: wrong key or tampered content");
+  }
+}
+
+function deriveWrappingKey(sharedSecret, ephemeralPublicKey) {
+  return Buffer.from(crypto.hkdfSync("sha256", sharedSecret, ephemeralPublicKey, WRAP_INFO, KEY_BYTES));
+}
+
+/**
+ * Wraps a file key for the holder of a secp256k1 public key (ECIES:
+ * ephemeral ECDH, HKDF-SHA256, AES-256-GCM).
+ * @param {Buffer} fileKey 32-byte file key
+ * @param {string|Buffer} publicKey Recipient public key (compressed or uncompressed)
+ * @returns {string} 0x-prefixed wrapped key, as stored in `encryptionKey`
+ */
+function wrapKey(fileKey, publicKey) {
+  const recipientKey = toBuffer(ethers.utils.computePublicKey(publicKey, false));
+
+  const ephemeral = crypto.createECDH("secp256k1");
+  const ephemeralPublicKey = ephemeral.generateKeys();
+  const wrappingKey = deriveWrappingKey(ephemeral.computeSecret(recipientKey), ephemeralPublicKey);
+
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv("aes-256-gcm", wrappingKey, iv);
+  const encryptedKey = Buffer.concat([cipher.update(fileKey), cipher.final()]);
+
+  return ethers.utils.hexlify(Buffer.concat([
+    Buffer.from([WRAP_VERSION]),
+    ephemeralPublicKey,
+    iv,
+    cipher.getAuthTag(),
+    encryptedKey
+  ]));
+}
+
+/**
+ * Recovers a file key wrapped with wrapKey.
+ * @param {string|Buffer} wrappedKey Wrapped key from `encryptionKey`
+ * @param {string} privateKey Holder's secp256k1 private key
+ * @returns {Buffer} 32-byte file key
+ */
+function unwrapKey(wrappedKey, privateKey) {
+  const wrapped = toBuffer(wrappedKey);
+
+  if (wrapped.length !== WRAPPED_KEY_BYTES || wrapped[0] !== WRAP_VERSION) {
+    throw new CliError("Unsupported wrapped key format");
+  }
+
+  let offset = 1;
+  const ephemeralPublicKey = wrapped.subarray(offset, offset += PUBLIC_KEY_BYTES);
+  const iv = wrapped.subarray(offset, offset += IV_BYTES);
+  const tag = wrapped.subarray(offset, offset += TAG_BYTES);
+  const encryptedKey = wrapped.subarray(offset);
+
+  const holder = crypto.createECDH("secp256k1");
+  holder.setPrivateKey(toBuffer(privateKey));
+  const wrappingKey = deriveWrappingKey(holder.computeSecret(ephemeralPublicKey), ephemeralPublicKey);
+
+  const decipher = crypto.createDecipheriv("aes-256-gcm", wrappingKey, iv);
+  decipher.setAuthTag(tag);
+
+  try {
+    return Buffer.concat([decipher.update(encryptedKey), decipher.final()]);
+  } catch (error) {
+    throw new CliError("Cannot unwrap file key: it was not wrapped for this account");
+  }
+}
+
+/**
+ * Re-wraps a file key for another holder, e.g. the recipient of a transfer.
+ * @param {string|Buffer} wrappedKey Key wrapped for the caller
+ * @param {string} privateKey Caller's private key
+ * @param {string|Buffer} recipientPublicKey Recipient's public key
+ * @returns {string} Key wrapped for the recipient
+ */
+function rewrapKey(wrappedKey, privateKey, recipientPublicKey) {
+  return wrapKey(unwrapKey(wrappedKey, privateKey), recipientPublicKey);
+}
+
+/**
+ * Normalises a public key and checks it belongs to the expected address.
+ * @param {string} publicKey Compressed or uncompressed secp256k1 public key
+ * @param {string} [address] Address the key should derive to
+ * @returns {string} Uncompressed 0x04-prefixed public key
+ */
+function parsePublicKey(publicKey, address) {
+  let uncompressed;
+  try {
+    uncompressed = ethers.utils.computePublicKey(publicKey, false);
+  } catch (error) {
+    throw new CliError(`Invalid public key: ${publicKey}`);
+  }
+
+  if (address && ethers.utils.computeAddress(uncompressed) !== ethers.utils.getAddress(address)) {
+    throw new CliError(`Public key does not belong to ${address}`);
+  }
+  return uncompressed;
+}
+
+/**
+ * Checks that SystemConfig's security settings can be met by this client.
+ * @param {ethers.Contract} [systemConfig] SystemConfig instance
+ * @returns {Promise<object>} { enforceEncryption, scheme, minKeyLength }
+ */
+async function checkEncryptionPolicy(systemConfig) {
+  if (!systemConfig) {
+    return { enforceEncryption: false, scheme: ENCRYPTION_SCHEME, minKeyLength: KEY_BITS };
+  }
+
+  const [enforceEncryption, scheme, minKeyLength] = await systemConfig.getSecuritySettings();
+
+  if (scheme.toUpperCase() !== ENCRYPTION_SCHEME) {
+    throw new CliError(`SystemConfig requires ${scheme}; this client supports ${ENCRYPTION_SCHEME}`);
+  }
+  if (minKeyLength.gt(KEY_BITS)) {
+    throw new CliError(`SystemConfig requires ${minKeyLength}-bit keys; this client uses ${KEY_BITS}-bit keys`);
+  }
+
+  return { enforceEncryption, scheme, minKeyLength: minKeyLength.toNumber() };
+}
+
+module.exports = {
+  ENCRYPTION_SCHEME,
+  KEY_BITS,
+  ENCRYPTION_OVERHEAD,
+  generateFileKey,
+  encryptContent,
+  encryptChunk,
+  decryptContent,
+  wrapKey,
+  unwrapKey,
+  rewrapKey,
+  parsePublicKey,
+  checkEncryptionPolicy
+};
@@ -0,0 +1,35 @@
+/**
+ * Error raised for problems the user can fix (bad arguments, missing
+ * deployment files, ...). The CLI prints only the message for these,
+ * without a stack trace.
+ */
+class CliError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "CliError";
+  }
+}
+
+/**
+ * Extracts a readable message from an error, unwrapping the revert reason
+ * that ethers buries inside JSON-RPC errors.
+ * @param {Error} error Error to describe
+ * @returns {string} Message
+ */
+function describeError(error) {
+  if (error instanceof CliError) {
+    return error.message;
+  }
+
+  const nested = error.error && (error.error.data && error.error.data.message || error.error.message);
+  const message = nested || error.reason || error.message || String(error);
+
+  if (error.code === "NETWORK_ERROR" || /could not detect network|missing response/.test(message)) {
+    return "Cannot reach the node; is it running and is --rpc-url correct?";
+  }
+
+  const revert = message.match(/reverted with reason string '([^']*)'/) || message.match(/execution reverted: ([^"]*)/);
+  return revert ? revert[1] : message;
+}
+
+module.exports = { CliError, describeError };
@@ -0,0 +1,69 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { CliError } = require("./errors");
+
+const CONTENT_TYPES = {
+  ".csv": "text/csv",
+  ".gif": "image/gif",
+  ".gz": "application/gzip",
+  ".html": "text/html",
+  ".jpeg": "image/jpeg",
+  ".jpg": "image/jpeg",
+  ".json": "application/json",
+  ".md": "text/markdown",
+  ".pdf": "application/pdf",
+  ".png": "image/png",
+  ".tar": "application/x-tar",
+  ".txt": "text/plain",
+  ".xml": "application/xml",
+  ".zip": "application/zip"
+};
+
+const DEFAULT_CONTENT_TYPE = "application/octet-stream";
+
+/**
+ * Guesses a MIME type from a file name.
+ * @param {string} fileName File name or path
+ * @returns {string} MIME type
+ */
+function contentTypeFor(fileName) {
+  return CONTENT_TYPES[path.extname(fileName).toLowerCase()] || DEFAULT_CONTENT_TYPE;
+}
+
+/**
+ * Computes the bytes32 content hash (SHA-256) used as `contentHash`.
+ * @param {Buffer} data File content
+ * @returns {string} 0x-prefixed hash
+ */
+function hashContent(data) {
+  return "0x" + crypto.createHash("sha256").update(data).digest("hex");
+}
+
+/**
+ * Reads a local file and derives the metadata FileRegistry expects.
+ * @param {string} filePath Path to the file
+ * @returns {object} { name, data, fileSize, contentType, contentHash }
+ */
+function describeLocalFile(filePath) {
+  if (!fs.existsSync(filePath) || !fs.statSync(filePath).isFile()) {
+    throw new CliError(`Not a file: ${filePath}`);
+  }
+
+  const data = fs.readFileSync(filePath);
+
+  return {
+    name: path.basename(filePath),
+    data,
+    fileSize: data.length,
+    contentType: contentTypeFor(filePath),
+    contentHash: hashContent(data)
+  };
+}
+
+module.exports = {
+  DEFAULT_CONTENT_TYPE,
+  contentTypeFor,
+  hashContent,
+  describeLocalFile
+};
@@ -0,0 +1,484 @@
+const { ethers } = require("ethers");
+const { CliError } = require("./errors");
+
+// Mirrors FileStructs.AccessLevel
+const ACCESS_LEVELS = ["NONE", "READ", "WRITE", "ADMIN"];
+
+// Mirrors TransferStructs.TransferStatus
+const TRANSFER_STATUSES = [
+  "NONE",
+  "INITIATED",
+  "IN_PROGRESS",
+  "COMPLETED",
+  "REJECTED",
+  "CANCELLED",
+  "DISPUTED",
+  "EXPIRED"
+];
+
+// Mirrors TransferStructs.Resolution
+const RESOLUTIONS = ["NONE", "COMPLETED", "CANCELLED"];
+
+// Mirrors AuditStructs.AuditAction
+const AUDIT_ACTIONS = [
+  "NONE",
+  "TRANSFER_INITIATED",
+  "TRANSFER_ACCEPTED",
+  "TRANSFER_REJECTED",
+  "TRANSFER_COMPLETED",
+  "TRANSFER_DISPUTED",
+  "TRANSFER_RESOLVED_COMPLETED",
+  "TRANSFER_RESOLVED_CANCELLED",
+  "TRANSFER_CANCELLED",
+  "TRANSFER_EXPIRED",
+  "FILE_REGISTERED",
+  "FILE_UPDATED",
+  "ACCESS_GRANTED",
+  "ACCESS_REVOKED",
+  "GROUP_ACCESS_GRANTED",
+  "GROUP_ACCESS_REVOKED",
+  "OWNERSHIP_TRANSFERRED",
+  "FILE_DELETED",
+  "FILE_RESTORED",
+  "FILE_PURGED",
+  "ACCESS_USED",
+  "WRAPPED_KEY_STORED",
+  "STORAGE_LOCATION_ADDED",
+  "STORAGE_LOCATION_REMOVED"
+];
+
+const DURATION_UNITS = { s: 1, m: 60, h: 3600, d: 86400, w: 604800 };
+const SIZE_UNITS = { "": 1, k: 1024, m: 1024 ** 2, g: 1024 ** 3 };
+
+/**
+ * Parses an enum value given either by name (case-insensitive) or index.
+ * @param {string[]} names Enum member names
+ * @param {string} label Enum label used in error messages
+ * @param {string|number} value Input value
+ * @returns {number} Enum index
+ */
+function parseEnum(names, label, value) {
+  const input = String(value).trim();
+
+  if (/^\d+$/.test(input) && Number(input) < names.length) {
+    return Number(input);
+  }
+
+  const index = names.indexOf(input.toUpperCase().replace(/-/g, "_"));
+  if (index === -1) {
+    throw new CliError(`Invalid ${label}: ${value} (expected one of ${names.join(", ").toLowerCase()})`);
+  }
+  return index;
+}
+
+function parseAccessLevel(value) {
+  const level = parseEnum(ACCESS_LEVELS, "access level", value);
+  if (level === 0) {
+    throw new CliError("Access level NONE cannot be granted");
+  }
+  return level;
+}
+
+function parseResolution(value) {
+  return parseEnum(RESOLUTIONS, "resolution", value);
+}
+
+/**
+ * Parses a point in time: unix seconds, an ISO date, or a duration from now
+ * such as "30m", "12h" or "7d".
+ * @param {string} value Input value
+ * @param {number} [now] Reference unix time in seconds
+ * @returns {number} Unix timestamp in seconds
+ */
+function parseTimestamp(value, now = Math.floor(Date.now() / 1000)) {
+  const input = String(value).trim();
+
+  const duration = input.match(/^(\d+)([smhdw])$/);
+  if (duration) {
+    return now + Number(duration[1]) * DURATION_UNITS[duration[2]];
+  }
+
+  if (/^\d+$/.test(input)) {
+    return Number(input);
+  }
+
+  const parsed = Date.parse(input);
+  if (Number.isNaN(parsed)) {
+    throw new CliError(`Invalid time: ${value}`);
+  }
+  return Math.floor(parsed / 1000);
+}
+
+/**
+ * Parses a point in time in the past: unix seconds, an ISO date, or a
+ * duration ago such as "12h" or "7d".
+ * @param {string} value Input value
+ * @param {number} [now] Reference unix time in seconds
+ * @returns {number} Unix timestamp in seconds
+ */
+function parsePastTimestamp(value, now = Math.floor(Date.now() / 1000)) {
+  const duration = String(value).trim().match(/^(\d+)([smhdw])$/);
+  if (duration) {
+    return now - Number(duration[1]) * DURATION_UNITS[duration[2]];
+  }
+  return parseTimestamp(value, now);
+}
+
+/**
+ * Parses a length of time such as "3600", "30m", "12h" or "7d".
+ * @param {string} value Input value
+ * @returns {number} Duration in seconds
+ */
+function parseDuration(value) {
+  const duration = String(value).trim().match(/^(\d+)([smhdw]?)$/);
+  if (!duration || Number(duration[1]) === 0) {
+    throw new CliError(`Invalid duration: ${value}`);
+  }
+  return Number(duration[1]) * DURATION_UNITS[duration[2] || "s"];
+}
+
+/**
+ * Parses a byte size such as "1048576", "512k", "4M" or "1G" (binary units).
+ * @param {string} value Input value
+ * @returns {number} Size in bytes
+ */
+function parseByteSize(value) {
+  const size = String(value).trim().match(/^(\d+)([kmg]?)i?b?$/i);
+  if (!size || Number(size[1]) === 0) {
+    throw new CliError(`Invalid size: ${value}`);
+  }
+  return Number(size[1]) * SIZE_UNITS[size[2].toLowerCase()];
+}
+
+function parseAddress(value, label = "address") {
+  if (!ethers.utils.isAddress(value)) {
+    throw new CliError(`Invalid ${label}: ${value}`);
+  }
+  return ethers.utils.getAddress(value);
+}
+
+function parseBytes32(value, label = "identifier") {
+  if (!ethers.utils.isHexString(value, 32)) {
+    throw new CliError(`Invalid ${label}: ${value} (expected 0x-prefixed 32-byte hex)`);
+  }
+  return value.toLowerCase();
+}
+
+/**
+ * Parses a recipient list: one recipient per line as "address" or
+ * "address,publicKey". Blank lines, "#" comments and a header line are skipped.
+ * @param {string} text File content
+ * @returns {object[]} [{ address, publicKey }] with publicKey null where not given
+ */
+function parseRecipientList(text) {
+  const lines = text
+    .split(/\r?\n/)
+    .map((line, index) => ({ number: index + 1, fields: line.split(",").map((field) => field.trim()) }))
+    .filter(({ fields }) => fields[0] && !fields[0].startsWith("#"));
+
+  // Header such as "address,publicKey"
+  if (lines.length > 0 && !lines[0].fields[0].startsWith("0x")) {
+    lines.shift();
+  }
+  if (lines.length === 0) {
+    throw new CliError("No recipients listed");
+  }
+
+  const seen = new Set();
+  return lines.map(({ number, fields }) => {
+    const address = parseAddress(fields[0], `recipient on line ${number}`);
+    if (seen.has(address)) {
+      throw new CliError(`Duplicate recipient on line ${number}: ${address}`);
+    }
+    seen.add(address);
+    return { address, publicKey: fields[1] || null };
+  });
+}
+
+function formatTimestamp(seconds) {
+  const value = Number(seconds);
+  return value === 0 ? null : new Date(value * 1000).toISOString();
+}
+
+/**
+ * Renders a length of time as days, hours, minutes and seconds, e.g. "1d 2h 30m".
+ * @param {number} seconds Duration in seconds
+ * @returns {string} Rendered duration
+ */
+function formatDuration(seconds) {
+  const parts = [];
+  let rest = Number(seconds);
+
+  for (const unit of ["d", "h", "m", "s"]) {
+    const count = Math.floor(rest / DURATION_UNITS[unit]);
+    if (count > 0) {
+      parts.push(`${count}${unit}`);
+      rest -= count * DURATION_UNITS[unit];
+    }
+  }
+  return parts.length === 0 ? "0s" : parts.join(" ");
+}
+
+/**
+ * Converts a FileMetadataView returned by FileRegistry into a plain object.
+ * @param {object} view Decoded struct
+ * @returns {object} Plain file description
+ */
+function formatFile(view) {
+  return {
+    fileId: view.fileId,
+    name: view.name,
+    owner: view.owner,
+    contentHash: view.contentHash,
+    encryptionKey: view.encryptionKey === "0x" ? null : view.encryptionKey,
+    fileSize: view.fileSize.toString(),
+    contentType: view.contentType,
+    createdAt: formatTimestamp(view.createdAt),
+    updatedAt: formatTimestamp(view.updatedAt),
+    isPublic: view.isPublic,
+    isDeleted: view.isDeleted,
+    deletedAt: formatTimestamp(view.deletedAt)
+  };
+}
+
+/**
+ * Converts a FileVersion returned by FileRegistry into a plain object.
+ * @param {object} view Decoded struct
+ * @param {number} version Version number (1 is the registered content)
+ * @returns {object} Plain version description
+ */
+function formatVersion(view, version) {
+  return {
+    version,
+    versionId: view.versionId,
+    contentHash: view.contentHash,
+    encryptionKey: view.encryptionKey === "0x" ? null : view.encryptionKey,
+    fileSize: view.fileSize.toString(),
+    createdAt: formatTimestamp(view.createdAt),
+    creator: view.creator,
+    changeDescription: view.changeDescription || null
+  };
+}
+
+/**
+ * Converts a StorageLocation returned by FileRegistry into a plain object.
+ * @param {object} location Decoded struct
+ * @returns {object} Plain location description
+ */
+function formatLocation(location) {
+  return {
+    protocol: location.protocol,
+    location: location.location,
+    isEncrypted: location.isEncrypted,
+    encryptionType: location.encryptionType || null
+  };
+}
+
+/**
+ * Converts a TransferView returned by TransferContract into a plain object.
+ * @param {object} view Decoded struct
+ * @returns {object} Plain transfer description
+ */
+function formatTransfer(view) {
+  return {
+    transferId: view.transferId,
+    fileId: view.fileId,
+    sender: view.sender,
+    recipient: view.recipient,
+    message: view.message,
+    initiatedAt: formatTimestamp(view.initiatedAt),
+    deadline: formatTimestamp(view.deadline),
+    completedAt: formatTimestamp(view.completedAt),
+    status: TRANSFER_STATUSES[view.status],
+    accessLevel: ACCESS_LEVELS[view.accessLevel],
+    proofOfDelivery: view.proofOfDelivery === ethers.constants.HashZero ? null : view.proofOfDelivery,
+    disputeReason: view.disputeReason || null,
+    resolution: RESOLUTIONS[view.resolution],
+    accessDuration: view.accessDuration.isZero() ? null : formatDuration(view.accessDuration.toNumber()),
+    accessUses: view.accessUses.isZero() ? null : view.accessUses.toNumber(),
+    transfersOwnership: view.transfersOwnership,
+    retainedAccess: view.transfersOwnership ? ACCESS_LEVELS[view.retainedAccess] : null
+  };
+}
+
+/**
+ * Describes what is left of a time-boxed or use-limited grant.
+ * @param {object} permission AccessPermission returned by FileRegistry
+ * @param {number} now Current unix time in seconds
+ * @returns {object} { accessActive, accessExpiresAt, accessTimeLeft, accessUsesLeft }
+ */
+function formatRemainingAccess(permission, now) {
+  const expiresAt = permission.expiresAt.toNumber();
+  const expired = expiresAt !== 0 && now > expiresAt;
+
+  return {
+    accessActive: permission.hasAccess && !expired,
+    accessExpiresAt: formatTimestamp(expiresAt),
+    accessTimeLeft: expiresAt === 0 ? null : formatDuration(expired ? 0 : expiresAt - now),
+    // Use-limited grants are removed with their last use
+    accessUsesLeft: permission.hasAccess ? permission.usesLeft.toNumber() || null : 0
+  };
+}
+
+/**
+ * Converts a GroupView returned by GroupRegistry into a plain object.
+ * @param {object} view Decoded struct
+ * @returns {object} Plain group description
+ */
+function formatGroup(view) {
+  return {
+    groupId: view.groupId,
+    name: view.name,
+    owner: view.owner,
+    createdAt: formatTimestamp(view.createdAt),
+    members: view.memberCount.toNumber()
+  };
+}
+
+/**
+ * Converts a BatchTransfer returned by TransferContract into a plain object.
+ * @param {object} view Decoded struct
+ * @returns {object} Plain batch description
+ */
+function formatBatch(view) {
+  return {
+    batchId: view.batchId,
+    sender: view.sender,
+    initiatedAt: formatTimestamp(view.initiatedAt),
+    recipients: view.recipients.length,
+    completed: view.completedCount.toNumber(),
+    allCompleted: view.allCompleted
+  };
+}
+
+/**
+ * Converts a TransferNotification returned by TransferContract into a plain object.
+ * @param {object} view Decoded struct
+ * @param {number} index Index of the notification, to mark it read by
+ * @param {string} user Address of the notified user
+ * @returns {object} Plain notification; `from` is the party whose action it reports
+ */
+function formatNotification(view, index, user) {
+  return {
+    index: Number(index),
+    timestamp: formatTimestamp(view.timestamp),
+    status: TRANSFER_STATUSES[view.status],
+    transferId: view.transferId,
+    fileId: view.fileId,
+    from: view.sender === user ? view.recipient : view.sender,
+    sender: view.sender,
+    recipient: view.recipient,
+    message: view.message || null
+  };
+}
+
+/**
+ * Converts TransferStats returned by TransferContract into a plain object.
+ * Transfers still open are those initiated but not yet completed, rejected,
+ * cancelled or expired; disputed transfers count as open until resolved.
+ * @param {object} stats Decoded struct
+ * @returns {object} Plain statistics
+ */
+function formatTransferStats(stats) {
+  const initiated = stats.totalInitiated.toNumber();
+  const completed = stats.totalCompleted.toNumber();
+  const rejected = stats.totalRejected.toNumber();
+  const cancelled = stats.totalCancelled.toNumber();
+  const expired = stats.totalExpired.toNumber();
+
+  return {
+    initiated,
+    open: initiated - completed - rejected - cancelled - expired,
+    completed,
+    rejected,
+    cancelled,
+    expired,
+    disputed: stats.totalDisputed.toNumber(),
+    averageCompletionTime: completed === 0 ? null : formatDuration(stats.averageCompletionTime.toNumber())
+  };
+}
+
+/**
+ * Renders a flat object as aligned "key: value" lines.
+ * @param {object} data Object to render
+ * @returns {string} Rendered text
+ */
+function renderObject(data) {
+  const keys = Object.keys(data);
+  const width = Math.max(...keys.map((key) => key.length));
+
+  return keys
+    .map((key) => {
+      const value = data[key] === null || data[key] === undefined ? "-" : data[key];
+      return `${(key + ":").padEnd(width + 2)}${value}`;
+    })
+    .join("\n");
+}
+
+/**
+ * Renders rows as a whitespace-aligned table.
+ * @param {object[]} rows Rows to render
+ * @param {string[]} columns Keys to include, in order
+ * @returns {string} Rendered text
+ */
+function renderTable(rows, columns) {
+  if (rows.length === 0) {
+    return "(none)";
+  }
+
+  const cells = rows.map((row) => columns.map((column) => {
+    const value = row[column];
+    return value === null || value === undefined ? "-" : String(value);
+  }));
+  const widths = columns.map((column, i) =>
+    Math.max(column.length, ...cells.map((line) => line[i].length))
+  );
+  const render = (line) => line.map((cell, i) => cell.padEnd(widths[i])).join("  ").trimEnd();
+
+  return [render(columns), ...cells.map(render)].join("\n");
+}
+
+/**
+ * Prints a command result, either as JSON or through the human renderer.
+ * @param {*} data Result data
+ * @param {object} options Parsed global options
+ * @param {Function} [render] Human-readable renderer
+ */
+function printResult(data, options = {}, render = renderObject) {
+  if (options.json) {
+    console.log(JSON.stringify(data, null, 2));
+  } else {
+    console.log(render(data));
+  }
+}
+
+module.exports = {
+  ACCESS_LEVELS,
+  TRANSFER_STATUSES,
+  RESOLUTIONS,
+  AUDIT_ACTIONS,
+  parseEnum,
+  parseAccessLevel,
+  parseResolution,
+  parseTimestamp,
+  parsePastTimestamp,
+  parseDuration,
+  parseByteSize,
+  parseAddress,
+  parseBytes32,
+  parseRecipientList,
+  formatTimestamp,
+  formatDuration,
+  formatFile,
+  formatVersion,
+  formatLocation,
+  formatTransfer,
+  formatRemainingAccess,
+  formatBatch,
+  formatNotification,
+  formatTransferStats,
+  formatGroup,
+  renderObject,
+  renderTable,
+  printResult
+};
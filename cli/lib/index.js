@@ -0,0 +1,18 @@
+module.exports = {
+  ...require("./audit"),
+  ...require("./auditExport"),
+  ...require("./auditLog"),
+  ...require("./chunks"),
+  ...require("./config"),
+  ...require("./contracts"),
+  ...require("./encryption"),
+  ...require("./errors"),
+  ...require("./files"),
+  ...require("./format"),
+  ...require("./listing"),
+  ...require("./notifications"),
+  ...require("./pipeline"),
+  ...require("./proposals"),
+  ...require("./receipts"),
+  ...require("./storage")
+};
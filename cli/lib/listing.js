@@ -0,0 +1,148 @@
+const { ethers } = require("ethers");
+const { CliError } = require("./errors");
+const { AUDIT_ACTIONS, TRANSFER_STATUSES, parseAddress, parseEnum, parsePastTimestamp } = require("./format");
+
+const DEFAULT_PAGE_SIZE = 50;
+
+/**
+ * Walks a paginated contract view, fetching one page at a time.
+ * @param {function(number, number): Promise<Array>} fetchPage Called with
+ *   offset and limit; resolves to [items, total] as the *Page views return
+ * @param {number} [pageSize] Items fetched per call
+ * @returns {AsyncGenerator<object>} Items in the order the view returns them
+ */
+async function* paginate(fetchPage, pageSize = DEFAULT_PAGE_SIZE) {
+  if (!Number.isInteger(pageSize) || pageSize < 1) {
+    throw new CliError(`Invalid page size: ${pageSize}`);
+  }
+
+  let offset = 0;
+  for (;;) {
+    const [items, total] = await fetchPage(offset, pageSize);
+    yield* items;
+
+    offset += items.length;
+    if (items.length === 0 || offset >= Number(total)) {
+      return;
+    }
+  }
+}
+
+/**
+ * Builds a TransferStructs.TransferFilter; omitted criteria match everything.
+ * @param {object} [criteria] { status, counterparty, since, until } where
+ *   status is a name or index and since/until take anything parsePastTimestamp does
+ * @returns {object} Filter struct
+ */
+function toTransferFilter({ status, counterparty, since, until } = {}) {
+  return {
+    status: status === undefined ? 0 : parseEnum(TRANSFER_STATUSES, "status", status),
+    counterparty: counterparty ? parseAddress(counterparty, "counterparty") : ethers.constants.AddressZero,
+    initiatedFrom: since === undefined ? 0 : parsePastTimestamp(since),
+    initiatedTo: until === undefined ? 0 : parsePastTimestamp(until)
+  };
+}
+
+/**
+ * Builds a FileStructs.FileFilter; omitted criteria match every live file.
+ * @param {object} [criteria] { deleted, since, until }
+ * @returns {object} Filter struct
+ */
+function toFileFilter({ deleted = false, since, until } = {}) {
+  return {
+    deleted: Boolean(deleted),
+    createdFrom: since === undefined ? 0 : parsePastTimestamp(since),
+    createdTo: until === undefined ? 0 : parsePastTimestamp(until)
+  };
+}
+
+/**
+ * Builds an AuditStructs.AuditFilter; omitted criteria match every record.
+ * @param {object} [criteria] { action, actor } where action is a name or index
+ * @returns {object} Filter struct
+ */
+function toAuditFilter({ action, actor } = {}) {
+  return {
+    action: action === undefined ? 0 : parseEnum(AUDIT_ACTIONS, "action", action),
+    actor: actor ? parseAddress(actor, "actor") : ethers.constants.AddressZero
+  };
+}
+
+/**
+ * Iterates over the transfers a user has sent, oldest first.
+ * @param {ethers.Contract} transferContract TransferContract instance
+ * @param {string} user Sender address
+ * @param {object} [criteria] See toTransferFilter
+ * @param {object} [options] { pageSize }
+ * @returns {AsyncGenerator<object>} TransferView structs
+ */
+function iterateSentTransfers(transferContract, user, criteria, { pageSize } = {}) {
+  const filter = toTransferFilter(criteria);
+  return paginate((offset, limit) =>
+    transferContract.getUserSentTransfersPage(user, filter, offset, limit), pageSize);
+}
+
+/**
+ * Iterates over the transfers a user has received, oldest first.
+ * @param {ethers.Contract} transferContract TransferContract instance
+ * @param {string} user Recipient address
+ * @param {object} [criteria] See toTransferFilter
+ * @param {object} [options] { pageSize }
+ * @returns {AsyncGenerator<object>} TransferView structs
+ */
+function iterateReceivedTransfers(transferContract, user, criteria, { pageSize } = {}) {
+  const filter = toTransferFilter(criteria);
+  return paginate((offset, limit) =>
+    transferContract.getUserReceivedTransfersPage(user, filter, offset, limit), pageSize);
+}
+
+/**
+ * Iterates over the files of an owner that the caller may view, oldest first.
+ * @param {ethers.Contract} fileRegistry FileRegistry instance
+ * @param {string} owner Owner address
+ * @param {object} [criteria] See toFileFilter
+ * @param {object} [options] { pageSize }
+ * @returns {AsyncGenerator<object>} FileMetadataView structs
+ */
+function iterateFiles(fileRegistry, owner, criteria, { pageSize } = {}) {
+  const filter = toFileFilter(criteria);
+  return paginate((offset, limit) =>
+    fileRegistry.getUserFilesPage(owner, filter, offset, limit), pageSize);
+}
+
+/**
+ * Iterates over a file's audit records, oldest first.
+ * @param {ethers.Contract} auditContract AuditContract instance
+ * @param {string} fileId File identifier
+ * @param {object} [criteria] See toAuditFilter
+ * @param {object} [options] { pageSize }
+ * @returns {AsyncGenerator<object>} AuditRecord structs
+ */
+function iterateAuditTrail(auditContract, fileId, criteria, { pageSize } = {}) {
+  const filter = toAuditFilter(criteria);
+  return paginate((offset, limit) =>
+    auditContract.getAuditTrailPage(fileId, filter, offset, limit), pageSize);
+}
+
+/**
+ * Iterates over the global audit log, in sequence order.
+ * @param {ethers.Contract} auditContract AuditContract instance
+ * @param {object} [options] { pageSize }
+ * @returns {AsyncGenerator<object>} AuditRecord structs
+ */
+function iterateAuditLog(auditContract, { pageSize } = {}) {
+  return paginate((offset, limit) => auditContract.getAuditLog(offset, limit), pageSize);
+}
+
+module.exports = {
+  DEFAULT_PAGE_SIZE,
+  paginate,
+  toTransferFilter,
+  toFileFilter,
+  toAuditFilter,
+  iterateSentTransfers,
+  iterateReceivedTransfers,
+  iterateFiles,
+  iterateAuditTrail,
+  iterateAuditLog
+};
@@ -0,0 +1,58 @@
+const { TRANSFER_STATUSES, formatNotification } = require("./format");
+const { paginate } = require("./listing");
+
+/**
+ * Gets a user's unread notifications, oldest first. The contract lists them in
+ * no particular order, a page at a time.
+ * @param {Contract} transferContract TransferContract
+ * @param {string} user Address of the user
+ * @param {number} [pageSize] Notifications fetched per call
+ * @returns {Promise<object[]>} Notifications as formatNotification returns them
+ */
+async function getUnreadNotifications(transferContract, user, pageSize) {
+  const unread = [];
+  const pages = paginate(async (offset, limit) => {
+    const [views, indexes, total] = await transferContract.getUnreadNotifications(user, offset, limit);
+    return [views.map((view, i) => formatNotification(view, indexes[i], user)), total];
+  }, pageSize);
+
+  for await (const notification of pages) {
+    unread.push(notification);
+  }
+  return unread.sort((a, b) => a.index - b.index);
+}
+
+/**
+ * Passes on each notification a user receives from now on, as TransferContract
+ * emits NotificationCreated for them. Details are read from the user's unread
+ * notifications; one marked read before that is passed on with what the event
+ * tells (index, transferId and status) only.
+ * @param {Contract} transferContract TransferContract, connected to a provider
+ * @param {string} user Address of the user
+ * @param {function(object): void} onNotification Receives each notification
+ * @param {function(Error): void} onError Receives errors reading the details
+ * @returns {Promise<Function>} Stops watching
+ */
+async function watchNotifications(transferContract, user, onNotification, onError) {
+  const filter = transferContract.filters.NotificationCreated(user);
+  // New listeners are also handed the logs of the latest block, which is not "from now on"
+  const fromBlock = await transferContract.provider.getBlockNumber() + 1;
+
+  const listener = (eventUser, index, transferId, status, event) => {
+    if (event.blockNumber < fromBlock) {
+      return;
+    }
+
+    getUnreadNotifications(transferContract, user)
+      .then((unread) => {
+        const found = unread.find((notification) => notification.index === Number(index));
+        onNotification(found || { index: Number(index), status: TRANSFER_STATUSES[status], transferId });
+      })
+      .catch(onError);
+  };
+
+  transferContract.on(filter, listener);
+  return () => transferContract.off(filter, listener);
+}
+
+module.exports = { getUnreadNotifications, watchNotifications };
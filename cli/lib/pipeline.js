@@ -0,0 +1,502 @@
+const fs = require("fs");
+const path = require("path");
+const {
+  CHUNK_BATCH_SIZE,
+  CHUNK_PAGE_SIZE,
+  buildManifest,
+  loadJournal,
+  merkleRoot,
+  parseManifest,
+  planChunks,
+  readChunk,
+  saveJournal,
+  sealChunk
+} = require("./chunks");
+const { sendTransaction } = require("./contracts");
+const {
+  ENCRYPTION_OVERHEAD,
+  ENCRYPTION_SCHEME,
+  checkEncryptionPolicy,
+  decryptContent,
+  encryptContent,
+  generateFileKey,
+  parsePublicKey,
+  rewrapKey,
+  unwrapKey,
+  wrapKey
+} = require("./encryption");
+const { CliError } = require("./errors");
+const { contentTypeFor, describeLocalFile, hashContent } = require("./files");
+const { formatFile } = require("./format");
+const { createAdapter, fetchContent, storeContent } = require("./storage");
+
+/**
+ * Returns the signer's key pair; encryption needs the raw keys, which the
+ * node's unlocked accounts do not expose.
+ * @param {ethers.Signer} signer Connection signer
+ * @returns {object} { privateKey, publicKey }
+ */
+function requireKeyPair(signer) {
+  if (!signer.privateKey) {
+    throw new CliError("Encrypted files need a private key; pass --private-key or set BFT_PRIVATE_KEY");
+  }
+  return { privateKey: signer.privateKey, publicKey: signer.publicKey };
+}
+
+/**
+ * Encrypts a local file and registers it. The file key is wrapped for the
+ * signer's own public key and stored as `encryptionKey`; `contentHash` is the
+ * SHA-256 of the encrypted bytes, which are what gets stored off-chain.
+ * @param {object} connection Result of connect()
+ * @param {string} filePath Local file
+ * @param {object} [options] { name, contentType, isPublic }
+ * @returns {Promise<object>} { fileId, contentHash, encrypted, transactionHash }
+ */
+async function uploadEncryptedFile(connection, filePath, options = {}) {
+  const { publicKey } = requireKeyPair(connection.signer);
+  await checkEncryptionPolicy(connection.systemConfig);
+
+  const local = describeLocalFile(filePath);
+  const fileKey = generateFileKey();
+  const encrypted = encryptContent(local.data, fileKey);
+  const contentHash = hashContent(encrypted);
+
+  const { receipt, events } = await sendTransaction(
+    connection.fileRegistry.registerFile(
+      options.name || local.name,
+      contentHash,
+      wrapKey(fileKey, publicKey),
+      local.fileSize,
+      options.contentType || local.contentType,
+      Boolean(options.isPublic)
+    )
+  );
+
+  return {
+    fileId: events.FileRegistered.fileId,
+    contentHash,
+    encrypted,
+    transactionHash: receipt.transactionHash
+  };
+}
+
+/**
+ * Encrypts new content for a registered file under its existing file key, so
+ * grantees' wrapped copies of the key keep working after the update.
+ * @param {object} connection Result of connect()
+ * @param {string} fileId File identifier
+ * @param {string} filePath Local file holding the new content
+ * @returns {Promise<object>} { contentHash, encrypted, fileSize }
+ */
+async function encryptFileUpdate(connection, fileId, filePath) {
+  const { privateKey } = requireKeyPair(connection.signer);
+  const metadata = await connection.fileRegistry.getFileMetadata(fileId);
+
+  if (metadata.encryptionKey === "0x") {
+    throw new CliError("No wrapped key for this account on the file");
+  }
+
+  const local = describeLocalFile(filePath);
+  const encrypted = encryptContent(local.data, unwrapKey(metadata.encryptionKey, privateKey));
+
+  return { contentHash: hashContent(encrypted), encrypted, fileSize: local.fileSize };
+}
+
+/**
+ * Checks encrypted bytes against a registered content hash.
+ * @param {Buffer} encrypted Encrypted content
+ * @param {string} contentHash Expected hash
+ */
+function verifyContent(encrypted, contentHash) {
+  const actual = hashContent(encrypted);
+  if (actual !== contentHash.toLowerCase()) {
+    throw new CliError(`Content hash mismatch: expected ${contentHash}, got ${actual}`);
+  }
+}
+
+/**
+ * Decrypts a registered file: fetches its metadata, verifies the encrypted
+ * bytes against `contentHash`, unwraps the file key and decrypts.
+ * @param {object} connection Result of connect()
+ * @param {string} fileId File identifier
+ * @param {Buffer} encrypted Encrypted content obtained from storage
+ * @returns {Promise<object>} { metadata, data }
+ */
+async function downloadEncryptedFile(connection, fileId, encrypted) {
+  const metadata = formatFile(await connection.fileRegistry.getFileMetadata(fileId));
+  return { metadata, data: decryptFileContent(connection, metadata, encrypted) };
+}
+
+/**
+ * Verifies encrypted bytes against metadata read beforehand and decrypts them
+ * with the signer's copy of the file key, for callers that may lose access to
+ * the file between reading the metadata and fetching the content.
+ * @param {object} connection Result of connect()
+ * @param {object} metadata File metadata as formatFile returns it
+ * @param {Buffer} encrypted Encrypted content obtained from storage
+ * @returns {Buffer} Decrypted content
+ */
+function decryptFileContent(connection, metadata, encrypted) {
+  const { privateKey } = requireKeyPair(connection.signer);
+
+  if (metadata.isDeleted) {
+    throw new CliError("File is deleted; restore it with `bft file restore` first");
+  }
+  if (!metadata.encryptionKey) {
+    throw new CliError("No wrapped key for this account on the file");
+  }
+
+  verifyContent(encrypted, metadata.contentHash);
+  return decryptContent(encrypted, unwrapKey(metadata.encryptionKey, privateKey));
+}
+
+/**
+ * Re-wraps the caller's copy of a file key for another account, ready to pass
+ * to initiateTransferWithKey, grantAccessWithKey or setWrappedKey.
+ * @param {object} connection Result of connect()
+ * @param {string} fileId File identifier
+ * @param {string} recipient Recipient address
+ * @param {string} recipientPublicKey Recipient's public key
+ * @returns {Promise<string>} Wrapped key for the recipient
+ */
+async function prepareRecipientKey(connection, fileId, recipient, recipientPublicKey) {
+  const { privateKey } = requireKeyPair(connection.signer);
+  const publicKey = parsePublicKey(recipientPublicKey, recipient);
+  const metadata = await connection.fileRegistry.getFileMetadata(fileId);
+
+  if (metadata.encryptionKey === "0x") {
+    throw new CliError("No wrapped key for this account on the file; nothing to hand over");
+  }
+
+  return rewrapKey(metadata.encryptionKey, privateKey, publicKey);
+}
+
+/**
+ * Writes a file's content to storage backends and records each new location
+ * on-chain. Locations the file already lists are not recorded twice.
+ * @param {object} connection Result of connect()
+ * @param {string} fileId File identifier
+ * @param {Buffer} data Content as registered (encrypted bytes for encrypted files)
+ * @param {string[]} protocols Backends to write to, e.g. ["local", "ipfs"]
+ * @param {string} [encryptionType] Scheme the content is encrypted with ("" if plain)
+ * @returns {Promise<object[]>} [{ protocol, location, transactionHash }]
+ */
+async function publishContent(connection, fileId, data, protocols, encryptionType = "") {
+  const recorded = new Set(
+    (await connection.fileRegistry.getStorageLocations(fileId)).map((entry) => `${entry.protocol}:${entry.location}`)
+  );
+  const stored = await storeContent(data, protocols, connection.options);
+
+  const published = [];
+  for (const { protocol, location } of stored) {
+    let transactionHash = null;
+    if (!recorded.has(`${protocol}:${location}`)) {
+      const { receipt } = await sendTransaction(
+        connection.fileRegistry.addStorageLocation(fileId, protocol, location, Boolean(encryptionType), encryptionType)
+      );
+      transactionHash = receipt.transactionHash;
+    }
+    published.push({ protocol, location, transactionHash });
+  }
+
+  return published;
+}
+
+/**
+ * Fetches a file's content from whichever recorded location is reachable and
+ * matches `contentHash`.
+ * @param {object} connection Result of connect()
+ * @param {string} fileId File identifier
+ * @param {function(): Promise} [beforeFetch] Called once the locations have
+ *   been read on-chain, before any of them is fetched from
+ * @returns {Promise<object>} { data, location } where location is the StorageLocation used
+ */
+async function fetchStoredContent(connection, fileId, beforeFetch) {
+  const metadata = await connection.fileRegistry.getFileMetadata(fileId);
+  const locations = await connection.fileRegistry.getStorageLocations(fileId);
+
+  if (beforeFetch) {
+    await beforeFetch();
+  }
+  return fetchContent(locations, metadata.contentHash, connection.options);
+}
+
+/**
+ * Registers a local file as separately verifiable chunks and copies them to
+ * storage backends, one chunk in memory at a time. Progress is journalled in
+ * `<path>.bft-upload.json`; after an interruption, running again with
+ * `resume` re-derives the same chunks and continues where it stopped.
+ * @param {object} connection Result of connect()
+ * @param {string} filePath Local file
+ * @param {object} options { stores, name, contentType, isPublic, encrypt, chunkSize, resume }
+ * @returns {Promise<object>} { fileId, merkleRoot, chunkCount, chunkSize, stored, resumed }
+ */
+async function uploadChunkedFile(connection, filePath, options) {
+  const registry = connection.fileRegistry;
+  const journalPath = `${filePath}.bft-upload.json`;
+  let journal = loadJournal(journalPath);
+
+  if (journal && !options.resume) {
+    throw new CliError(`${journalPath} records an interrupted upload; pass --resume to continue it or delete it to start over`);
+  }
+  if (!journal && options.resume) {
+    throw new CliError(`No interrupted upload of ${filePath} to resume`);
+  }
+  if (!fs.existsSync(filePath) || !fs.statSync(filePath).isFile()) {
+    throw new CliError(`Not a file: ${filePath}`);
+  }
+
+  const fileSize = fs.statSync(filePath).size;
+  let metadata = null;
+  let fileKey = null;
+  let plan;
+
+  if (journal) {
+    metadata = await registry.getFileMetadata(journal.fileId);
+    if (journal.encrypted) {
+      fileKey = unwrapKey(metadata.encryptionKey, requireKeyPair(connection.signer).privateKey);
+    }
+    plan = { chunkSize: journal.chunkSize, chunkCount: Math.max(1, Math.ceil(fileSize / journal.chunkSize)) };
+  } else {
+    if (options.encrypt) {
+      requireKeyPair(connection.signer);
+      await checkEncryptionPolicy(connection.systemConfig);
+      fileKey = generateFileKey();
+    }
+    const { chunkSizeMin, chunkCountMax } = await registry.getStorageLimits();
+    const limits = { minChunkSize: chunkSizeMin.toNumber(), maxChunks: chunkCountMax.toNumber() };
+    plan = planChunks(fileSize, limits, options.chunkSize);
+  }
+
+  const { chunkSize, chunkCount } = plan;
+  const fd = fs.openSync(filePath, "r");
+  const stored = [];
+  let root;
+
+  try {
+    const hashes = [];
+    const sizes = [];
+    for (let sequence = 0; sequence < chunkCount; sequence++) {
+      const chunk = sealChunk(readChunk(fd, sequence, chunkSize, fileSize), fileKey, sequence);
+      hashes.push(hashContent(chunk));
+      sizes.push(chunk.length);
+    }
+    root = merkleRoot(hashes);
+
+    if (metadata) {
+      if (metadata.contentHash !== root) {
+        throw new CliError(`${filePath} changed since the upload started; its chunks no longer match the registered Merkle root`);
+      }
+    } else {
+      const { events } = await sendTransaction(
+        registry.registerChunkedFile(
+          options.name || path.basename(filePath),
+          root,
+          fileKey ? wrapKey(fileKey, connection.signer.publicKey) : "0x",
+          fileSize,
+          options.contentType || contentTypeFor(filePath),
+          Boolean(options.isPublic),
+          chunkCount
+        )
+      );
+      journal = { fileId: events.FileRegistered.fileId, chunkSize, encrypted: Boolean(fileKey), stored: {} };
+      saveJournal(journalPath, journal);
+    }
+
+    const { recordedChunks } = await registry.getChunkInfo(journal.fileId);
+    for (let start = recordedChunks.toNumber(); start < chunkCount; start += CHUNK_BATCH_SIZE) {
+      const end = Math.min(start + CHUNK_BATCH_SIZE, chunkCount);
+      await sendTransaction(registry.addFileChunks(journal.fileId, hashes.slice(start, end), sizes.slice(start, end)));
+    }
+
+    for (const protocol of options.stores) {
+      const adapter = createAdapter(protocol, connection.options);
+      const locations = journal.stored[protocol] || [];
+
+      for (let sequence = locations.length; sequence < chunkCount; sequence++) {
+        locations.push(await adapter.put(sealChunk(readChunk(fd, sequence, chunkSize, fileSize), fileKey, sequence)));
+        journal.stored[protocol] = locations;
+        saveJournal(journalPath, journal);
+      }
+
+      const manifest = buildManifest(journal.fileId, root, locations);
+      stored.push(...await publishContent(connection, journal.fileId, manifest, [protocol], fileKey ? ENCRYPTION_SCHEME : ""));
+    }
+  } finally {
+    fs.closeSync(fd);
+  }
+
+  fs.rmSync(journalPath);
+
+  return { fileId: journal.fileId, merkleRoot: root, chunkCount, chunkSize, stored, resumed: Boolean(metadata) };
+}
+
+/**
+ * Fetches one chunk from the first source that has it with the recorded hash.
+ * @param {object[]} sources [{ adapter, location, chunks }] from the manifests
+ * @param {number} sequence Chunk position
+ * @param {string} contentHash Hash recorded on-chain for the chunk
+ * @returns {Promise<Buffer>} Stored chunk
+ */
+async function fetchChunk(sources, sequence, contentHash) {
+  const failures = [];
+  for (const source of sources) {
+    const label = `${source.location.protocol}:${source.chunks[sequence]}`;
+    try {
+      const data = await source.adapter.get(source.chunks[sequence]);
+      if (hashContent(data) === contentHash.toLowerCase()) {
+        return data;
+      }
+      failures.push(`${label}: content hash mismatch`);
+    } catch (error) {
+      failures.push(`${label}: ${error.message}`);
+    }
+  }
+
+  throw new CliError(`Could not fetch chunk ${sequence} from any storage location:\n  ${failures.join("\n  ")}`);
+}
+
+/**
+ * Downloads a chunked file, verifying each chunk against its on-chain hash
+ * before decrypting and writing it. Chunks are written to `<outPath>.part`
+ * with progress in `<outPath>.part.json`, so an interrupted download resumes
+ * from the last written chunk; the finished file is moved to outPath.
+ * @param {object} connection Result of connect()
+ * @param {string} fileId File identifier
+ * @param {string} outPath Destination
+ * @param {function(): Promise} [beforeFetch] Called once the chunk hashes,
+ *   locations and wrapped key have been read on-chain, before the manifests
+ *   and chunks are fetched from storage
+ * @returns {Promise<object>} { metadata, fileSize, chunkCount, resumed }
+ */
+async function downloadChunkedFile(connection, fileId, outPath, beforeFetch) {
+  const registry = connection.fileRegistry;
+  const metadata = formatFile(await registry.getFileMetadata(fileId));
+  const info = await registry.getChunkInfo(fileId);
+  const chunkCount = info.chunkCount.toNumber();
+
+  if (chunkCount === 0) {
+    throw new CliError("File is not chunked");
+  }
+  if (info.recordedChunks.lt(chunkCount)) {
+    throw new CliError("The file's chunk upload has not finished");
+  }
+
+  const chunks = [];
+  while (chunks.length < chunkCount) {
+    chunks.push(...await registry.getFileChunks(fileId, chunks.length, CHUNK_PAGE_SIZE));
+  }
+
+  const locations = await registry.getStorageLocations(fileId);
+  if (beforeFetch) {
+    await beforeFetch();
+  }
+
+  const sources = [];
+  const failures = [];
+  for (const location of locations) {
+    try {
+      const adapter = createAdapter(location.protocol, connection.options);
+      const manifest = parseManifest(await adapter.get(location.location), metadata.contentHash);
+      sources.push({ adapter, location, chunks: manifest });
+    } catch (error) {
+      failures.push(`${location.protocol}:${location.location}: ${error.message}`);
+    }
+  }
+  if (sources.length === 0) {
+    throw new CliError(`No reachable chunk manifest for this file${failures.length ? ":\n  " + failures.join("\n  ") : ""}`);
+  }
+
+  const encrypted = sources[0].location.isEncrypted;
+  let fileKey = null;
+  if (encrypted) {
+    if (!metadata.encryptionKey) {
+      throw new CliError("No wrapped key for this account on the file");
+    }
+    fileKey = unwrapKey(metadata.encryptionKey, requireKeyPair(connection.signer).privateKey);
+  }
+
+  const partPath = `${outPath}.part`;
+  const journalPath = `${partPath}.json`;
+  let journal = loadJournal(journalPath);
+  const resumed = Boolean(journal && journal.fileId === fileId && journal.merkleRoot === metadata.contentHash &&
+    fs.existsSync(partPath));
+
+  if (!resumed) {
+    journal = { fileId, merkleRoot: metadata.contentHash, written: 0 };
+    fs.writeFileSync(partPath, Buffer.alloc(0));
+    saveJournal(journalPath, journal);
+  }
+
+  const fd = fs.openSync(partPath, "r+");
+  let offset = 0;
+  try {
+    for (let sequence = 0; sequence < chunkCount; sequence++) {
+      if (sequence < journal.written) {
+        offset += chunks[sequence].size.toNumber() - (encrypted ? ENCRYPTION_OVERHEAD : 0);
+        continue;
+      }
+
+      const data = await fetchChunk(sources, sequence, chunks[sequence].contentHash);
+      const plaintext = fileKey ? decryptContent(data, fileKey) : data;
+
+      fs.writeSync(fd, plaintext, 0, plaintext.length, offset);
+      offset += plaintext.length;
+      journal.written = sequence + 1;
+      saveJournal(journalPath, journal);
+    }
+  } finally {
+    fs.closeSync(fd);
+  }
+
+  fs.renameSync(partPath, outPath);
+  fs.rmSync(journalPath);
+
+  return { metadata, fileSize: offset, chunkCount, resumed };
+}
+
+/**
+ * Fetches the content of a previous version from the file's storage locations,
+ * verifies it against that version's contentHash and decrypts it if needed.
+ * Owners decrypt with the key recorded for the version; others with their
+ * current copy, which only works while the key has not changed since.
+ * @param {object} connection Result of connect()
+ * @param {string} fileId File identifier
+ * @param {number} version Version number (1 is the registered content)
+ * @returns {Promise<object>} { version, data, location }
+ */
+async function downloadFileVersion(connection, fileId, version) {
+  const registry = connection.fileRegistry;
+  const entry = await registry.getFileVersion(fileId, version);
+  const locations = await registry.getStorageLocations(fileId);
+  const { data, location } = await fetchContent(locations, entry.contentHash, connection.options);
+
+  if (!location.isEncrypted) {
+    return { version: entry, data, location };
+  }
+
+  const wrappedKey = entry.encryptionKey !== "0x"
+    ? entry.encryptionKey
+    : (await registry.getFileMetadata(fileId)).encryptionKey;
+  if (wrappedKey === "0x") {
+    throw new CliError("No wrapped key for this account on the file");
+  }
+
+  const fileKey = unwrapKey(wrappedKey, requireKeyPair(connection.signer).privateKey);
+  return { version: entry, data: decryptContent(data, fileKey), location };
+}
+
+module.exports = {
+  requireKeyPair,
+  uploadEncryptedFile,
+  encryptFileUpdate,
+  verifyContent,
+  downloadEncryptedFile,
+  decryptFileContent,
+  prepareRecipientKey,
+  publishContent,
+  fetchStoredContent,
+  uploadChunkedFile,
+  downloadChunkedFile,
+  downloadFileVersion
+};
@@ -0,0 +1,141 @@
+const { ethers } = require("ethers");
+const { CliError } = require("./errors");
+const { formatTimestamp } = require("./format");
+
+/**
+ * Finds a system contract by its deployment name, ignoring case.
+ * @param {object} contracts Result of systemContracts()
+ * @param {string} name Deployment name, e.g. TransferContract
+ * @returns {object} { name, contract }
+ */
+function resolveProposalTarget(contracts, name) {
+  const match = Object.keys(contracts).find((key) => key.toLowerCase() === String(name).toLowerCase());
+  if (!match) {
+    throw new CliError(`Unknown contract: ${name} (expected one of ${Object.keys(contracts).join(", ")})`);
+  }
+  return { name: match, contract: contracts[match] };
+}
+
+// Command-line arguments are strings; arrays and tuples come as JSON
+function parseCallArgument(param, value) {
+  if (param.baseType === "array" || param.baseType === "tuple") {
+    try {
+      return JSON.parse(value);
+    } catch (error) {
+      throw new CliError(`Invalid ${param.name || param.type}: expected JSON, got ${value}`);
+    }
+  }
+  if (param.type === "bool") {
+    if (!/^(true|false)$/i.test(value)) {
+      throw new CliError(`Invalid ${param.name || "bool"}: expected true or false, got ${value}`);
+    }
+    return value.toLowerCase() === "true";
+  }
+  return value;
+}
+
+/**
+ * Encodes a call for a proposal from command-line arguments.
+ * @param {ethers.utils.Interface} iface Target contract's interface
+ * @param {string} functionName Function name, or its signature when overloaded
+ * @param {string[]} args Arguments, in order
+ * @returns {string} Calldata
+ */
+function encodeProposalCall(iface, functionName, args) {
+  let fragment;
+  try {
+    fragment = iface.getFunction(functionName);
+  } catch (error) {
+    throw new CliError(`Unknown or overloaded function: ${functionName}`);
+  }
+  if (fragment.constant) {
+    throw new CliError(`${fragment.name} is a view and changes nothing`);
+  }
+  if (args.length !== fragment.inputs.length) {
+    const params = fragment.inputs.map((input) => `${input.type} ${input.name}`.trim()).join(", ");
+    throw new CliError(`${fragment.name} takes ${fragment.inputs.length} argument(s): ${params || "none"}`);
+  }
+
+  const values = fragment.inputs.map((param, i) => parseCallArgument(param, args[i]));
+  try {
+    return iface.encodeFunctionData(fragment, values);
+  } catch (error) {
+    throw new CliError(`Invalid arguments for ${fragment.name}: ${error.reason || error.message}`);
+  }
+}
+
+function formatCallValue(value, type) {
+  if (Array.isArray(value)) {
+    return `[${value.map((item) => formatCallValue(item)).join(", ")}]`;
+  }
+  if (ethers.BigNumber.isBigNumber(value)) {
+    return value.toString();
+  }
+  return type === "string" ? JSON.stringify(value) : String(value);
+}
+
+/**
+ * Renders a proposal's call as Contract.function(args), or as the target and
+ * selector when the target is not a system contract or the data does not
+ * decode.
+ * @param {object} contracts Result of systemContracts()
+ * @param {string} target Called address
+ * @param {string} data Calldata
+ * @returns {string} Rendered call
+ */
+function describeProposalCall(contracts, target, data) {
+  for (const [name, contract] of Object.entries(contracts)) {
+    if (contract.address.toLowerCase() !== target.toLowerCase()) {
+      continue;
+    }
+    try {
+      const call = contract.interface.parseTransaction({ data });
+      const args = call.functionFragment.inputs.map((input, i) => formatCallValue(call.args[i], input.type));
+      return `${name}.${call.name}(${args.join(", ")})`;
+    } catch (error) {
+      break;
+    }
+  }
+  return `${target} ${ethers.utils.hexDataSlice(data, 0, 4)}`;
+}
+
+/**
+ * Converts a Proposal returned by AdminProposals into a plain object.
+ * @param {object} proposal Decoded struct
+ * @param {object} state { approvals, threshold, now, call }: approvals by
+ *   current admins, AccessControlContract's minAdminThreshold, the latest
+ *   block's time and the rendered call
+ * @returns {object} Plain proposal; status is executed, expired, ready or pending
+ */
+function formatProposal(proposal, { approvals, threshold, now, call }) {
+  const expiresAt = proposal.expiresAt.toNumber();
+  let status = "pending";
+  if (proposal.executed) {
+    status = "executed";
+  } else if (now >= expiresAt) {
+    status = "expired";
+  } else if (approvals >= threshold) {
+    status = "ready";
+  }
+
+  return {
+    proposalId: proposal.proposalId.toNumber(),
+    status,
+    call,
+    description: proposal.description || null,
+    proposer: proposal.proposer,
+    target: proposal.target,
+    approvals,
+    threshold,
+    createdAt: formatTimestamp(proposal.createdAt),
+    expiresAt: formatTimestamp(expiresAt),
+    executedAt: formatTimestamp(proposal.executedAt)
+  };
+}
+
+module.exports = {
+  resolveProposalTarget,
+  encodeProposalCall,
+  describeProposalCall,
+  formatProposal
+};
@@ -0,0 +1,124 @@
+const fs = require("fs");
+const { ethers } = require("ethers");
+const { CliError } = require("./errors");
+const { parseAddress, parseBytes32 } = require("./format");
+
+const RECEIPT_VERSION = 1;
+
+/**
+ * Computes the proof of delivery a receipt signs, as
+ * SecurityUtils.generateProofOfDelivery does on-chain.
+ * @param {object} receipt { transferId, fileId, recipient, contentHash, receivedAt }
+ * @returns {string} Proof of delivery hash
+ */
+function proofOfDelivery(receipt) {
+  return ethers.utils.solidityKeccak256(
+    ["bytes32", "bytes32", "address", "bytes32", "uint256"],
+    [receipt.transferId, receipt.fileId, receipt.recipient, receipt.contentHash, receipt.receivedAt]
+  );
+}
+
+/**
+ * Builds a delivery receipt for a transfer and signs it as the recipient.
+ * @param {ethers.Signer} signer The transfer's recipient
+ * @param {object} fields { transferId, fileId, contentHash, receivedAt }
+ * @returns {Promise<object>} Signed receipt
+ */
+async function signReceipt(signer, { transferId, fileId, contentHash, receivedAt }) {
+  const receipt = {
+    version: RECEIPT_VERSION,
+    transferId,
+    fileId,
+    recipient: await signer.getAddress(),
+    contentHash,
+    receivedAt: receivedAt === undefined ? Math.floor(Date.now() / 1000) : Number(receivedAt)
+  };
+
+  receipt.proofOfDelivery = proofOfDelivery(receipt);
+  receipt.signature = await signer.signMessage(ethers.utils.arrayify(receipt.proofOfDelivery));
+  return receipt;
+}
+
+/**
+ * Checks a receipt without a node: the proof must match the receipt fields
+ * and the signature must recover to the recipient.
+ * @param {object} receipt Signed receipt
+ * @returns {object} { valid, signer, reason }
+ */
+function verifyReceipt(receipt) {
+  const fields = {
+    transferId: parseBytes32(receipt.transferId, "transfer id"),
+    fileId: parseBytes32(receipt.fileId, "file id"),
+    recipient: parseAddress(receipt.recipient, "recipient"),
+    contentHash: parseBytes32(receipt.contentHash, "content hash"),
+    receivedAt: Number(receipt.receivedAt)
+  };
+
+  const proof = proofOfDelivery(fields);
+  if (receipt.proofOfDelivery && receipt.proofOfDelivery.toLowerCase() !== proof) {
+    return { valid: false, signer: null, reason: "proof of delivery does not match the receipt" };
+  }
+
+  let signer;
+  try {
+    signer = ethers.utils.verifyMessage(ethers.utils.arrayify(proof), receipt.signature);
+  } catch (error) {
+    return { valid: false, signer: null, reason: "malformed signature" };
+  }
+
+  if (signer !== fields.recipient) {
+    return { valid: false, signer, reason: "not signed by the recipient" };
+  }
+  return { valid: true, signer, reason: null };
+}
+
+/**
+ * Converts a DeliveryReceipt returned by TransferContract into a receipt
+ * as signReceipt produces it.
+ * @param {object} view Decoded struct
+ * @returns {object} Receipt
+ */
+function fromDeliveryReceipt(view) {
+  const receipt = {
+    version: RECEIPT_VERSION,
+    transferId: view.transferId,
+    fileId: view.fileId,
+    recipient: view.recipient,
+    contentHash: view.contentHash,
+    receivedAt: view.receivedAt.toNumber()
+  };
+
+  receipt.proofOfDelivery = proofOfDelivery(receipt);
+  receipt.signature = view.signature;
+  return receipt;
+}
+
+/**
+ * Reads a receipt JSON file.
+ * @param {string} receiptPath Receipt file
+ * @returns {object} Receipt
+ */
+function loadReceipt(receiptPath) {
+  if (!fs.existsSync(receiptPath) || !fs.statSync(receiptPath).isFile()) {
+    throw new CliError(`Not a file: ${receiptPath}`);
+  }
+
+  let receipt;
+  try {
+    receipt = JSON.parse(fs.readFileSync(receiptPath, "utf8"));
+  } catch (error) {
+    throw new CliError(`Not a receipt: ${receiptPath}`);
+  }
+  if (receipt.version !== RECEIPT_VERSION || !receipt.signature) {
+    throw new CliError(`Unsupported receipt: ${receiptPath}`);
+  }
+  return receipt;
+}
+
+module.exports = {
+  proofOfDelivery,
+  signReceipt,
+  verifyReceipt,
+  fromDeliveryReceipt,
+  loadReceipt
+};
@@ -0,0 +1,102 @@
+const { resolveIpfsApi, resolveStoreDir } = require("../config");
+const { CliError } = require("../errors");
+const { hashContent } = require("../files");
+const { createIpfsAdapter, rawCid } = require("./ipfs");
+const { createLocalAdapter } = require("./local");
+const { createIpfsStandIn } = require("./standin");
+
+// Adapter factories keyed by the protocol recorded in StorageLocation
+const ADAPTERS = {
+  local: (options) => createLocalAdapter(resolveStoreDir(options)),
+  ipfs: (options) => createIpfsAdapter(resolveIpfsApi(options))
+};
+
+const STORAGE_PROTOCOLS = Object.keys(ADAPTERS);
+
+/**
+ * Creates the adapter for a storage protocol.
+ * @param {string} protocol Protocol name, e.g. "ipfs"
+ * @param {object} options Parsed global options (store dir, IPFS API, ...)
+ * @returns {object} Adapter { protocol, put, get }
+ */
+function createAdapter(protocol, options = {}) {
+  const factory = ADAPTERS[protocol];
+  if (!factory) {
+    throw new CliError(`Unsupported storage protocol "${protocol}"; expected one of ${STORAGE_PROTOCOLS.join(", ")}`);
+  }
+  return factory(options);
+}
+
+/**
+ * Parses a comma-separated list of storage protocols.
+ * @param {string} value e.g. "local,ipfs"
+ * @returns {string[]} Protocol names
+ */
+function parseStores(value) {
+  const protocols = [...new Set(String(value).split(",").map((name) => name.trim().toLowerCase()).filter(Boolean))];
+  if (protocols.length === 0) {
+    throw new CliError("Name at least one storage backend");
+  }
+  protocols.forEach((protocol) => createAdapter(protocol));
+  return protocols;
+}
+
+/**
+ * Writes content to each named backend.
+ * @param {Buffer} data Content to store
+ * @param {string[]} protocols Backends to write to
+ * @param {object} options Parsed global options
+ * @returns {Promise<object[]>} [{ protocol, location }]
+ */
+async function storeContent(data, protocols, options = {}) {
+  const stored = [];
+  for (const protocol of protocols) {
+    stored.push({ protocol, location: await createAdapter(protocol, options).put(data) });
+  }
+  return stored;
+}
+
+/**
+ * Fetches content from the first reachable location whose bytes match
+ * `contentHash`. Locations with unknown protocols, unreachable backends or
+ * mismatching content are skipped.
+ * @param {object[]} locations StorageLocation records ({ protocol, location, ... })
+ * @param {string} contentHash Expected SHA-256 of the content
+ * @param {object} options Parsed global options
+ * @returns {Promise<object>} { data, location } where location is the record used
+ */
+async function fetchContent(locations, contentHash, options = {}) {
+  if (locations.length === 0) {
+    throw new CliError("No storage locations recorded for this file");
+  }
+
+  const failures = [];
+  for (const location of locations) {
+    const label = `${location.protocol}:${location.location}`;
+    try {
+      const data = await createAdapter(location.protocol, options).get(location.location);
+      const actual = hashContent(data);
+
+      if (actual === contentHash.toLowerCase()) {
+        return { data, location };
+      }
+      failures.push(`${label}: content hash mismatch (got ${actual})`);
+    } catch (error) {
+      failures.push(`${label}: ${error.message}`);
+    }
+  }
+
+  throw new CliError(`Could not fetch the file from any storage location:\n  ${failures.join("\n  ")}`);
+}
+
+module.exports = {
+  STORAGE_PROTOCOLS,
+  createAdapter,
+  parseStores,
+  storeContent,
+  fetchContent,
+  createLocalAdapter,
+  createIpfsAdapter,
+  createIpfsStandIn,
+  rawCid
+};
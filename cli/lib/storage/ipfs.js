@@ -0,0 +1,96 @@
+const crypto = require("crypto");
+const { CliError } = require("../errors");
+
+const REQUEST_TIMEOUT_MS = 30000;
+
+// CIDv1 prefix for a raw-leaf block hashed with sha2-256:
+// version 1, codec raw (0x55), multihash sha2-256 (0x12) of 32 bytes (0x20)
+const RAW_CID_PREFIX = Buffer.from([0x01, 0x55, 0x12, 0x20]);
+const BASE32_ALPHABET = "abcdefghijklmnopqrstuvwxyz234567";
+
+function base32(bytes) {
+  let bits = 0;
+  let value = 0;
+  let output = "";
+
+  for (const byte of bytes) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+}
+
+/**
+ * Computes the CIDv1 (raw codec, sha2-256, base32) of a single block. This is
+ * what `ipfs add --cid-version=1 --raw-leaves` yields for content that fits
+ * in one chunk (256 KiB by default).
+ * @param {Buffer} data Block content
+ * @returns {string} CID string, e.g. "bafkrei..."
+ */
+function rawCid(data) {
+  const digest = crypto.createHash("sha256").update(data).digest();
+  return "b" + base32(Buffer.concat([RAW_CID_PREFIX, digest]));
+}
+
+/**
+ * Creates an adapter for the IPFS HTTP RPC API (/api/v0), as served by a
+ * Kubo node or the local stand-in from `bft storage serve-ipfs`.
+ * @param {string} apiUrl API base URL, e.g. http://127.0.0.1:5001
+ * @returns {object} Adapter { protocol, put, get }
+ */
+function createIpfsAdapter(apiUrl) {
+  const base = apiUrl.replace(/\/+$/, "");
+
+  async function call(endpoint, query, body) {
+    let response;
+    try {
+      response = await fetch(`${base}/api/v0/${endpoint}?${new URLSearchParams(query)}`, {
+        method: "POST",
+        body,
+        signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+      });
+    } catch (error) {
+      throw new CliError(`IPFS API unreachable at ${base}: ${error.message}`);
+    }
+
+    if (!response.ok) {
+      const text = await response.text();
+      let message = text;
+      try {
+        message = JSON.parse(text).Message || text;
+      } catch (error) {
+        // Not JSON; report the raw body
+      }
+      throw new CliError(`IPFS ${endpoint} failed (${response.status}): ${message}`);
+    }
+
+    return response;
+  }
+
+  return {
+    protocol: "ipfs",
+
+    async put(data) {
+      const form = new FormData();
+      form.append("file", new Blob([data]), "content");
+
+      const response = await call("add", { "cid-version": 1, "raw-leaves": true, pin: true }, form);
+      return (await response.json()).Hash;
+    },
+
+    async get(location) {
+      const response = await call("cat", { arg: location });
+      return Buffer.from(await response.arrayBuffer());
+    }
+  };
+}
+
+module.exports = { rawCid, createIpfsAdapter };
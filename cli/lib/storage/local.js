@@ -0,0 +1,42 @@
+const fs = require("fs");
+const path = require("path");
+const { CliError } = require("../errors");
+const { hashContent } = require("../files");
+
+const LOCATION_PATTERN = /^[0-9a-f]{64}$/;
+
+/**
+ * Creates a content-addressed store in a local directory. Content is kept
+ * under its SHA-256, which is also the location recorded on-chain.
+ * @param {string} root Store directory (created on first write)
+ * @returns {object} Adapter { protocol, put, get }
+ */
+function createLocalAdapter(root) {
+  function pathFor(location) {
+    if (!LOCATION_PATTERN.test(location)) {
+      throw new CliError(`Invalid local storage location: ${location}`);
+    }
+    return path.join(root, location);
+  }
+
+  return {
+    protocol: "local",
+
+    async put(data) {
+      const location = hashContent(data).slice(2);
+      fs.mkdirSync(root, { recursive: true });
+      fs.writeFileSync(pathFor(location), data);
+      return location;
+    },
+
+    async get(location) {
+      const filePath = pathFor(location);
+      if (!fs.existsSync(filePath)) {
+        throw new CliError(`Not in local store ${root}`);
+      }
+      return fs.readFileSync(filePath);
+    }
+  };
+}
+
+module.exports = { createLocalAdapter };
@@ -0,0 +1,94 @@
+const fs = require("fs");
+const http = require("http");
+const path = require("path");
+const { rawCid } = require("./ipfs");
+
+const CID_PATTERN = /^b[a-z2-7]{58}$/;
+
+function sendJson(response, status, body) {
+  response.writeHead(status, { "Content-Type": "application/json" });
+  response.end(JSON.stringify(body));
+}
+
+function sendError(response, status, message) {
+  sendJson(response, status, { Message: message, Code: 0, Type: "error" });
+}
+
+function readBody(request) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    request.on("data", (chunk) => chunks.push(chunk));
+    request.on("end", () => resolve(Buffer.concat(chunks)));
+    request.on("error", reject);
+  });
+}
+
+/**
+ * Extracts the first part of a multipart/form-data body.
+ * @param {Buffer} body Request body
+ * @param {string} contentType Content-Type header
+ * @returns {Buffer|null} Part content, or null if the body is malformed
+ */
+function firstPart(body, contentType) {
+  const match = /boundary=(?:"([^"]+)"|([^;]+))/.exec(contentType || "");
+  if (!match) {
+    return null;
+  }
+
+  const delimiter = Buffer.from(`--${match[1] || match[2]}`);
+  const start = body.indexOf(delimiter);
+  const headersEnd = start < 0 ? -1 : body.indexOf("\r\n\r\n", start);
+  const end = headersEnd < 0 ? -1 : body.indexOf(Buffer.concat([Buffer.from("\r\n"), delimiter]), headersEnd);
+
+  return end < 0 ? null : body.subarray(headersEnd + 4, end);
+}
+
+/**
+ * Creates a minimal stand-in for the IPFS HTTP RPC API, backed by a local
+ * directory. It serves `add`, `cat` and `version` and stores every upload as
+ * a single raw block, so its CIDs match a Kubo node's for content that fits in
+ * one chunk. Meant for development and tests, not as a network node.
+ * @param {string} root Directory to keep blocks in
+ * @returns {http.Server} Server, not yet listening
+ */
+function createIpfsStandIn(root) {
+  fs.mkdirSync(root, { recursive: true });
+
+  return http.createServer(async (request, response) => {
+    const url = new URL(request.url, "http://localhost");
+
+    if (request.method !== "POST") {
+      sendError(response, 405, "use POST");
+      return;
+    }
+
+    if (url.pathname === "/api/v0/version") {
+      sendJson(response, 200, { Version: "bft-standin" });
+    } else if (url.pathname === "/api/v0/add") {
+      const data = firstPart(await readBody(request), request.headers["content-type"]);
+      if (!data) {
+        sendError(response, 400, "expected a multipart file upload");
+        return;
+      }
+
+      const cid = rawCid(data);
+      fs.writeFileSync(path.join(root, cid), data);
+      sendJson(response, 200, { Name: "content", Hash: cid, Size: String(data.length) });
+    } else if (url.pathname === "/api/v0/cat") {
+      const cid = url.searchParams.get("arg") || "";
+      const blockPath = path.join(root, cid);
+
+      if (!CID_PATTERN.test(cid) || !fs.existsSync(blockPath)) {
+        sendError(response, 500, `block not found: ${cid}`);
+        return;
+      }
+
+      response.writeHead(200, { "Content-Type": "application/octet-stream" });
+      response.end(fs.readFileSync(blockPath));
+    } else {
+      sendError(response, 404, `unsupported endpoint ${url.pathname}`);
+    }
+  });
+}
+
+module.exports = { createIpfsStandIn };
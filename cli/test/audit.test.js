@@ -0,0 +1,41 @@
+const { expect } = require("chai");
+const { ethers } = require("ethers");
+const { decodeAuditRecord, renderAuditRecord } = require("../lib/audit");
+
+describe("audit", function () {
+  const sender = ethers.Wallet.createRandom().address;
+  const transferId = ethers.utils.id("transfer");
+
+  function record(action, payloadHash = ethers.constants.HashZero) {
+    return {
+      recordId: ethers.utils.id("record"),
+      fileId: ethers.utils.id("file"),
+      actor: ethers.Wallet.createRandom().address,
+      action,
+      counterparty: sender,
+      transferId,
+      payloadHash,
+      timestamp: ethers.BigNumber.from(1700000000),
+      previousRecordHash: ethers.constants.HashZero
+    };
+  }
+
+  it("Should describe records and show payloads matching a known text", function () {
+    const rejected = decodeAuditRecord(record(3, ethers.utils.id("Wrong file")), ["Other", "Wrong file"]);
+
+    expect(rejected).to.include({
+      action: "TRANSFER_REJECTED",
+      description: `Transfer from ${sender} rejected`,
+      transferId,
+      detail: "Wrong file",
+      previousRecordHash: null
+    });
+    expect(renderAuditRecord(rejected)).to.equal(
+      `2023-11-14T22:13:20.000Z  Transfer from ${sender} rejected: "Wrong file" (transfer ${transferId})`
+    );
+
+    const accepted = decodeAuditRecord(record(2), ["Wrong file"]);
+    expect(accepted).to.include({ payloadHash: null, detail: null });
+    expect(decodeAuditRecord(record(42)).action).to.equal("UNKNOWN_42");
+  });
+});
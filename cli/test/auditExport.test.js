@@ -0,0 +1,101 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const { ethers } = require("ethers");
+const {
+  loadAuditBundle,
+  parseExportFormat,
+  recoverExportRequester,
+  renderAuditEntries,
+  signAuditBundle,
+  signExportRequest,
+  verifyAuditBundle
+} = require("../lib/auditExport");
+
+describe("auditExport", function () {
+  const exporter = ethers.Wallet.createRandom();
+  const entries = [{
+    time: "2023-11-14T22:13:20.000Z",
+    timestamp: 1700000000,
+    source: "transfer",
+    event: "TransferRejected",
+    actor: exporter.address,
+    counterparty: null,
+    transferId: ethers.utils.id("transfer"),
+    detail: "Wrong file, \"v2\" expected",
+    recordId: null,
+    sequence: null,
+    blockNumber: 12,
+    transactionHash: ethers.utils.id("tx")
+  }];
+  const fields = {
+    fileId: ethers.utils.id("file"),
+    from: 1690000000,
+    to: null,
+    format: "csv",
+    file: "audit.csv",
+    entries: 1,
+    chainId: 31337,
+    contracts: { AuditContract: ethers.constants.AddressZero }
+  };
+
+  let tmpDir;
+
+  beforeEach(function () {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "bft-export-"));
+  });
+
+  afterEach(function () {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it("Should render entries as JSON or quoted CSV", function () {
+    const csv = renderAuditEntries(entries, "csv").split("\r\n");
+    expect(csv[0]).to.equal("time,timestamp,source,event,actor,counterparty,transferId,detail,recordId,sequence,blockNumber,transactionHash");
+    expect(csv[1]).to.include(",,").and.include("\"Wrong file, \"\"v2\"\" expected\"");
+    expect(JSON.parse(renderAuditEntries(entries, "json"))).to.deep.equal(entries);
+    expect(parseExportFormat("CSV")).to.equal("csv");
+    expect(() => parseExportFormat("xml")).to.throw("Invalid format: xml");
+  });
+
+  it("Should sign bundles and reject edited content or manifests", async function () {
+    const content = renderAuditEntries(entries, "csv");
+    const manifest = await signAuditBundle(exporter, fields, content);
+
+    expect(manifest.exporter).to.equal(exporter.address);
+    expect(verifyAuditBundle(manifest, content)).to.deep.equal({ valid: true, signer: exporter.address, reason: null });
+    expect(verifyAuditBundle(manifest, content.replace("Wrong", "Right")).reason).to.equal("content does not match the manifest");
+    expect(verifyAuditBundle({ ...manifest, to: 1700000000 }, content).reason).to.equal("not signed by the exporter");
+  });
+
+  it("Should sign export requests for one deployment", async function () {
+    const deployment = { chainId: 31337, auditContract: ethers.Wallet.createRandom().address };
+    const query = { fileId: fields.fileId, from: "30d", format: "csv", expires: "1700000600" };
+    const signed = await signExportRequest(exporter, query, deployment);
+
+    expect(signed).to.include(query);
+    expect(recoverExportRequester(signed, deployment)).to.equal(exporter.address);
+    // Parameters come back from a URL as strings, and absent ones as undefined
+    expect(recoverExportRequester({ ...signed, to: undefined }, deployment)).to.equal(exporter.address);
+    expect(recoverExportRequester({ ...signed, from: "60d" }, deployment)).to.not.equal(exporter.address);
+    expect(recoverExportRequester(signed, { ...deployment, chainId: 1 })).to.not.equal(exporter.address);
+    expect(() => recoverExportRequester({ ...signed, signature: "0x1234" }, deployment)).to.throw("Malformed request signature");
+  });
+
+  it("Should load a manifest with its content file, or a bundle holding both", async function () {
+    const content = renderAuditEntries(entries, "csv");
+    const manifest = await signAuditBundle(exporter, fields, content);
+
+    fs.writeFileSync(path.join(tmpDir, "audit.csv"), content);
+    fs.writeFileSync(path.join(tmpDir, "audit.csv.manifest.json"), JSON.stringify(manifest));
+    const loaded = loadAuditBundle(path.join(tmpDir, "audit.csv.manifest.json"));
+    expect(verifyAuditBundle(loaded.manifest, loaded.content).valid).to.equal(true);
+
+    fs.writeFileSync(path.join(tmpDir, "bundle.json"), JSON.stringify({ manifest, content }));
+    expect(loadAuditBundle(path.join(tmpDir, "bundle.json")).content).to.equal(content);
+
+    fs.unlinkSync(path.join(tmpDir, "audit.csv"));
+    expect(() => loadAuditBundle(path.join(tmpDir, "audit.csv.manifest.json"))).to.throw("Bundle content not found");
+  });
+});
@@ -0,0 +1,110 @@
+const { expect } = require("chai");
+const { ethers } = require("ethers");
+const {
+  checkpointRoot,
+  hashAuditRecord,
+  inclusionProof,
+  leafHash,
+  verifyAuditLog,
+  verifyInclusionProof
+} = require("../lib/auditLog");
+
+describe("auditLog", function () {
+  const actor = ethers.Wallet.createRandom().address;
+  const files = [ethers.utils.id("file-a"), ethers.utils.id("file-b")];
+
+  /**
+   * A log of `count` records alternating between two files, chained as
+   * AuditContract chains them, with one checkpoint over the first `covered`.
+   */
+  function createLog(count, covered) {
+    const records = [];
+    const lastOfFile = {};
+
+    for (let sequence = 0; sequence < count; sequence++) {
+      const fileId = files[sequence % 2];
+      const record = {
+        sequence,
+        fileId,
+        actor,
+        action: 1,
+        counterparty: ethers.constants.AddressZero,
+        transferId: ethers.utils.id(`transfer-${sequence}`),
+        payloadHash: ethers.constants.HashZero,
+        timestamp: 1700000000 + sequence,
+        previousRecordHash: lastOfFile[fileId] || ethers.constants.HashZero,
+        previousGlobalHash: sequence === 0 ? ethers.constants.HashZero : records[sequence - 1].recordId
+      };
+      record.recordId = hashAuditRecord(record);
+      lastOfFile[fileId] = record.recordId;
+      records.push(record);
+    }
+
+    const recordIds = records.slice(0, covered).map((record) => record.recordId);
+    const checkpoints = [{
+      fromSequence: 0,
+      toSequence: covered,
+      merkleRoot: checkpointRoot(recordIds),
+      lastRecordId: recordIds[covered - 1],
+      timestamp: 1700000100
+    }];
+    return { version: 2, records, checkpoints };
+  }
+
+  it("Should prove every leaf of an unbalanced tree", function () {
+    const leaves = [1, 2, 3, 4, 5].map((i) => ethers.utils.id(`leaf-${i}`));
+    const root = checkpointRoot(leaves);
+
+    leaves.forEach((leaf, index) => {
+      expect(verifyInclusionProof(leaf, inclusionProof(leaves, index), root)).to.equal(true);
+    });
+    expect(inclusionProof(leaves, 4)).to.have.lengthOf(1);
+    expect(verifyInclusionProof(leaves[0], inclusionProof(leaves, 1), root)).to.equal(false);
+    expect(checkpointRoot([leaves[0]])).to.equal(leafHash(leaves[0]));
+
+    // An inner node is not a leaf, so it cannot stand in for the records under it
+    const proof = inclusionProof(leaves, 0);
+    const innerNode = ethers.utils.solidityKeccak256(
+      ["bytes32", "bytes32"],
+      [leafHash(leaves[0]), proof[0]].sort((a, b) => (a.toLowerCase() < b.toLowerCase() ? -1 : 1))
+    );
+    expect(verifyInclusionProof(innerNode, proof.slice(1), root)).to.equal(false);
+  });
+
+  it("Should accept an intact log and report what is not checkpointed", function () {
+    expect(verifyAuditLog(createLog(5, 3))).to.deep.equal({
+      valid: true, records: 5, checkpoints: 1, uncheckpointed: 2, brokenAt: null, reason: null
+    });
+  });
+
+  it("Should pinpoint the first broken link", function () {
+    const edited = createLog(5, 5);
+    edited.records[2].actor = ethers.Wallet.createRandom().address;
+    expect(verifyAuditLog(edited)).to.include({
+      valid: false, brokenAt: 2, reason: "contents do not match the record ID"
+    });
+
+    // Re-hashing the edited record breaks the link from the next one
+    const rehashed = createLog(5, 5);
+    rehashed.records[2].timestamp += 1;
+    rehashed.records[2].recordId = hashAuditRecord(rehashed.records[2]);
+    expect(verifyAuditLog(rehashed)).to.include({ brokenAt: 3, reason: "does not link to the previous record" });
+
+    const dropped = createLog(5, 5);
+    dropped.records.splice(1, 1);
+    expect(verifyAuditLog(dropped)).to.include({ brokenAt: 1, reason: "expected record 1, found 2" });
+
+    // A consistently rewritten history still fails against the checkpoint
+    const checkpointed = createLog(4, 4);
+    const rewritten = createLog(4, 4);
+    rewritten.records.forEach((record) => {
+      record.timestamp += 60;
+      record.previousGlobalHash = record.sequence === 0 ? ethers.constants.HashZero : rewritten.records[record.sequence - 1].recordId;
+      record.previousRecordHash = record.sequence < 2 ? ethers.constants.HashZero : rewritten.records[record.sequence - 2].recordId;
+      record.recordId = hashAuditRecord(record);
+    });
+    rewritten.checkpoints = checkpointed.checkpoints;
+    rewritten.checkpoints[0].lastRecordId = rewritten.records[3].recordId;
+    expect(verifyAuditLog(rewritten)).to.include({ brokenAt: 0, reason: "records 0-3 do not match checkpoint 0" });
+  });
+});
@@ -0,0 +1,75 @@
+const { expect } = require("chai");
+const { ethers } = require("ethers");
+const { sendBatchTransfers } = require("../lib/batches");
+const { generateFileKey, unwrapKey, wrapKey } = require("../lib/encryption");
+
+/**
+ * Minimal TransferContract that records the batches it is sent and, like the
+ * contract, refuses batches larger than MAX_BATCH_RECIPIENTS.
+ */
+function fakeTransferContract(maxRecipients) {
+  const sent = [];
+  const send = (fileId, recipients, keys) => {
+    if (recipients.length > maxRecipients) {
+      throw new Error("Invalid recipient count");
+    }
+    const batchId = ethers.utils.id(`batch-${sent.length}`);
+    sent.push({ fileId, recipients, keys, batchId });
+    return {
+      wait: async () => ({
+        transactionHash: ethers.utils.id(`tx-${sent.length}`),
+        events: [{ event: "BatchTransferInitiated", args: { batchId } }]
+      })
+    };
+  };
+
+  return {
+    sent,
+    MAX_BATCH_RECIPIENTS: async () => ethers.BigNumber.from(maxRecipients),
+    async initiateBatchTransfer(fileId, recipients) {
+      return send(fileId, recipients, null);
+    },
+    async initiateBatchTransferWithKeys(fileId, recipients, message, deadline, level, keys) {
+      return send(fileId, recipients, keys);
+    }
+  };
+}
+
+describe("batches", function () {
+  const fileId = ethers.utils.id("deliverable");
+  const terms = { message: "Q3 report", deadline: 0, level: 1 };
+
+  it("Should split a recipient list into batches of the contract's size", async function () {
+    const recipients = Array.from({ length: 40 }, () => ({ address: ethers.Wallet.createRandom().address }));
+    const transferContract = fakeTransferContract(16);
+
+    const batches = await sendBatchTransfers({ transferContract }, fileId, recipients, terms);
+
+    expect(batches.map((batch) => batch.recipients)).to.deep.equal([16, 16, 8]);
+    expect(batches.map((batch) => batch.batchId)).to.deep.equal(transferContract.sent.map((batch) => batch.batchId));
+    expect(new Set(batches.map((batch) => batch.transactionHash)).size).to.equal(3);
+    expect(transferContract.sent.flatMap((batch) => batch.recipients))
+      .to.deep.equal(recipients.map((entry) => entry.address));
+    expect(transferContract.sent.every((batch) => batch.keys === null)).to.be.true;
+  });
+
+  it("Should hand over keys only in the batches that list them", async function () {
+    const signer = ethers.Wallet.createRandom();
+    const fileKey = generateFileKey();
+    const fileRegistry = {
+      getFileMetadata: async () => ({ encryptionKey: wrapKey(fileKey, signer.publicKey) })
+    };
+    const withKey = ethers.Wallet.createRandom();
+    const recipients = Array.from({ length: 20 }, () => ({ address: ethers.Wallet.createRandom().address }));
+    recipients[18] = { address: withKey.address, publicKey: withKey.publicKey };
+    const transferContract = fakeTransferContract(16);
+
+    await sendBatchTransfers({ signer, fileRegistry, transferContract }, fileId, recipients, terms);
+
+    const [first, second] = transferContract.sent;
+    expect(first.keys).to.equal(null);
+    expect(second.recipients).to.have.length(4);
+    expect(second.keys.filter((key) => key === "0x")).to.have.length(3);
+    expect(unwrapKey(second.keys[2], withKey.privateKey).equals(fileKey)).to.be.true;
+  });
+});
@@ -0,0 +1,39 @@
+const { expect } = require("chai");
+const { ethers } = require("ethers");
+const { CliError } = require("../lib/errors");
+const { buildManifest, merkleRoot, parseManifest, planChunks } = require("../lib/chunks");
+
+describe("chunks", function () {
+  const limits = { minChunkSize: 1024 * 1024, maxChunks: 1000 };
+  const leaves = [0, 1, 2].map((i) => ethers.utils.id(`chunk-${i}`));
+
+  it("Should default to the smallest chunk size within the limits", function () {
+    expect(planChunks(10 * 1024 * 1024, limits)).to.deep.equal({ chunkSize: 1024 * 1024, chunkCount: 10 });
+    expect(planChunks(5000 * 1024 * 1024, limits)).to.deep.equal({ chunkSize: 5 * 1024 * 1024, chunkCount: 1000 });
+    expect(planChunks(100, limits)).to.deep.equal({ chunkSize: 1024 * 1024, chunkCount: 1 });
+  });
+
+  it("Should reject chunk sizes outside the limits", function () {
+    expect(() => planChunks(10 * 1024 * 1024, limits, 1024)).to.throw(CliError, "below the registry minimum");
+    expect(() => planChunks(10 * 1024 * 1024, { minChunkSize: 1, maxChunks: 4 }, 1024 * 1024))
+      .to.throw(CliError, "exceed the registry maximum");
+  });
+
+  it("Should carry odd nodes up when computing the Merkle root", function () {
+    const pair = ethers.utils.solidityKeccak256(["bytes32", "bytes32"], [leaves[0], leaves[1]]);
+    const expected = ethers.utils.solidityKeccak256(["bytes32", "bytes32"], [pair, leaves[2]]);
+
+    expect(merkleRoot(leaves)).to.equal(expected);
+    expect(merkleRoot([leaves[0]])).to.equal(leaves[0]);
+    expect(() => merkleRoot([])).to.throw(CliError);
+  });
+
+  it("Should only accept manifests for the expected root", function () {
+    const root = merkleRoot(leaves);
+    const manifest = buildManifest(ethers.utils.id("file"), root, ["a", "b", "c"]);
+
+    expect(parseManifest(manifest, root.toUpperCase().replace("0X", "0x"))).to.deep.equal(["a", "b", "c"]);
+    expect(() => parseManifest(manifest, leaves[0])).to.throw(CliError, "different content");
+    expect(() => parseManifest(Buffer.from("not json"), root)).to.throw(CliError, "Not a chunk manifest");
+  });
+});
@@ -0,0 +1,49 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { CliError } = require("../lib/errors");
+const { loadAbi, loadDeployment, resolveDeploymentPath } = require("../lib/config");
+
+describe("config", function () {
+  let tmpDir;
+
+  beforeEach(function () {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "bft-config-"));
+  });
+
+  afterEach(function () {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it("Should derive the deployment file from the network name", function () {
+    const deploymentPath = resolveDeploymentPath({ network: "sepolia" });
+    expect(deploymentPath).to.match(/smart-contracts[\\/]deployments[\\/]sepolia-deployment\.json$/);
+  });
+
+  it("Should load an explicit deployment file", function () {
+    const deploymentPath = path.join(tmpDir, "localhost-deployment.json");
+    fs.writeFileSync(deploymentPath, JSON.stringify({ network: "localhost", contracts: { FileRegistry: "0x01" } }));
+
+    const deployment = loadDeployment({ deployment: deploymentPath });
+    expect(deployment.contracts.FileRegistry).to.equal("0x01");
+  });
+
+  it("Should explain how to deploy when the file is missing", function () {
+    expect(() => loadDeployment({ deployment: path.join(tmpDir, "missing.json") }))
+      .to.throw(CliError, "Deployment file not found");
+  });
+
+  it("Should find ABIs anywhere under the artifacts tree", function () {
+    const artifactDir = path.join(tmpDir, "contracts", "AccessControl.sol");
+    fs.mkdirSync(artifactDir, { recursive: true });
+    fs.writeFileSync(
+      path.join(artifactDir, "AccessControlContract.json"),
+      JSON.stringify({ abi: [{ type: "function", name: "pause" }] })
+    );
+
+    const abi = loadAbi("AccessControlContract", { artifacts: tmpDir });
+    expect(abi[0].name).to.equal("pause");
+    expect(() => loadAbi("Missing", { artifacts: tmpDir })).to.throw(CliError, "No artifact");
+  });
+});
@@ -0,0 +1,129 @@
+const { expect } = require("chai");
+const { ethers } = require("ethers");
+const { CliError } = require("../lib/errors");
+const {
+  checkEncryptionPolicy,
+  decryptContent,
+  encryptChunk,
+  encryptContent,
+  generateFileKey,
+  parsePublicKey,
+  rewrapKey,
+  unwrapKey,
+  wrapKey
+} = require("../lib/encryption");
+
+describe("encryption", function () {
+  const plaintext = Buffer.from("quarterly report, do not forward");
+
+  describe("content", function () {
+    it("Should round-trip content with a fresh IV each time", function () {
+      const key = generateFileKey();
+      const first = encryptContent(plaintext, key);
+      const second = encryptContent(plaintext, key);
+
+      expect(first.equals(second)).to.be.false;
+      expect(decryptContent(first, key).equals(plaintext)).to.be.true;
+    });
+
+    it("Should detect tampering and wrong keys", function () {
+      const key = generateFileKey();
+      const encrypted = encryptContent(plaintext, key);
+      encrypted[encrypted.length - 20] ^= 0xff;
+
+      expect(() => decryptContent(encrypted, key)).to.throw(CliError, "Decryption failed");
+      expect(() => decryptContent(encryptContent(plaintext, key), generateFileKey()))
+        .to.throw(CliError, "Decryption failed");
+    });
+  });
+
+  describe("chunks", function () {
+    it("Should encrypt chunks reproducibly per key, position and content", function () {
+      const key = generateFileKey();
+      const chunk = encryptChunk(plaintext, key, 3);
+
+      expect(encryptChunk(plaintext, key, 3).equals(chunk)).to.be.true;
+      expect(encryptChunk(plaintext, key, 4).subarray(0, 12).equals(chunk.subarray(0, 12))).to.be.false;
+      expect(encryptChunk(plaintext, generateFileKey(), 3).equals(chunk)).to.be.false;
+      expect(decryptContent(chunk, key).equals(plaintext)).to.be.true;
+    });
+  });
+
+  describe("key wrapping", function () {
+    it("Should unwrap only with the matching private key", function () {
+      const owner = ethers.Wallet.createRandom();
+      const other = ethers.Wallet.createRandom();
+      const fileKey = generateFileKey();
+
+      const wrapped = wrapKey(fileKey, owner.publicKey);
+
+      expect(unwrapKey(wrapped, owner.privateKey).equals(fileKey)).to.be.true;
+      expect(() => unwrapKey(wrapped, other.privateKey)).to.throw(CliError, "not wrapped for this account");
+    });
+
+    it("Should accept compressed public keys", function () {
+      const owner = ethers.Wallet.createRandom();
+      const fileKey = generateFileKey();
+      const compressed = ethers.utils.computePublicKey(owner.publicKey, true);
+
+      expect(unwrapKey(wrapKey(fileKey, compressed), owner.privateKey).equals(fileKey)).to.be.true;
+    });
+
+    it("Should re-wrap a key for another holder", function () {
+      const owner = ethers.Wallet.createRandom();
+      const recipient = ethers.Wallet.createRandom();
+      const fileKey = generateFileKey();
+
+      const forRecipient = rewrapKey(wrapKey(fileKey, owner.publicKey), owner.privateKey, recipient.publicKey);
+
+      expect(unwrapKey(forRecipient, recipient.privateKey).equals(fileKey)).to.be.true;
+      expect(() => unwrapKey(forRecipient, owner.privateKey)).to.throw(CliError);
+    });
+
+    it("Should check that a public key belongs to the expected address", function () {
+      const recipient = ethers.Wallet.createRandom();
+      const compressed = ethers.utils.computePublicKey(recipient.publicKey, true);
+
+      expect(parsePublicKey(compressed, recipient.address)).to.equal(recipient.publicKey);
+      expect(() => parsePublicKey(recipient.publicKey, ethers.Wallet.createRandom().address))
+        .to.throw(CliError, "does not belong");
+      expect(() => parsePublicKey("0x1234")).to.throw(CliError, "Invalid public key");
+    });
+
+    it("Should reject malformed wrapped keys", function () {
+      const owner = ethers.Wallet.createRandom();
+      expect(() => unwrapKey("0x1234", owner.privateKey)).to.throw(CliError, "Unsupported wrapped key format");
+    });
+  });
+
+  describe("checkEncryptionPolicy", function () {
+    function systemConfig(scheme, minKeyLength) {
+      return {
+        getSecuritySettings: async () => [true, scheme, ethers.BigNumber.from(minKeyLength)]
+      };
+    }
+
+    it("Should accept the default SystemConfig settings", async function () {
+      const policy = await checkEncryptionPolicy(systemConfig("AES-256-GCM", 256));
+      expect(policy.enforceEncryption).to.be.true;
+    });
+
+    it("Should refuse schemes and key lengths the client cannot meet", async function () {
+      let error;
+      try {
+        await checkEncryptionPolicy(systemConfig("ChaCha20-Poly1305", 256));
+      } catch (e) {
+        error = e;
+      }
+      expect(error).to.be.instanceOf(CliError);
+
+      error = undefined;
+      try {
+        await checkEncryptionPolicy(systemConfig("AES-256-GCM", 512));
+      } catch (e) {
+        error = e;
+      }
+      expect(error.message).to.contain("512-bit");
+    });
+  });
+});
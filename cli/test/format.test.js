@@ -0,0 +1,197 @@
+const { expect } = require("chai");
+const { ethers } = require("ethers");
+const { CliError } = require("../lib/errors");
+const {
+  formatDuration,
+  formatRemainingAccess,
+  formatTransfer,
+  formatTransferStats,
+  parseAccessLevel,
+  parseByteSize,
+  parseBytes32,
+  parseDuration,
+  parseRecipientList,
+  parsePastTimestamp,
+  parseTimestamp,
+  renderTable
+} = require("../lib/format");
+
+describe("format", function () {
+  describe("parseAccessLevel", function () {
+    it("Should accept names case-insensitively and indices", function () {
+      expect(parseAccessLevel("read")).to.equal(1);
+      expect(parseAccessLevel("WRITE")).to.equal(2);
+      expect(parseAccessLevel("3")).to.equal(3);
+    });
+
+    it("Should reject NONE and unknown levels", function () {
+      expect(() => parseAccessLevel("none")).to.throw(CliError, "cannot be granted");
+      expect(() => parseAccessLevel("owner")).to.throw(CliError, "Invalid access level");
+    });
+  });
+
+  describe("parseTimestamp", function () {
+    const now = 1700000000;
+
+    it("Should resolve durations relative to now", function () {
+      expect(parseTimestamp("30m", now)).to.equal(now + 1800);
+      expect(parseTimestamp("7d", now)).to.equal(now + 7 * 86400);
+    });
+
+    it("Should accept unix seconds and ISO dates", function () {
+      expect(parseTimestamp("1700000123", now)).to.equal(1700000123);
+      expect(parseTimestamp("2024-01-01T00:00:00Z", now)).to.equal(1704067200);
+    });
+
+    it("Should reject garbage", function () {
+      expect(() => parseTimestamp("soon", now)).to.throw(CliError, "Invalid time");
+    });
+
+    it("Should count durations back from now for past times", function () {
+      expect(parsePastTimestamp("7d", now)).to.equal(now - 7 * 86400);
+      expect(parsePastTimestamp("2024-01-01T00:00:00Z", now)).to.equal(1704067200);
+    });
+  });
+
+  describe("durations", function () {
+    it("Should parse seconds and units, and render them back", function () {
+      expect(parseDuration("3600")).to.equal(3600);
+      expect(parseDuration("12h")).to.equal(12 * 3600);
+      expect(() => parseDuration("0")).to.throw(CliError, "Invalid duration");
+      expect(() => parseDuration("tomorrow")).to.throw(CliError, "Invalid duration");
+
+      expect(formatDuration(86400 + 2 * 3600 + 30 * 60)).to.equal("1d 2h 30m");
+      expect(formatDuration(0)).to.equal("0s");
+    });
+  });
+
+  describe("parseRecipientList", function () {
+    const alice = ethers.Wallet.createRandom();
+    const bob = ethers.Wallet.createRandom();
+
+    it("Should read addresses with optional public keys, skipping headers and comments", function () {
+      const csv = [
+        "address,publicKey",
+        "# counterparties",
+        `${alice.address.toLowerCase()},${alice.publicKey}`,
+        "",
+        ` ${bob.address} \r`
+      ].join("\n");
+
+      expect(parseRecipientList(csv)).to.deep.equal([
+        { address: alice.address, publicKey: alice.publicKey },
+        { address: bob.address, publicKey: null }
+      ]);
+    });
+
+    it("Should reject bad, duplicate or missing recipients", function () {
+      expect(() => parseRecipientList(`${alice.address}\n0x1234`)).to.throw(CliError, "recipient on line 2");
+      expect(() => parseRecipientList(`${alice.address}\n${alice.address.toLowerCase()}`))
+        .to.throw(CliError, "Duplicate recipient on line 2");
+      expect(() => parseRecipientList("address\n\n")).to.throw(CliError, "No recipients");
+    });
+  });
+
+  describe("parseByteSize", function () {
+    it("Should accept bytes and binary units", function () {
+      expect(parseByteSize("1048576")).to.equal(1048576);
+      expect(parseByteSize("512k")).to.equal(512 * 1024);
+      expect(parseByteSize("4MiB")).to.equal(4 * 1024 * 1024);
+      expect(() => parseByteSize("0")).to.throw(CliError, "Invalid size");
+      expect(() => parseByteSize("4 TB")).to.throw(CliError, "Invalid size");
+    });
+  });
+
+  describe("parseBytes32", function () {
+    it("Should only accept 32-byte hex strings", function () {
+      const id = ethers.utils.id("file");
+      expect(parseBytes32(id)).to.equal(id);
+      expect(() => parseBytes32("0x1234")).to.throw(CliError);
+    });
+  });
+
+  describe("formatTransfer", function () {
+    it("Should name enums and blank unset fields", function () {
+      const transfer = formatTransfer({
+        transferId: ethers.utils.id("transfer"),
+        fileId: ethers.utils.id("file"),
+        sender: ethers.constants.AddressZero,
+        recipient: ethers.constants.AddressZero,
+        message: "",
+        initiatedAt: ethers.BigNumber.from(1700000000),
+        deadline: ethers.BigNumber.from(1700086400),
+        completedAt: ethers.BigNumber.from(0),
+        status: 2,
+        accessLevel: 1,
+        proofOfDelivery: ethers.constants.HashZero,
+        disputeReason: "",
+        resolution: 0,
+        accessDuration: ethers.BigNumber.from(0),
+        accessUses: ethers.BigNumber.from(0),
+        transfersOwnership: false,
+        retainedAccess: 0
+      });
+
+      expect(transfer.status).to.equal("IN_PROGRESS");
+      expect(transfer.accessLevel).to.equal("READ");
+      expect(transfer.completedAt).to.equal(null);
+      expect(transfer.proofOfDelivery).to.equal(null);
+      expect(transfer.initiatedAt).to.equal("2023-11-14T22:13:20.000Z");
+      expect(transfer.accessDuration).to.equal(null);
+      expect(transfer.accessUses).to.equal(null);
+      expect(transfer.retainedAccess).to.equal(null);
+    });
+  });
+
+  describe("formatTransferStats", function () {
+    it("Should count open transfers and leave the average blank before any completion", function () {
+      const count = (n) => ethers.BigNumber.from(n);
+      const stats = {
+        totalInitiated: count(10),
+        totalCompleted: count(0),
+        totalRejected: count(2),
+        totalCancelled: count(1),
+        totalDisputed: count(1),
+        totalExpired: count(3),
+        averageCompletionTime: count(0)
+      };
+
+      expect(formatTransferStats(stats)).to.include({ open: 4, disputed: 1, averageCompletionTime: null });
+      expect(formatTransferStats({ ...stats, totalCompleted: count(2), averageCompletionTime: count(5400) }))
+        .to.include({ open: 2, averageCompletionTime: "1h 30m" });
+    });
+  });
+
+  describe("formatRemainingAccess", function () {
+    const now = 1700000000;
+    const permission = (hasAccess, expiresAt, usesLeft) => ({
+      hasAccess,
+      expiresAt: ethers.BigNumber.from(expiresAt),
+      usesLeft: ethers.BigNumber.from(usesLeft)
+    });
+
+    it("Should report time and uses left, and lapsed grants", function () {
+      expect(formatRemainingAccess(permission(true, now + 5400, 3), now)).to.deep.equal({
+        accessActive: true,
+        accessExpiresAt: "2023-11-14T23:43:20.000Z",
+        accessTimeLeft: "1h 30m",
+        accessUsesLeft: 3
+      });
+      expect(formatRemainingAccess(permission(true, now - 1, 0), now))
+        .to.include({ accessActive: false, accessTimeLeft: "0s", accessUsesLeft: null });
+      expect(formatRemainingAccess(permission(false, 0, 0), now))
+        .to.include({ accessActive: false, accessExpiresAt: null, accessUsesLeft: 0 });
+    });
+  });
+
+  describe("renderTable", function () {
+    it("Should align columns", function () {
+      const text = renderTable([{ a: "1", b: "long value" }, { a: "22" }], ["a", "b"]);
+      expect(text.split("\n")).to.deep.equal([
+        "a   b",
+        "1   long value",
+        "22  -"
+      ]);
+    });
+  });
+});
@@ -0,0 +1,66 @@
+const { expect } = require("chai");
+const { ethers } = require("ethers");
+const { CliError } = require("../lib/errors");
+const { iterateSentTransfers, paginate, toAuditFilter, toFileFilter, toTransferFilter } = require("../lib/listing");
+
+describe("listing", function () {
+  async function collect(iterator) {
+    const items = [];
+    for await (const item of iterator) {
+      items.push(item);
+    }
+    return items;
+  }
+
+  it("Should fetch pages until the total is reached", async function () {
+    const items = [1, 2, 3, 4, 5];
+    const calls = [];
+    const fetchPage = async (offset, limit) => {
+      calls.push([offset, limit]);
+      return [items.slice(offset, offset + limit), ethers.BigNumber.from(items.length)];
+    };
+
+    expect(await collect(paginate(fetchPage, 2))).to.deep.equal(items);
+    expect(calls).to.deep.equal([[0, 2], [2, 2], [4, 2]]);
+
+    expect(await collect(paginate(async () => [[], ethers.BigNumber.from(0)]))).to.deep.equal([]);
+    const error = await collect(paginate(fetchPage, 0)).catch((err) => err);
+    expect(error).to.be.instanceOf(CliError).with.property("message", "Invalid page size: 0");
+  });
+
+  it("Should pass the filter and paging to the contract view", async function () {
+    const user = ethers.Wallet.createRandom().address;
+    const counterparty = ethers.Wallet.createRandom().address;
+    const calls = [];
+    const transferContract = {
+      getUserSentTransfersPage: async (...args) => {
+        calls.push(args);
+        return [[{ transferId: "0x01" }], ethers.BigNumber.from(1)];
+      }
+    };
+
+    const transfers = await collect(iterateSentTransfers(
+      transferContract, user, { status: "completed", counterparty: counterparty.toLowerCase() }, { pageSize: 10 }
+    ));
+
+    expect(transfers).to.deep.equal([{ transferId: "0x01" }]);
+    expect(calls).to.deep.equal([[
+      user,
+      { status: 3, counterparty, initiatedFrom: 0, initiatedTo: 0 },
+      0,
+      10
+    ]]);
+  });
+
+  it("Should build filters that match everything by default", function () {
+    expect(toTransferFilter()).to.deep.equal({
+      status: 0,
+      counterparty: ethers.constants.AddressZero,
+      initiatedFrom: 0,
+      initiatedTo: 0
+    });
+    expect(toFileFilter({ since: "1700000000" })).to.deep.equal({ deleted: false, createdFrom: 1700000000, createdTo: 0 });
+    expect(() => toTransferFilter({ status: "lost" })).to.throw(CliError, "Invalid status");
+    expect(toAuditFilter({ action: "transfer-rejected" })).to.deep.equal({ action: 3, actor: ethers.constants.AddressZero });
+  });
+});
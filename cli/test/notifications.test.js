@@ -0,0 +1,113 @@
+const { expect } = require("chai");
+const { ethers } = require("ethers");
+const { getUnreadNotifications, watchNotifications } = require("../lib/notifications");
+
+describe("notifications", function () {
+  const user = ethers.Wallet.createRandom().address;
+  const sender = ethers.Wallet.createRandom().address;
+  const transferId = ethers.utils.id("transfer");
+
+  function notification(status, message) {
+    return {
+      transferId,
+      fileId: ethers.utils.id("file"),
+      sender,
+      recipient: user,
+      status,
+      message,
+      timestamp: ethers.BigNumber.from(1700000000),
+      isRead: false
+    };
+  }
+
+  /**
+   * A TransferContract holding the user's unread notifications, whose `emit`
+   * calls the NotificationCreated listeners as ethers would.
+   */
+  function createContract(unread, indexes) {
+    const listeners = [];
+    return {
+      listeners,
+      provider: { getBlockNumber: async () => 10 },
+      filters: { NotificationCreated: (address) => ({ address }) },
+      getUnreadNotifications: async (address, offset, limit) => {
+        expect(address).to.equal(user);
+        const end = limit === 0 ? unread.length : offset + limit;
+        return [
+          unread.slice(offset, end),
+          indexes.slice(offset, end).map((index) => ethers.BigNumber.from(index)),
+          ethers.BigNumber.from(unread.length)
+        ];
+      },
+      on: (filter, listener) => listeners.push(listener),
+      off: (filter, listener) => listeners.splice(listeners.indexOf(listener), 1),
+      emit: (index, status, blockNumber) =>
+        listeners.forEach((listener) => listener(user, ethers.BigNumber.from(index), transferId, status, { blockNumber }))
+    };
+  }
+
+  it("Should list unread notifications with who acted on the transfer", async function () {
+    const contract = createContract([notification(1, "Please review"), notification(6, "")], [0, 3]);
+
+    expect(await getUnreadNotifications(contract, user)).to.deep.equal([
+      {
+        index: 0,
+        timestamp: "2023-11-14T22:13:20.000Z",
+        status: "INITIATED",
+        transferId,
+        fileId: ethers.utils.id("file"),
+        from: sender,
+        sender,
+        recipient: user,
+        message: "Please review"
+      },
+      {
+        index: 3,
+        timestamp: "2023-11-14T22:13:20.000Z",
+        status: "DISPUTED",
+        transferId,
+        fileId: ethers.utils.id("file"),
+        from: sender,
+        sender,
+        recipient: user,
+        message: null
+      }
+    ]);
+  });
+
+  it("Should read every page of unread notifications and list them oldest first", async function () {
+    const messages = ["Fifth", "First", "Third", "Second", "Fourth"];
+    const contract = createContract(messages.map((message) => notification(1, message)), [4, 0, 2, 1, 3]);
+
+    const unread = await getUnreadNotifications(contract, user, 2);
+
+    expect(unread.map((n) => [n.index, n.message])).to.deep.equal([
+      [0, "First"],
+      [1, "Second"],
+      [2, "Third"],
+      [3, "Fourth"],
+      [4, "Fifth"]
+    ]);
+  });
+
+  it("Should pass on notifications from blocks after the watch started", async function () {
+    const contract = createContract([notification(4, "Wrong file")], [2]);
+    const received = [];
+    const stop = await watchNotifications(contract, user, (n) => received.push(n), (error) => {
+      throw error;
+    });
+
+    contract.emit(1, 1, 10); // replayed from the latest block
+    contract.emit(2, 4, 11);
+    contract.emit(5, 2, 12); // already marked read
+    await new Promise((resolve) => setImmediate(resolve));
+
+    expect(received.map((n) => [n.index, n.status, n.message])).to.deep.equal([
+      [2, "REJECTED", "Wrong file"],
+      [5, "IN_PROGRESS", undefined]
+    ]);
+
+    stop();
+    expect(contract.listeners).to.have.lengthOf(0);
+  });
+});
@@ -0,0 +1,358 @@
+const { expect } = require("chai");
+const { ethers } = require("ethers");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { CliError } = require("../lib/errors");
+const { unwrapKey } = require("../lib/encryption");
+const { formatFile } = require("../lib/format");
+const {
+  decryptFileContent,
+  downloadChunkedFile,
+  downloadEncryptedFile,
+  downloadFileVersion,
+  fetchStoredContent,
+  prepareRecipientKey,
+  publishContent,
+  uploadChunkedFile,
+  uploadEncryptedFile
+} = require("../lib/pipeline");
+
+/**
+ * Minimal in-memory FileRegistry exposing the calls the pipeline makes.
+ */
+function fakeRegistry(owner) {
+  const files = {};
+  const locations = {};
+  const chunks = {};
+  const versions = {};
+  const receipt = (events = []) => ({
+    wait: async () => ({ transactionHash: ethers.utils.id(String(Math.random())), events })
+  });
+
+  return {
+    files,
+    locations,
+    chunks,
+    getStorageLimits: async () => ({
+      fileSizeLimit: ethers.BigNumber.from(1024 ** 3),
+      storagePerUser: ethers.BigNumber.from(0),
+      chunkSizeMin: ethers.BigNumber.from(16),
+      chunkCountMax: ethers.BigNumber.from(100)
+    }),
+    async registerChunkedFile(name, contentHash, encryptionKey, fileSize, contentType, isPublic, chunkCount) {
+      const fileId = ethers.utils.id(`${name}-${Object.keys(files).length}`);
+      files[fileId] = { fileId, name, owner, contentHash, encryptionKey, fileSize, contentType, isPublic };
+      chunks[fileId] = { chunkCount, recorded: [] };
+      return receipt([{ event: "FileRegistered", args: { fileId } }]);
+    },
+    async addFileChunks(fileId, chunkHashes, sizes) {
+      chunkHashes.forEach((contentHash, i) => chunks[fileId].recorded.push({
+        sequence: ethers.BigNumber.from(chunks[fileId].recorded.length),
+        contentHash,
+        size: ethers.BigNumber.from(sizes[i])
+      }));
+      return receipt();
+    },
+    async getChunkInfo(fileId) {
+      const entry = chunks[fileId] || { chunkCount: 0, recorded: [] };
+      return {
+        chunkCount: ethers.BigNumber.from(entry.chunkCount),
+        recordedChunks: ethers.BigNumber.from(entry.recorded.length)
+      };
+    },
+    async getFileChunks(fileId, offset, limit) {
+      return chunks[fileId].recorded.slice(offset, offset + limit);
+    },
+    async registerFile(name, contentHash, encryptionKey, fileSize, contentType, isPublic) {
+      const fileId = ethers.utils.id(`${name}-${Object.keys(files).length}`);
+      files[fileId] = { fileId, name, owner, contentHash, encryptionKey, fileSize, contentType, isPublic };
+      versions[fileId] = [{ contentHash, encryptionKey, fileSize }];
+      return {
+        wait: async () => ({
+          transactionHash: ethers.utils.id("tx"),
+          events: [{ event: "FileRegistered", args: { fileId } }]
+        })
+      };
+    },
+    async getFileMetadata(fileId) {
+      return {
+        ...files[fileId],
+        fileSize: ethers.BigNumber.from(files[fileId].fileSize),
+        createdAt: 0,
+        updatedAt: 0,
+        isDeleted: false,
+        deletedAt: 0
+      };
+    },
+    async addStorageLocation(fileId, protocol, location, isEncrypted, encryptionType) {
+      locations[fileId] = [...(locations[fileId] || []), { fileId, protocol, location, isEncrypted, encryptionType }];
+      return { wait: async () => ({ transactionHash: ethers.utils.id(location), events: [] }) };
+    },
+    async updateFile(fileId, contentHash, encryptionKey, fileSize) {
+      Object.assign(files[fileId], { contentHash, fileSize }, encryptionKey === "0x" ? {} : { encryptionKey });
+      versions[fileId].push({ contentHash, encryptionKey: files[fileId].encryptionKey, fileSize });
+      return receipt();
+    },
+    async getFileVersion(fileId, version) {
+      return versions[fileId][version - 1];
+    },
+    async getStorageLocations(fileId) {
+      return locations[fileId] || [];
+    }
+  };
+}
+
+/**
+ * Makes the registry's views revert, as they do once the signer's grant is revoked.
+ */
+function revokeReads(registry) {
+  for (const view of ["getFileMetadata", "getStorageLocations", "getChunkInfo", "getFileChunks"]) {
+    registry[view] = async () => {
+      throw new Error("Access denied");
+    };
+  }
+}
+
+describe("pipeline", function () {
+  let tmpDir;
+  let filePath;
+  let connection;
+
+  beforeEach(function () {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "bft-pipeline-"));
+    filePath = path.join(tmpDir, "report.pdf");
+    fs.writeFileSync(filePath, Buffer.from("%PDF-1.7 confidential"));
+
+    const signer = ethers.Wallet.createRandom();
+    connection = {
+      signer,
+      fileRegistry: fakeRegistry(signer.address),
+      options: { storeDir: path.join(tmpDir, "store") }
+    };
+  });
+
+  afterEach(function () {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it("Should register encrypted content and decrypt it back", async function () {
+    const upload = await uploadEncryptedFile(connection, filePath);
+    const stored = connection.fileRegistry.files[upload.fileId];
+
+    expect(stored.contentType).to.equal("application/pdf");
+    expect(stored.fileSize).to.equal(21);
+    expect(stored.encryptionKey).to.match(/^0x01/);
+    expect(upload.encrypted.toString()).to.not.contain("confidential");
+
+    const { metadata, data } = await downloadEncryptedFile(connection, upload.fileId, upload.encrypted);
+    expect(metadata.name).to.equal("report.pdf");
+    expect(data.toString()).to.equal("%PDF-1.7 confidential");
+  });
+
+  it("Should reject content that does not match contentHash", async function () {
+    const upload = await uploadEncryptedFile(connection, filePath);
+    upload.encrypted[0] ^= 0xff;
+
+    let error;
+    try {
+      await downloadEncryptedFile(connection, upload.fileId, upload.encrypted);
+    } catch (e) {
+      error = e;
+    }
+    expect(error).to.be.instanceOf(CliError);
+    expect(error.message).to.contain("Content hash mismatch");
+  });
+
+  it("Should re-wrap the caller's key for a recipient", async function () {
+    const upload = await uploadEncryptedFile(connection, filePath);
+    const recipient = ethers.Wallet.createRandom();
+
+    const recipientKey = await prepareRecipientKey(
+      connection, upload.fileId, recipient.address, recipient.publicKey
+    );
+    const ownerKey = unwrapKey(connection.fileRegistry.files[upload.fileId].encryptionKey, connection.signer.privateKey);
+
+    expect(unwrapKey(recipientKey, recipient.privateKey).equals(ownerKey)).to.be.true;
+  });
+
+  it("Should publish content once per location and fetch it back", async function () {
+    const upload = await uploadEncryptedFile(connection, filePath);
+
+    const published = await publishContent(connection, upload.fileId, upload.encrypted, ["local"], "AES-256-GCM");
+    const republished = await publishContent(connection, upload.fileId, upload.encrypted, ["local"], "AES-256-GCM");
+
+    expect(published[0].transactionHash).to.not.equal(null);
+    expect(republished[0].transactionHash).to.equal(null);
+    expect(connection.fileRegistry.locations[upload.fileId]).to.have.length(1);
+    expect(connection.fileRegistry.locations[upload.fileId][0].isEncrypted).to.equal(true);
+
+    const fetched = await fetchStoredContent(connection, upload.fileId);
+    const { data } = await downloadEncryptedFile(connection, upload.fileId, fetched.data);
+    expect(data.toString()).to.equal("%PDF-1.7 confidential");
+  });
+
+  it("Should read the locations before spending a use and fetch the content after", async function () {
+    const upload = await uploadEncryptedFile(connection, filePath);
+    await publishContent(connection, upload.fileId, upload.encrypted, ["local"], "AES-256-GCM");
+    const metadata = formatFile(await connection.fileRegistry.getFileMetadata(upload.fileId));
+
+    // The last use revokes the grant, so nothing can be read on-chain after it
+    const fetched = await fetchStoredContent(connection, upload.fileId, async () => revokeReads(connection.fileRegistry));
+
+    expect(decryptFileContent(connection, metadata, fetched.data).toString()).to.equal("%PDF-1.7 confidential");
+  });
+
+  it("Should check out an earlier version from storage", async function () {
+    const upload = await uploadEncryptedFile(connection, filePath);
+    await publishContent(connection, upload.fileId, upload.encrypted, ["local"], "AES-256-GCM");
+    await connection.fileRegistry.updateFile(upload.fileId, ethers.utils.id("v2"), "0x", 10);
+
+    const { data, location } = await downloadFileVersion(connection, upload.fileId, 1);
+
+    expect(data.toString()).to.equal("%PDF-1.7 confidential");
+    expect(location.protocol).to.equal("local");
+
+    let error;
+    try {
+      await downloadFileVersion(connection, upload.fileId, 2);
+    } catch (e) {
+      error = e;
+    }
+    expect(error).to.be.instanceOf(CliError);
+    expect(error.message).to.contain("content hash mismatch");
+  });
+
+  describe("chunked files", function () {
+    let bigPath;
+    const content = Buffer.from(Array.from({ length: 100 }, (_, i) => `line ${i}\n`).join(""));
+
+    beforeEach(function () {
+      bigPath = path.join(tmpDir, "big.log");
+      fs.writeFileSync(bigPath, content);
+    });
+
+    it("Should upload encrypted chunks and download them verified", async function () {
+      const upload = await uploadChunkedFile(connection, bigPath, { stores: ["local"], encrypt: true, chunkSize: 64 });
+      const recorded = connection.fileRegistry.chunks[upload.fileId].recorded;
+
+      expect(upload.chunkCount).to.equal(Math.ceil(content.length / 64));
+      expect(recorded).to.have.length(upload.chunkCount);
+      expect(connection.fileRegistry.files[upload.fileId].contentHash).to.equal(upload.merkleRoot);
+      expect(fs.existsSync(`${bigPath}.bft-upload.json`)).to.be.false;
+
+      const outPath = path.join(tmpDir, "out.log");
+      const download = await downloadChunkedFile(connection, upload.fileId, outPath);
+
+      expect(download.resumed).to.be.false;
+      expect(fs.readFileSync(outPath).equals(content)).to.be.true;
+      expect(fs.existsSync(`${outPath}.part.json`)).to.be.false;
+    });
+
+    it("Should read the chunks and locations before spending a use", async function () {
+      const upload = await uploadChunkedFile(connection, bigPath, { stores: ["local"], encrypt: true, chunkSize: 64 });
+      const outPath = path.join(tmpDir, "out.log");
+      let spent = false;
+
+      await downloadChunkedFile(connection, upload.fileId, outPath, async () => {
+        spent = true;
+        revokeReads(connection.fileRegistry);
+      });
+
+      expect(spent).to.be.true;
+      expect(fs.readFileSync(outPath).equals(content)).to.be.true;
+    });
+
+    it("Should resume an interrupted upload without registering again", async function () {
+      const registry = connection.fileRegistry;
+      const addStorageLocation = registry.addStorageLocation;
+      registry.addStorageLocation = async () => {
+        throw new Error("connection reset");
+      };
+
+      let error;
+      try {
+        await uploadChunkedFile(connection, bigPath, { stores: ["local"], encrypt: true, chunkSize: 64 });
+      } catch (e) {
+        error = e;
+      }
+      expect(error.message).to.equal("connection reset");
+
+      try {
+        await uploadChunkedFile(connection, bigPath, { stores: ["local"], encrypt: true, chunkSize: 64 });
+      } catch (e) {
+        error = e;
+      }
+      expect(error).to.be.instanceOf(CliError);
+      expect(error.message).to.contain("--resume");
+
+      registry.addStorageLocation = addStorageLocation;
+      const upload = await uploadChunkedFile(connection, bigPath, { stores: ["local"], resume: true });
+
+      expect(upload.resumed).to.be.true;
+      expect(Object.keys(registry.files)).to.have.length(1);
+      expect(registry.locations[upload.fileId]).to.have.length(1);
+
+      const outPath = path.join(tmpDir, "out.log");
+      await downloadChunkedFile(connection, upload.fileId, outPath);
+      expect(fs.readFileSync(outPath).equals(content)).to.be.true;
+    });
+
+    it("Should refuse to resume once the file has changed", async function () {
+      connection.fileRegistry.addStorageLocation = async () => {
+        throw new Error("connection reset");
+      };
+      try {
+        await uploadChunkedFile(connection, bigPath, { stores: ["local"], chunkSize: 64 });
+      } catch (e) {
+        // interrupted
+      }
+
+      fs.appendFileSync(bigPath, "one more line\n");
+
+      let error;
+      try {
+        await uploadChunkedFile(connection, bigPath, { stores: ["local"], resume: true });
+      } catch (e) {
+        error = e;
+      }
+      expect(error).to.be.instanceOf(CliError);
+      expect(error.message).to.contain("changed since the upload started");
+    });
+
+    it("Should resume an interrupted download from the last written chunk", async function () {
+      const upload = await uploadChunkedFile(connection, bigPath, { stores: ["local"], chunkSize: 64 });
+      const storeDir = connection.options.storeDir;
+      const missing = connection.fileRegistry.chunks[upload.fileId].recorded[1].contentHash.slice(2);
+      fs.renameSync(path.join(storeDir, missing), path.join(tmpDir, "held-back"));
+
+      const outPath = path.join(tmpDir, "out.log");
+      let error;
+      try {
+        await downloadChunkedFile(connection, upload.fileId, outPath);
+      } catch (e) {
+        error = e;
+      }
+      expect(error.message).to.contain("Could not fetch chunk 1");
+      expect(JSON.parse(fs.readFileSync(`${outPath}.part.json`)).written).to.equal(1);
+
+      fs.renameSync(path.join(tmpDir, "held-back"), path.join(storeDir, missing));
+      const download = await downloadChunkedFile(connection, upload.fileId, outPath);
+
+      expect(download.resumed).to.be.true;
+      expect(fs.readFileSync(outPath).equals(content)).to.be.true;
+    });
+  });
+
+  it("Should require a signer with a private key", async function () {
+    connection.signer = { getAddress: async () => ethers.constants.AddressZero };
+
+    let error;
+    try {
+      await uploadEncryptedFile(connection, filePath);
+    } catch (e) {
+      error = e;
+    }
+    expect(error.message).to.contain("--private-key");
+  });
+});
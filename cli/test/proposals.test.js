@@ -0,0 +1,71 @@
+const { expect } = require("chai");
+const { ethers } = require("ethers");
+const {
+  describeProposalCall,
+  encodeProposalCall,
+  formatProposal,
+  resolveProposalTarget
+} = require("../lib/proposals");
+
+describe("proposals", function () {
+  const iface = new ethers.utils.Interface([
+    "function pause()",
+    "function setStorageSetting(string setting, uint256 value)",
+    "function grantMultipleRoles(address account, bytes32[] roles)",
+    "function setSecuritySettings(bool requireEncryption, string algorithm, uint256 keyLength)",
+    "function paused() view returns (bool)"
+  ]);
+  const contracts = {
+    SystemConfig: { address: ethers.Wallet.createRandom().address, interface: iface }
+  };
+
+  it("Should encode calls from command-line arguments and render them back", function () {
+    const { name, contract } = resolveProposalTarget(contracts, "systemconfig");
+    expect(name).to.equal("SystemConfig");
+
+    const account = ethers.Wallet.createRandom().address;
+    const roles = JSON.stringify([ethers.utils.id("ADMIN_ROLE")]);
+    const calls = [
+      [["setStorageSetting", ["maxFileSize", "2097152"]], "SystemConfig.setStorageSetting(\"maxFileSize\", 2097152)"],
+      [["grantMultipleRoles", [account, roles]], `SystemConfig.grantMultipleRoles(${account}, [${ethers.utils.id("ADMIN_ROLE")}])`],
+      [["setSecuritySettings", ["FALSE", "AES-256-GCM", "256"]], "SystemConfig.setSecuritySettings(false, \"AES-256-GCM\", 256)"]
+    ];
+    for (const [[functionName, args], rendered] of calls) {
+      const data = encodeProposalCall(contract.interface, functionName, args);
+      expect(describeProposalCall(contracts, contract.address, data)).to.equal(rendered);
+    }
+
+    const data = encodeProposalCall(iface, "pause", []);
+    const other = ethers.Wallet.createRandom().address;
+    expect(describeProposalCall(contracts, other, data)).to.equal(`${other} ${data}`);
+  });
+
+  it("Should reject unknown targets, views and wrong arguments", function () {
+    expect(() => resolveProposalTarget(contracts, "Nope")).to.throw("Unknown contract: Nope (expected one of SystemConfig)");
+    expect(() => encodeProposalCall(iface, "unpause", [])).to.throw("Unknown or overloaded function: unpause");
+    expect(() => encodeProposalCall(iface, "paused", [])).to.throw("paused is a view");
+    expect(() => encodeProposalCall(iface, "setStorageSetting", ["maxFileSize"]))
+      .to.throw("setStorageSetting takes 2 argument(s): string setting, uint256 value");
+    expect(() => encodeProposalCall(iface, "setSecuritySettings", ["yes", "AES", "1"])).to.throw("expected true or false");
+    expect(() => encodeProposalCall(iface, "setStorageSetting", ["maxFileSize", "lots"])).to.throw("Invalid arguments for setStorageSetting");
+  });
+
+  it("Should derive a proposal's status", function () {
+    const proposal = {
+      proposalId: ethers.BigNumber.from(3),
+      proposer: ethers.constants.AddressZero,
+      target: ethers.constants.AddressZero,
+      description: "",
+      executed: false,
+      createdAt: ethers.BigNumber.from(1700000000),
+      expiresAt: ethers.BigNumber.from(1700086400),
+      executedAt: ethers.BigNumber.from(0)
+    };
+    const state = { approvals: 1, threshold: 2, now: 1700000100, call: "SystemConfig.pause()" };
+
+    expect(formatProposal(proposal, state)).to.include({ proposalId: 3, status: "pending", description: null, executedAt: null });
+    expect(formatProposal(proposal, { ...state, approvals: 2 }).status).to.equal("ready");
+    expect(formatProposal(proposal, { ...state, approvals: 2, now: 1700086400 }).status).to.equal("expired");
+    expect(formatProposal({ ...proposal, executed: true }, { ...state, now: 1700086400 }).status).to.equal("executed");
+  });
+});
@@ -0,0 +1,62 @@
+const { expect } = require("chai");
+const { ethers } = require("ethers");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { CliError } = require("../lib/errors");
+const { fromDeliveryReceipt, loadReceipt, signReceipt, verifyReceipt } = require("../lib/receipts");
+
+describe("receipts", function () {
+  const recipient = ethers.Wallet.createRandom();
+  const fields = {
+    transferId: ethers.utils.id("transfer"),
+    fileId: ethers.utils.id("file"),
+    contentHash: ethers.utils.id("content"),
+    receivedAt: 1700000000
+  };
+
+  it("Should sign the proof of delivery the contract checks", async function () {
+    const receipt = await signReceipt(recipient, fields);
+    const proof = ethers.utils.solidityKeccak256(
+      ["bytes32", "bytes32", "address", "bytes32", "uint256"],
+      [fields.transferId, fields.fileId, recipient.address, fields.contentHash, fields.receivedAt]
+    );
+
+    expect(receipt.recipient).to.equal(recipient.address);
+    expect(receipt.proofOfDelivery).to.equal(proof);
+    expect(ethers.utils.verifyMessage(ethers.utils.arrayify(proof), receipt.signature)).to.equal(recipient.address);
+    expect(verifyReceipt(receipt)).to.deep.equal({ valid: true, signer: recipient.address, reason: null });
+  });
+
+  it("Should reject altered receipts and receipts signed by someone else", async function () {
+    const receipt = await signReceipt(recipient, fields);
+
+    const altered = { ...receipt, contentHash: ethers.utils.id("other"), proofOfDelivery: undefined };
+    expect(verifyReceipt(altered)).to.include({ valid: false, reason: "not signed by the recipient" });
+
+    const stale = { ...receipt, receivedAt: fields.receivedAt + 1 };
+    expect(verifyReceipt(stale)).to.include({ valid: false, reason: "proof of delivery does not match the receipt" });
+
+    const forged = await signReceipt(ethers.Wallet.createRandom(), fields);
+    expect(verifyReceipt({ ...forged, recipient: recipient.address, proofOfDelivery: undefined }))
+      .to.include({ valid: false, reason: "not signed by the recipient" });
+  });
+
+  it("Should round-trip receipts through files and the contract view", async function () {
+    const receipt = await signReceipt(recipient, fields);
+    const view = { ...receipt, receivedAt: ethers.BigNumber.from(receipt.receivedAt) };
+    expect(fromDeliveryReceipt(view)).to.deep.equal(receipt);
+
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "bft-receipts-"));
+    try {
+      const receiptPath = path.join(tmpDir, "receipt.json");
+      fs.writeFileSync(receiptPath, JSON.stringify(receipt));
+      expect(loadReceipt(receiptPath)).to.deep.equal(receipt);
+
+      fs.writeFileSync(receiptPath, "{}");
+      expect(() => loadReceipt(receiptPath)).to.throw(CliError, "Unsupported receipt");
+    } finally {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    }
+  });
+});
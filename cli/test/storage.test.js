@@ -0,0 +1,121 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { CliError } = require("../lib/errors");
+const { hashContent } = require("../lib/files");
+const {
+  createIpfsAdapter,
+  createIpfsStandIn,
+  createLocalAdapter,
+  fetchContent,
+  parseStores,
+  rawCid,
+  storeContent
+} = require("../lib/storage");
+
+describe("storage", function () {
+  const content = Buffer.from("hello world");
+  let tmpDir;
+
+  beforeEach(function () {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "bft-storage-"));
+  });
+
+  afterEach(function () {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it("Should compute the CID ipfs add --raw-leaves assigns", function () {
+    expect(rawCid(content)).to.equal("bafkreifzjut3te2nhyekklss27nh3k72ysco7y32koao5eei66wof36n5e");
+  });
+
+  it("Should store content locally under its SHA-256", async function () {
+    const adapter = createLocalAdapter(path.join(tmpDir, "store"));
+    const location = await adapter.put(content);
+
+    expect("0x" + location).to.equal(hashContent(content));
+    expect((await adapter.get(location)).toString()).to.equal("hello world");
+
+    let error;
+    try {
+      await adapter.get("../../etc/passwd");
+    } catch (caught) {
+      error = caught;
+    }
+    expect(error).to.be.instanceOf(CliError);
+    expect(error.message).to.contain("Invalid local storage location");
+  });
+
+  it("Should round-trip through the IPFS adapter and stand-in", async function () {
+    const server = createIpfsStandIn(path.join(tmpDir, "ipfs"));
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+
+    try {
+      const adapter = createIpfsAdapter(`http://127.0.0.1:${server.address().port}/`);
+      const cid = await adapter.put(content);
+
+      expect(cid).to.equal(rawCid(content));
+      expect((await adapter.get(cid)).toString()).to.equal("hello world");
+
+      let error;
+      try {
+        await adapter.get(rawCid(Buffer.from("missing")));
+      } catch (caught) {
+        error = caught;
+      }
+      expect(error).to.be.instanceOf(CliError);
+      expect(error.message).to.contain("block not found");
+    } finally {
+      await new Promise((resolve) => server.close(resolve));
+    }
+  });
+
+  it("Should validate storage backend names", function () {
+    expect(parseStores("local, IPFS,local")).to.deep.equal(["local", "ipfs"]);
+    expect(() => parseStores("swarm")).to.throw(CliError, "Unsupported storage protocol");
+    expect(() => parseStores(",")).to.throw(CliError, "at least one");
+  });
+
+  it("Should fetch from the first reachable location that matches contentHash", async function () {
+    const options = { storeDir: path.join(tmpDir, "store"), ipfsApi: "http://127.0.0.1:1" };
+    const [stored] = await storeContent(content, ["local"], options);
+    const [tampered] = await storeContent(Buffer.from("hello w0rld"), ["local"], options);
+
+    const locations = [
+      { protocol: "ipfs", location: rawCid(content) },
+      { protocol: "swarm", location: "abc" },
+      tampered,
+      stored
+    ];
+    const fetched = await fetchContent(locations, hashContent(content), options);
+
+    expect(fetched.data.toString()).to.equal("hello world");
+    expect(fetched.location).to.equal(stored);
+  });
+
+  it("Should report every failed location", async function () {
+    const options = { storeDir: path.join(tmpDir, "store") };
+    const locations = [
+      { protocol: "swarm", location: "abc" },
+      { protocol: "local", location: hashContent(content).slice(2) }
+    ];
+
+    let error;
+    try {
+      await fetchContent(locations, hashContent(content), options);
+    } catch (caught) {
+      error = caught;
+    }
+    expect(error).to.be.instanceOf(CliError);
+    expect(error.message).to.contain("swarm:abc: Unsupported storage protocol");
+    expect(error.message).to.contain("Not in local store");
+
+    try {
+      await fetchContent([], hashContent(content), options);
+    } catch (caught) {
+      error = caught;
+    }
+    expect(error.message).to.equal("No storage locations recorded for this file");
+  });
+});
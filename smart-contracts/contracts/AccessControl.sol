@@ -9,7 +9,10 @@ import "./libraries/FileStructs.sol";
 
 /**
  * @title AccessControlContract
- * @dev Manages access control and permissions for the file transfer system
+ * @dev Manages access control and permissions for the file transfer system.
+ * ADMIN_ROLE holders are the admins who propose and approve AdminProposals;
+ * trusted contracts and the approval threshold are set by DEFAULT_ADMIN_ROLE,
+ * which a deployment leaves to AdminProposals alone.
  */
 contract AccessControlContract is AccessControl, Pausable {
     using Counters for Counters.Counter;
@@ -65,7 +68,7 @@ contract AccessControlContract is AccessControl, Pausable {
      */
     function addTrustedContract(address contractAddress)
         external
-        onlyRole(ADMIN_ROLE)
+        onlyRole(DEFAULT_ADMIN_ROLE)
     {
         require(contractAddress != address(0), "Invalid contract address");
         require(!trustedContracts[contractAddress], "Contract already trusted");
@@ -80,7 +83,7 @@ contract AccessControlContract is AccessControl, Pausable {
      */
     function removeTrustedContract(address contractAddress)
         external
-        onlyRole(ADMIN_ROLE)
+        onlyRole(DEFAULT_ADMIN_ROLE)
     {
         require(trustedContracts[contractAddress], "Contract not trusted");
         
@@ -94,7 +97,7 @@ contract AccessControlContract is AccessControl, Pausable {
      */
     function setMinAdminThreshold(uint256 newThreshold)
         external
-        onlyRole(ADMIN_ROLE)
+        onlyRole(DEFAULT_ADMIN_ROLE)
     {
         require(newThreshold > 0, "Threshold must be positive");
         uint256 adminCount = _roleCounters[ADMIN_ROLE].current();
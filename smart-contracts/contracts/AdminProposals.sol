@@ -0,0 +1,331 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.17;
+
+import "./interfaces/IAccessControlContract.sol";
+import "./libraries/ProposalStructs.sol";
+import "@openzeppelin/contracts/security/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/utils/Address.sol";
+
+/**
+ * @title AdminProposals
+ * @dev Lets the admins of AccessControlContract make admin calls together.
+ * An admin proposes a call against a system contract; it can be executed once
+ * minAdminThreshold admins have approved it, before its approval window ends.
+ * The call is made by this contract, so it needs the roles the call requires
+ * on its target.
+ */
+contract AdminProposals is ReentrancyGuard {
+    using Address for address;
+    
+    // ADMIN_ROLE of AccessControlContract, whose holders propose and approve
+    bytes32 public constant ADMIN_ROLE = keccak256("ADMIN_ROLE");
+    
+    // Bounds of the approval window
+    uint256 public constant MIN_APPROVAL_WINDOW = 1 hours;
+    uint256 public constant MAX_APPROVAL_WINDOW = 30 days;
+    
+    // State variables
+    IAccessControlContract private _accessControl;
+    uint256 public approvalWindow;
+    
+    ProposalStructs.Proposal[] private _proposals;
+    mapping(uint256 => address[]) private _approvers;
+    mapping(uint256 => mapping(address => bool)) private _approved;
+    
+    // Events
+    event ProposalCreated(
+        uint256 indexed proposalId,
+        address indexed proposer,
+        address indexed target,
+        bytes data,
+        string description,
+        uint256 expiresAt
+    );
+    event ProposalApproved(uint256 indexed proposalId, address indexed approver, uint256 approvalCount);
+    event ProposalExecuted(uint256 indexed proposalId, address indexed executor);
+    event ApprovalWindowUpdated(uint256 approvalWindow);
+    
+    /**
+     * @dev Constructor
+     * @param accessControl Address of AccessControlContract
+     * @param initialApprovalWindow Seconds a proposal stays open
+     */
+    constructor(address accessControl, uint256 initialApprovalWindow) {
+        require(accessControl != address(0), "Invalid access control address");
+        require(
+            initialApprovalWindow >= MIN_APPROVAL_WINDOW && initialApprovalWindow <= MAX_APPROVAL_WINDOW,
+            "Invalid approval window"
+        );
+        
+        _accessControl = IAccessControlContract(accessControl);
+        approvalWindow = initialApprovalWindow;
+    }
+    
+    /**
+     * @dev Modifier to restrict access to admins of AccessControlContract
+     */
+    modifier onlyAdmin() {
+        require(_isAdmin(msg.sender), "Caller is not an admin");
+        _;
+    }
+    
+    /**
+     * @dev Modifier to restrict settings to calls made through a proposal
+     */
+    modifier onlyProposal() {
+        require(msg.sender == address(this), "Only through a proposal");
+        _;
+    }
+    
+    /**
+     * @dev Proposes a call, approved by the proposer (admin only)
+     * @param target Contract to call
+     * @param data Calldata to send
+     * @param description What the call is for
+     * @return proposalId Identifier of the proposal
+     */
+    function propose(address target, bytes memory data, string memory description) 
+        external 
+        onlyAdmin
+        returns (uint256 proposalId)
+    {
+        require(target.isContract(), "Target is not a contract");
+        require(data.length >= 4, "Calldata required");
+        
+        proposalId = _proposals.length;
+        _proposals.push(ProposalStructs.Proposal({
+            proposalId: proposalId,
+            proposer: msg.sender,
+            target: target,
+            data: data,
+            description: description,
+            createdAt: block.timestamp,
+            expiresAt: block.timestamp + approvalWindow,
+            approvalCount: 0,
+            executed: false,
+            executedAt: 0
+        }));
+        
+        emit ProposalCreated(proposalId, msg.sender, target, data, description, block.timestamp + approvalWindow);
+        
+        _approve(proposalId);
+        
+        return proposalId;
+    }
+    
+    /**
+     * @dev Approves an open proposal (admin only)
+     * @param proposalId Proposal identifier
+     */
+    function approve(uint256 proposalId) 
+        external 
+        onlyAdmin
+    {
+        require(proposalId < _proposals.length, "Proposal not found");
+        require(!_approved[proposalId][msg.sender], "Already approved");
+        
+        _approve(proposalId);
+    }
+    
+    /**
+     * @dev Makes a proposal's call once enough current admins approved it (admin only)
+     * The call's revert reason is passed on, and the proposal stays open.
+     * @param proposalId Proposal identifier
+     * @return result Data the call returned
+     */
+    function execute(uint256 proposalId) 
+        external 
+        onlyAdmin
+        nonReentrant
+        returns (bytes memory result)
+    {
+        require(proposalId < _proposals.length, "Proposal not found");
+        ProposalStructs.Proposal storage proposal = _proposals[proposalId];
+        require(!proposal.executed, "Proposal already executed");
+        require(block.timestamp < proposal.expiresAt, "Proposal expired");
+        require(
+            getValidApprovalCount(proposalId) >= _accessControl.minAdminThreshold(),
+            "Not enough approvals"
+        );
+        
+        proposal.executed = true;
+        proposal.executedAt = block.timestamp;
+        
+        result = proposal.target.functionCall(proposal.data, "Proposal call failed");
+        
+        emit ProposalExecuted(proposalId, msg.sender);
+        
+        return result;
+    }
+    
+    /**
+     * @dev Sets how long new proposals stay open (through a proposal only)
+     * @param newApprovalWindow Seconds a proposal stays open
+     */
+    function setApprovalWindow(uint256 newApprovalWindow) 
+        external 
+        onlyProposal
+    {
+        require(
+            newApprovalWindow >= MIN_APPROVAL_WINDOW && newApprovalWindow <= MAX_APPROVAL_WINDOW,
+            "Invalid approval window"
+        );
+        
+        approvalWindow = newApprovalWindow;
+        emit ApprovalWindowUpdated(newApprovalWindow);
+    }
+    
+    /**
+     * @dev Gets a proposal
+     * @param proposalId Proposal identifier
+     * @return proposal The proposal
+     */
+    function getProposal(uint256 proposalId) 
+        external 
+        view 
+        returns (ProposalStructs.Proposal memory proposal)
+    {
+        require(proposalId < _proposals.length, "Proposal not found");
+        return _proposals[proposalId];
+    }
+    
+    /**
+     * @dev Gets a page of proposals, oldest first
+     * @param offset Number of proposals to skip
+     * @param limit Maximum number of proposals to return (0 for all)
+     * @return proposals Page of proposals
+     * @return total Total number of proposals
+     */
+    function getProposals(
+        uint256 offset,
+        uint256 limit
+    ) 
+        external 
+        view 
+        returns (ProposalStructs.Proposal[] memory proposals, uint256 total)
+    {
+        total = _proposals.length;
+        
+        if (offset >= total) {
+            return (new ProposalStructs.Proposal[](0), total);
+        }
+        
+        uint256 actualLimit = (limit == 0 || offset + limit > total) 
+            ? total - offset 
+            : limit;
+        
+        proposals = new ProposalStructs.Proposal[](actualLimit);
+        
+        for (uint256 i = 0; i < actualLimit; i++) {
+            proposals[i] = _proposals[offset + i];
+        }
+        
+        return (proposals, total);
+    }
+    
+    /**
+     * @dev Gets the number of proposals
+     * @return count Number of proposals
+     */
+    function getProposalCount() 
+        external 
+        view 
+        returns (uint256 count)
+    {
+        return _proposals.length;
+    }
+    
+    /**
+     * @dev Gets the accounts that approved a proposal, in order
+     * @param proposalId Proposal identifier
+     * @return approvers Approving accounts
+     */
+    function getApprovers(uint256 proposalId) 
+        external 
+        view 
+        returns (address[] memory approvers)
+    {
+        require(proposalId < _proposals.length, "Proposal not found");
+        return _approvers[proposalId];
+    }
+    
+    /**
+     * @dev Checks whether an account approved a proposal
+     * @param proposalId Proposal identifier
+     * @param account Account to check
+     * @return approved Whether the account approved
+     */
+    function hasApproved(uint256 proposalId, address account) 
+        external 
+        view 
+        returns (bool approved)
+    {
+        return _approved[proposalId][account];
+    }
+    
+    /**
+     * @dev Counts a proposal's approvals by accounts that are still admins
+     * @param proposalId Proposal identifier
+     * @return count Number of approvals that count towards the threshold
+     */
+    function getValidApprovalCount(uint256 proposalId) 
+        public 
+        view 
+        returns (uint256 count)
+    {
+        address[] storage approvers = _approvers[proposalId];
+        
+        for (uint256 i = 0; i < approvers.length; i++) {
+            if (_isAdmin(approvers[i])) {
+                count++;
+            }
+        }
+        
+        return count;
+    }
+    
+    /**
+     * @dev Gets the AccessControlContract whose admins and threshold apply
+     * @return Address of AccessControlContract
+     */
+    function getAccessControl() 
+        external 
+        view 
+        returns (address)
+    {
+        return address(_accessControl);
+    }
+    
+    /**
+     * @dev Records the caller's approval of an open proposal
+     * @param proposalId Proposal identifier
+     */
+    function _approve(uint256 proposalId) 
+        private 
+    {
+        ProposalStructs.Proposal storage proposal = _proposals[proposalId];
+        require(!proposal.executed, "Proposal already executed");
+        require(block.timestamp < proposal.expiresAt, "Proposal expired");
+        
+        _approved[proposalId][msg.sender] = true;
+        _approvers[proposalId].push(msg.sender);
+        proposal.approvalCount++;
+        
+        emit ProposalApproved(proposalId, msg.sender, proposal.approvalCount);
+    }
+    
+    /**
+     * @dev Checks whether an account is an admin of AccessControlContract
+     * This contract never counts, even if it is granted ADMIN_ROLE there to
+     * make calls; otherwise a proposal could approve another proposal.
+     * @param account Account to check
+     * @return Whether the account may propose and approve
+     */
+    function _isAdmin(address account) 
+        private 
+        view 
+        returns (bool)
+    {
+        return account != address(this) && _accessControl.hasRole(ADMIN_ROLE, account);
+    }
+}
\ No newline at end of file
@@ -2,9 +2,11 @@
 pragma solidity ^0.8.17;
 
 import "./interfaces/IAuditContract.sol";
+import "./libraries/AuditStructs.sol";
 import "@openzeppelin/contracts/access/AccessControl.sol";
 import "@openzeppelin/contracts/security/ReentrancyGuard.sol";
 import "@openzeppelin/contracts/security/Pausable.sol";
+import "@openzeppelin/contracts/utils/cryptography/MerkleProof.sol";
 
 /**
  * @title AuditContract
@@ -15,30 +17,35 @@ contract AuditContract is IAuditContract, AccessControl, ReentrancyGuard, Pausab
     bytes32 public constant ADMIN_ROLE = keccak256("ADMIN_ROLE");
     bytes32 public constant RECORDER_ROLE = keccak256("RECORDER_ROLE");
     
-    // Structs
-    struct AuditRecord {
-        bytes32 recordId;
-        bytes32 fileId;
-        address actor;
-        string action;
-        uint256 timestamp;
-        bytes32 previousRecordHash;
-    }
+    // Most records a single checkpoint covers
+    uint256 public constant MAX_CHECKPOINT_RECORDS = 256;
     
     // State variables
-    mapping(bytes32 => AuditRecord[]) private _fileAudits;
+    AuditStructs.AuditRecord[] private _records; // Global log, indexed by sequence
+    mapping(bytes32 => uint256[]) private _fileRecords; // Sequences of each file's records
     mapping(bytes32 => bytes32) private _lastRecordHash;
-    mapping(bytes32 => uint256) private _recordCounts;
+    AuditStructs.Checkpoint[] private _checkpoints;
     
     // Events
     event AuditRecorded(
         bytes32 indexed recordId,
         bytes32 indexed fileId,
         address indexed actor,
-        string action,
+        AuditStructs.AuditAction action,
+        address counterparty,
+        bytes32 transferId,
+        bytes32 payloadHash,
+        uint256 sequence,
         uint256 timestamp
     );
     
+    event CheckpointCreated(
+        uint256 indexed checkpointIndex,
+        uint256 fromSequence,
+        uint256 toSequence,
+        bytes32 merkleRoot
+    );
+    
     /**
      * @dev Constructor
      * @param initialAdmin Address of the initial admin
@@ -50,14 +57,20 @@ contract AuditContract is IAuditContract, AccessControl, ReentrancyGuard, Pausab
     }
     
     /**
-     * @dev Records an action in the audit trail
+     * @dev Records an action taken by the caller in the audit trail
      * @param fileId File identifier
-     * @param action Description of the action
+     * @param action What happened
+     * @param counterparty Other account involved, or the zero address
+     * @param transferId Related transfer, or zero
+     * @param payloadHash Hash of data the action carried, or zero
      * @return recordId Unique identifier for the audit record
      */
     function recordAction(
         bytes32 fileId,
-        string memory action
+        AuditStructs.AuditAction action,
+        address counterparty,
+        bytes32 transferId,
+        bytes32 payloadHash
     ) 
         external 
         override
@@ -65,39 +78,36 @@ contract AuditContract is IAuditContract, AccessControl, ReentrancyGuard, Pausab
         nonReentrant
         returns (bytes32 recordId)
     {
-        require(
-            hasRole(RECORDER_ROLE, msg.sender),
-            "Must have recorder role"
-        );
-        require(bytes(action).length > 0, "Action description required");
-        
-        bytes32 previousHash = _lastRecordHash[fileId];
-        
-        // Generate a unique record ID
-        recordId = keccak256(abi.encodePacked(
-            fileId,
-            msg.sender,
-            action,
-            block.timestamp,
-            previousHash
-        ));
-        
-        // Create and store audit record
-        AuditRecord memory newRecord = AuditRecord({
-            recordId: recordId,
-            fileId: fileId,
-            actor: msg.sender,
-            action: action,
-            timestamp: block.timestamp,
-            previousRecordHash: previousHash
-        });
-        
-        _fileAudits[fileId].push(newRecord);
-        _lastRecordHash[fileId] = recordId;
-        _recordCounts[fileId]++;
-        
-        emit AuditRecorded(recordId, fileId, msg.sender, action, block.timestamp);
-        return recordId;
+        return _recordAction(msg.sender, fileId, action, counterparty, transferId, payloadHash);
+    }
+    
+    /**
+     * @dev Records an action an account took through the calling contract,
+     * such as FileRegistry recording the user who granted access
+     * @param actor Account that acted
+     * @param fileId File identifier
+     * @param action What happened
+     * @param counterparty Other account involved, or the zero address
+     * @param transferId Related transfer, or zero
+     * @param payloadHash Hash of data the action carried, or zero
+     * @return recordId Unique identifier for the audit record
+     */
+    function recordActionOnBehalf(
+        address actor,
+        bytes32 fileId,
+        AuditStructs.AuditAction action,
+        address counterparty,
+        bytes32 transferId,
+        bytes32 payloadHash
+    ) 
+        external 
+        override
+        whenNotPaused
+        nonReentrant
+        returns (bytes32 recordId)
+    {
+        require(actor != address(0), "Invalid actor");
+        return _recordAction(actor, fileId, action, counterparty, transferId, payloadHash);
     }
     
     /**
@@ -115,12 +125,13 @@ contract AuditContract is IAuditContract, AccessControl, ReentrancyGuard, Pausab
     ) 
         external 
         view 
-        returns (AuditRecord[] memory records, uint256 total)
+        returns (AuditStructs.AuditRecord[] memory records, uint256 total)
     {
-        total = _recordCounts[fileId];
+        uint256[] storage sequences = _fileRecords[fileId];
+        total = sequences.length;
         
         if (total == 0 || offset >= total) {
-            return (new AuditRecord[](0), total);
+            return (new AuditStructs.AuditRecord[](0), total);
         }
         
         // Calculate actual limit based on available records
@@ -128,10 +139,64 @@ contract AuditContract is IAuditContract, AccessControl, ReentrancyGuard, Pausab
             ? total - offset 
             : limit;
         
-        records = new AuditRecord[](actualLimit);
+        records = new AuditStructs.AuditRecord[](actualLimit);
         
         for (uint256 i = 0; i < actualLimit; i++) {
-            records[i] = _fileAudits[fileId][offset + i];
+            records[i] = _records[sequences[offset + i]];
+        }
+        
+        return (records, total);
+    }
+    
+    /**
+     * @dev Gets a page of the audit records for a file that match a filter, oldest first
+     * @param fileId File identifier
+     * @param filter Action and actor to match; zero values match any record
+     * @param offset Number of matching records to skip
+     * @param limit Maximum number of records to return (0 for all)
+     * @return records Matching audit records
+     * @return total Total number of matching records
+     */
+    function getAuditTrailPage(
+        bytes32 fileId,
+        AuditStructs.AuditFilter memory filter,
+        uint256 offset,
+        uint256 limit
+    ) 
+        external 
+        view 
+        returns (AuditStructs.AuditRecord[] memory records, uint256 total)
+    {
+        uint256[] storage sequences = _fileRecords[fileId];
+        
+        for (uint256 i = 0; i < sequences.length; i++) {
+            if (_matchesFilter(_records[sequences[i]], filter)) {
+                total++;
+            }
+        }
+        
+        if (offset >= total) {
+            return (new AuditStructs.AuditRecord[](0), total);
+        }
+        
+        uint256 actualLimit = (limit == 0 || offset + limit > total) 
+            ? total - offset 
+            : limit;
+        
+        records = new AuditStructs.AuditRecord[](actualLimit);
+        
+        uint256 matched = 0;
+        uint256 count = 0;
+        for (uint256 i = 0; i < sequences.length && count < actualLimit; i++) {
+            AuditStructs.AuditRecord storage record = _records[sequences[i]];
+            if (!_matchesFilter(record, filter)) {
+                continue;
+            }
+            if (matched >= offset) {
+                records[count] = record;
+                count++;
+            }
+            matched++;
         }
         
         return (records, total);
@@ -149,13 +214,13 @@ contract AuditContract is IAuditContract, AccessControl, ReentrancyGuard, Pausab
     ) 
         external 
         view 
-        returns (AuditRecord memory record)
+        returns (AuditStructs.AuditRecord memory record)
     {
-        AuditRecord[] storage records = _fileAudits[fileId];
+        uint256[] storage sequences = _fileRecords[fileId];
         
-        for (uint256 i = 0; i < records.length; i++) {
-            if (records[i].recordId == recordId) {
-                return records[i];
+        for (uint256 i = 0; i < sequences.length; i++) {
+            if (_records[sequences[i]].recordId == recordId) {
+                return _records[sequences[i]];
             }
         }
         
@@ -163,7 +228,7 @@ contract AuditContract is IAuditContract, AccessControl, ReentrancyGuard, Pausab
     }
     
     /**
-     * @dev Verifies the integrity of the audit trail
+     * @dev Verifies the integrity of the audit trail, recomputing each record's hash from its contents
      * @param fileId File identifier
      * @return isValid True if the audit trail is valid
      */
@@ -172,22 +237,28 @@ contract AuditContract is IAuditContract, AccessControl, ReentrancyGuard, Pausab
         view 
         returns (bool isValid)
     {
-        AuditRecord[] storage records = _fileAudits[fileId];
+        uint256[] storage sequences = _fileRecords[fileId];
         
-        if (records.length == 0) {
+        if (sequences.length == 0) {
             return true; // Empty trail is valid
         }
         
         bytes32 expectedPreviousHash = bytes32(0);
         
-        for (uint256 i = 0; i < records.length; i++) {
+        for (uint256 i = 0; i < sequences.length; i++) {
+            AuditStructs.AuditRecord storage record = _records[sequences[i]];
+            
             // Verify previous hash
-            if (records[i].previousRecordHash != expectedPreviousHash) {
+            if (record.previousRecordHash != expectedPreviousHash) {
+                return false;
+            }
+            
+            // Verify the record's contents still hash to its ID
+            if (_hashRecord(record) != record.recordId) {
                 return false;
             }
             
-            // Calculate this record's hash for the next iteration
-            expectedPreviousHash = records[i].recordId;
+            expectedPreviousHash = record.recordId;
         }
         
         // Verify the last record matches our stored last hash
@@ -217,7 +288,185 @@ contract AuditContract is IAuditContract, AccessControl, ReentrancyGuard, Pausab
         view 
         returns (uint256 count)
     {
-        return _recordCounts[fileId];
+        return _fileRecords[fileId].length;
+    }
+    
+    /**
+     * @dev Gets a page of the global audit log, oldest first
+     * @param offset Sequence number to start from
+     * @param limit Maximum number of records to return (0 for all)
+     * @return records Audit records in sequence order
+     * @return total Total number of records in the log
+     */
+    function getAuditLog(
+        uint256 offset,
+        uint256 limit
+    ) 
+        external 
+        view 
+        returns (AuditStructs.AuditRecord[] memory records, uint256 total)
+    {
+        total = _records.length;
+        
+        if (offset >= total) {
+            return (new AuditStructs.AuditRecord[](0), total);
+        }
+        
+        uint256 actualLimit = (limit == 0 || offset + limit > total) 
+            ? total - offset 
+            : limit;
+        
+        records = new AuditStructs.AuditRecord[](actualLimit);
+        
+        for (uint256 i = 0; i < actualLimit; i++) {
+            records[i] = _records[offset + i];
+        }
+        
+        return (records, total);
+    }
+    
+    /**
+     * @dev Gets a record of the global audit log
+     * @param sequence Sequence number of the record
+     * @return record The audit record
+     */
+    function getRecordBySequence(uint256 sequence) 
+        external 
+        view 
+        returns (AuditStructs.AuditRecord memory record)
+    {
+        require(sequence < _records.length, "Record not found");
+        return _records[sequence];
+    }
+    
+    /**
+     * @dev Gets the number of records in the global audit log
+     * @return count Number of audit records
+     */
+    function getTotalRecordCount() 
+        external 
+        view 
+        returns (uint256 count)
+    {
+        return _records.length;
+    }
+    
+    /**
+     * @dev Commits the records recorded since the last checkpoint to a Merkle root.
+     * Anyone may call this; at most MAX_CHECKPOINT_RECORDS records are covered per call.
+     * @return checkpointIndex Index of the new checkpoint
+     */
+    function createCheckpoint() 
+        external 
+        whenNotPaused
+        returns (uint256 checkpointIndex)
+    {
+        uint256 fromSequence = _checkpoints.length == 0 
+            ? 0 
+            : _checkpoints[_checkpoints.length - 1].toSequence;
+        require(fromSequence < _records.length, "No records to checkpoint");
+        
+        uint256 toSequence = _records.length;
+        if (toSequence - fromSequence > MAX_CHECKPOINT_RECORDS) {
+            toSequence = fromSequence + MAX_CHECKPOINT_RECORDS;
+        }
+        
+        bytes32 merkleRoot = _merkleRoot(_leaves(fromSequence, toSequence));
+        
+        _checkpoints.push(AuditStructs.Checkpoint({
+            fromSequence: fromSequence,
+            toSequence: toSequence,
+            merkleRoot: merkleRoot,
+            lastRecordId: _records[toSequence - 1].recordId,
+            timestamp: block.timestamp
+        }));
+        checkpointIndex = _checkpoints.length - 1;
+        
+        emit CheckpointCreated(checkpointIndex, fromSequence, toSequence, merkleRoot);
+        return checkpointIndex;
+    }
+    
+    /**
+     * @dev Gets a checkpoint
+     * @param checkpointIndex Index of the checkpoint
+     * @return checkpoint The checkpoint
+     */
+    function getCheckpoint(uint256 checkpointIndex) 
+        external 
+        view 
+        returns (AuditStructs.Checkpoint memory checkpoint)
+    {
+        require(checkpointIndex < _checkpoints.length, "Checkpoint not found");
+        return _checkpoints[checkpointIndex];
+    }
+    
+    /**
+     * @dev Gets the number of checkpoints
+     * @return count Number of checkpoints
+     */
+    function getCheckpointCount() 
+        external 
+        view 
+        returns (uint256 count)
+    {
+        return _checkpoints.length;
+    }
+    
+    /**
+     * @dev Builds a Merkle proof that a record is covered by its checkpoint
+     * @param sequence Sequence number of the record
+     * @return checkpointIndex Checkpoint covering the record
+     * @return proof Sibling hashes from the record's leaf up to the checkpoint's root
+     */
+    function getInclusionProof(uint256 sequence) 
+        external 
+        view 
+        returns (uint256 checkpointIndex, bytes32[] memory proof)
+    {
+        require(sequence < _records.length, "Record not found");
+        require(
+            _checkpoints.length > 0 && sequence < _checkpoints[_checkpoints.length - 1].toSequence,
+            "Record not checkpointed"
+        );
+        
+        // Checkpoints cover consecutive ranges, so search for the first one ending after the record
+        uint256 low = 0;
+        uint256 high = _checkpoints.length - 1;
+        while (low < high) {
+            uint256 middle = (low + high) / 2;
+            if (_checkpoints[middle].toSequence > sequence) {
+                high = middle;
+            } else {
+                low = middle + 1;
+            }
+        }
+        
+        AuditStructs.Checkpoint storage checkpoint = _checkpoints[low];
+        proof = _merkleProof(
+            _leaves(checkpoint.fromSequence, checkpoint.toSequence),
+            sequence - checkpoint.fromSequence
+        );
+        return (low, proof);
+    }
+    
+    /**
+     * @dev Checks a Merkle proof that a record is covered by a checkpoint
+     * @param recordId Record identifier
+     * @param checkpointIndex Index of the checkpoint
+     * @param proof Sibling hashes from getInclusionProof
+     * @return isIncluded True if the proof leads to the checkpoint's root
+     */
+    function verifyInclusion(
+        bytes32 recordId,
+        uint256 checkpointIndex,
+        bytes32[] memory proof
+    ) 
+        external 
+        view 
+        returns (bool isIncluded)
+    {
+        require(checkpointIndex < _checkpoints.length, "Checkpoint not found");
+        return MerkleProof.verify(proof, _checkpoints[checkpointIndex].merkleRoot, _leaf(recordId));
     }
     
     /**
@@ -261,4 +510,223 @@ contract AuditContract is IAuditContract, AccessControl, ReentrancyGuard, Pausab
     {
         _unpause();
     }
+    
+    /**
+     * @dev Appends a record to the global log and its file's trail
+     * @param actor Account that acted
+     * @param fileId File identifier
+     * @param action What happened
+     * @param counterparty Other account involved, or the zero address
+     * @param transferId Related transfer, or zero
+     * @param payloadHash Hash of data the action carried, or zero
+     * @return recordId Unique identifier for the audit record
+     */
+    function _recordAction(
+        address actor,
+        bytes32 fileId,
+        AuditStructs.AuditAction action,
+        address counterparty,
+        bytes32 transferId,
+        bytes32 payloadHash
+    ) 
+        private 
+        returns (bytes32 recordId)
+    {
+        require(
+            hasRole(RECORDER_ROLE, msg.sender),
+            "Must have recorder role"
+        );
+        require(action != AuditStructs.AuditAction.NONE, "Action required");
+        
+        uint256 sequence = _records.length;
+        AuditStructs.AuditRecord storage record = _records.push();
+        record.sequence = sequence;
+        record.fileId = fileId;
+        record.actor = actor;
+        record.action = action;
+        record.counterparty = counterparty;
+        record.transferId = transferId;
+        record.payloadHash = payloadHash;
+        record.timestamp = block.timestamp;
+        record.previousRecordHash = _lastRecordHash[fileId];
+        record.previousGlobalHash = sequence == 0 ? bytes32(0) : _records[sequence - 1].recordId;
+        
+        // The record ID commits to every field, so no field can change unnoticed
+        recordId = _hashRecord(record);
+        record.recordId = recordId;
+        
+        _fileRecords[fileId].push(sequence);
+        _lastRecordHash[fileId] = recordId;
+        
+        emit AuditRecorded(
+            recordId,
+            fileId,
+            actor,
+            action,
+            counterparty,
+            transferId,
+            payloadHash,
+            sequence,
+            block.timestamp
+        );
+        return recordId;
+    }
+    
+    /**
+     * @dev Checks a record against an audit filter
+     * @param record Audit record
+     * @param filter Filter to apply
+     * @return True if the record matches
+     */
+    function _matchesFilter(
+        AuditStructs.AuditRecord storage record,
+        AuditStructs.AuditFilter memory filter
+    ) 
+        private 
+        view 
+        returns (bool)
+    {
+        if (filter.action != AuditStructs.AuditAction.NONE && record.action != filter.action) {
+            return false;
+        }
+        return filter.actor == address(0) || record.actor == filter.actor;
+    }
+    
+    /**
+     * @dev Hashes every field of a record except its ID
+     * @param record Audit record
+     * @return The record's ID
+     */
+    function _hashRecord(AuditStructs.AuditRecord storage record) 
+        private 
+        view 
+        returns (bytes32)
+    {
+        return keccak256(abi.encode(
+            record.sequence,
+            record.fileId,
+            record.actor,
+            record.action,
+            record.counterparty,
+            record.transferId,
+            record.payloadHash,
+            record.timestamp,
+            record.previousRecordHash,
+            record.previousGlobalHash
+        ));
+    }
+    
+    /**
+     * @dev Collects the Merkle leaves of a range of the global log
+     * @param fromSequence First record
+     * @param toSequence One past the last record
+     * @return leaves Leaves of the records in sequence order
+     */
+    function _leaves(uint256 fromSequence, uint256 toSequence) 
+        private 
+        view 
+        returns (bytes32[] memory leaves)
+    {
+        leaves = new bytes32[](toSequence - fromSequence);
+        for (uint256 i = 0; i < leaves.length; i++) {
+            leaves[i] = _leaf(_records[fromSequence + i].recordId);
+        }
+    }
+    
+    /**
+     * @dev Computes a record's Merkle leaf. The 0x00 prefix keeps a leaf from
+     * ever equalling an inner node, which hashes 64 bytes, so a proof cannot
+     * pass off a subtree as a record.
+     * @param recordId Record identifier
+     * @return Leaf hash
+     */
+    function _leaf(bytes32 recordId) 
+        private 
+        pure 
+        returns (bytes32)
+    {
+        return keccak256(abi.encodePacked(bytes1(0x00), recordId));
+    }
+    
+    /**
+     * @dev Computes a Merkle root, pairing nodes with sorted hashing as MerkleProof expects
+     * @param nodes Leaves; overwritten while hashing
+     * @return Root of the tree
+     */
+    function _merkleRoot(bytes32[] memory nodes) 
+        private 
+        pure 
+        returns (bytes32)
+    {
+        uint256 count = nodes.length;
+        while (count > 1) {
+            count = _hashLevel(nodes, count);
+        }
+        return nodes[0];
+    }
+    
+    /**
+     * @dev Computes the Merkle proof for a leaf of the tree _merkleRoot builds
+     * @param nodes Leaves; overwritten while hashing
+     * @param index Position of the leaf
+     * @return proof Sibling hashes from the leaf up to the root
+     */
+    function _merkleProof(bytes32[] memory nodes, uint256 index) 
+        private 
+        pure 
+        returns (bytes32[] memory proof)
+    {
+        // Count the levels where the leaf's branch has a sibling
+        uint256 siblings = 0;
+        uint256 position = index;
+        for (uint256 count = nodes.length; count > 1; count = (count + 1) / 2) {
+            if ((position ^ 1) < count) {
+                siblings++;
+            }
+            position /= 2;
+        }
+        
+        proof = new bytes32[](siblings);
+        siblings = 0;
+        position = index;
+        for (uint256 count = nodes.length; count > 1; count = _hashLevel(nodes, count)) {
+            if ((position ^ 1) < count) {
+                proof[siblings] = nodes[position ^ 1];
+                siblings++;
+            }
+            position /= 2;
+        }
+    }
+    
+    /**
+     * @dev Replaces the first nodes of a tree level with the level above it.
+     * A last node without a sibling is carried up unchanged.
+     * @param nodes Nodes of the level
+     * @param count Number of nodes in the level
+     * @return Number of nodes in the level above
+     */
+    function _hashLevel(bytes32[] memory nodes, uint256 count) 
+        private 
+        pure 
+        returns (uint256)
+    {
+        for (uint256 i = 0; i < count; i += 2) {
+            nodes[i / 2] = i + 1 < count ? _hashPair(nodes[i], nodes[i + 1]) : nodes[i];
+        }
+        return (count + 1) / 2;
+    }
+    
+    /**
+     * @dev Hashes a pair of Merkle nodes in sorted order
+     * @param a First node
+     * @param b Second node
+     * @return Parent node
+     */
+    function _hashPair(bytes32 a, bytes32 b) 
+        private 
+        pure 
+        returns (bytes32)
+    {
+        return a < b ? keccak256(abi.encodePacked(a, b)) : keccak256(abi.encodePacked(b, a));
+    }
 }
\ No newline at end of file
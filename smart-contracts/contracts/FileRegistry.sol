@@ -2,11 +2,20 @@
 pragma solidity ^0.8.17;
 
 import "./interfaces/IFileRegistry.sol";
+import "./interfaces/IAccessControlContract.sol";
+import "./interfaces/IAuditContract.sol";
+import "./interfaces/IGroupRegistry.sol";
+import "./interfaces/ISystemConfig.sol";
+import "./interfaces/ITransferContract.sol";
+import "./libraries/AuditStructs.sol";
 import "./libraries/FileStructs.sol";
+import "./libraries/FileAccessLib.sol";
+import "./libraries/FileStorageLib.sol";
 import "@openzeppelin/contracts/access/AccessControl.sol";
 import "@openzeppelin/contracts/security/ReentrancyGuard.sol";
 import "@openzeppelin/contracts/security/Pausable.sol";
 import "@openzeppelin/contracts/utils/Counters.sol";
+import "@openzeppelin/contracts/utils/structs/EnumerableSet.sol";
 
 /**
  * @title FileRegistry
@@ -14,6 +23,9 @@ import "@openzeppelin/contracts/utils/Counters.sol";
  */
 contract FileRegistry is IFileRegistry, AccessControl, ReentrancyGuard, Pausable {
     using Counters for Counters.Counter;
+    using FileStorageLib for FileStructs.StorageLocation[];
+    using FileStorageLib for FileStructs.FileChunk[];
+    using FileStorageLib for FileStructs.FileVersion[];
     
     // Roles
     bytes32 public constant ADMIN_ROLE = keccak256("ADMIN_ROLE");
@@ -23,16 +35,70 @@ contract FileRegistry is IFileRegistry, AccessControl, ReentrancyGuard, Pausable
     mapping(bytes32 => FileStructs.FileMetadata) private _files;
     mapping(address => bytes32[]) private _userFiles;
     mapping(bytes32 => mapping(address => FileStructs.AccessPermission)) private _filePermissions;
+    mapping(bytes32 => mapping(address => bytes)) private _granteeKeys;
+    // Accounts holding a direct grant on each file, so deletion can revoke them
+    mapping(bytes32 => EnumerableSet.AddressSet) private _grantees;
+    // Groups each file is shared with, and what each group was granted
+    mapping(bytes32 => bytes32[]) private _fileGroups;
+    mapping(bytes32 => mapping(bytes32 => FileStructs.AccessPermission)) private _groupPermissions;
+    mapping(bytes32 => FileStructs.StorageLocation[]) private _storageLocations;
+    // Chunk records are keyed by the Merkle root they add up to (the file's contentHash)
+    mapping(bytes32 => mapping(bytes32 => uint256)) private _chunkCounts;
+    mapping(bytes32 => mapping(bytes32 => FileStructs.FileChunk[])) private _fileChunks;
+    // Version n of a file is _fileVersions[fileId][n - 1]; version 1 is the registration
+    mapping(bytes32 => FileStructs.FileVersion[]) private _fileVersions;
+    // Bytes of live files counted against each owner's quota
+    mapping(address => uint256) private _storageUsed;
     
     Counters.Counter private _fileIdCounter;
+    ISystemConfig private _systemConfig;
+    IAccessControlContract private _accessControl;
+    IGroupRegistry private _groupRegistry;
+    ITransferContract private _transferContract;
+    IAuditContract private _auditContract;
+    
+    // Local limits, used only while no SystemConfig is set
     uint256 public maxFileSize;
+    uint256 public minChunkSize;
+    uint256 public maxChunks;
+    uint256 public restoreWindow; // Seconds a deleted file can be restored before it may be purged
+    
+    // Upper bound on recorded locations, keeps duplicate checks and views bounded
+    uint256 public constant MAX_STORAGE_LOCATIONS = 8;
+    
+    // Upper bound on groups per file, keeps access checks bounded
+    uint256 public constant MAX_FILE_GROUPS = 8;
+    
+    // Upper bound on direct grantees per file, keeps deletion within the block gas limit
+    uint256 public constant MAX_FILE_GRANTEES = 256;
+    
+    // Upper bound on versions erased per purgeFile call, keeps purging within the block gas limit
+    uint256 public constant MAX_PURGE_VERSIONS = 64;
     
     // Events
     event FileRegistered(bytes32 indexed fileId, address indexed owner, bytes32 contentHash);
     event FileUpdated(bytes32 indexed fileId, bytes32 newContentHash);
-    event FileAccessGranted(bytes32 indexed fileId, address indexed grantee, FileStructs.AccessLevel accessLevel);
-    event FileAccessRevoked(bytes32 indexed fileId, address indexed grantee);
+    event FileAccessGranted(bytes32 indexed fileId, address indexed grantee, FileStructs.AccessLevel accessLevel, address indexed grantedBy);
+    event FileAccessRevoked(bytes32 indexed fileId, address indexed grantee, address indexed revokedBy);
+    event GroupAccessGranted(bytes32 indexed fileId, bytes32 indexed groupId, FileStructs.AccessLevel accessLevel, address indexed grantedBy);
+    event GroupAccessRevoked(bytes32 indexed fileId, bytes32 indexed groupId, address indexed revokedBy);
     event FileDeleted(bytes32 indexed fileId);
+    event FileRestored(bytes32 indexed fileId, address indexed restoredBy);
+    event FilePurged(bytes32 indexed fileId);
+    event WrappedKeyStored(bytes32 indexed fileId, address indexed grantee);
+    event FileOwnershipTransferred(bytes32 indexed fileId, address indexed previousOwner, address indexed newOwner);
+    event FileAccessUsed(bytes32 indexed fileId, address indexed grantee, uint256 usesLeft);
+    event StorageLocationAdded(bytes32 indexed fileId, string protocol, string location);
+    event StorageLocationRemoved(bytes32 indexed fileId, string protocol, string location);
+    event FileChunksRecorded(bytes32 indexed fileId, uint256 recordedChunks, uint256 chunkCount);
+    event FileChunksCompleted(bytes32 indexed fileId, bytes32 merkleRoot);
+    event FileVersionCreated(bytes32 indexed fileId, uint256 version, bytes32 versionId);
+    event FileRolledBack(bytes32 indexed fileId, uint256 toVersion, uint256 newVersion);
+    event SystemConfigUpdated(address indexed systemConfig);
+    event AccessControlUpdated(address indexed accessControl);
+    event GroupRegistryUpdated(address indexed groupRegistry);
+    event TransferContractUpdated(address indexed transferContract);
+    event AuditContractUpdated(address indexed auditContract);
     
     /**
      * @dev Constructor
@@ -43,6 +109,9 @@ contract FileRegistry is IFileRegistry, AccessControl, ReentrancyGuard, Pausable
         _setupRole(DEFAULT_ADMIN_ROLE, initialAdmin);
         _setupRole(ADMIN_ROLE, initialAdmin);
         maxFileSize = initialMaxFileSize;
+        minChunkSize = 1048576;  // 1 MB
+        maxChunks = 1000;
+        restoreWindow = 30 days;
     }
     
     /**
@@ -51,19 +120,16 @@ contract FileRegistry is IFileRegistry, AccessControl, ReentrancyGuard, Pausable
      * @param requiredLevel Minimum access level required
      */
     modifier hasFileAccess(bytes32 fileId, FileStructs.AccessLevel requiredLevel) {
-        require(_files[fileId].exists, "File does not exist");
-        
-        if (_files[fileId].owner == msg.sender) {
-            // Owner has full access
-            _;
-            return;
-        }
-        
-        FileStructs.AccessPermission memory permission = _filePermissions[fileId][msg.sender];
-        require(permission.hasAccess, "Access denied");
-        require(uint8(permission.level) >= uint8(requiredLevel), "Insufficient access level");
-        require(block.timestamp <= permission.expiresAt || permission.expiresAt == 0, "Access expired");
-        
+        _checkFileAccess(fileId, requiredLevel);
+        _;
+    }
+    
+    /**
+     * @dev Modifier to check if caller may read a file's metadata
+     * @param fileId File identifier
+     */
+    modifier canViewFile(bytes32 fileId) {
+        _checkCanView(fileId);
         _;
     }
     
@@ -90,39 +156,79 @@ contract FileRegistry is IFileRegistry, AccessControl, ReentrancyGuard, Pausable
         nonReentrant
         returns (bytes32 fileId)
     {
-        require(fileSize > 0 && fileSize <= maxFileSize, "Invalid file size");
-        require(bytes(name).length > 0, "Name cannot be empty");
+        return _registerFile(name, contentHash, encryptionKey, fileSize, contentType, isPublic);
+    }
+    
+    /**
+     * @dev Registers a file stored as separately verifiable chunks
+     * Chunk hashes are recorded afterwards with addFileChunks, in sequence order.
+     * @param name File name
+     * @param merkleRoot Merkle root over the chunk hashes, stored as contentHash
+     * @param encryptionKey Encrypted symmetric key (encrypted with owner's public key)
+     * @param fileSize Size of file in bytes
+     * @param contentType MIME type of the file
+     * @param isPublic Whether file is publicly accessible
+     * @param chunkCount Number of chunks the file is split into
+     * @return fileId Unique identifier for the file
+     */
+    function registerChunkedFile(
+        string memory name,
+        bytes32 merkleRoot,
+        bytes memory encryptionKey,
+        uint256 fileSize,
+        string memory contentType,
+        bool isPublic,
+        uint256 chunkCount
+    ) 
+        external 
+        whenNotPaused
+        nonReentrant
+        returns (bytes32 fileId)
+    {
+        (, , , uint256 chunkLimit) = getStorageLimits();
+        require(chunkCount > 0 && chunkCount <= chunkLimit, "Invalid chunk count");
         
-        // Generate a unique file ID
-        _fileIdCounter.increment();
-        fileId = keccak256(abi.encodePacked(
-            msg.sender,
-            _fileIdCounter.current(),
-            block.timestamp,
-            contentHash
-        ));
+        fileId = _registerFile(name, merkleRoot, encryptionKey, fileSize, contentType, isPublic);
+        _chunkCounts[fileId][merkleRoot] = chunkCount;
         
-        // Create and store file metadata
-        FileStructs.FileMetadata memory newFile = FileStructs.FileMetadata({
-            fileId: fileId,
-            name: name,
-            owner: msg.sender,
-            contentHash: contentHash,
-            encryptionKey: encryptionKey,
-            fileSize: fileSize,
-            contentType: contentType,
-            createdAt: block.timestamp,
-            updatedAt: block.timestamp,
-            isPublic: isPublic,
-            isDeleted: false,
-            exists: true
-        });
+        return fileId;
+    }
+    
+    /**
+     * @dev Records the next chunk hashes of a chunked file
+     * The batch completing the file must make the chunks add up to its Merkle root.
+     * @param fileId File identifier
+     * @param chunkHashes SHA-256 hashes of the stored chunks, continuing the sequence
+     * @param sizes Stored size of each chunk in bytes
+     */
+    function addFileChunks(
+        bytes32 fileId,
+        bytes32[] memory chunkHashes,
+        uint256[] memory sizes
+    ) 
+        external 
+        whenNotPaused
+        nonReentrant
+    {
+        require(_checkLiveFile(fileId).owner == msg.sender, "Only owner can add chunks");
         
-        _files[fileId] = newFile;
-        _userFiles[msg.sender].push(fileId);
+        bytes32 merkleRoot = _files[fileId].contentHash;
+        uint256 chunkCount = _chunkCounts[fileId][merkleRoot];
+        (, , uint256 chunkSizeLimit, ) = getStorageLimits();
         
-        emit FileRegistered(fileId, msg.sender, contentHash);
-        return fileId;
+        uint256 recorded = _fileChunks[fileId][merkleRoot].addChunks(
+            fileId,
+            merkleRoot,
+            chunkCount,
+            chunkSizeLimit,
+            chunkHashes,
+            sizes
+        );
+        
+        emit FileChunksRecorded(fileId, recorded, chunkCount);
+        if (recorded == chunkCount) {
+            emit FileChunksCompleted(fileId, merkleRoot);
+        }
     }
     
     /**
@@ -143,27 +249,58 @@ contract FileRegistry is IFileRegistry, AccessControl, ReentrancyGuard, Pausable
         nonReentrant
         hasFileAccess(fileId, FileStructs.AccessLevel.WRITE)
     {
-        require(newFileSize > 0 && newFileSize <= maxFileSize, "Invalid file size");
-        
-        FileStructs.FileMetadata storage file = _files[fileId];
-        
-        // Only owner can change encryption key
-        if (msg.sender != file.owner) {
-            require(newEncryptionKey.length == 0, "Only owner can change encryption key");
-        }
+        _updateFile(fileId, newContentHash, newEncryptionKey, newFileSize, "");
+    }
+    
+    /**
+     * @dev Updates an existing file's content, describing the change in its version history
+     * @param fileId Identifier of file to update
+     * @param newContentHash New content hash of the file
+     * @param newEncryptionKey New encryption key (if changed)
+     * @param newFileSize New file size in bytes
+     * @param changeDescription What changed in this version
+     */
+    function updateFileWithDescription(
+        bytes32 fileId,
+        bytes32 newContentHash,
+        bytes memory newEncryptionKey,
+        uint256 newFileSize,
+        string memory changeDescription
+    ) 
+        external 
+        whenNotPaused
+        nonReentrant
+        hasFileAccess(fileId, FileStructs.AccessLevel.WRITE)
+    {
+        _updateFile(fileId, newContentHash, newEncryptionKey, newFileSize, changeDescription);
+    }
+    
+    /**
+     * @dev Restores the content of a previous version as a new version
+     * @param fileId File identifier
+     * @param version Version number to restore (1 is the registered content)
+     * @param changeDescription Why the file was rolled back
+     */
+    function rollbackFile(
+        bytes32 fileId,
+        uint256 version,
+        string memory changeDescription
+    ) 
+        external 
+        whenNotPaused
+        nonReentrant
+        hasFileAccess(fileId, FileStructs.AccessLevel.WRITE)
+    {
+        (bytes32 contentHash, bytes memory restoredKey, uint256 fileSize) =
+            _fileVersions[fileId].versionContent(_files[fileId], version);
         
-        file.contentHash = newContentHash;
-        if (newEncryptionKey.length > 0) {
-            file.encryptionKey = newEncryptionKey;
-        }
-        file.fileSize = newFileSize;
-        file.updatedAt = block.timestamp;
+        _updateFile(fileId, contentHash, restoredKey, fileSize, changeDescription);
         
-        emit FileUpdated(fileId, newContentHash);
+        emit FileRolledBack(fileId, version, _fileVersions[fileId].length);
     }
     
     /**
-     * @dev Grants access to a file for a specific user
+     * @dev Grants access to a file for a specific user (owner or ADMIN grantee)
      * @param fileId File identifier
      * @param grantee Address to grant access to
      * @param accessLevel Level of access to grant
@@ -179,181 +316,1403 @@ contract FileRegistry is IFileRegistry, AccessControl, ReentrancyGuard, Pausable
         whenNotPaused
         nonReentrant
     {
-        require(_files[fileId].exists, "File does not exist");
-        require(_files[fileId].owner == msg.sender, "Only owner can grant access");
-        require(grantee != address(0), "Invalid grantee address");
-        require(grantee != msg.sender, "Cannot grant access to self");
-        
-        _filePermissions[fileId][grantee] = FileStructs.AccessPermission({
-            hasAccess: true,
-            level: accessLevel,
-            grantedAt: block.timestamp,
-            expiresAt: expiresAt
-        });
-        
-        emit FileAccessGranted(fileId, grantee, accessLevel);
+        _grantAccess(fileId, msg.sender, grantee, accessLevel, expiresAt, 0);
     }
     
     /**
-     * @dev Revokes access to a file for a specific user
+     * @dev Grants access and stores the file key re-wrapped for the grantee
      * @param fileId File identifier
-     * @param grantee Address to revoke access from
+     * @param grantee Address to grant access to
+     * @param accessLevel Level of access to grant
+     * @param expiresAt Timestamp when access expires (0 for no expiration)
+     * @param wrappedKey File key encrypted with the grantee's public key
      */
-    function revokeAccess(bytes32 fileId, address grantee) 
+    function grantAccessWithKey(
+        bytes32 fileId,
+        address grantee,
+        FileStructs.AccessLevel accessLevel,
+        uint256 expiresAt,
+        bytes memory wrappedKey
+    ) 
         external 
         whenNotPaused
         nonReentrant
     {
-        require(_files[fileId].exists, "File does not exist");
-        require(_files[fileId].owner == msg.sender, "Only owner can revoke access");
-        require(_filePermissions[fileId][grantee].hasAccess, "No access to revoke");
-        
-        delete _filePermissions[fileId][grantee];
-        
-        emit FileAccessRevoked(fileId, grantee);
+        _grantAccess(fileId, msg.sender, grantee, accessLevel, expiresAt, 0);
+        _storeWrappedKey(fileId, grantee, wrappedKey);
     }
     
     /**
-     * @dev Logical deletion of a file
-     * @param fileId File identifier to delete
+     * @dev Grants access on behalf of a file's owner, for trusted contracts
+     * (AccessControlContract.trustedContracts) acting on the owner's instruction,
+     * such as TransferContract completing a transfer the owner initiated
+     * @param fileId File identifier
+     * @param grantor Account the grant is made for; must be able to manage the file's access
+     * @param grantee Address to grant access to
+     * @param accessLevel Level of access to grant
+     * @param expiresAt Timestamp when access expires (0 for no expiration)
+     * @param maxUses Number of uses the grant allows (0 for unlimited)
+     * @param wrappedKey File key encrypted with the grantee's public key (empty for none)
      */
-    function deleteFile(bytes32 fileId) 
+    function grantAccessOnBehalf(
+        bytes32 fileId,
+        address grantor,
+        address grantee,
+        FileStructs.AccessLevel accessLevel,
+        uint256 expiresAt,
+        uint256 maxUses,
+        bytes memory wrappedKey
+    ) 
         external 
         whenNotPaused
         nonReentrant
     {
-        require(_files[fileId].exists, "File does not exist");
-        require(_files[fileId].owner == msg.sender || hasRole(ADMIN_ROLE, msg.sender), "Not authorized");
+        _checkTrustedContract();
         
-        _files[fileId].isDeleted = true;
-        
-        emit FileDeleted(fileId);
+        _grantAccess(fileId, grantor, grantee, accessLevel, expiresAt, maxUses);
+        if (wrappedKey.length > 0) {
+            _storeWrappedKey(fileId, grantee, wrappedKey);
+        }
     }
     
     /**
-     * @dev Gets file metadata
+     * @dev Hands a file over to a new owner on its owner's behalf, for trusted
+     * contracts, such as TransferContract completing an ownership transfer.
+     * The file moves between the owners' file lists and storage usage; any grant
+     * the new owner held is dropped, and the previous owner keeps their wrapped
+     * key if they keep access.
      * @param fileId File identifier
-     * @return File metadata
+     * @param previousOwner Account handing the file over; must be the file's owner
+     * @param newOwner Account taking the file over
+     * @param retainedLevel Access the previous owner keeps (NONE for none)
+     * @param newOwnerKey File key encrypted with the new owner's public key (required for encrypted files)
      */
-    function getFileMetadata(bytes32 fileId) 
+    function transferOwnershipOnBehalf(
+        bytes32 fileId,
+        address previousOwner,
+        address newOwner,
+        FileStructs.AccessLevel retainedLevel,
+        bytes memory newOwnerKey
+    ) 
         external 
-        view 
-        returns (FileStructs.FileMetadataView memory)
+        whenNotPaused
+        nonReentrant
     {
-        FileStructs.FileMetadata storage file = _files[fileId];
+        _checkTrustedContract();
         
-        require(file.exists, "File does not exist");
+        FileStructs.FileMetadata storage file = _checkLiveFile(fileId);
+        require(file.owner == previousOwner, "Only owner can transfer ownership");
+        require(newOwner != address(0) && newOwner != previousOwner, "Invalid new owner");
+        require(file.encryptionKey.length == 0 || newOwnerKey.length > 0, "New owner key required");
+        
+        _chargeStorage(newOwner, 0, file.fileSize, true);
+        _storageUsed[previousOwner] -= file.fileSize;
+        
+        _removeUserFile(previousOwner, fileId);
+        _userFiles[newOwner].push(fileId);
         
-        // Check access for non-public files
-        if (!file.isPublic) {
-            bool hasAccess = file.owner == msg.sender || 
-                             hasRole(ADMIN_ROLE, msg.sender) ||
-                             (_filePermissions[fileId][msg.sender].hasAccess && 
-                              (block.timestamp <= _filePermissions[fileId][msg.sender].expiresAt || 
-                               _filePermissions[fileId][msg.sender].expiresAt == 0));
-            require(hasAccess, "Access denied");
+        _dropPermission(fileId, newOwner);
+        
+        if (retainedLevel != FileStructs.AccessLevel.NONE) {
+            _setPermission(fileId, previousOwner, retainedLevel, 0, 0);
+            if (file.encryptionKey.length > 0) {
+                _storeWrappedKey(fileId, previousOwner, file.encryptionKey);
+            }
+            emit FileAccessGranted(fileId, previousOwner, retainedLevel, newOwner);
+            
+            // Log to audit trail if available
+            _recordAudit(newOwner, fileId, AuditStructs.AuditAction.ACCESS_GRANTED, previousOwner, bytes32(0));
         }
         
-        // Return view without encryption key for non-owners
-        bool includeKey = file.owner == msg.sender;
+        file.owner = newOwner;
+        file.encryptionKey = newOwnerKey;
+        file.updatedAt = block.timestamp;
         
-        return FileStructs.FileMetadataView({
-            fileId: file.fileId,
-            name: file.name,
-            owner: file.owner,
-            contentHash: file.contentHash,
-            encryptionKey: includeKey ? file.encryptionKey : bytes(""),
-            fileSize: file.fileSize,
-            contentType: file.contentType,
-            createdAt: file.createdAt,
-            updatedAt: file.updatedAt,
-            isPublic: file.isPublic,
-            isDeleted: file.isDeleted
-        });
+        emit FileOwnershipTransferred(fileId, previousOwner, newOwner);
+        
+        // Log to audit trail if available
+        _recordAudit(previousOwner, fileId, AuditStructs.AuditAction.OWNERSHIP_TRANSFERRED, newOwner, bytes32(0));
     }
     
     /**
-     * @dev Gets list of files owned by a user
-     * @param owner Address of the file owner
-     * @return Array of file identifiers
+     * @dev Stores the file key re-wrapped for a grantee
+     * Keys wrapped before the owner rotates `encryptionKey` must be re-issued.
+     * @param fileId File identifier
+     * @param grantee Address the key is wrapped for
+     * @param wrappedKey File key encrypted with the grantee's public key
      */
-    function getUserFiles(address owner) 
+    function setWrappedKey(
+        bytes32 fileId,
+        address grantee,
+        bytes memory wrappedKey
+    ) 
         external 
-        view 
-        returns (bytes32[] memory)
+        whenNotPaused
+        nonReentrant
     {
-        return _userFiles[owner];
+        _checkAccessManager(fileId, msg.sender);
+        require(grantee != address(0), "Invalid grantee address");
+        require(grantee != msg.sender, "Cannot set key for self");
+        
+        _storeWrappedKey(fileId, grantee, wrappedKey);
+        
+        // Log to audit trail if available
+        _recordAudit(msg.sender, fileId, AuditStructs.AuditAction.WRAPPED_KEY_STORED, grantee, bytes32(0));
     }
     
     /**
-     * @dev Checks if user has specific access to a file
+     * @dev Revokes access to a file for a specific user (owner or ADMIN grantee)
      * @param fileId File identifier
-     * @param user User address to check
-     * @param level Access level to check
-     * @return True if user has the specified access level
+     * @param grantee Address to revoke access from
      */
-    function checkAccess(bytes32 fileId, address user, FileStructs.AccessLevel level) 
+    function revokeAccess(bytes32 fileId, address grantee) 
         external 
-        view 
-        returns (bool)
+        whenNotPaused
+        nonReentrant
     {
-        if (!_files[fileId].exists || _files[fileId].isDeleted) {
-            return false;
-        }
+        _checkAccessManager(fileId, msg.sender);
+        require(_filePermissions[fileId][grantee].hasAccess, "No access to revoke");
         
-        // Owner has all access levels
-        if (_files[fileId].owner == user) {
-            return true;
-        }
+        _dropPermission(fileId, grantee);
         
-        // Public files have READ access for everyone
-        if (_files[fileId].isPublic && level == FileStructs.AccessLevel.READ) {
-            return true;
-        }
+        emit FileAccessRevoked(fileId, grantee, msg.sender);
         
-        // Check explicit permissions
-        FileStructs.AccessPermission memory permission = _filePermissions[fileId][user];
-        if (!permission.hasAccess) {
-            return false;
-        }
+        // Log to audit trail if available
+        _recordAudit(msg.sender, fileId, AuditStructs.AuditAction.ACCESS_REVOKED, grantee, bytes32(0));
+    }
+    
+    /**
+     * @dev Grants access to a file to every member of a GroupRegistry group
+     * @param fileId File identifier
+     * @param groupId Group identifier
+     * @param accessLevel Level of access to grant
+     * @param expiresAt Timestamp when access expires (0 for no expiration)
+     */
+    function grantGroupAccess(
+        bytes32 fileId,
+        bytes32 groupId,
+        FileStructs.AccessLevel accessLevel,
+        uint256 expiresAt
+    ) 
+        external 
+        whenNotPaused
+        nonReentrant
+    {
+        _checkGrantExpiry(_checkAccessManager(fileId, msg.sender), expiresAt);
+        require(
+            address(_groupRegistry) != address(0) && _groupRegistry.groupExists(groupId),
+            "Group does not exist"
+        );
         
-        // Check permission expiration
-        if (permission.expiresAt != 0 && block.timestamp > permission.expiresAt) {
-            return false;
-        }
+        FileAccessLib.setGroupPermission(
+            _fileGroups[fileId],
+            _groupPermissions[fileId],
+            groupId,
+            accessLevel,
+            expiresAt,
+            MAX_FILE_GROUPS
+        );
+        
+        emit GroupAccessGranted(fileId, groupId, accessLevel, msg.sender);
         
-        // Check permission level
-        return uint8(permission.level) >= uint8(level);
+        // Log to audit trail if available
+        _recordAudit(msg.sender, fileId, AuditStructs.AuditAction.GROUP_ACCESS_GRANTED, address(0), groupId);
     }
     
     /**
-     * @dev Sets the maximum allowed file size
-     * @param newMaxFileSize New maximum file size in bytes
+     * @dev Revokes a group's access to a file
+     * @param fileId File identifier
+     * @param groupId Group identifier
      */
-    function setMaxFileSize(uint256 newMaxFileSize) 
+    function revokeGroupAccess(bytes32 fileId, bytes32 groupId) 
         external 
-        onlyRole(ADMIN_ROLE)
+        whenNotPaused
+        nonReentrant
     {
-        maxFileSize = newMaxFileSize;
+        _checkAccessManager(fileId, msg.sender);
+        FileAccessLib.removeGroup(_fileGroups[fileId], _groupPermissions[fileId], groupId);
+        
+        emit GroupAccessRevoked(fileId, groupId, msg.sender);
+        
+        // Log to audit trail if available
+        _recordAudit(msg.sender, fileId, AuditStructs.AuditAction.GROUP_ACCESS_REVOKED, address(0), groupId);
     }
     
     /**
-     * @dev Pauses contract operations
+     * @dev Spends one use of the caller's use-limited grant, for clients to call
+     * before each download. The grant is revoked with its last use, so clients
+     * read the file's locations and their wrapped key first.
+     * The budget is advisory: the views do not spend uses, and contract storage
+     * can be read directly, so it bounds clients that follow it and records
+     * each use in the audit trail; it cannot stop a grantee reading the key or
+     * locations again.
+     * @param fileId File identifier
+     * @return usesLeft Uses remaining after this one
      */
-    function pause() 
+    function useAccess(bytes32 fileId) 
         external 
-        onlyRole(ADMIN_ROLE)
+        whenNotPaused
+        nonReentrant
+        returns (uint256 usesLeft)
     {
-        _pause();
+        _checkFileAccess(fileId, FileStructs.AccessLevel.READ);
+        
+        FileStructs.AccessPermission storage permission = _filePermissions[fileId][msg.sender];
+        require(permission.usesLeft > 0, "Access is not use-limited");
+        
+        usesLeft = permission.usesLeft - 1;
+        emit FileAccessUsed(fileId, msg.sender, usesLeft);
+        
+        // Log to audit trail if available
+        _recordAudit(msg.sender, fileId, AuditStructs.AuditAction.ACCESS_USED, address(0), bytes32(usesLeft));
+        
+        if (usesLeft == 0) {
+            _dropPermission(fileId, msg.sender);
+            emit FileAccessRevoked(fileId, msg.sender, msg.sender);
+            _recordAudit(msg.sender, fileId, AuditStructs.AuditAction.ACCESS_REVOKED, msg.sender, bytes32(0));
+        } else {
+            permission.usesLeft = usesLeft;
+        }
     }
     
     /**
-     * @dev Unpauses contract operations
+     * @dev Records a place the file's content can be fetched from
+     * @param fileId File identifier
+     * @param protocol Storage protocol (e.g., "ipfs", "local")
+     * @param location Protocol-specific location identifier
+     * @param isEncrypted Whether the stored content is encrypted
+     * @param encryptionType Encryption scheme of the stored content (empty if plain)
      */
-    function unpause() 
+    function addStorageLocation(
+        bytes32 fileId,
+        string memory protocol,
+        string memory location,
+        bool isEncrypted,
+        string memory encryptionType
+    ) 
         external 
-        onlyRole(ADMIN_ROLE)
+        whenNotPaused
+        nonReentrant
+        hasFileAccess(fileId, FileStructs.AccessLevel.WRITE)
     {
-        _unpause();
+        _storageLocations[fileId].addLocation(
+            FileStructs.StorageLocation({
+                fileId: fileId,
+                protocol: protocol,
+                location: location,
+                isEncrypted: isEncrypted,
+                encryptionType: encryptionType
+            }),
+            MAX_STORAGE_LOCATIONS
+        );
+        
+        emit StorageLocationAdded(fileId, protocol, location);
+        
+        // Log to audit trail if available
+        _recordAudit(msg.sender, fileId, AuditStructs.AuditAction.STORAGE_LOCATION_ADDED, address(0), keccak256(bytes(location)));
+    }
+    
+    /**
+     * @dev Removes a recorded storage location
+     * @param fileId File identifier
+     * @param protocol Storage protocol of the location
+     * @param location Protocol-specific location identifier
+     */
+    function removeStorageLocation(
+        bytes32 fileId,
+        string memory protocol,
+        string memory location
+    ) 
+        external 
+        whenNotPaused
+        nonReentrant
+        hasFileAccess(fileId, FileStructs.AccessLevel.WRITE)
+    {
+        _storageLocations[fileId].removeLocation(protocol, location);
+        
+        emit StorageLocationRemoved(fileId, protocol, location);
+        
+        // Log to audit trail if available
+        _recordAudit(msg.sender, fileId, AuditStructs.AuditAction.STORAGE_LOCATION_REMOVED, address(0), keccak256(bytes(location)));
+    }
+    
+    /**
+     * @dev Logical deletion of a file (owner or admin)
+     * Every direct and group grant is revoked and open transfers of the file are
+     * cancelled. The file can be restored within `restoreWindow`, without its
+     * grants, and purged after it.
+     * @param fileId File identifier to delete
+     */
+    function deleteFile(bytes32 fileId) 
+        external 
+        whenNotPaused
+        nonReentrant
+    {
+        FileStructs.FileMetadata storage file = _checkOwnerOrAdmin(fileId);
+        require(!file.isDeleted, "File already deleted");
+        
+        file.isDeleted = true;
+        file.deletedAt = block.timestamp;
+        _storageUsed[file.owner] -= file.fileSize;
+        
+        FileAccessLib.revokeAll(
+            fileId,
+            _grantees[fileId],
+            _filePermissions[fileId],
+            _granteeKeys[fileId],
+            _fileGroups[fileId],
+            _groupPermissions[fileId],
+            msg.sender
+        );
+        
+        if (address(_transferContract) != address(0)) {
+            _transferContract.cancelFileTransfers(fileId, msg.sender);
+        }
+        
+        emit FileDeleted(fileId);
+        
+        // Log to audit trail if available
+        _recordAudit(msg.sender, fileId, AuditStructs.AuditAction.FILE_DELETED, address(0), bytes32(0));
+    }
+    
+    /**
+     * @dev Undoes the deletion of a file within `restoreWindow` (owner or admin)
+     * The file counts against its owner's quota again; revoked grants stay revoked.
+     * @param fileId File identifier to restore
+     */
+    function restoreFile(bytes32 fileId) 
+        external 
+        whenNotPaused
+        nonReentrant
+    {
+        FileStructs.FileMetadata storage file = _checkOwnerOrAdmin(fileId);
+        require(file.isDeleted, "File is not deleted");
+        require(block.timestamp <= file.deletedAt + restoreWindow, "Restore window has passed");
+        
+        _chargeStorage(file.owner, 0, file.fileSize, true);
+        file.isDeleted = false;
+        file.deletedAt = 0;
+        
+        emit FileRestored(fileId, msg.sender);
+        
+        // Log to audit trail if available
+        _recordAudit(msg.sender, fileId, AuditStructs.AuditAction.FILE_RESTORED, address(0), bytes32(0));
+    }
+    
+    /**
+     * @dev Permanently removes a deleted file once `restoreWindow` has passed
+     * (owner or admin). Its metadata, key, storage locations and versions are
+     * erased, along with the chunk count of each version's content, and it
+     * leaves its owner's file list. Each call erases up to MAX_PURGE_VERSIONS
+     * versions, newest first; a file with more versions is purged by calling
+     * again until FilePurged is emitted. The chunk hashes recorded for a chunked
+     * file are kept: they cannot be read once the file is gone, and clearing
+     * up to maxChunks records would not fit in one transaction.
+     * @param fileId File identifier to purge
+     * @return purged Whether the file is now fully purged
+     */
+    function purgeFile(bytes32 fileId) 
+        external 
+        whenNotPaused
+        nonReentrant
+        returns (bool purged)
+    {
+        FileStructs.FileMetadata storage file = _checkOwnerOrAdmin(fileId);
+        require(file.isDeleted, "File is not deleted");
+        require(block.timestamp > file.deletedAt + restoreWindow, "Restore window still open");
+        
+        address fileOwner = file.owner;
+        if (!FileStorageLib.erase(_files, _storageLocations, _fileVersions, _chunkCounts, fileId, MAX_PURGE_VERSIONS)) {
+            return false;
+        }
+        _removeUserFile(fileOwner, fileId);
+        
+        emit FilePurged(fileId);
+        
+        // Log to audit trail if available
+        _recordAudit(msg.sender, fileId, AuditStructs.AuditAction.FILE_PURGED, address(0), bytes32(0));
+        
+        return true;
+    }
+    
+    /**
+     * @dev Gets file metadata
+     * @param fileId File identifier
+     * @return File metadata
+     */
+    function getFileMetadata(bytes32 fileId) 
+        external 
+        view 
+        canViewFile(fileId)
+        returns (FileStructs.FileMetadataView memory)
+    {
+        return _fileView(fileId);
+    }
+    
+    /**
+     * @dev Gets the recorded storage locations of a file
+     * @param fileId File identifier
+     * @return Array of storage locations
+     */
+    function getStorageLocations(bytes32 fileId) 
+        external 
+        view 
+        canViewFile(fileId)
+        returns (FileStructs.StorageLocation[] memory)
+    {
+        
+        return _storageLocations[fileId];
+    }
+    
+    /**
+     * @dev Gets the chunking state of a file's current content
+     * @param fileId File identifier
+     * @return chunkCount Number of chunks (0 if the file is not chunked)
+     * @return recordedChunks Number of chunk hashes recorded so far
+     */
+    function getChunkInfo(bytes32 fileId) 
+        external 
+        view 
+        canViewFile(fileId)
+        returns (uint256 chunkCount, uint256 recordedChunks)
+    {
+        
+        bytes32 merkleRoot = _files[fileId].contentHash;
+        return (_chunkCounts[fileId][merkleRoot], _fileChunks[fileId][merkleRoot].length);
+    }
+    
+    /**
+     * @dev Gets a page of the recorded chunks of a file's current content
+     * @param fileId File identifier
+     * @param offset Sequence number of the first chunk to return
+     * @param limit Maximum number of chunks to return
+     * @return page Chunk records in sequence order
+     */
+    function getFileChunks(bytes32 fileId, uint256 offset, uint256 limit) 
+        external 
+        view 
+        canViewFile(fileId)
+        returns (FileStructs.FileChunk[] memory page)
+    {
+        
+        return _fileChunks[fileId][_files[fileId].contentHash].chunkPage(offset, limit);
+    }
+    
+    /**
+     * @dev Gets the number of versions of a file
+     * @param fileId File identifier
+     * @return Number of versions, the latest being the current content
+     */
+    function getFileVersionCount(bytes32 fileId) 
+        external 
+        view 
+        canViewFile(fileId)
+        returns (uint256)
+    {
+        
+        return _fileVersions[fileId].length;
+    }
+    
+    /**
+     * @dev Gets one version of a file
+     * @param fileId File identifier
+     * @param version Version number (1 is the registered content)
+     * @return File version (encryptionKey is only returned to the owner)
+     */
+    function getFileVersion(bytes32 fileId, uint256 version) 
+        external 
+        view 
+        canViewFile(fileId)
+        returns (FileStructs.FileVersion memory)
+    {
+        require(version > 0 && version <= _fileVersions[fileId].length, "Version does not exist");
+        
+        return _fileVersions[fileId].versionPage(version - 1, 1, _keysVisible(fileId))[0];
+    }
+    
+    /**
+     * @dev Gets a page of a file's versions, oldest first
+     * @param fileId File identifier
+     * @param offset Number of versions to skip
+     * @param limit Maximum number of versions to return
+     * @return page File versions (encryptionKey is only returned to the owner)
+     */
+    function getFileVersions(bytes32 fileId, uint256 offset, uint256 limit) 
+        external 
+        view 
+        canViewFile(fileId)
+        returns (FileStructs.FileVersion[] memory page)
+    {
+        return _fileVersions[fileId].versionPage(offset, limit, _keysVisible(fileId));
+    }
+    
+    /**
+     * @dev Gets list of files owned by a user, leaving out deleted files
+     * @param owner Address of the file owner
+     * @return Array of file identifiers
+     */
+    function getUserFiles(address owner) 
+        external 
+        view 
+        returns (bytes32[] memory)
+    {
+        return _userFileList(owner, false);
+    }
+    
+    /**
+     * @dev Gets a user's deleted files that have not been purged yet
+     * @param owner Address of the file owner
+     * @return Array of file identifiers
+     */
+    function getDeletedFiles(address owner) 
+        external 
+        view 
+        returns (bytes32[] memory)
+    {
+        return _userFileList(owner, true);
+    }
+    
+    /**
+     * @dev Gets a page of a user's files, oldest first, leaving out files the
+     * caller may not view
+     * @param owner Address of the file owner
+     * @param filter Criteria files must match
+     * @param offset Number of matching files to skip
+     * @param limit Maximum number of files to return (0 for all)
+     * @return files Matching file metadata
+     * @return total Number of files matching the filter
+     */
+    function getUserFilesPage(
+        address owner,
+        FileStructs.FileFilter memory filter,
+        uint256 offset,
+        uint256 limit
+    ) 
+        external 
+        view 
+        returns (FileStructs.FileMetadataView[] memory files, uint256 total)
+    {
+        bytes32[] storage fileIds = _userFiles[owner];
+        for (uint256 i = 0; i < fileIds.length; i++) {
+            if (_matchesFilter(fileIds[i], filter)) {
+                total++;
+            }
+        }
+        
+        if (offset >= total) {
+            return (new FileStructs.FileMetadataView[](0), total);
+        }
+        
+        uint256 actualLimit = (limit == 0 || offset + limit > total) 
+            ? total - offset 
+            : limit;
+        files = new FileStructs.FileMetadataView[](actualLimit);
+        
+        uint256 skipped = 0;
+        uint256 count = 0;
+        for (uint256 i = 0; i < fileIds.length && count < actualLimit; i++) {
+            if (!_matchesFilter(fileIds[i], filter)) {
+                continue;
+            }
+            if (skipped < offset) {
+                skipped++;
+                continue;
+            }
+            files[count++] = _fileView(fileIds[i]);
+        }
+        
+        return (files, total);
+    }
+    
+    /**
+     * @dev Gets the limits registrations are checked against: SystemConfig's
+     * storage settings if one is set, otherwise this contract's own limits
+     * @return fileSizeLimit Maximum file size in bytes
+     * @return storagePerUser Maximum bytes of live files per owner (0 for no quota)
+     * @return chunkSizeMin Minimum size of every chunk but the last, in bytes
+     * @return chunkCountMax Maximum number of chunks per file
+     */
+    function getStorageLimits() 
+        public 
+        view 
+        returns (
+            uint256 fileSizeLimit,
+            uint256 storagePerUser,
+            uint256 chunkSizeMin,
+            uint256 chunkCountMax
+        )
+    {
+        if (address(_systemConfig) != address(0)) {
+            return _systemConfig.getStorageSettings();
+        }
+        return (maxFileSize, 0, minChunkSize, maxChunks);
+    }
+    
+    /**
+     * @dev Gets how much storage a user's live files take up
+     * @param user User address
+     * @return used Bytes counted against the user's quota
+     * @return quota Maximum bytes allowed (0 for no quota)
+     */
+    function getStorageUsage(address user) 
+        external 
+        view 
+        returns (uint256 used, uint256 quota)
+    {
+        (, quota, , ) = getStorageLimits();
+        return (_storageUsed[user], quota);
+    }
+    
+    /**
+     * @dev Gets the SystemConfig contract limits are read from
+     * @return SystemConfig address (zero if the local limits apply)
+     */
+    function getSystemConfig() 
+        external 
+        view 
+        returns (address)
+    {
+        return address(_systemConfig);
+    }
+    
+    /**
+     * @dev Checks if user has specific access to a file
+     * @param fileId File identifier
+     * @param user User address to check
+     * @param level Access level to check
+     * @return True if user has the specified access level
+     */
+    function checkAccess(bytes32 fileId, address user, FileStructs.AccessLevel level) 
+        external 
+        view 
+        returns (bool)
+    {
+        if (!_files[fileId].exists || _files[fileId].isDeleted) {
+            return false;
+        }
+        
+        // Public files have READ access for everyone
+        if (_files[fileId].isPublic && level == FileStructs.AccessLevel.READ) {
+            return true;
+        }
+        
+        return uint8(_accessLevel(fileId, user)) >= uint8(level);
+    }
+    
+    /**
+     * @dev Checks whether a content hash is a file's current content or that of
+     * one of its earlier versions, for TransferContract to check delivery
+     * receipts against. Only the linked TransferContract may ask, so private
+     * files' content hashes cannot be probed.
+     * @param fileId File identifier
+     * @param contentHash Content hash to check
+     * @return True if some version of the file has the content hash
+     */
+    function isFileContent(bytes32 fileId, bytes32 contentHash) 
+        external 
+        view 
+        returns (bool)
+    {
+        require(msg.sender == address(_transferContract), "Only TransferContract");
+        return _fileVersions[fileId].hasContent(contentHash);
+    }
+    
+    /**
+     * @dev Checks whether an account may grant a level of access to a file, as
+     * a transfer it sends does on completion: it must manage the file's access
+     * (its owner, or a direct ADMIN grantee) and hold that level itself
+     * @param fileId File identifier
+     * @param grantor Account that would grant the access
+     * @param level Access level to grant
+     * @return True if the account may grant the level
+     */
+    function canGrantAccess(bytes32 fileId, address grantor, FileStructs.AccessLevel level) 
+        external 
+        view 
+        returns (bool)
+    {
+        FileStructs.FileMetadata storage file = _files[fileId];
+        return file.exists &&
+            !file.isDeleted &&
+            (file.owner == grantor || _isDirectAdmin(fileId, grantor)) &&
+            uint8(level) <= uint8(_accessLevel(fileId, grantor));
+    }
+    
+    /**
+     * @dev Gets the permission a user holds on a file
+     * @param fileId File identifier
+     * @param user User address
+     * @return Permission (hasAccess is false if none was granted or it was used up)
+     */
+    function getAccessPermission(bytes32 fileId, address user) 
+        external 
+        view 
+        returns (FileStructs.AccessPermission memory)
+    {
+        return _filePermissions[fileId][user];
+    }
+    
+    /**
+     * @dev Gets a file's owner
+     * @param fileId File identifier
+     * @return Owner address (zero if the file does not exist)
+     */
+    function getFileOwner(bytes32 fileId) 
+        external 
+        view 
+        returns (address)
+    {
+        return _files[fileId].owner;
+    }
+    
+    /**
+     * @dev Gets the groups a file is shared with
+     * @param fileId File identifier
+     * @return Group identifiers
+     */
+    function getFileGroups(bytes32 fileId) 
+        external 
+        view 
+        returns (bytes32[] memory)
+    {
+        return _fileGroups[fileId];
+    }
+    
+    /**
+     * @dev Gets the permission a group holds on a file
+     * @param fileId File identifier
+     * @param groupId Group identifier
+     * @return Permission (hasAccess is false if none was granted)
+     */
+    function getGroupPermission(bytes32 fileId, bytes32 groupId) 
+        external 
+        view 
+        returns (FileStructs.AccessPermission memory)
+    {
+        return _groupPermissions[fileId][groupId];
+    }
+    
+    /**
+     * @dev Sets the SystemConfig contract to take limits from
+     * @param newSystemConfig Address of SystemConfig (zero to use the local limits)
+     */
+    function setSystemConfig(address newSystemConfig) 
+        external 
+        onlyRole(ADMIN_ROLE)
+    {
+        _systemConfig = ISystemConfig(newSystemConfig);
+        emit SystemConfigUpdated(newSystemConfig);
+    }
+    
+    /**
+     * @dev Sets the AccessControlContract whose trusted contracts may grant on behalf of owners
+     * @param newAccessControl Address of AccessControlContract (zero to disable delegated grants)
+     */
+    function setAccessControl(address newAccessControl) 
+        external 
+        onlyRole(ADMIN_ROLE)
+    {
+        _accessControl = IAccessControlContract(newAccessControl);
+        emit AccessControlUpdated(newAccessControl);
+    }
+    
+    /**
+     * @dev Sets the GroupRegistry whose groups files can be shared with
+     * @param newGroupRegistry Address of GroupRegistry (zero disables group grants)
+     */
+    function setGroupRegistry(address newGroupRegistry) 
+        external 
+        onlyRole(ADMIN_ROLE)
+    {
+        _groupRegistry = IGroupRegistry(newGroupRegistry);
+        emit GroupRegistryUpdated(newGroupRegistry);
+    }
+    
+    /**
+     * @dev Sets the TransferContract whose open transfers are cancelled when a file is deleted
+     * @param newTransferContract Address of TransferContract (zero to leave transfers open)
+     */
+    function setTransferContract(address newTransferContract) 
+        external 
+        onlyRole(ADMIN_ROLE)
+    {
+        _transferContract = ITransferContract(newTransferContract);
+        emit TransferContractUpdated(newTransferContract);
+    }
+    
+    /**
+     * @dev Sets the AuditContract that file operations are recorded in
+     * FileRegistry needs its RECORDER_ROLE.
+     * @param newAuditContract Address of AuditContract (zero to stop recording)
+     */
+    function setAuditContract(address newAuditContract) 
+        external 
+        onlyRole(ADMIN_ROLE)
+    {
+        _auditContract = IAuditContract(newAuditContract);
+        emit AuditContractUpdated(newAuditContract);
+    }
+    
+    /**
+     * @dev Sets how long deleted files can be restored before they may be purged
+     * @param newRestoreWindow Restore window in seconds
+     */
+    function setRestoreWindow(uint256 newRestoreWindow) 
+        external 
+        onlyRole(ADMIN_ROLE)
+    {
+        restoreWindow = newRestoreWindow;
+    }
+    
+    /**
+     * @dev Sets the maximum allowed file size
+     * @param newMaxFileSize New maximum file size in bytes
+     */
+    function setMaxFileSize(uint256 newMaxFileSize) 
+        external 
+        onlyRole(ADMIN_ROLE)
+    {
+        maxFileSize = newMaxFileSize;
+    }
+    
+    /**
+     * @dev Sets the chunking limits for chunked files
+     * @param newMinChunkSize Minimum size of every chunk but the last, in bytes
+     * @param newMaxChunks Maximum number of chunks per file
+     */
+    function setChunkLimits(uint256 newMinChunkSize, uint256 newMaxChunks) 
+        external 
+        onlyRole(ADMIN_ROLE)
+    {
+        require(newMinChunkSize > 0, "Invalid chunk size");
+        require(newMaxChunks > 0, "Invalid max chunks");
+        
+        minChunkSize = newMinChunkSize;
+        maxChunks = newMaxChunks;
+    }
+    
+    /**
+     * @dev Pauses contract operations
+     */
+    function pause() 
+        external 
+        onlyRole(ADMIN_ROLE)
+    {
+        _pause();
+    }
+    
+    /**
+     * @dev Unpauses contract operations
+     */
+    function unpause() 
+        external 
+        onlyRole(ADMIN_ROLE)
+    {
+        _unpause();
+    }
+    
+    /**
+     * @dev Creates the metadata record of a new file owned by the caller
+     * @param name File name
+     * @param contentHash Hash of the file content (or Merkle root of its chunks)
+     * @param encryptionKey Encrypted symmetric key
+     * @param fileSize Size of file in bytes
+     * @param contentType MIME type of the file
+     * @param isPublic Whether file is publicly accessible
+     * @return fileId Unique identifier for the file
+     */
+    function _registerFile(
+        string memory name,
+        bytes32 contentHash,
+        bytes memory encryptionKey,
+        uint256 fileSize,
+        string memory contentType,
+        bool isPublic
+    ) private returns (bytes32 fileId) {
+        require(bytes(name).length > 0, "Name cannot be empty");
+        if (address(_systemConfig) != address(0) && _systemConfig.enforceEncryption()) {
+            require(encryptionKey.length > 0, "Encryption required");
+        }
+        _chargeStorage(msg.sender, 0, fileSize, true);
+        
+        // Generate a unique file ID
+        _fileIdCounter.increment();
+        fileId = keccak256(abi.encodePacked(
+            msg.sender,
+            _fileIdCounter.current(),
+            block.timestamp,
+            contentHash
+        ));
+        
+        // Store file metadata; the file starts out not deleted
+        FileStructs.FileMetadata storage file = _files[fileId];
+        file.fileId = fileId;
+        file.name = name;
+        file.owner = msg.sender;
+        file.contentHash = contentHash;
+        file.encryptionKey = encryptionKey;
+        file.fileSize = fileSize;
+        file.contentType = contentType;
+        file.createdAt = block.timestamp;
+        file.updatedAt = block.timestamp;
+        file.isPublic = isPublic;
+        file.exists = true;
+        
+        _userFiles[msg.sender].push(fileId);
+        
+        emit FileRegistered(fileId, msg.sender, contentHash);
+        
+        _appendVersion(fileId, "Initial version");
+        
+        // Log to audit trail if available
+        _recordAudit(msg.sender, fileId, AuditStructs.AuditAction.FILE_REGISTERED, address(0), contentHash);
+        return fileId;
+    }
+    
+    /**
+     * @dev Replaces a file's content and records the result as a new version
+     * @param fileId Identifier of file to update
+     * @param newContentHash New content hash of the file
+     * @param newEncryptionKey New encryption key (empty to keep the current one)
+     * @param newFileSize New file size in bytes
+     * @param changeDescription What changed in this version
+     */
+    function _updateFile(
+        bytes32 fileId,
+        bytes32 newContentHash,
+        bytes memory newEncryptionKey,
+        uint256 newFileSize,
+        string memory changeDescription
+    ) private {
+        FileStructs.FileMetadata storage file = _files[fileId];
+        
+        // Only owner can change encryption key
+        if (msg.sender != file.owner) {
+            require(newEncryptionKey.length == 0, "Only owner can change encryption key");
+        }
+        
+        // Deleted files no longer count against the owner's quota
+        _chargeStorage(file.owner, file.fileSize, newFileSize, !file.isDeleted);
+        
+        file.contentHash = newContentHash;
+        if (newEncryptionKey.length > 0) {
+            file.encryptionKey = newEncryptionKey;
+        }
+        file.fileSize = newFileSize;
+        file.updatedAt = block.timestamp;
+        
+        emit FileUpdated(fileId, newContentHash);
+        
+        _appendVersion(fileId, changeDescription);
+        
+        // Log to audit trail if available
+        _recordAudit(msg.sender, fileId, AuditStructs.AuditAction.FILE_UPDATED, address(0), newContentHash);
+    }
+    
+    /**
+     * @dev Records a file's current content as its next version
+     * @param fileId File identifier
+     * @param changeDescription What changed in this version
+     */
+    function _appendVersion(bytes32 fileId, string memory changeDescription) private {
+        (uint256 version, bytes32 versionId) = _fileVersions[fileId].appendVersion(
+            _files[fileId],
+            msg.sender,
+            changeDescription
+        );
+        
+        emit FileVersionCreated(fileId, version, versionId);
+    }
+    
+    /**
+     * @dev Checks a new content size against the file size limit and updates
+     * the owner's storage usage, enforcing their quota when usage grows
+     * @param owner File owner
+     * @param oldSize Size currently counted for the file (0 for a new file)
+     * @param newSize New size of the file in bytes
+     * @param counted Whether the file counts towards the owner's usage
+     */
+    function _chargeStorage(address owner, uint256 oldSize, uint256 newSize, bool counted) private {
+        (uint256 fileSizeLimit, uint256 storagePerUser, , ) = getStorageLimits();
+        require(newSize > 0 && newSize <= fileSizeLimit, "Invalid file size");
+        
+        if (!counted) {
+            return;
+        }
+        
+        uint256 used = _storageUsed[owner] - oldSize + newSize;
+        require(
+            newSize <= oldSize || storagePerUser == 0 || used <= storagePerUser,
+            "Storage quota exceeded"
+        );
+        _storageUsed[owner] = used;
+    }
+    
+    /**
+     * @dev Removes a file from an owner's file list
+     * @param owner File owner
+     * @param fileId File identifier
+     */
+    function _removeUserFile(address owner, bytes32 fileId) private {
+        bytes32[] storage files = _userFiles[owner];
+        for (uint256 i = 0; i < files.length; i++) {
+            if (files[i] == fileId) {
+                files[i] = files[files.length - 1];
+                files.pop();
+                break;
+            }
+        }
+    }
+    
+    /**
+     * @dev Gets the files of an owner's list that are, or are not, deleted
+     * @param owner File owner
+     * @param deleted Whether to list deleted files instead of live ones
+     * @return list Matching file identifiers, in list order
+     */
+    function _userFileList(address owner, bool deleted) 
+        private 
+        view 
+        returns (bytes32[] memory list)
+    {
+        bytes32[] storage files = _userFiles[owner];
+        list = new bytes32[](files.length);
+        
+        uint256 count = 0;
+        for (uint256 i = 0; i < files.length; i++) {
+            if (_files[files[i]].isDeleted == deleted) {
+                list[count++] = files[i];
+            }
+        }
+        
+        // Shrink the array to the files that matched
+        assembly {
+            mstore(list, count)
+        }
+    }
+    
+    /**
+     * @dev Checks a file against a listing filter and the caller's right to view it
+     * @param fileId File identifier
+     * @param filter Criteria to check
+     * @return True if the file is listed for the caller
+     */
+    function _matchesFilter(bytes32 fileId, FileStructs.FileFilter memory filter) 
+        private 
+        view 
+        returns (bool)
+    {
+        FileStructs.FileMetadata storage file = _files[fileId];
+        return file.isDeleted == filter.deleted &&
+            file.createdAt >= filter.createdFrom &&
+            (filter.createdTo == 0 || file.createdAt <= filter.createdTo) &&
+            _canView(fileId, msg.sender);
+    }
+    
+    /**
+     * @dev Copies a file's metadata into its view for the caller
+     * @param fileId File identifier
+     * @return File metadata
+     */
+    function _fileView(bytes32 fileId) 
+        private 
+        view 
+        returns (FileStructs.FileMetadataView memory)
+    {
+        FileStructs.FileMetadata storage file = _files[fileId];
+        
+        // Owners get the stored key, grantees the copy wrapped for them (if any);
+        // nobody gets a key while the file is deleted
+        bytes memory callerKey = file.isDeleted
+            ? bytes("")
+            : file.owner == msg.sender
+                ? file.encryptionKey
+                : _granteeKeys[fileId][msg.sender];
+        
+        return FileStructs.FileMetadataView({
+            fileId: file.fileId,
+            name: file.name,
+            owner: file.owner,
+            contentHash: file.contentHash,
+            encryptionKey: callerKey,
+            fileSize: file.fileSize,
+            contentType: file.contentType,
+            createdAt: file.createdAt,
+            updatedAt: file.updatedAt,
+            isPublic: file.isPublic,
+            isDeleted: file.isDeleted,
+            deletedAt: file.deletedAt
+        });
+    }
+    
+    /**
+     * @dev Checks whether the caller gets the keys stored with a file's versions:
+     * only its owner does, and nobody while the file is deleted
+     * @param fileId File identifier
+     * @return True if version keys are returned to the caller
+     */
+    function _keysVisible(bytes32 fileId) private view returns (bool) {
+        return _files[fileId].owner == msg.sender && !_files[fileId].isDeleted;
+    }
+    
+    /**
+     * @dev Records a permission for a grantee
+     * ADMIN grantees may grant any level up to their own, but not to the owner,
+     * and not for longer than their own access lasts.
+     * @param fileId File identifier
+     * @param grantor Account making the grant
+     * @param grantee Address to grant access to
+     * @param accessLevel Level of access to grant
+     * @param expiresAt Timestamp when access expires (0 for no expiration)
+     * @param maxUses Number of uses the grant allows (0 for unlimited)
+     */
+    function _grantAccess(
+        bytes32 fileId,
+        address grantor,
+        address grantee,
+        FileStructs.AccessLevel accessLevel,
+        uint256 expiresAt,
+        uint256 maxUses
+    ) private {
+        _checkGrantExpiry(_checkAccessManager(fileId, grantor), expiresAt);
+        require(grantee != address(0), "Invalid grantee address");
+        require(grantee != grantor, "Cannot grant access to self");
+        require(grantee != _files[fileId].owner, "Cannot change owner access");
+        
+        _setPermission(fileId, grantee, accessLevel, expiresAt, maxUses);
+        
+        emit FileAccessGranted(fileId, grantee, accessLevel, grantor);
+        
+        // Log to audit trail if available
+        _recordAudit(grantor, fileId, AuditStructs.AuditAction.ACCESS_GRANTED, grantee, bytes32(0));
+    }
+    
+    /**
+     * @dev Records a direct permission and tracks its holder among the file's grantees
+     * @param fileId File identifier
+     * @param grantee Address the permission is for
+     * @param accessLevel Level of access
+     * @param expiresAt Timestamp when access expires (0 for no expiration)
+     * @param maxUses Number of uses the permission allows (0 for unlimited)
+     */
+    function _setPermission(
+        bytes32 fileId,
+        address grantee,
+        FileStructs.AccessLevel accessLevel,
+        uint256 expiresAt,
+        uint256 maxUses
+    ) private {
+        FileAccessLib.setPermission(
+            _grantees[fileId],
+            _filePermissions[fileId],
+            grantee,
+            accessLevel,
+            expiresAt,
+            maxUses,
+            MAX_FILE_GRANTEES
+        );
+    }
+    
+    /**
+     * @dev Removes a direct permission along with the grantee's wrapped key
+     * @param fileId File identifier
+     * @param grantee Address whose permission is removed
+     */
+    function _dropPermission(bytes32 fileId, address grantee) private {
+        FileAccessLib.dropPermission(_grantees[fileId], _filePermissions[fileId], _granteeKeys[fileId], grantee);
+    }
+    
+    /**
+     * @dev Reverts unless an account may manage a file's access: its owner, or
+     * the holder of an unexpired, direct ADMIN grant without a use limit. ADMIN
+     * held through a group does not count, as group owners control membership.
+     * @param fileId File identifier
+     * @param manager Account acting on the file's permissions
+     * @return expiresAt When the manager's own ADMIN grant expires (0 for never)
+     */
+    function _checkAccessManager(bytes32 fileId, address manager) private view returns (uint256) {
+        if (_checkLiveFile(fileId).owner == manager) {
+            return 0;
+        }
+        
+        require(_isDirectAdmin(fileId, manager), "Not authorized to manage access");
+        return _filePermissions[fileId][manager].expiresAt;
+    }
+    
+    /**
+     * @dev Checks whether an account holds an unexpired, direct ADMIN grant
+     * without a use limit on a file
+     * @param fileId File identifier
+     * @param account Account to check
+     * @return Whether the account holds such a grant
+     */
+    function _isDirectAdmin(bytes32 fileId, address account) private view returns (bool) {
+        FileStructs.AccessPermission storage permission = _filePermissions[fileId][account];
+        return permission.hasAccess &&
+            permission.level == FileStructs.AccessLevel.ADMIN &&
+            permission.usesLeft == 0 &&
+            (permission.expiresAt == 0 || block.timestamp <= permission.expiresAt);
+    }
+    
+    /**
+     * @dev Reverts if a grant would outlast the granting manager's own access
+     * @param managerExpiresAt When the manager's access expires (0 for never)
+     * @param expiresAt Requested expiry of the grant (0 for no expiration)
+     */
+    function _checkGrantExpiry(uint256 managerExpiresAt, uint256 expiresAt) private pure {
+        require(
+            managerExpiresAt == 0 || (expiresAt != 0 && expiresAt <= managerExpiresAt),
+            "Grant outlasts own access"
+        );
+    }
+    
+    /**
+     * @dev Reverts unless the caller is on the AccessControlContract trusted list
+     */
+    function _checkTrustedContract() private view {
+        require(
+            address(_accessControl) != address(0) && _accessControl.trustedContracts(msg.sender),
+            "Caller is not a trusted contract"
+        );
+    }
+    
+    /**
+     * @dev Reverts unless the file exists
+     * @param fileId File identifier
+     * @return file Stored metadata of the file
+     */
+    function _checkFile(bytes32 fileId) 
+        private 
+        view 
+        returns (FileStructs.FileMetadata storage file)
+    {
+        file = _files[fileId];
+        require(file.exists, "File does not exist");
+    }
+    
+    /**
+     * @dev Reverts unless the file exists and is not deleted
+     * @param fileId File identifier
+     * @return file Stored metadata of the file
+     */
+    function _checkLiveFile(bytes32 fileId) 
+        private 
+        view 
+        returns (FileStructs.FileMetadata storage file)
+    {
+        file = _checkFile(fileId);
+        require(!file.isDeleted, "File is deleted");
+    }
+    
+    /**
+     * @dev Reverts unless the file exists and the caller is its owner or an admin
+     * @param fileId File identifier
+     * @return file Stored metadata of the file
+     */
+    function _checkOwnerOrAdmin(bytes32 fileId) 
+        private 
+        view 
+        returns (FileStructs.FileMetadata storage file)
+    {
+        file = _checkFile(fileId);
+        require(file.owner == msg.sender || hasRole(ADMIN_ROLE, msg.sender), "Not authorized");
+    }
+    
+    /**
+     * @dev Stores a grantee's wrapped key
+     * @param fileId File identifier
+     * @param grantee Address the key is wrapped for
+     * @param wrappedKey File key encrypted with the grantee's public key
+     */
+    function _storeWrappedKey(
+        bytes32 fileId,
+        address grantee,
+        bytes memory wrappedKey
+    ) private {
+        require(wrappedKey.length > 0, "Wrapped key cannot be empty");
+        
+        _granteeKeys[fileId][grantee] = wrappedKey;
+        
+        emit WrappedKeyStored(fileId, grantee);
+    }
+    
+    /**
+     * @dev Reverts unless the file exists and the caller holds the required access level
+     * @param fileId File identifier
+     * @param requiredLevel Minimum access level required
+     */
+    function _checkFileAccess(bytes32 fileId, FileStructs.AccessLevel requiredLevel) private view {
+        _checkLiveFile(fileId);
+        
+        FileStructs.AccessLevel level = _accessLevel(fileId, msg.sender);
+        require(level != FileStructs.AccessLevel.NONE, "Access denied");
+        require(uint8(level) >= uint8(requiredLevel), "Insufficient access level");
+    }
+    
+    /**
+     * @dev Reverts unless the file exists and the caller may read its metadata
+     * @param fileId File identifier
+     */
+    function _checkCanView(bytes32 fileId) private view {
+        _checkFile(fileId);
+        require(_canView(fileId, msg.sender), "Access denied");
+    }
+    
+    /**
+     * @dev Checks whether a user may read a file's metadata
+     * @param fileId File identifier
+     * @param user Address to check
+     * @return True for public files, the owner, admins and unexpired grantees;
+     * deleted files only for the owner and admins, as deletion revokes all grants
+     */
+    function _canView(bytes32 fileId, address user) private view returns (bool) {
+        return (_files[fileId].isPublic && !_files[fileId].isDeleted) || 
+            hasRole(ADMIN_ROLE, user) || 
+            _accessLevel(fileId, user) != FileStructs.AccessLevel.NONE;
+    }
+    
+    /**
+     * @dev Gets the level a user holds on a file: ADMIN for its owner, otherwise
+     * the higher of their own unexpired grant and their groups' grants
+     * @param fileId File identifier
+     * @param user Address to check
+     * @return level Effective access level (NONE if the user has no access)
+     */
+    function _accessLevel(bytes32 fileId, address user) 
+        private 
+        view 
+        returns (FileStructs.AccessLevel level)
+    {
+        if (_files[fileId].owner == user) {
+            return FileStructs.AccessLevel.ADMIN;
+        }
+        
+        return FileAccessLib.levelOf(
+            _filePermissions[fileId],
+            _fileGroups[fileId],
+            _groupPermissions[fileId],
+            _groupRegistry,
+            user
+        );
+    }
+    
+    /**
+     * @dev Records a file operation in the audit trail, if one is set
+     * @param actor Account that acted
+     * @param fileId File identifier
+     * @param action What happened
+     * @param counterparty Other account involved, or the zero address
+     * @param payloadHash Content hash, group, location hash or uses left the action concerned, or zero
+     */
+    function _recordAudit(
+        address actor,
+        bytes32 fileId,
+        AuditStructs.AuditAction action,
+        address counterparty,
+        bytes32 payloadHash
+    ) private {
+        if (address(_auditContract) != address(0)) {
+            _auditContract.recordActionOnBehalf(actor, fileId, action, counterparty, bytes32(0), payloadHash);
+        }
     }
 }
\ No newline at end of file
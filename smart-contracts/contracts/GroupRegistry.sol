@@ -0,0 +1,265 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.17;
+
+import "./interfaces/IGroupRegistry.sol";
+import "./libraries/FileStructs.sol";
+import "@openzeppelin/contracts/access/AccessControl.sol";
+import "@openzeppelin/contracts/security/Pausable.sol";
+import "@openzeppelin/contracts/utils/Counters.sol";
+import "@openzeppelin/contracts/utils/structs/EnumerableSet.sol";
+
+/**
+ * @title GroupRegistry
+ * @dev Manages named groups of accounts that files can be shared with
+ */
+contract GroupRegistry is IGroupRegistry, AccessControl, Pausable {
+    using Counters for Counters.Counter;
+    using EnumerableSet for EnumerableSet.AddressSet;
+    using EnumerableSet for EnumerableSet.Bytes32Set;
+    
+    // Roles
+    bytes32 public constant ADMIN_ROLE = keccak256("ADMIN_ROLE");
+    
+    // State variables
+    mapping(bytes32 => FileStructs.Group) private _groups;
+    mapping(bytes32 => EnumerableSet.AddressSet) private _members;
+    // Groups each account belongs to, including those it owns
+    mapping(address => EnumerableSet.Bytes32Set) private _memberships;
+    
+    Counters.Counter private _groupIdCounter;
+    
+    // Upper bound on members per group, keeps member listings bounded
+    uint256 public constant MAX_GROUP_MEMBERS = 256;
+    
+    // Events
+    event GroupCreated(bytes32 indexed groupId, address indexed owner, string name);
+    event GroupMemberAdded(bytes32 indexed groupId, address indexed member);
+    event GroupMemberRemoved(bytes32 indexed groupId, address indexed member);
+    event GroupOwnershipTransferred(bytes32 indexed groupId, address indexed previousOwner, address indexed newOwner);
+    
+    /**
+     * @dev Constructor
+     * @param initialAdmin Address of the initial admin
+     */
+    constructor(address initialAdmin) {
+        _setupRole(DEFAULT_ADMIN_ROLE, initialAdmin);
+        _setupRole(ADMIN_ROLE, initialAdmin);
+    }
+    
+    /**
+     * @dev Modifier to restrict membership changes to the group's owner
+     * @param groupId Group identifier
+     */
+    modifier onlyGroupOwner(bytes32 groupId) {
+        require(_groups[groupId].exists, "Group does not exist");
+        require(_groups[groupId].owner == msg.sender, "Only group owner");
+        _;
+    }
+    
+    /**
+     * @dev Creates a group owned by the caller
+     * @param name Group name
+     * @param members Initial members besides the caller
+     * @return groupId Unique identifier for the group
+     */
+    function createGroup(string memory name, address[] memory members) 
+        external 
+        whenNotPaused
+        returns (bytes32 groupId)
+    {
+        require(bytes(name).length > 0, "Group name cannot be empty");
+        
+        _groupIdCounter.increment();
+        groupId = keccak256(abi.encodePacked(
+            msg.sender,
+            name,
+            _groupIdCounter.current(),
+            block.timestamp
+        ));
+        
+        _groups[groupId] = FileStructs.Group({
+            groupId: groupId,
+            name: name,
+            owner: msg.sender,
+            createdAt: block.timestamp,
+            exists: true
+        });
+        
+        emit GroupCreated(groupId, msg.sender, name);
+        
+        _addMember(groupId, msg.sender);
+        for (uint256 i = 0; i < members.length; i++) {
+            _addMember(groupId, members[i]);
+        }
+        
+        return groupId;
+    }
+    
+    /**
+     * @dev Adds members to a group (group owner only)
+     * @param groupId Group identifier
+     * @param members Addresses to add
+     */
+    function addMembers(bytes32 groupId, address[] memory members) 
+        external 
+        whenNotPaused
+        onlyGroupOwner(groupId)
+    {
+        for (uint256 i = 0; i < members.length; i++) {
+            _addMember(groupId, members[i]);
+        }
+    }
+    
+    /**
+     * @dev Removes members from a group (group owner only)
+     * Removed members lose whatever the group was granted on files at once.
+     * @param groupId Group identifier
+     * @param members Addresses to remove
+     */
+    function removeMembers(bytes32 groupId, address[] memory members) 
+        external 
+        whenNotPaused
+        onlyGroupOwner(groupId)
+    {
+        for (uint256 i = 0; i < members.length; i++) {
+            require(members[i] != msg.sender, "Cannot remove group owner");
+            require(_members[groupId].remove(members[i]), "Not a member");
+            
+            _memberships[members[i]].remove(groupId);
+            emit GroupMemberRemoved(groupId, members[i]);
+        }
+    }
+    
+    /**
+     * @dev Hands a group over to a new owner (group owner only)
+     * The new owner becomes a member if they were not one; the previous owner
+     * stays a member until removed.
+     * @param groupId Group identifier
+     * @param newOwner Address of the new owner
+     */
+    function transferGroupOwnership(bytes32 groupId, address newOwner) 
+        external 
+        whenNotPaused
+        onlyGroupOwner(groupId)
+    {
+        require(newOwner != address(0), "Invalid owner address");
+        require(newOwner != msg.sender, "Already the group owner");
+        
+        if (!_members[groupId].contains(newOwner)) {
+            _addMember(groupId, newOwner);
+        }
+        _groups[groupId].owner = newOwner;
+        
+        emit GroupOwnershipTransferred(groupId, msg.sender, newOwner);
+    }
+    
+    /**
+     * @dev Checks whether an account belongs to a group
+     * @param groupId Group identifier
+     * @param account Address to check
+     * @return True if the account is a member (owners always are)
+     */
+    function isMember(bytes32 groupId, address account) 
+        external 
+        view 
+        returns (bool)
+    {
+        return _members[groupId].contains(account);
+    }
+    
+    /**
+     * @dev Checks whether a group exists
+     * @param groupId Group identifier
+     * @return True if the group exists
+     */
+    function groupExists(bytes32 groupId) 
+        external 
+        view 
+        returns (bool)
+    {
+        return _groups[groupId].exists;
+    }
+    
+    /**
+     * @dev Gets a group's details
+     * @param groupId Group identifier
+     * @return Group details
+     */
+    function getGroup(bytes32 groupId) 
+        external 
+        view 
+        returns (FileStructs.GroupView memory)
+    {
+        FileStructs.Group storage group = _groups[groupId];
+        require(group.exists, "Group does not exist");
+        
+        return FileStructs.GroupView({
+            groupId: group.groupId,
+            name: group.name,
+            owner: group.owner,
+            createdAt: group.createdAt,
+            memberCount: _members[groupId].length()
+        });
+    }
+    
+    /**
+     * @dev Gets a group's members
+     * @param groupId Group identifier
+     * @return Member addresses
+     */
+    function getGroupMembers(bytes32 groupId) 
+        external 
+        view 
+        returns (address[] memory)
+    {
+        require(_groups[groupId].exists, "Group does not exist");
+        return _members[groupId].values();
+    }
+    
+    /**
+     * @dev Gets the groups an account belongs to
+     * @param account Address to look up
+     * @return Group identifiers
+     */
+    function getUserGroups(address account) 
+        external 
+        view 
+        returns (bytes32[] memory)
+    {
+        return _memberships[account].values();
+    }
+    
+    /**
+     * @dev Pauses contract operations
+     */
+    function pause() 
+        external 
+        onlyRole(ADMIN_ROLE)
+    {
+        _pause();
+    }
+    
+    /**
+     * @dev Unpauses contract operations
+     */
+    function unpause() 
+        external 
+        onlyRole(ADMIN_ROLE)
+    {
+        _unpause();
+    }
+    
+    /**
+     * @dev Adds a member to a group
+     * @param groupId Group identifier
+     * @param member Address to add
+     */
+    function _addMember(bytes32 groupId, address member) private {
+        require(member != address(0), "Invalid member address");
+        require(_members[groupId].add(member), "Already a member");
+        require(_members[groupId].length() <= MAX_GROUP_MEMBERS, "Too many group members");
+        
+        _memberships[member].add(groupId);
+        emit GroupMemberAdded(groupId, member);
+    }
+}
\ No newline at end of file
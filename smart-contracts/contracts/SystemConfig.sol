@@ -201,7 +201,10 @@ contract SystemConfig is AccessControl, Pausable {
     
     /**
      * @dev Gets all storage settings
-     * @return Settings as a struct
+     * @return _maxFileSize Maximum file size in bytes
+     * @return _maxStoragePerUser Maximum storage per user in bytes
+     * @return _minChunkSize Minimum chunk size for file splitting
+     * @return _maxChunks Maximum number of chunks per file
      */
     function getStorageSettings()
         external
@@ -223,7 +226,9 @@ contract SystemConfig is AccessControl, Pausable {
     
     /**
      * @dev Gets all transfer settings
-     * @return Settings as a struct
+     * @return _defaultTransferTimeout Default timeout for transfers in seconds
+     * @return _maxTransferTimeout Maximum allowed timeout for transfers
+     * @return _defaultDisputeTimeout Default timeout for disputes
      */
     function getTransferSettings()
         external
@@ -243,7 +248,9 @@ contract SystemConfig is AccessControl, Pausable {
     
     /**
      * @dev Gets all security settings
-     * @return Settings as a struct
+     * @return _enforceEncryption Whether encryption is mandatory
+     * @return _defaultEncryptionScheme Default encryption scheme
+     * @return _minKeyLength Minimum encryption key length
      */
     function getSecuritySettings()
         external
@@ -4,12 +4,17 @@ pragma solidity ^0.8.17;
 import "./interfaces/ITransferContract.sol";
 import "./interfaces/IFileRegistry.sol";
 import "./interfaces/IAuditContract.sol";
+import "./interfaces/ISystemConfig.sol";
 import "./libraries/TransferStructs.sol";
+import "./libraries/AuditStructs.sol";
 import "./libraries/FileStructs.sol";
+import "./libraries/SecurityUtils.sol";
+import "./libraries/TransferNotificationLib.sol";
 import "@openzeppelin/contracts/access/AccessControl.sol";
 import "@openzeppelin/contracts/security/ReentrancyGuard.sol";
 import "@openzeppelin/contracts/security/Pausable.sol";
 import "@openzeppelin/contracts/utils/Counters.sol";
+import "@openzeppelin/contracts/utils/structs/EnumerableSet.sol";
 
 /**
  * @title TransferContract
@@ -17,6 +22,8 @@ import "@openzeppelin/contracts/utils/Counters.sol";
  */
 contract TransferContract is ITransferContract, AccessControl, ReentrancyGuard, Pausable {
     using Counters for Counters.Counter;
+    using EnumerableSet for EnumerableSet.Bytes32Set;
+    using TransferNotificationLib for TransferStructs.Inbox;
     
     // Roles
     bytes32 public constant ADMIN_ROLE = keccak256("ADMIN_ROLE");
@@ -25,13 +32,32 @@ contract TransferContract is ITransferContract, AccessControl, ReentrancyGuard,
     // State variables
     IFileRegistry private _fileRegistry;
     IAuditContract private _auditContract;
+    ISystemConfig private _systemConfig;
     
     mapping(bytes32 => TransferStructs.Transfer) private _transfers;
     mapping(address => bytes32[]) private _userSentTransfers;
     mapping(address => bytes32[]) private _userReceivedTransfers;
+    mapping(bytes32 => TransferStructs.BatchTransfer) private _batches;
+    mapping(bytes32 => bytes32) private _transferBatches; // transferId => batchId
+    mapping(bytes32 => TransferStructs.DeliveryReceipt) private _receipts;
+    // Transfers of each file still awaiting acceptance or completion, so deletion can cancel them
+    mapping(bytes32 => EnumerableSet.Bytes32Set) private _openFileTransfers;
+    // Transfer counts overall and for each party (sender or recipient); the
+    // average completion time is worked out from the summed times on read
+    TransferStructs.TransferStats private _stats;
+    mapping(address => TransferStructs.TransferStats) private _userStats;
+    uint256 private _completionTime;
+    mapping(address => uint256) private _userCompletionTime;
+    // Notifications of each user's transfers changing status
+    mapping(address => TransferStructs.Inbox) private _notifications;
     
     Counters.Counter private _transferIdCounter;
-    uint256 public transferExpirationTime; // In seconds
+    Counters.Counter private _batchIdCounter;
+    uint256 public transferExpirationTime; // In seconds, used only while no SystemConfig is set
+    
+    // Each recipient's transfer, notification and audit record cost about 800k gas,
+    // so a full batch stays under the 2^24 gas a transaction may use
+    uint256 public constant MAX_BATCH_RECIPIENTS = 16;
     
     // Events
     event TransferInitiated(
@@ -46,6 +72,29 @@ contract TransferContract is ITransferContract, AccessControl, ReentrancyGuard,
     event TransferCompleted(bytes32 indexed transferId, bytes32 proofOfDelivery);
     event TransferDisputed(bytes32 indexed transferId, string reason);
     event TransferResolved(bytes32 indexed transferId, TransferStructs.Resolution resolution);
+    event TransferExpired(bytes32 indexed transferId);
+    event BatchTransferInitiated(
+        bytes32 indexed batchId,
+        bytes32 indexed fileId,
+        address indexed sender,
+        uint256 recipientCount
+    );
+    event BatchTransferCompleted(bytes32 indexed batchId);
+    event RecipientAccessGranted(
+        bytes32 indexed transferId,
+        address indexed recipient,
+        bool granted,
+        string failureReason
+    );
+    event TransferAccessLimited(bytes32 indexed transferId, uint256 accessDuration, uint256 accessUses);
+    event OwnershipTransferInitiated(bytes32 indexed transferId, FileStructs.AccessLevel retainedAccess);
+    event SystemConfigUpdated(address indexed systemConfig);
+    event NotificationCreated(
+        address indexed user,
+        uint256 indexed index,
+        bytes32 indexed transferId,
+        TransferStructs.TransferStatus status
+    );
     
     /**
      * @dev Constructor
@@ -93,63 +142,163 @@ contract TransferContract is ITransferContract, AccessControl, ReentrancyGuard,
         nonReentrant
         returns (bytes32 transferId)
     {
-        require(recipient != address(0), "Invalid recipient");
-        require(recipient != msg.sender, "Cannot transfer to self");
-        
-        // Verify sender has access to the file
-        require(
-            _fileRegistry.checkAccess(fileId, msg.sender, FileStructs.AccessLevel.READ),
-            "No access to file"
-        );
-        
-        // Generate transfer ID
-        _transferIdCounter.increment();
-        transferId = keccak256(abi.encodePacked(
-            fileId,
-            msg.sender,
-            recipient,
-            _transferIdCounter.current(),
-            block.timestamp
-        ));
+        return _initiateTransfer(fileId, recipient, message, transferDeadline, accessLevel, "");
+    }
+    
+    /**
+     * @dev Initiates a transfer that hands over decryption capability
+     * The wrapped key is passed to the FileRegistry when access is granted.
+     * @param fileId File identifier to transfer
+     * @param recipient Address of the recipient
+     * @param message Optional message to recipient
+     * @param transferDeadline Optional deadline for the transfer (0 for default)
+     * @param accessLevel Access level to grant to recipient upon acceptance
+     * @param recipientKey File key re-wrapped for the recipient's public key
+     * @return transferId Unique identifier for the transfer
+     */
+    function initiateTransferWithKey(
+        bytes32 fileId,
+        address recipient,
+        string memory message,
+        uint256 transferDeadline,
+        FileStructs.AccessLevel accessLevel,
+        bytes memory recipientKey
+    ) 
+        external 
+        whenNotPaused
+        nonReentrant
+        returns (bytes32 transferId)
+    {
+        require(recipientKey.length > 0, "Recipient key cannot be empty");
+        return _initiateTransfer(fileId, recipient, message, transferDeadline, accessLevel, recipientKey);
+    }
+    
+    /**
+     * @dev Initiates a transfer whose access lapses, a duration after completion
+     * or once the recipient has used it a number of times
+     * @param fileId File identifier to transfer
+     * @param recipient Address of the recipient
+     * @param message Optional message to recipient
+     * @param transferDeadline Optional deadline for the transfer (0 for default)
+     * @param accessLevel Access level to grant to recipient upon completion
+     * @param accessDuration Seconds the access lasts after completion (0 for no limit)
+     * @param accessUses Uses the access allows, spent with FileRegistry.useAccess (0 for no limit)
+     * @param recipientKey File key re-wrapped for the recipient's public key (empty for none)
+     * @return transferId Unique identifier for the transfer
+     */
+    function initiateTransferWithTerms(
+        bytes32 fileId,
+        address recipient,
+        string memory message,
+        uint256 transferDeadline,
+        FileStructs.AccessLevel accessLevel,
+        uint256 accessDuration,
+        uint256 accessUses,
+        bytes memory recipientKey
+    ) 
+        external 
+        whenNotPaused
+        nonReentrant
+        returns (bytes32 transferId)
+    {
+        require(accessDuration > 0 || accessUses > 0, "No access limits given");
         
-        // Calculate deadline
-        uint256 deadline = transferDeadline == 0 
-            ? block.timestamp + transferExpirationTime 
-            : transferDeadline;
+        transferId = _initiateTransfer(fileId, recipient, message, transferDeadline, accessLevel, recipientKey);
         
-        require(deadline > block.timestamp, "Deadline must be in the future");
+        TransferStructs.Transfer storage transfer = _transfers[transferId];
+        transfer.accessDuration = accessDuration;
+        transfer.accessUses = accessUses;
         
-        // Create transfer record
-        TransferStructs.Transfer memory newTransfer = TransferStructs.Transfer({
-            transferId: transferId,
-            fileId: fileId,
-            sender: msg.sender,
-            recipient: recipient,
-            message: message,
-            initiatedAt: block.timestamp,
-            deadline: deadline,
-            completedAt: 0,
-            status: TransferStructs.TransferStatus.INITIATED,
-            accessLevel: accessLevel,
-            proofOfDelivery: bytes32(0),
-            disputeReason: "",
-            resolution: TransferStructs.Resolution.NONE
-        });
+        emit TransferAccessLimited(transferId, accessDuration, accessUses);
+    }
+    
+    /**
+     * @dev Initiates a transfer of the file itself (file owner only): on completion
+     * the recipient becomes the file's owner, with the key re-wrapped for them
+     * @param fileId File identifier to transfer
+     * @param recipient Address of the new owner
+     * @param message Optional message to recipient
+     * @param transferDeadline Optional deadline for the transfer (0 for default)
+     * @param retainedAccess Access the sender keeps once ownership moves (NONE for none)
+     * @param recipientKey File key re-wrapped for the recipient's public key (required for encrypted files)
+     * @return transferId Unique identifier for the transfer
+     */
+    function initiateOwnershipTransfer(
+        bytes32 fileId,
+        address recipient,
+        string memory message,
+        uint256 transferDeadline,
+        FileStructs.AccessLevel retainedAccess,
+        bytes memory recipientKey
+    ) 
+        external 
+        whenNotPaused
+        nonReentrant
+        returns (bytes32 transferId)
+    {
+        require(_fileRegistry.getFileOwner(fileId) == msg.sender, "Only owner can transfer ownership");
         
-        _transfers[transferId] = newTransfer;
-        _userSentTransfers[msg.sender].push(transferId);
-        _userReceivedTransfers[recipient].push(transferId);
+        // The new owner holds every access level
+        transferId = _initiateTransfer(fileId, recipient, message, transferDeadline, FileStructs.AccessLevel.ADMIN, recipientKey);
         
-        // Log to audit trail if available
-        if (address(_auditContract) != address(0)) {
-            _auditContract.recordAction(
-                fileId,
-                string(abi.encodePacked("Transfer initiated to ", _addressToString(recipient)))
-            );
-        }
+        TransferStructs.Transfer storage transfer = _transfers[transferId];
+        transfer.transfersOwnership = true;
+        transfer.retainedAccess = retainedAccess;
         
-        emit TransferInitiated(transferId, fileId, msg.sender, recipient);
-        return transferId;
+        emit OwnershipTransferInitiated(transferId, retainedAccess);
+    }
+    
+    /**
+     * @dev Offers a file to several recipients at once, one transfer each,
+     * grouped under a batch that tracks how many have completed
+     * @param fileId File identifier to transfer
+     * @param recipients Addresses of the recipients
+     * @param message Optional message to every recipient
+     * @param transferDeadline Optional deadline for the transfers (0 for default)
+     * @param accessLevel Access level to grant to each recipient upon completion
+     * @return batchId Unique identifier for the batch
+     */
+    function initiateBatchTransfer(
+        bytes32 fileId,
+        address[] memory recipients,
+        string memory message,
+        uint256 transferDeadline,
+        FileStructs.AccessLevel accessLevel
+    ) 
+        external 
+        whenNotPaused
+        nonReentrant
+        returns (bytes32 batchId)
+    {
+        return _initiateBatch(fileId, recipients, message, transferDeadline, accessLevel, new bytes[](recipients.length));
+    }
+    
+    /**
+     * @dev Offers a file to several recipients at once, handing each of them
+     * the file key wrapped for their own public key
+     * @param fileId File identifier to transfer
+     * @param recipients Addresses of the recipients
+     * @param message Optional message to every recipient
+     * @param transferDeadline Optional deadline for the transfers (0 for default)
+     * @param accessLevel Access level to grant to each recipient upon completion
+     * @param recipientKeys File key re-wrapped per recipient (empty entries for none)
+     * @return batchId Unique identifier for the batch
+     */
+    function initiateBatchTransferWithKeys(
+        bytes32 fileId,
+        address[] memory recipients,
+        string memory message,
+        uint256 transferDeadline,
+        FileStructs.AccessLevel accessLevel,
+        bytes[] memory recipientKeys
+    ) 
+        external 
+        whenNotPaused
+        nonReentrant
+        returns (bytes32 batchId)
+    {
+        require(recipientKeys.length == recipients.length, "Recipient keys do not match");
+        return _initiateBatch(fileId, recipients, message, transferDeadline, accessLevel, recipientKeys);
     }
     
     /**
@@ -171,14 +320,11 @@ contract TransferContract is ITransferContract, AccessControl, ReentrancyGuard,
         );
         
         transfer.status = TransferStructs.TransferStatus.CANCELLED;
+        _countStatus(transfer);
+        _closeTransfer(transfer);
         
         // Log to audit trail if available
-        if (address(_auditContract) != address(0)) {
-            _auditContract.recordAction(
-                transfer.fileId,
-                "Transfer cancelled by sender"
-            );
-        }
+        _recordAudit(transfer, msg.sender, AuditStructs.AuditAction.TRANSFER_CANCELLED, bytes32(0));
         
         emit TransferCancelled(transferId);
     }
@@ -205,12 +351,9 @@ contract TransferContract is ITransferContract, AccessControl, ReentrancyGuard,
         transfer.status = TransferStructs.TransferStatus.IN_PROGRESS;
         
         // Log to audit trail if available
-        if (address(_auditContract) != address(0)) {
-            _auditContract.recordAction(
-                transfer.fileId,
-                "Transfer accepted by recipient"
-            );
-        }
+        _recordAudit(transfer, msg.sender, AuditStructs.AuditAction.TRANSFER_ACCEPTED, bytes32(0));
+        
+        _notifyCounterparty(transfer, "");
         
         emit TransferAccepted(transferId);
     }
@@ -238,66 +381,93 @@ contract TransferContract is ITransferContract, AccessControl, ReentrancyGuard,
         );
         
         transfer.status = TransferStructs.TransferStatus.REJECTED;
+        _countStatus(transfer);
+        _closeTransfer(transfer);
         
         // Log to audit trail if available
-        if (address(_auditContract) != address(0)) {
-            _auditContract.recordAction(
-                transfer.fileId,
-                string(abi.encodePacked("Transfer rejected by recipient: ", reason))
-            );
-        }
+        _recordAudit(transfer, msg.sender, AuditStructs.AuditAction.TRANSFER_REJECTED, keccak256(bytes(reason)));
+        
+        _notifyCounterparty(transfer, reason);
         
         emit TransferRejected(transferId, reason);
     }
     
     /**
-     * @dev Completes a transfer and confirms receipt
+     * @dev Completes a transfer with the recipient's signed receipt
+     * The receipt is the recipient's signature (EIP-191) over
+     * SecurityUtils.generateProofOfDelivery(transferId, fileId, recipient, contentHash, receivedAt),
+     * so either party may submit it. The content hash must be the file's
+     * content, current or of an earlier version.
      * @param transferId Transfer identifier to complete
-     * @param proofOfDelivery Cryptographic proof that file was received
+     * @param contentHash Hash of the content the recipient received
+     * @param receivedAt When the recipient received the content
+     * @param signature Recipient's signature over the proof of delivery
      */
     function completeTransfer(
         bytes32 transferId,
-        bytes32 proofOfDelivery
+        bytes32 contentHash,
+        uint256 receivedAt,
+        bytes memory signature
     )
         external
         whenNotPaused
         nonReentrant
     {
-        require(proofOfDelivery != bytes32(0), "Invalid proof of delivery");
-        
         TransferStructs.Transfer storage transfer = _transfers[transferId];
         
         require(transfer.transferId == transferId, "Transfer does not exist");
-        require(transfer.recipient == msg.sender, "Only recipient can complete");
+        require(
+            transfer.recipient == msg.sender || transfer.sender == msg.sender,
+            "Only sender or recipient can complete"
+        );
         require(
             transfer.status == TransferStructs.TransferStatus.IN_PROGRESS,
             "Transfer not in progress"
         );
+        require(
+            receivedAt >= transfer.initiatedAt && receivedAt <= block.timestamp,
+            "Invalid receipt time"
+        );
+        
+        bytes32 proofOfDelivery = SecurityUtils.generateProofOfDelivery(
+            transferId,
+            transfer.fileId,
+            transfer.recipient,
+            contentHash,
+            receivedAt
+        );
+        require(
+            SecurityUtils.verifySignature(proofOfDelivery, signature, transfer.recipient),
+            "Invalid receipt signature"
+        );
+        require(
+            _fileRegistry.isFileContent(transfer.fileId, contentHash),
+            "Receipt does not match file content"
+        );
         
         transfer.status = TransferStructs.TransferStatus.COMPLETED;
         transfer.completedAt = block.timestamp;
         transfer.proofOfDelivery = proofOfDelivery;
+        _countStatus(transfer);
+        _closeTransfer(transfer);
+        
+        _receipts[transferId] = TransferStructs.DeliveryReceipt({
+            transferId: transferId,
+            fileId: transfer.fileId,
+            recipient: transfer.recipient,
+            contentHash: contentHash,
+            receivedAt: receivedAt,
+            signature: signature
+        });
         
         // Grant specified access to the recipient
-        try _fileRegistry.grantAccess(
-            transfer.fileId,
-            transfer.recipient,
-            transfer.accessLevel,
-            0  // No expiration
-        ) {
-            // Access granted successfully
-        } catch {
-            // Continue even if access granting fails
-            // The transfer itself is still valid
-        }
+        _grantRecipientAccess(transfer);
+        _recordBatchProgress(transferId);
         
         // Log to audit trail if available
-        if (address(_auditContract) != address(0)) {
-            _auditContract.recordAction(
-                transfer.fileId,
-                "Transfer completed, receipt confirmed"
-            );
-        }
+        _recordAudit(transfer, msg.sender, AuditStructs.AuditAction.TRANSFER_COMPLETED, proofOfDelivery);
+        
+        _notifyCounterparty(transfer, "");
         
         emit TransferCompleted(transferId, proofOfDelivery);
     }
@@ -330,24 +500,21 @@ contract TransferContract is ITransferContract, AccessControl, ReentrancyGuard,
         
         transfer.status = TransferStructs.TransferStatus.DISPUTED;
         transfer.disputeReason = reason;
+        _countStatus(transfer);
+        _closeTransfer(transfer);
         
         // Log to audit trail if available
-        if (address(_auditContract) != address(0)) {
-            string memory action = msg.sender == transfer.sender 
-                ? "Transfer disputed by sender: " 
-                : "Transfer disputed by recipient: ";
-            
-            _auditContract.recordAction(
-                transfer.fileId,
-                string(abi.encodePacked(action, reason))
-            );
-        }
+        _recordAudit(transfer, msg.sender, AuditStructs.AuditAction.TRANSFER_DISPUTED, keccak256(bytes(reason)));
+        
+        _notifyCounterparty(transfer, reason);
         
         emit TransferDisputed(transferId, reason);
     }
     
     /**
      * @dev Resolves a disputed transfer (admin only)
+     * A transfer disputed after completion can only be resolved as completed:
+     * the recipient already received the file and was granted access.
      * @param transferId Transfer identifier to resolve
      * @param resolution Resolution decision
      */
@@ -372,42 +539,109 @@ contract TransferContract is ITransferContract, AccessControl, ReentrancyGuard,
             "Invalid resolution"
         );
         
+        bool wasCompleted = transfer.completedAt != 0;
+        require(
+            !wasCompleted || resolution == TransferStructs.Resolution.COMPLETED,
+            "Completed transfer cannot be cancelled"
+        );
+        
         transfer.resolution = resolution;
         
         if (resolution == TransferStructs.Resolution.COMPLETED) {
             transfer.status = TransferStructs.TransferStatus.COMPLETED;
             
-            // Grant specified access to the recipient if resolved as completed
-            try _fileRegistry.grantAccess(
-                transfer.fileId,
-                transfer.recipient,
-                transfer.accessLevel,
-                0  // No expiration
-            ) {
-                // Access granted successfully
-            } catch {
-                // Continue even if access granting fails
+            // Grant specified access to the recipient, unless the transfer was
+            // disputed after completing and access was granted then
+            if (!wasCompleted) {
+                transfer.completedAt = block.timestamp;
+                _grantRecipientAccess(transfer);
+                _recordBatchProgress(transferId);
+                _countStatus(transfer);
             }
-            
-        } else if (resolution == TransferStructs.Resolution.CANCELLED) {
+        } else {
             transfer.status = TransferStructs.TransferStatus.CANCELLED;
+            _countStatus(transfer);
         }
         
         // Log to audit trail if available
-        if (address(_auditContract) != address(0)) {
-            string memory resolutionStr = resolution == TransferStructs.Resolution.COMPLETED
-                ? "completed"
-                : "cancelled";
-                
-            _auditContract.recordAction(
-                transfer.fileId,
-                string(abi.encodePacked("Disputed transfer resolved as ", resolutionStr, " by admin"))
-            );
-        }
+        _recordAudit(
+            transfer,
+            msg.sender,
+            resolution == TransferStructs.Resolution.COMPLETED
+                ? AuditStructs.AuditAction.TRANSFER_RESOLVED_COMPLETED
+                : AuditStructs.AuditAction.TRANSFER_RESOLVED_CANCELLED,
+            bytes32(0)
+        );
         
         emit TransferResolved(transferId, resolution);
     }
     
+    /**
+     * @dev Marks a transfer that was not accepted before its deadline as expired
+     * Anyone may call this once the deadline has passed.
+     * @param transferId Transfer identifier to expire
+     */
+    function expireTransfer(bytes32 transferId)
+        external
+        whenNotPaused
+        nonReentrant
+    {
+        require(_transfers[transferId].transferId == transferId, "Transfer does not exist");
+        require(_expireTransfer(transferId), "Transfer not expirable");
+    }
+    
+    /**
+     * @dev Expires every overdue transfer in a list, skipping the others
+     * @param transferIds Transfer identifiers to expire
+     * @return expired Number of transfers that were expired
+     */
+    function expireTransfers(bytes32[] memory transferIds)
+        external
+        whenNotPaused
+        nonReentrant
+        returns (uint256 expired)
+    {
+        for (uint256 i = 0; i < transferIds.length; i++) {
+            if (_expireTransfer(transferIds[i])) {
+                expired++;
+            }
+        }
+        return expired;
+    }
+    
+    /**
+     * @dev Cancels every transfer of a file that is still awaiting acceptance or
+     * completion, for FileRegistry to call when the file is deleted. Works while
+     * paused, so pausing transfers does not hold up deletions.
+     * @param fileId File identifier
+     * @param actor Account that deleted the file, recorded as cancelling the transfers
+     * @return cancelled Number of transfers that were cancelled
+     */
+    function cancelFileTransfers(bytes32 fileId, address actor)
+        external
+        returns (uint256 cancelled)
+    {
+        require(msg.sender == address(_fileRegistry), "Only FileRegistry");
+        
+        // Finished transfers already left the set, so only open ones are visited
+        EnumerableSet.Bytes32Set storage transferIds = _openFileTransfers[fileId];
+        while (transferIds.length() > 0) {
+            TransferStructs.Transfer storage transfer = _transfers[transferIds.at(transferIds.length() - 1)];
+            
+            transfer.status = TransferStructs.TransferStatus.CANCELLED;
+            _countStatus(transfer);
+            _closeTransfer(transfer);
+            cancelled++;
+            
+            // Log to audit trail if available
+            _recordAudit(transfer, actor, AuditStructs.AuditAction.TRANSFER_CANCELLED, bytes32(0));
+            
+            emit TransferCancelled(transfer.transferId);
+        }
+        
+        return cancelled;
+    }
+    
     /**
      * @dev Gets transfer details
      * @param transferId Transfer identifier
@@ -430,45 +664,90 @@ contract TransferContract is ITransferContract, AccessControl, ReentrancyGuard,
             "Not authorized"
         );
         
-        return TransferStructs.TransferView({
-            transferId: transfer.transferId,
-            fileId: transfer.fileId,
-            sender: transfer.sender,
-            recipient: transfer.recipient,
-            message: transfer.message,
-            initiatedAt: transfer.initiatedAt,
-            deadline: transfer.deadline,
-            completedAt: transfer.completedAt,
-            status: transfer.status,
-            accessLevel: transfer.accessLevel,
-            proofOfDelivery: transfer.proofOfDelivery,
-            disputeReason: transfer.disputeReason,
-            resolution: transfer.resolution
-        });
+        return _transferView(transfer);
     }
     
     /**
-     * @dev Gets all transfers sent by a user
-     * @param user Address of the user
-     * @return Array of transfer identifiers
+     * @dev Gets the signed receipt a transfer was completed with
+     * @param transferId Transfer identifier
+     * @return Delivery receipt
      */
-    function getUserSentTransfers(address user)
+    function getDeliveryReceipt(bytes32 transferId)
         external
         view
-        returns (bytes32[] memory)
+        returns (TransferStructs.DeliveryReceipt memory)
     {
+        TransferStructs.Transfer storage transfer = _transfers[transferId];
+        require(transfer.transferId == transferId, "Transfer does not exist");
         require(
-            user == msg.sender || 
-            hasRole(ADMIN_ROLE, msg.sender) || 
+            transfer.sender == msg.sender ||
+            transfer.recipient == msg.sender ||
+            hasRole(ADMIN_ROLE, msg.sender) ||
             hasRole(OPERATOR_ROLE, msg.sender),
             "Not authorized"
         );
+        require(_receipts[transferId].signature.length > 0, "No receipt recorded");
         
-        return _userSentTransfers[user];
+        return _receipts[transferId];
     }
     
     /**
-     * @dev Gets all transfers received by a user
+     * @dev Gets a batch of transfers (sender, admin or operator only)
+     * @param batchId Batch identifier
+     * @return Batch details
+     */
+    function getBatch(bytes32 batchId)
+        external
+        view
+        returns (TransferStructs.BatchTransfer memory)
+    {
+        TransferStructs.BatchTransfer storage batch = _batches[batchId];
+        require(batch.batchId == batchId && batchId != bytes32(0), "Batch does not exist");
+        require(
+            batch.sender == msg.sender ||
+            hasRole(ADMIN_ROLE, msg.sender) ||
+            hasRole(OPERATOR_ROLE, msg.sender),
+            "Not authorized"
+        );
+        
+        return batch;
+    }
+    
+    /**
+     * @dev Gets the batch a transfer was sent in
+     * @param transferId Transfer identifier
+     * @return Batch identifier (zero if the transfer was sent on its own)
+     */
+    function getTransferBatch(bytes32 transferId)
+        external
+        view
+        returns (bytes32)
+    {
+        return _transferBatches[transferId];
+    }
+    
+    /**
+     * @dev Gets all transfers sent by a user
+     * @param user Address of the user
+     * @return Array of transfer identifiers
+     */
+    function getUserSentTransfers(address user)
+        external
+        view
+        returns (bytes32[] memory)
+    {
+        require(
+            user == msg.sender || 
+            hasRole(ADMIN_ROLE, msg.sender) || 
+            hasRole(OPERATOR_ROLE, msg.sender),
+            "Not authorized"
+        );
+        
+        return _userSentTransfers[user];
+    }
+    
+    /**
+     * @dev Gets all transfers received by a user
      * @param user Address of the user
      * @return Array of transfer identifiers
      */
@@ -487,6 +766,146 @@ contract TransferContract is ITransferContract, AccessControl, ReentrancyGuard,
         return _userReceivedTransfers[user];
     }
     
+    /**
+     * @dev Gets a page of the transfers sent by a user, oldest first
+     * @param user Address of the user
+     * @param filter Criteria transfers must match
+     * @param offset Number of matching transfers to skip
+     * @param limit Maximum number of transfers to return (0 for all)
+     * @return transfers Matching transfer details
+     * @return total Number of transfers matching the filter
+     */
+    function getUserSentTransfersPage(
+        address user,
+        TransferStructs.TransferFilter memory filter,
+        uint256 offset,
+        uint256 limit
+    ) 
+        external 
+        view 
+        returns (TransferStructs.TransferView[] memory transfers, uint256 total)
+    {
+        require(
+            user == msg.sender || 
+            hasRole(ADMIN_ROLE, msg.sender) || 
+            hasRole(OPERATOR_ROLE, msg.sender),
+            "Not authorized"
+        );
+        
+        return _transferPage(_userSentTransfers[user], true, filter, offset, limit);
+    }
+    
+    /**
+     * @dev Gets a page of the transfers received by a user, oldest first
+     * @param user Address of the user
+     * @param filter Criteria transfers must match
+     * @param offset Number of matching transfers to skip
+     * @param limit Maximum number of transfers to return (0 for all)
+     * @return transfers Matching transfer details
+     * @return total Number of transfers matching the filter
+     */
+    function getUserReceivedTransfersPage(
+        address user,
+        TransferStructs.TransferFilter memory filter,
+        uint256 offset,
+        uint256 limit
+    ) 
+        external 
+        view 
+        returns (TransferStructs.TransferView[] memory transfers, uint256 total)
+    {
+        require(
+            user == msg.sender || 
+            hasRole(ADMIN_ROLE, msg.sender) || 
+            hasRole(OPERATOR_ROLE, msg.sender),
+            "Not authorized"
+        );
+        
+        return _transferPage(_userReceivedTransfers[user], false, filter, offset, limit);
+    }
+    
+    /**
+     * @dev Gets transfer counts across all users
+     * totalInitiated counts every transfer and totalDisputed every dispute;
+     * the other totals count transfers by their outcome. A completed transfer that
+     * is disputed can only be resolved as completed, and counts as completed
+     * once. Transfers still
+     * open are those initiated but not completed, rejected, cancelled or expired.
+     * @return Transfer statistics
+     */
+    function getTransferStats()
+        external
+        view
+        returns (TransferStructs.TransferStats memory)
+    {
+        return _statsWithAverage(_stats, _completionTime);
+    }
+    
+    /**
+     * @dev Gets transfer counts for the transfers a user sent or received
+     * @param user Address of the user
+     * @return Transfer statistics, counted as in getTransferStats
+     */
+    function getUserTransferStats(address user)
+        external
+        view
+        returns (TransferStructs.TransferStats memory)
+    {
+        require(
+            user == msg.sender || 
+            hasRole(ADMIN_ROLE, msg.sender) || 
+            hasRole(OPERATOR_ROLE, msg.sender),
+            "Not authorized"
+        );
+        
+        return _statsWithAverage(_userStats[user], _userCompletionTime[user]);
+    }
+    
+    /**
+     * @dev Marks one of the caller's notifications as read
+     * @param index Index of the notification, as returned by getUnreadNotifications
+     */
+    function markNotificationRead(uint256 index) external {
+        uint256[] memory indexes = new uint256[](1);
+        indexes[0] = index;
+        _notifications[msg.sender].markRead(indexes);
+    }
+    
+    /**
+     * @dev Marks several of the caller's notifications as read in one transaction
+     * @param indexes Index of each notification, as returned by getUnreadNotifications
+     */
+    function markNotificationsRead(uint256[] calldata indexes) external {
+        _notifications[msg.sender].markRead(indexes);
+    }
+    
+    /**
+     * @dev Gets a page of a user's unread notifications, in no particular order
+     * A party is notified when the other party initiates, accepts, rejects,
+     * completes or disputes a transfer between them. Marking notifications
+     * read takes them off the list and reorders it, so read every page first.
+     * @param user Address of the user
+     * @param offset Number of unread notifications to skip
+     * @param limit Maximum number of notifications to return (0 for all)
+     * @return notifications Unread notifications
+     * @return indexes Index of each notification, to mark it read by
+     * @return total Total number of unread notifications
+     */
+    function getUnreadNotifications(address user, uint256 offset, uint256 limit) 
+        external 
+        view 
+        returns (TransferStructs.TransferNotification[] memory notifications, uint256[] memory indexes, uint256 total) 
+    {
+        require(
+            user == msg.sender || 
+            hasRole(ADMIN_ROLE, msg.sender) || 
+            hasRole(OPERATOR_ROLE, msg.sender),
+            "Not authorized"
+        );
+        
+        return _notifications[user].getUnread(offset, limit);
+    }
+    
     /**
      * @dev Sets the file registry contract address
      * @param newFileRegistry Address of the new file registry contract
@@ -510,6 +929,35 @@ contract TransferContract is ITransferContract, AccessControl, ReentrancyGuard,
         _auditContract = IAuditContract(newAuditContract);
     }
     
+    /**
+     * @dev Sets the SystemConfig contract to take transfer timeouts from
+     * @param newSystemConfig Address of SystemConfig (zero to use transferExpirationTime)
+     */
+    function setSystemConfig(address newSystemConfig)
+        external
+        onlyRole(ADMIN_ROLE)
+    {
+        _systemConfig = ISystemConfig(newSystemConfig);
+        emit SystemConfigUpdated(newSystemConfig);
+    }
+    
+    /**
+     * @dev Gets the timeouts transfer deadlines are checked against
+     * @return defaultTimeout Time until a transfer without a deadline expires, in seconds
+     * @return maxTimeout Longest allowed time until a deadline (0 for no limit)
+     */
+    function getTransferTimeouts()
+        public
+        view
+        returns (uint256 defaultTimeout, uint256 maxTimeout)
+    {
+        if (address(_systemConfig) != address(0)) {
+            (defaultTimeout, maxTimeout, ) = _systemConfig.getTransferSettings();
+            return (defaultTimeout, maxTimeout);
+        }
+        return (transferExpirationTime, 0);
+    }
+    
     /**
      * @dev Sets the transfer expiration time
      * @param newExpirationTime New expiration time in seconds
@@ -543,23 +991,453 @@ contract TransferContract is ITransferContract, AccessControl, ReentrancyGuard,
     }
     
     /**
-     * @dev Utility function to convert address to string
-     * @param addr Address to convert
-     * @return String representation of the address
+     * @dev Creates and records a new transfer
+     * @param fileId File identifier to transfer
+     * @param recipient Address of the recipient
+     * @param message Optional message to recipient
+     * @param transferDeadline Optional deadline for the transfer (0 for default)
+     * @param accessLevel Access level to grant to recipient upon acceptance
+     * @param recipientKey File key wrapped for the recipient (empty if none)
+     * @return transferId Unique identifier for the transfer
+     */
+    function _initiateTransfer(
+        bytes32 fileId,
+        address recipient,
+        string memory message,
+        uint256 transferDeadline,
+        FileStructs.AccessLevel accessLevel,
+        bytes memory recipientKey
+    ) 
+        private
+        returns (bytes32 transferId)
+    {
+        require(recipient != address(0), "Invalid recipient");
+        require(recipient != msg.sender, "Cannot transfer to self");
+        
+        // Completion grants the recipient access on the sender's behalf, so the
+        // sender must be able to grant it
+        require(
+            _fileRegistry.canGrantAccess(fileId, msg.sender, accessLevel),
+            "Not authorized to share file"
+        );
+        
+        // Generate transfer ID
+        _transferIdCounter.increment();
+        transferId = keccak256(abi.encodePacked(
+            fileId,
+            msg.sender,
+            recipient,
+            _transferIdCounter.current(),
+            block.timestamp
+        ));
+        
+        // Calculate deadline
+        (uint256 defaultTimeout, uint256 maxTimeout) = getTransferTimeouts();
+        uint256 deadline = transferDeadline == 0 
+            ? block.timestamp + defaultTimeout 
+            : transferDeadline;
+        
+        require(deadline > block.timestamp, "Deadline must be in the future");
+        require(maxTimeout == 0 || deadline <= block.timestamp + maxTimeout, "Deadline exceeds maximum timeout");
+        
+        // Create transfer record
+        TransferStructs.Transfer memory newTransfer = TransferStructs.Transfer({
+            transferId: transferId,
+            fileId: fileId,
+            sender: msg.sender,
+            recipient: recipient,
+            message: message,
+            initiatedAt: block.timestamp,
+            deadline: deadline,
+            completedAt: 0,
+            status: TransferStructs.TransferStatus.INITIATED,
+            accessLevel: accessLevel,
+            proofOfDelivery: bytes32(0),
+            disputeReason: "",
+            resolution: TransferStructs.Resolution.NONE,
+            recipientKey: recipientKey,
+            accessDuration: 0,
+            accessUses: 0,
+            transfersOwnership: false,
+            retainedAccess: FileStructs.AccessLevel.NONE
+        });
+        
+        _transfers[transferId] = newTransfer;
+        _userSentTransfers[msg.sender].push(transferId);
+        _userReceivedTransfers[recipient].push(transferId);
+        _openFileTransfers[fileId].add(transferId);
+        _countStatus(_transfers[transferId]);
+        
+        // Log to audit trail if available
+        _recordAudit(_transfers[transferId], msg.sender, AuditStructs.AuditAction.TRANSFER_INITIATED, bytes32(0));
+        
+        _notifyCounterparty(_transfers[transferId], message);
+        
+        emit TransferInitiated(transferId, fileId, msg.sender, recipient);
+        return transferId;
+    }
+    
+    
+    /**
+     * @dev Creates one transfer per recipient and records them as a batch
+     * @param fileId File identifier to transfer
+     * @param recipients Addresses of the recipients
+     * @param message Optional message to every recipient
+     * @param transferDeadline Optional deadline for the transfers (0 for default)
+     * @param accessLevel Access level to grant to each recipient upon completion
+     * @param recipientKeys File key wrapped per recipient (empty entries for none)
+     * @return batchId Unique identifier for the batch
      */
-    function _addressToString(address addr) private pure returns (string memory) {
-        bytes32 value = bytes32(uint256(uint160(addr)));
-        bytes memory alphabet = "0123456789abcdef";
+    function _initiateBatch(
+        bytes32 fileId,
+        address[] memory recipients,
+        string memory message,
+        uint256 transferDeadline,
+        FileStructs.AccessLevel accessLevel,
+        bytes[] memory recipientKeys
+    ) 
+        private
+        returns (bytes32 batchId)
+    {
+        require(
+            recipients.length > 0 && recipients.length <= MAX_BATCH_RECIPIENTS,
+            "Invalid recipient count"
+        );
         
-        bytes memory str = new bytes(42);
-        str[0] = '0';
-        str[1] = 'x';
+        _batchIdCounter.increment();
+        batchId = keccak256(abi.encodePacked(
+            fileId,
+            msg.sender,
+            _batchIdCounter.current(),
+            block.timestamp
+        ));
         
-        for (uint256 i = 0; i < 20; i++) {
-            str[2 + i * 2] = alphabet[uint8(value[i + 12] >> 4)];
-            str[3 + i * 2] = alphabet[uint8(value[i + 12] & 0x0f)];
+        bytes32[] memory transferIds = new bytes32[](recipients.length);
+        for (uint256 i = 0; i < recipients.length; i++) {
+            for (uint256 j = 0; j < i; j++) {
+                require(recipients[j] != recipients[i], "Duplicate recipient");
+            }
+            
+            transferIds[i] = _initiateTransfer(
+                fileId,
+                recipients[i],
+                message,
+                transferDeadline,
+                accessLevel,
+                recipientKeys[i]
+            );
+            _transferBatches[transferIds[i]] = batchId;
         }
         
-        return string(str);
+        _batches[batchId] = TransferStructs.BatchTransfer({
+            batchId: batchId,
+            transferIds: transferIds,
+            sender: msg.sender,
+            recipients: recipients,
+            initiatedAt: block.timestamp,
+            completedCount: 0,
+            allCompleted: false
+        });
+        
+        emit BatchTransferInitiated(batchId, fileId, msg.sender, recipients.length);
+        return batchId;
+    }
+    
+    /**
+     * @dev Counts a transfer's completion towards its batch, if any
+     * @param transferId Transfer identifier
+     */
+    function _recordBatchProgress(bytes32 transferId) private {
+        bytes32 batchId = _transferBatches[transferId];
+        if (batchId == bytes32(0)) {
+            return;
+        }
+        
+        TransferStructs.BatchTransfer storage batch = _batches[batchId];
+        batch.completedCount++;
+        
+        if (batch.completedCount == batch.transferIds.length) {
+            batch.allCompleted = true;
+            emit BatchTransferCompleted(batchId);
+        }
+    }
+    
+    /**
+     * @dev Moves a transfer to EXPIRED if it is still awaiting acceptance past its deadline
+     * @param transferId Transfer identifier
+     * @return Whether the transfer was expired
+     */
+    function _expireTransfer(bytes32 transferId) private returns (bool) {
+        TransferStructs.Transfer storage transfer = _transfers[transferId];
+        
+        if (
+            transfer.status != TransferStructs.TransferStatus.INITIATED ||
+            block.timestamp <= transfer.deadline
+        ) {
+            return false;
+        }
+        
+        transfer.status = TransferStructs.TransferStatus.EXPIRED;
+        _countStatus(transfer);
+        _closeTransfer(transfer);
+        
+        // Log to audit trail if available
+        _recordAudit(transfer, msg.sender, AuditStructs.AuditAction.TRANSFER_EXPIRED, bytes32(0));
+        
+        emit TransferExpired(transferId);
+        return true;
+    }
+    
+    /**
+     * @dev Grants the transfer's access level (and wrapped key, if any) to the recipient
+     * on the sender's behalf, or makes the recipient the file's owner for ownership
+     * transfers. A failed grant does not undo the transfer; the outcome is reported
+     * in RecipientAccessGranted.
+     * @param transfer Transfer being completed
+     * @return granted Whether the recipient was granted access
+     */
+    function _grantRecipientAccess(TransferStructs.Transfer storage transfer) private returns (bool granted) {
+        string memory failureReason = "";
+        
+        if (transfer.transfersOwnership) {
+            try _fileRegistry.transferOwnershipOnBehalf(
+                transfer.fileId,
+                transfer.sender,
+                transfer.recipient,
+                transfer.retainedAccess,
+                transfer.recipientKey
+            ) {
+                granted = true;
+            } catch Error(string memory reason) {
+                failureReason = reason;
+            } catch {
+                failureReason = "Ownership transfer failed";
+            }
+        } else {
+            try _fileRegistry.grantAccessOnBehalf(
+                transfer.fileId,
+                transfer.sender,
+                transfer.recipient,
+                transfer.accessLevel,
+                transfer.accessDuration == 0 ? 0 : block.timestamp + transfer.accessDuration,
+                transfer.accessUses,
+                transfer.recipientKey
+            ) {
+                granted = true;
+            } catch Error(string memory reason) {
+                failureReason = reason;
+            } catch {
+                failureReason = "Access grant failed";
+            }
+        }
+        
+        emit RecipientAccessGranted(transfer.transferId, transfer.recipient, granted, failureReason);
+        return granted;
+    }
+    
+    /**
+     * @dev Copies a transfer into its view
+     * @param transfer The transfer
+     * @return Transfer details
+     */
+    function _transferView(TransferStructs.Transfer storage transfer) 
+        private 
+        view 
+        returns (TransferStructs.TransferView memory)
+    {
+        return TransferStructs.TransferView({
+            transferId: transfer.transferId,
+            fileId: transfer.fileId,
+            sender: transfer.sender,
+            recipient: transfer.recipient,
+            message: transfer.message,
+            initiatedAt: transfer.initiatedAt,
+            deadline: transfer.deadline,
+            completedAt: transfer.completedAt,
+            status: transfer.status,
+            accessLevel: transfer.accessLevel,
+            proofOfDelivery: transfer.proofOfDelivery,
+            disputeReason: transfer.disputeReason,
+            resolution: transfer.resolution,
+            recipientKey: transfer.recipientKey,
+            accessDuration: transfer.accessDuration,
+            accessUses: transfer.accessUses,
+            transfersOwnership: transfer.transfersOwnership,
+            retainedAccess: transfer.retainedAccess
+        });
+    }
+    
+    /**
+     * @dev Gets a page of the transfers in a user's list that match a filter
+     * @param transferIds The user's sent or received transfers
+     * @param sent Whether the list holds sent transfers (the counterparty is then the recipient)
+     * @param filter Criteria transfers must match
+     * @param offset Number of matching transfers to skip
+     * @param limit Maximum number of transfers to return (0 for all)
+     * @return transfers Matching transfer details
+     * @return total Number of transfers matching the filter
+     */
+    function _transferPage(
+        bytes32[] storage transferIds,
+        bool sent,
+        TransferStructs.TransferFilter memory filter,
+        uint256 offset,
+        uint256 limit
+    ) private view returns (TransferStructs.TransferView[] memory transfers, uint256 total) {
+        for (uint256 i = 0; i < transferIds.length; i++) {
+            if (_matchesFilter(_transfers[transferIds[i]], sent, filter)) {
+                total++;
+            }
+        }
+        
+        if (offset >= total) {
+            return (new TransferStructs.TransferView[](0), total);
+        }
+        
+        uint256 actualLimit = (limit == 0 || offset + limit > total) 
+            ? total - offset 
+            : limit;
+        transfers = new TransferStructs.TransferView[](actualLimit);
+        
+        uint256 skipped = 0;
+        uint256 count = 0;
+        for (uint256 i = 0; i < transferIds.length && count < actualLimit; i++) {
+            TransferStructs.Transfer storage transfer = _transfers[transferIds[i]];
+            if (!_matchesFilter(transfer, sent, filter)) {
+                continue;
+            }
+            if (skipped < offset) {
+                skipped++;
+                continue;
+            }
+            transfers[count++] = _transferView(transfer);
+        }
+        
+        return (transfers, total);
+    }
+    
+    /**
+     * @dev Checks a transfer against a listing filter
+     * @param transfer The transfer
+     * @param sent Whether the counterparty is the recipient rather than the sender
+     * @param filter Criteria to check
+     * @return True if the transfer matches
+     */
+    function _matchesFilter(
+        TransferStructs.Transfer storage transfer,
+        bool sent,
+        TransferStructs.TransferFilter memory filter
+    ) private view returns (bool) {
+        if (filter.status != TransferStructs.TransferStatus.NONE && transfer.status != filter.status) {
+            return false;
+        }
+        if (filter.counterparty != address(0) &&
+            (sent ? transfer.recipient : transfer.sender) != filter.counterparty) {
+            return false;
+        }
+        return transfer.initiatedAt >= filter.initiatedFrom &&
+            (filter.initiatedTo == 0 || transfer.initiatedAt <= filter.initiatedTo);
+    }
+    
+    /**
+     * @dev Notifies the other party of the caller of a transfer's new status
+     * @param transfer The transfer
+     * @param message Message or reason to pass on
+     */
+    function _notifyCounterparty(TransferStructs.Transfer storage transfer, string memory message) private {
+        address user = msg.sender == transfer.sender ? transfer.recipient : transfer.sender;
+        uint256 index = _notifications[user].addNotification(transfer, message);
+        
+        emit NotificationCreated(user, index, transfer.transferId, transfer.status);
+    }
+    
+    /**
+     * @dev Counts a transfer under its current status, overall and for both parties
+     * @param transfer The transfer
+     */
+    function _countStatus(TransferStructs.Transfer storage transfer) private {
+        _countIn(_stats, transfer.status);
+        _countIn(_userStats[transfer.sender], transfer.status);
+        _countIn(_userStats[transfer.recipient], transfer.status);
+        
+        if (transfer.status == TransferStructs.TransferStatus.COMPLETED) {
+            uint256 duration = transfer.completedAt - transfer.initiatedAt;
+            _completionTime += duration;
+            _userCompletionTime[transfer.sender] += duration;
+            _userCompletionTime[transfer.recipient] += duration;
+        }
+    }
+    
+    /**
+     * @dev Takes a transfer off its file's open transfers once it is no longer
+     * awaiting acceptance or completion
+     * @param transfer The transfer
+     */
+    function _closeTransfer(TransferStructs.Transfer storage transfer) private {
+        _openFileTransfers[transfer.fileId].remove(transfer.transferId);
+    }
+    
+    /**
+     * @dev Increments the total for a status
+     * @param stats Statistics to update
+     * @param status Status to count
+     */
+    function _countIn(TransferStructs.TransferStats storage stats, TransferStructs.TransferStatus status) private {
+        if (status == TransferStructs.TransferStatus.INITIATED) {
+            stats.totalInitiated++;
+        } else if (status == TransferStructs.TransferStatus.COMPLETED) {
+            stats.totalCompleted++;
+        } else if (status == TransferStructs.TransferStatus.REJECTED) {
+            stats.totalRejected++;
+        } else if (status == TransferStructs.TransferStatus.CANCELLED) {
+            stats.totalCancelled++;
+        } else if (status == TransferStructs.TransferStatus.DISPUTED) {
+            stats.totalDisputed++;
+        } else if (status == TransferStructs.TransferStatus.EXPIRED) {
+            stats.totalExpired++;
+        }
+    }
+    
+    /**
+     * @dev Copies statistics and fills in their average completion time
+     * @param stats Stored statistics
+     * @param completionTime Summed completion times of the completed transfers
+     * @return result Statistics to return
+     */
+    function _statsWithAverage(TransferStructs.TransferStats storage stats, uint256 completionTime) 
+        private 
+        pure 
+        returns (TransferStructs.TransferStats memory result)
+    {
+        result = stats;
+        if (result.totalCompleted > 0) {
+            result.averageCompletionTime = completionTime / result.totalCompleted;
+        }
+    }
+    
+    /**
+     * @dev Records a transfer action in the audit trail, if one is set
+     * The counterparty is the sender when the recipient acted, the recipient otherwise.
+     * @param transfer The transfer
+     * @param actor Account that acted, usually the caller
+     * @param action What happened
+     * @param payloadHash Hash of data the action carried, or zero
+     */
+    function _recordAudit(
+        TransferStructs.Transfer storage transfer,
+        address actor,
+        AuditStructs.AuditAction action,
+        bytes32 payloadHash
+    ) private {
+        if (address(_auditContract) != address(0)) {
+            _auditContract.recordActionOnBehalf(
+                actor,
+                transfer.fileId,
+                action,
+                actor == transfer.recipient ? transfer.sender : transfer.recipient,
+                transfer.transferId,
+                payloadHash
+            );
+        }
     }
 }
\ No newline at end of file
@@ -0,0 +1,29 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.17;
+
+/**
+ * @title IAccessControlContract
+ * @dev Interface for the parts of AccessControlContract other contracts consult
+ */
+interface IAccessControlContract {
+    /**
+     * @dev Whether a contract may act on behalf of users in the system
+     * @param contractAddress Address to check
+     * @return Whether the contract is trusted
+     */
+    function trustedContracts(address contractAddress) external view returns (bool);
+    
+    /**
+     * @dev Number of admin approvals multi-admin actions require
+     * @return Threshold
+     */
+    function minAdminThreshold() external view returns (uint256);
+    
+    /**
+     * @dev Whether an account holds a role
+     * @param role Role identifier
+     * @param account Account to check
+     * @return Whether the account has the role
+     */
+    function hasRole(bytes32 role, address account) external view returns (bool);
+}
\ No newline at end of file
@@ -1,20 +1,47 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.17;
 
+import "../libraries/AuditStructs.sol";
+
 /**
  * @title IAuditContract
  * @dev Interface for the AuditContract
  */
 interface IAuditContract {
     /**
-     * @dev Records an action in the audit trail
+     * @dev Records an action taken by the caller in the audit trail
      * @param fileId File identifier
-     * @param action Description of the action
+     * @param action What happened
+     * @param counterparty Other account involved, or the zero address
+     * @param transferId Related transfer, or zero
+     * @param payloadHash Hash of data the action carried, or zero
      * @return recordId Unique identifier for the audit record
      */
     function recordAction(
         bytes32 fileId,
-        string memory action
+        AuditStructs.AuditAction action,
+        address counterparty,
+        bytes32 transferId,
+        bytes32 payloadHash
+    ) external returns (bytes32 recordId);
+    
+    /**
+     * @dev Records an action an account took through the calling contract
+     * @param actor Account that acted
+     * @param fileId File identifier
+     * @param action What happened
+     * @param counterparty Other account involved, or the zero address
+     * @param transferId Related transfer, or zero
+     * @param payloadHash Hash of data the action carried, or zero
+     * @return recordId Unique identifier for the audit record
+     */
+    function recordActionOnBehalf(
+        address actor,
+        bytes32 fileId,
+        AuditStructs.AuditAction action,
+        address counterparty,
+        bytes32 transferId,
+        bytes32 payloadHash
     ) external returns (bytes32 recordId);
     
     /**
@@ -30,7 +57,26 @@ interface IAuditContract {
         uint256 offset,
         uint256 limit
     ) external view returns (
-        AuditContract.AuditRecord[] memory records,
+        AuditStructs.AuditRecord[] memory records,
+        uint256 total
+    );
+    
+    /**
+     * @dev Gets a page of the audit records for a file that match a filter, oldest first
+     * @param fileId File identifier
+     * @param filter Action and actor to match; zero values match any record
+     * @param offset Number of matching records to skip
+     * @param limit Maximum number of records to return (0 for all)
+     * @return records Matching audit records
+     * @return total Total number of matching records
+     */
+    function getAuditTrailPage(
+        bytes32 fileId,
+        AuditStructs.AuditFilter memory filter,
+        uint256 offset,
+        uint256 limit
+    ) external view returns (
+        AuditStructs.AuditRecord[] memory records,
         uint256 total
     );
     
@@ -43,10 +89,10 @@ interface IAuditContract {
     function getAuditRecord(
         bytes32 fileId,
         bytes32 recordId
-    ) external view returns (AuditContract.AuditRecord memory record);
+    ) external view returns (AuditStructs.AuditRecord memory record);
     
     /**
-     * @dev Verifies the integrity of the audit trail
+     * @dev Verifies the integrity of the audit trail, recomputing each record's hash from its contents
      * @param fileId File identifier
      * @return isValid True if the audit trail is valid
      */
@@ -74,16 +120,87 @@ interface IAuditContract {
         external 
         view 
         returns (uint256 count);
-}
-
-// Define interface to the audit record struct since it's used in function returns
-interface AuditContract {
-    struct AuditRecord {
-        bytes32 recordId;
-        bytes32 fileId;
-        address actor;
-        string action;
-        uint256 timestamp;
-        bytes32 previousRecordHash;
-    }
+    
+    /**
+     * @dev Gets a page of the global audit log, oldest first
+     * @param offset Sequence number to start from
+     * @param limit Maximum number of records to return (0 for all)
+     * @return records Audit records in sequence order
+     * @return total Total number of records in the log
+     */
+    function getAuditLog(
+        uint256 offset,
+        uint256 limit
+    ) external view returns (
+        AuditStructs.AuditRecord[] memory records,
+        uint256 total
+    );
+    
+    /**
+     * @dev Gets a record of the global audit log
+     * @param sequence Sequence number of the record
+     * @return record The audit record
+     */
+    function getRecordBySequence(uint256 sequence) 
+        external 
+        view 
+        returns (AuditStructs.AuditRecord memory record);
+    
+    /**
+     * @dev Gets the number of records in the global audit log
+     * @return count Number of audit records
+     */
+    function getTotalRecordCount() 
+        external 
+        view 
+        returns (uint256 count);
+    
+    /**
+     * @dev Commits the records recorded since the last checkpoint to a Merkle root
+     * @return checkpointIndex Index of the new checkpoint
+     */
+    function createCheckpoint() external returns (uint256 checkpointIndex);
+    
+    /**
+     * @dev Gets a checkpoint
+     * @param checkpointIndex Index of the checkpoint
+     * @return checkpoint The checkpoint
+     */
+    function getCheckpoint(uint256 checkpointIndex) 
+        external 
+        view 
+        returns (AuditStructs.Checkpoint memory checkpoint);
+    
+    /**
+     * @dev Gets the number of checkpoints
+     * @return count Number of checkpoints
+     */
+    function getCheckpointCount() 
+        external 
+        view 
+        returns (uint256 count);
+    
+    /**
+     * @dev Builds a Merkle proof that a record is covered by its checkpoint
+     * @param sequence Sequence number of the record
+     * @return checkpointIndex Checkpoint covering the record
+     * @return proof Sibling hashes from the record's leaf up to the checkpoint's root
+     */
+    function getInclusionProof(uint256 sequence) 
+        external 
+        view 
+        returns (uint256 checkpointIndex, bytes32[] memory proof);
+    
+    /**
+     * @dev Checks a Merkle proof that a record is covered by a checkpoint
+     * @param recordId Record identifier
+     * @param checkpointIndex Index of the checkpoint
+     * @param proof Sibling hashes from getInclusionProof
+     * @return isIncluded True if the proof leads to the checkpoint's root
+     */
+    function verifyInclusion(
+        bytes32 recordId,
+        uint256 checkpointIndex,
+        bytes32[] memory proof
+    ) external view returns (bool isIncluded);
 }
\ No newline at end of file
@@ -27,6 +27,39 @@ interface IFileRegistry {
         bool isPublic
     ) external returns (bytes32 fileId);
     
+    /**
+     * @dev Registers a file stored as separately verifiable chunks
+     * @param name File name
+     * @param merkleRoot Merkle root over the chunk hashes, stored as contentHash
+     * @param encryptionKey Encrypted symmetric key
+     * @param fileSize Size of file in bytes
+     * @param contentType MIME type of the file
+     * @param isPublic Whether file is publicly accessible
+     * @param chunkCount Number of chunks the file is split into
+     * @return fileId Unique identifier for the file
+     */
+    function registerChunkedFile(
+        string memory name,
+        bytes32 merkleRoot,
+        bytes memory encryptionKey,
+        uint256 fileSize,
+        string memory contentType,
+        bool isPublic,
+        uint256 chunkCount
+    ) external returns (bytes32 fileId);
+    
+    /**
+     * @dev Records the next chunk hashes of a chunked file
+     * @param fileId File identifier
+     * @param chunkHashes SHA-256 hashes of the stored chunks, continuing the sequence
+     * @param sizes Stored size of each chunk in bytes
+     */
+    function addFileChunks(
+        bytes32 fileId,
+        bytes32[] memory chunkHashes,
+        uint256[] memory sizes
+    ) external;
+    
     /**
      * @dev Updates an existing file's content
      * @param fileId Identifier of file to update
@@ -42,7 +75,35 @@ interface IFileRegistry {
     ) external;
     
     /**
-     * @dev Grants access to a file for a specific user
+     * @dev Updates an existing file's content, describing the change in its version history
+     * @param fileId Identifier of file to update
+     * @param newContentHash New content hash of the file
+     * @param newEncryptionKey New encryption key (if changed)
+     * @param newFileSize New file size in bytes
+     * @param changeDescription What changed in this version
+     */
+    function updateFileWithDescription(
+        bytes32 fileId,
+        bytes32 newContentHash,
+        bytes memory newEncryptionKey,
+        uint256 newFileSize,
+        string memory changeDescription
+    ) external;
+    
+    /**
+     * @dev Restores the content of a previous version as a new version
+     * @param fileId File identifier
+     * @param version Version number to restore (1 is the registered content)
+     * @param changeDescription Why the file was rolled back
+     */
+    function rollbackFile(
+        bytes32 fileId,
+        uint256 version,
+        string memory changeDescription
+    ) external;
+    
+    /**
+     * @dev Grants access to a file for a specific user (owner or ADMIN grantee)
      * @param fileId File identifier
      * @param grantee Address to grant access to
      * @param accessLevel Level of access to grant
@@ -56,18 +117,154 @@ interface IFileRegistry {
     ) external;
     
     /**
-     * @dev Revokes access to a file for a specific user
+     * @dev Grants access and stores the file key re-wrapped for the grantee
+     * @param fileId File identifier
+     * @param grantee Address to grant access to
+     * @param accessLevel Level of access to grant
+     * @param expiresAt Timestamp when access expires (0 for no expiration)
+     * @param wrappedKey File key encrypted with the grantee's public key
+     */
+    function grantAccessWithKey(
+        bytes32 fileId,
+        address grantee,
+        FileStructs.AccessLevel accessLevel,
+        uint256 expiresAt,
+        bytes memory wrappedKey
+    ) external;
+    
+    /**
+     * @dev Grants access on behalf of a file's owner, for trusted contracts
+     * @param fileId File identifier
+     * @param grantor Account the grant is made for; must be able to manage the file's access
+     * @param grantee Address to grant access to
+     * @param accessLevel Level of access to grant
+     * @param expiresAt Timestamp when access expires (0 for no expiration)
+     * @param maxUses Number of uses the grant allows (0 for unlimited)
+     * @param wrappedKey File key encrypted with the grantee's public key (empty for none)
+     */
+    function grantAccessOnBehalf(
+        bytes32 fileId,
+        address grantor,
+        address grantee,
+        FileStructs.AccessLevel accessLevel,
+        uint256 expiresAt,
+        uint256 maxUses,
+        bytes memory wrappedKey
+    ) external;
+    
+    /**
+     * @dev Hands a file over to a new owner on its owner's behalf, for trusted contracts
+     * @param fileId File identifier
+     * @param previousOwner Account handing the file over; must be the file's owner
+     * @param newOwner Account taking the file over
+     * @param retainedLevel Access the previous owner keeps (NONE for none)
+     * @param newOwnerKey File key encrypted with the new owner's public key (required for encrypted files)
+     */
+    function transferOwnershipOnBehalf(
+        bytes32 fileId,
+        address previousOwner,
+        address newOwner,
+        FileStructs.AccessLevel retainedLevel,
+        bytes memory newOwnerKey
+    ) external;
+    
+    /**
+     * @dev Stores the file key re-wrapped for a grantee
+     * @param fileId File identifier
+     * @param grantee Address the key is wrapped for
+     * @param wrappedKey File key encrypted with the grantee's public key
+     */
+    function setWrappedKey(
+        bytes32 fileId,
+        address grantee,
+        bytes memory wrappedKey
+    ) external;
+    
+    /**
+     * @dev Revokes access to a file for a specific user (owner or ADMIN grantee)
      * @param fileId File identifier
      * @param grantee Address to revoke access from
      */
     function revokeAccess(bytes32 fileId, address grantee) external;
     
     /**
-     * @dev Logical deletion of a file
+     * @dev Grants access to a file to every member of a GroupRegistry group
+     * @param fileId File identifier
+     * @param groupId Group identifier
+     * @param accessLevel Level of access to grant
+     * @param expiresAt Timestamp when access expires (0 for no expiration)
+     */
+    function grantGroupAccess(
+        bytes32 fileId,
+        bytes32 groupId,
+        FileStructs.AccessLevel accessLevel,
+        uint256 expiresAt
+    ) external;
+    
+    /**
+     * @dev Revokes a group's access to a file
+     * @param fileId File identifier
+     * @param groupId Group identifier
+     */
+    function revokeGroupAccess(bytes32 fileId, bytes32 groupId) external;
+    
+    /**
+     * @dev Spends one use of the caller's use-limited grant, before each download;
+     * advisory, as the views do not spend uses
+     * @param fileId File identifier
+     * @return usesLeft Uses remaining after this one
+     */
+    function useAccess(bytes32 fileId) external returns (uint256 usesLeft);
+    
+    /**
+     * @dev Records a place the file's content can be fetched from
+     * @param fileId File identifier
+     * @param protocol Storage protocol (e.g., "ipfs", "local")
+     * @param location Protocol-specific location identifier
+     * @param isEncrypted Whether the stored content is encrypted
+     * @param encryptionType Encryption scheme of the stored content (empty if plain)
+     */
+    function addStorageLocation(
+        bytes32 fileId,
+        string memory protocol,
+        string memory location,
+        bool isEncrypted,
+        string memory encryptionType
+    ) external;
+    
+    /**
+     * @dev Removes a recorded storage location
+     * @param fileId File identifier
+     * @param protocol Storage protocol of the location
+     * @param location Protocol-specific location identifier
+     */
+    function removeStorageLocation(
+        bytes32 fileId,
+        string memory protocol,
+        string memory location
+    ) external;
+    
+    /**
+     * @dev Logical deletion of a file (owner or admin); revokes every grant and
+     * cancels the file's open transfers
      * @param fileId File identifier to delete
      */
     function deleteFile(bytes32 fileId) external;
     
+    /**
+     * @dev Undoes the deletion of a file within the restore window (owner or admin)
+     * @param fileId File identifier to restore
+     */
+    function restoreFile(bytes32 fileId) external;
+    
+    /**
+     * @dev Permanently removes a deleted file once the restore window has passed (owner or admin),
+     * erasing up to MAX_PURGE_VERSIONS of its versions per call
+     * @param fileId File identifier to purge
+     * @return purged Whether the file is now fully purged
+     */
+    function purgeFile(bytes32 fileId) external returns (bool purged);
+    
     /**
      * @dev Gets file metadata
      * @param fileId File identifier
@@ -79,7 +276,73 @@ interface IFileRegistry {
         returns (FileStructs.FileMetadataView memory);
     
     /**
-     * @dev Gets list of files owned by a user
+     * @dev Gets the recorded storage locations of a file
+     * @param fileId File identifier
+     * @return Array of storage locations
+     */
+    function getStorageLocations(bytes32 fileId) 
+        external 
+        view 
+        returns (FileStructs.StorageLocation[] memory);
+    
+    /**
+     * @dev Gets the chunking state of a file's current content
+     * @param fileId File identifier
+     * @return chunkCount Number of chunks (0 if the file is not chunked)
+     * @return recordedChunks Number of chunk hashes recorded so far
+     */
+    function getChunkInfo(bytes32 fileId) 
+        external 
+        view 
+        returns (uint256 chunkCount, uint256 recordedChunks);
+    
+    /**
+     * @dev Gets a page of the recorded chunks of a file's current content
+     * @param fileId File identifier
+     * @param offset Sequence number of the first chunk to return
+     * @param limit Maximum number of chunks to return
+     * @return page Chunk records in sequence order
+     */
+    function getFileChunks(bytes32 fileId, uint256 offset, uint256 limit) 
+        external 
+        view 
+        returns (FileStructs.FileChunk[] memory page);
+    
+    /**
+     * @dev Gets the number of versions of a file
+     * @param fileId File identifier
+     * @return Number of versions, the latest being the current content
+     */
+    function getFileVersionCount(bytes32 fileId) 
+        external 
+        view 
+        returns (uint256);
+    
+    /**
+     * @dev Gets one version of a file
+     * @param fileId File identifier
+     * @param version Version number (1 is the registered content)
+     * @return File version
+     */
+    function getFileVersion(bytes32 fileId, uint256 version) 
+        external 
+        view 
+        returns (FileStructs.FileVersion memory);
+    
+    /**
+     * @dev Gets a page of a file's versions, oldest first
+     * @param fileId File identifier
+     * @param offset Number of versions to skip
+     * @param limit Maximum number of versions to return
+     * @return page File versions
+     */
+    function getFileVersions(bytes32 fileId, uint256 offset, uint256 limit) 
+        external 
+        view 
+        returns (FileStructs.FileVersion[] memory page);
+    
+    /**
+     * @dev Gets list of files owned by a user, leaving out deleted files
      * @param owner Address of the file owner
      * @return Array of file identifiers
      */
@@ -88,6 +351,97 @@ interface IFileRegistry {
         view 
         returns (bytes32[] memory);
     
+    /**
+     * @dev Gets a user's deleted files that have not been purged yet
+     * @param owner Address of the file owner
+     * @return Array of file identifiers
+     */
+    function getDeletedFiles(address owner) 
+        external 
+        view 
+        returns (bytes32[] memory);
+    
+    /**
+     * @dev Gets a page of a user's files, oldest first, leaving out files the
+     * caller may not view
+     * @param owner Address of the file owner
+     * @param filter Criteria files must match
+     * @param offset Number of matching files to skip
+     * @param limit Maximum number of files to return (0 for all)
+     * @return files Matching file metadata
+     * @return total Number of files matching the filter
+     */
+    function getUserFilesPage(
+        address owner,
+        FileStructs.FileFilter memory filter,
+        uint256 offset,
+        uint256 limit
+    ) external view returns (FileStructs.FileMetadataView[] memory files, uint256 total);
+    
+    /**
+     * @dev Gets the limits registrations are checked against
+     * @return fileSizeLimit Maximum file size in bytes
+     * @return storagePerUser Maximum bytes of live files per owner (0 for no quota)
+     * @return chunkSizeMin Minimum size of every chunk but the last, in bytes
+     * @return chunkCountMax Maximum number of chunks per file
+     */
+    function getStorageLimits() 
+        external 
+        view 
+        returns (
+            uint256 fileSizeLimit,
+            uint256 storagePerUser,
+            uint256 chunkSizeMin,
+            uint256 chunkCountMax
+        );
+    
+    /**
+     * @dev Gets how much storage a user's live files take up
+     * @param user User address
+     * @return used Bytes counted against the user's quota
+     * @return quota Maximum bytes allowed (0 for no quota)
+     */
+    function getStorageUsage(address user) 
+        external 
+        view 
+        returns (uint256 used, uint256 quota);
+    
+    /**
+     * @dev Gets the permission a user holds on a file
+     * @param fileId File identifier
+     * @param user User address
+     * @return Permission (hasAccess is false if none was granted or it was used up)
+     */
+    function getAccessPermission(bytes32 fileId, address user) 
+        external 
+        view 
+        returns (FileStructs.AccessPermission memory);
+    
+    /**
+     * @dev Gets a file's owner
+     * @param fileId File identifier
+     * @return Owner address (zero if the file does not exist)
+     */
+    function getFileOwner(bytes32 fileId) external view returns (address);
+    
+    /**
+     * @dev Gets the groups a file is shared with
+     * @param fileId File identifier
+     * @return Group identifiers
+     */
+    function getFileGroups(bytes32 fileId) external view returns (bytes32[] memory);
+    
+    /**
+     * @dev Gets the permission a group holds on a file
+     * @param fileId File identifier
+     * @param groupId Group identifier
+     * @return Permission (hasAccess is false if none was granted)
+     */
+    function getGroupPermission(bytes32 fileId, bytes32 groupId) 
+        external 
+        view 
+        returns (FileStructs.AccessPermission memory);
+    
     /**
      * @dev Checks if user has specific access to a file
      * @param fileId File identifier
@@ -100,4 +454,26 @@ interface IFileRegistry {
         address user,
         FileStructs.AccessLevel level
     ) external view returns (bool);
+    
+    /**
+     * @dev Checks whether a content hash is one of a file's versions (TransferContract only)
+     * @param fileId File identifier
+     * @param contentHash Content hash to check
+     * @return True if some version of the file has the content hash
+     */
+    function isFileContent(bytes32 fileId, bytes32 contentHash) external view returns (bool);
+    
+    /**
+     * @dev Checks whether an account may grant a level of access to a file:
+     * it must manage the file's access and hold that level itself
+     * @param fileId File identifier
+     * @param grantor Account that would grant the access
+     * @param level Access level to grant
+     * @return True if the account may grant the level
+     */
+    function canGrantAccess(
+        bytes32 fileId,
+        address grantor,
+        FileStructs.AccessLevel level
+    ) external view returns (bool);
 }
\ No newline at end of file
@@ -0,0 +1,75 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.17;
+
+import "../libraries/FileStructs.sol";
+
+/**
+ * @title IGroupRegistry
+ * @dev Interface for the GroupRegistry contract
+ */
+interface IGroupRegistry {
+    /**
+     * @dev Creates a group owned by the caller
+     * @param name Group name
+     * @param members Initial members besides the caller
+     * @return groupId Unique identifier for the group
+     */
+    function createGroup(string memory name, address[] memory members) external returns (bytes32 groupId);
+    
+    /**
+     * @dev Adds members to a group (group owner only)
+     * @param groupId Group identifier
+     * @param members Addresses to add
+     */
+    function addMembers(bytes32 groupId, address[] memory members) external;
+    
+    /**
+     * @dev Removes members from a group (group owner only)
+     * @param groupId Group identifier
+     * @param members Addresses to remove
+     */
+    function removeMembers(bytes32 groupId, address[] memory members) external;
+    
+    /**
+     * @dev Hands a group over to a new owner (group owner only)
+     * @param groupId Group identifier
+     * @param newOwner Address of the new owner
+     */
+    function transferGroupOwnership(bytes32 groupId, address newOwner) external;
+    
+    /**
+     * @dev Checks whether an account belongs to a group
+     * @param groupId Group identifier
+     * @param account Address to check
+     * @return True if the account is a member (owners always are)
+     */
+    function isMember(bytes32 groupId, address account) external view returns (bool);
+    
+    /**
+     * @dev Checks whether a group exists
+     * @param groupId Group identifier
+     * @return True if the group exists
+     */
+    function groupExists(bytes32 groupId) external view returns (bool);
+    
+    /**
+     * @dev Gets a group's details
+     * @param groupId Group identifier
+     * @return Group details
+     */
+    function getGroup(bytes32 groupId) external view returns (FileStructs.GroupView memory);
+    
+    /**
+     * @dev Gets a group's members
+     * @param groupId Group identifier
+     * @return Member addresses
+     */
+    function getGroupMembers(bytes32 groupId) external view returns (address[] memory);
+    
+    /**
+     * @dev Gets the groups an account belongs to
+     * @param account Address to look up
+     * @return Group identifiers
+     */
+    function getUserGroups(address account) external view returns (bytes32[] memory);
+}
\ No newline at end of file
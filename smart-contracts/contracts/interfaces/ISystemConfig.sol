@@ -0,0 +1,46 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.17;
+
+/**
+ * @title ISystemConfig
+ * @dev Interface for the SystemConfig settings other contracts enforce
+ */
+interface ISystemConfig {
+    /**
+     * @dev Gets all storage settings
+     * @return _maxFileSize Maximum file size in bytes
+     * @return _maxStoragePerUser Maximum storage per user in bytes
+     * @return _minChunkSize Minimum chunk size for file splitting
+     * @return _maxChunks Maximum number of chunks per file
+     */
+    function getStorageSettings()
+        external
+        view
+        returns (
+            uint256 _maxFileSize,
+            uint256 _maxStoragePerUser,
+            uint256 _minChunkSize,
+            uint256 _maxChunks
+        );
+    
+    /**
+     * @dev Gets all transfer settings
+     * @return _defaultTransferTimeout Default timeout for transfers in seconds
+     * @return _maxTransferTimeout Maximum allowed timeout for transfers
+     * @return _defaultDisputeTimeout Default timeout for disputes
+     */
+    function getTransferSettings()
+        external
+        view
+        returns (
+            uint256 _defaultTransferTimeout,
+            uint256 _maxTransferTimeout,
+            uint256 _defaultDisputeTimeout
+        );
+    
+    /**
+     * @dev Whether files must be registered with an encryption key
+     * @return Whether encryption is mandatory
+     */
+    function enforceEncryption() external view returns (bool);
+}
\ No newline at end of file
@@ -26,6 +26,84 @@ interface ITransferContract {
         FileStructs.AccessLevel accessLevel
     ) external returns (bytes32 transferId);
     
+    /**
+     * @dev Initiates a transfer that hands over decryption capability
+     * @param fileId File identifier to transfer
+     * @param recipient Address of the recipient
+     * @param message Optional message to recipient
+     * @param transferDeadline Optional deadline for the transfer (0 for default)
+     * @param accessLevel Access level to grant to recipient upon acceptance
+     * @param recipientKey File key re-wrapped for the recipient's public key
+     * @return transferId Unique identifier for the transfer
+     */
+    function initiateTransferWithKey(
+        bytes32 fileId,
+        address recipient,
+        string memory message,
+        uint256 transferDeadline,
+        FileStructs.AccessLevel accessLevel,
+        bytes memory recipientKey
+    ) external returns (bytes32 transferId);
+    
+    /**
+     * @dev Initiates a transfer whose access lapses after a duration or a number of uses
+     * @param fileId File identifier to transfer
+     * @param recipient Address of the recipient
+     * @param message Optional message to recipient
+     * @param transferDeadline Optional deadline for the transfer (0 for default)
+     * @param accessLevel Access level to grant to recipient upon completion
+     * @param accessDuration Seconds the access lasts after completion (0 for no limit)
+     * @param accessUses Uses the access allows (0 for no limit)
+     * @param recipientKey File key re-wrapped for the recipient's public key (empty for none)
+     * @return transferId Unique identifier for the transfer
+     */
+    function initiateTransferWithTerms(
+        bytes32 fileId,
+        address recipient,
+        string memory message,
+        uint256 transferDeadline,
+        FileStructs.AccessLevel accessLevel,
+        uint256 accessDuration,
+        uint256 accessUses,
+        bytes memory recipientKey
+    ) external returns (bytes32 transferId);
+    
+    /**
+     * @dev Offers a file to several recipients at once, one transfer each
+     * @param fileId File identifier to transfer
+     * @param recipients Addresses of the recipients
+     * @param message Optional message to every recipient
+     * @param transferDeadline Optional deadline for the transfers (0 for default)
+     * @param accessLevel Access level to grant to each recipient upon completion
+     * @return batchId Unique identifier for the batch
+     */
+    function initiateBatchTransfer(
+        bytes32 fileId,
+        address[] memory recipients,
+        string memory message,
+        uint256 transferDeadline,
+        FileStructs.AccessLevel accessLevel
+    ) external returns (bytes32 batchId);
+    
+    /**
+     * @dev Offers a file to several recipients at once, with a wrapped key for each
+     * @param fileId File identifier to transfer
+     * @param recipients Addresses of the recipients
+     * @param message Optional message to every recipient
+     * @param transferDeadline Optional deadline for the transfers (0 for default)
+     * @param accessLevel Access level to grant to each recipient upon completion
+     * @param recipientKeys File key re-wrapped per recipient (empty entries for none)
+     * @return batchId Unique identifier for the batch
+     */
+    function initiateBatchTransferWithKeys(
+        bytes32 fileId,
+        address[] memory recipients,
+        string memory message,
+        uint256 transferDeadline,
+        FileStructs.AccessLevel accessLevel,
+        bytes[] memory recipientKeys
+    ) external returns (bytes32 batchId);
+    
     /**
      * @dev Cancels a pending transfer (sender only)
      * @param transferId Transfer identifier to cancel
@@ -46,11 +124,18 @@ interface ITransferContract {
     function rejectTransfer(bytes32 transferId, string memory reason) external;
     
     /**
-     * @dev Completes a transfer and confirms receipt
+     * @dev Completes a transfer with the recipient's signed receipt
      * @param transferId Transfer identifier to complete
-     * @param proofOfDelivery Cryptographic proof that file was received
+     * @param contentHash Hash of the content the recipient received
+     * @param receivedAt When the recipient received the content
+     * @param signature Recipient's signature over the proof of delivery
      */
-    function completeTransfer(bytes32 transferId, bytes32 proofOfDelivery) external;
+    function completeTransfer(
+        bytes32 transferId,
+        bytes32 contentHash,
+        uint256 receivedAt,
+        bytes memory signature
+    ) external;
     
     /**
      * @dev Raises a dispute for a transfer in progress
@@ -69,6 +154,27 @@ interface ITransferContract {
         TransferStructs.Resolution resolution
     ) external;
     
+    /**
+     * @dev Marks a transfer that was not accepted before its deadline as expired
+     * @param transferId Transfer identifier to expire
+     */
+    function expireTransfer(bytes32 transferId) external;
+    
+    /**
+     * @dev Expires every overdue transfer in a list, skipping the others
+     * @param transferIds Transfer identifiers to expire
+     * @return expired Number of transfers that were expired
+     */
+    function expireTransfers(bytes32[] memory transferIds) external returns (uint256 expired);
+    
+    /**
+     * @dev Cancels every open transfer of a file (FileRegistry only, on deletion)
+     * @param fileId File identifier
+     * @param actor Account that deleted the file
+     * @return cancelled Number of transfers that were cancelled
+     */
+    function cancelFileTransfers(bytes32 fileId, address actor) external returns (uint256 cancelled);
+    
     /**
      * @dev Gets transfer details
      * @param transferId Transfer identifier
@@ -79,6 +185,36 @@ interface ITransferContract {
         view
         returns (TransferStructs.TransferView memory);
     
+    /**
+     * @dev Gets the signed receipt a transfer was completed with
+     * @param transferId Transfer identifier
+     * @return Delivery receipt
+     */
+    function getDeliveryReceipt(bytes32 transferId)
+        external
+        view
+        returns (TransferStructs.DeliveryReceipt memory);
+    
+    /**
+     * @dev Gets a batch of transfers
+     * @param batchId Batch identifier
+     * @return Batch details
+     */
+    function getBatch(bytes32 batchId)
+        external
+        view
+        returns (TransferStructs.BatchTransfer memory);
+    
+    /**
+     * @dev Gets the batch a transfer was sent in
+     * @param transferId Transfer identifier
+     * @return Batch identifier (zero if the transfer was sent on its own)
+     */
+    function getTransferBatch(bytes32 transferId)
+        external
+        view
+        returns (bytes32);
+    
     /**
      * @dev Gets all transfers sent by a user
      * @param user Address of the user
@@ -98,4 +234,96 @@ interface ITransferContract {
         external
         view
         returns (bytes32[] memory);
+    
+    /**
+     * @dev Gets a page of the transfers sent by a user, oldest first
+     * @param user Address of the user
+     * @param filter Criteria transfers must match
+     * @param offset Number of matching transfers to skip
+     * @param limit Maximum number of transfers to return (0 for all)
+     * @return transfers Matching transfer details
+     * @return total Number of transfers matching the filter
+     */
+    function getUserSentTransfersPage(
+        address user,
+        TransferStructs.TransferFilter memory filter,
+        uint256 offset,
+        uint256 limit
+    ) external view returns (TransferStructs.TransferView[] memory transfers, uint256 total);
+    
+    /**
+     * @dev Gets a page of the transfers received by a user, oldest first
+     * @param user Address of the user
+     * @param filter Criteria transfers must match
+     * @param offset Number of matching transfers to skip
+     * @param limit Maximum number of transfers to return (0 for all)
+     * @return transfers Matching transfer details
+     * @return total Number of transfers matching the filter
+     */
+    function getUserReceivedTransfersPage(
+        address user,
+        TransferStructs.TransferFilter memory filter,
+        uint256 offset,
+        uint256 limit
+    ) external view returns (TransferStructs.TransferView[] memory transfers, uint256 total);
+    
+    /**
+     * @dev Marks one of the caller's notifications as read
+     * @param index Index of the notification
+     */
+    function markNotificationRead(uint256 index) external;
+    
+    /**
+     * @dev Marks several of the caller's notifications as read
+     * @param indexes Index of each notification
+     */
+    function markNotificationsRead(uint256[] calldata indexes) external;
+    
+    /**
+     * @dev Gets a page of a user's unread notifications, in no particular order
+     * @param user Address of the user
+     * @param offset Number of unread notifications to skip
+     * @param limit Maximum number of notifications to return (0 for all)
+     * @return notifications Unread notifications
+     * @return indexes Index of each notification
+     * @return total Total number of unread notifications
+     */
+    function getUnreadNotifications(
+        address user,
+        uint256 offset,
+        uint256 limit
+    ) external view returns (
+        TransferStructs.TransferNotification[] memory notifications,
+        uint256[] memory indexes,
+        uint256 total
+    );
+    
+    /**
+     * @dev Gets transfer counts across all users
+     * @return Transfer statistics
+     */
+    function getTransferStats()
+        external
+        view
+        returns (TransferStructs.TransferStats memory);
+    
+    /**
+     * @dev Gets transfer counts for the transfers a user sent or received
+     * @param user Address of the user
+     * @return Transfer statistics
+     */
+    function getUserTransferStats(address user)
+        external
+        view
+        returns (TransferStructs.TransferStats memory);
+    
+    /**
+     * @dev Gets the timeouts transfer deadlines are checked against
+     * @return defaultTimeout Time until a transfer without a deadline expires, in seconds
+     * @return maxTimeout Longest allowed time until a deadline (0 for no limit)
+     */
+    function getTransferTimeouts()
+        external
+        view
+        returns (uint256 defaultTimeout, uint256 maxTimeout);
 }
\ No newline at end of file
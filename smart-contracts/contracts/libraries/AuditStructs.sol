@@ -0,0 +1,75 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.17;
+
+/**
+ * @title AuditStructs
+ * @dev Library defining audit-related data structures
+ */
+library AuditStructs {
+    
+    /**
+     * @dev What an audit record reports
+     */
+    enum AuditAction {
+        NONE,
+        TRANSFER_INITIATED,
+        TRANSFER_ACCEPTED,
+        TRANSFER_REJECTED,
+        TRANSFER_COMPLETED,
+        TRANSFER_DISPUTED,
+        TRANSFER_RESOLVED_COMPLETED,
+        TRANSFER_RESOLVED_CANCELLED,
+        TRANSFER_CANCELLED,
+        TRANSFER_EXPIRED,
+        FILE_REGISTERED,
+        FILE_UPDATED,
+        ACCESS_GRANTED,
+        ACCESS_REVOKED,
+        GROUP_ACCESS_GRANTED,
+        GROUP_ACCESS_REVOKED,
+        OWNERSHIP_TRANSFERRED,
+        FILE_DELETED,
+        FILE_RESTORED,
+        FILE_PURGED,
+        ACCESS_USED,
+        WRAPPED_KEY_STORED,
+        STORAGE_LOCATION_ADDED,
+        STORAGE_LOCATION_REMOVED
+    }
+    
+    /**
+     * @dev Structure for a single audit trail entry
+     */
+    struct AuditRecord {
+        bytes32 recordId;             // Hash of all the fields below
+        uint256 sequence;             // Position in the global log, from 0
+        bytes32 fileId;               // File the action relates to
+        address actor;                // Account that acted
+        AuditAction action;           // What happened
+        address counterparty;         // Other account involved, if any
+        bytes32 transferId;           // Transfer the action relates to, if any
+        bytes32 payloadHash;          // Hash of data the action carried (e.g. a reason), if any
+        uint256 timestamp;            // When the action was recorded
+        bytes32 previousRecordHash;   // recordId of the previous entry for the file
+        bytes32 previousGlobalHash;   // recordId of the previous entry in the global log
+    }
+    
+    /**
+     * @dev Criteria for filtered audit trail queries; zero values match any record
+     */
+    struct AuditFilter {
+        AuditAction action;
+        address actor;
+    }
+    
+    /**
+     * @dev Merkle root over a contiguous range of the global log
+     */
+    struct Checkpoint {
+        uint256 fromSequence;         // First record covered
+        uint256 toSequence;           // One past the last record covered
+        bytes32 merkleRoot;           // Root of the tree over the covered recordIds, each hashed behind a 0x00 byte
+        bytes32 lastRecordId;         // recordId of the last record covered
+        uint256 timestamp;            // When the checkpoint was created
+    }
+}
\ No newline at end of file
@@ -0,0 +1,194 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.17;
+
+import "./FileStructs.sol";
+import "../interfaces/IGroupRegistry.sol";
+import "@openzeppelin/contracts/utils/structs/EnumerableSet.sol";
+
+/**
+ * @title FileAccessLib
+ * @dev Bookkeeping for a file's direct and group grants: who holds them, and
+ * revoking all of them at once. Deployed on its own and linked into
+ * FileRegistry, which keeps the state; revokeAll emits FileRegistry's
+ * revocation events.
+ */
+library FileAccessLib {
+    using EnumerableSet for EnumerableSet.AddressSet;
+    
+    // Same as FileRegistry's, which they are emitted for
+    event FileAccessRevoked(bytes32 indexed fileId, address indexed grantee, address indexed revokedBy);
+    event GroupAccessRevoked(bytes32 indexed fileId, bytes32 indexed groupId, address indexed revokedBy);
+    
+    /**
+     * @dev Records a direct grant and tracks its holder among the file's grantees
+     * @param grantees Accounts holding a direct grant
+     * @param permissions Direct grants by grantee
+     * @param grantee Address the grant is for
+     * @param accessLevel Level of access
+     * @param expiresAt Timestamp when access expires (0 for no expiration)
+     * @param maxUses Number of uses the grant allows (0 for unlimited)
+     * @param maxGrantees Upper bound on direct grantees per file
+     */
+    function setPermission(
+        EnumerableSet.AddressSet storage grantees,
+        mapping(address => FileStructs.AccessPermission) storage permissions,
+        address grantee,
+        FileStructs.AccessLevel accessLevel,
+        uint256 expiresAt,
+        uint256 maxUses,
+        uint256 maxGrantees
+    ) public {
+        permissions[grantee] = FileStructs.AccessPermission({
+            hasAccess: true,
+            level: accessLevel,
+            grantedAt: block.timestamp,
+            expiresAt: expiresAt,
+            usesLeft: maxUses
+        });
+        
+        grantees.add(grantee);
+        require(grantees.length() <= maxGrantees, "Too many grantees");
+    }
+    
+    /**
+     * @dev Removes a direct grant along with the grantee's wrapped key
+     * @param grantees Accounts holding a direct grant
+     * @param permissions Direct grants by grantee
+     * @param granteeKeys Wrapped keys by grantee
+     * @param grantee Address whose grant is removed
+     */
+    function dropPermission(
+        EnumerableSet.AddressSet storage grantees,
+        mapping(address => FileStructs.AccessPermission) storage permissions,
+        mapping(address => bytes) storage granteeKeys,
+        address grantee
+    ) public {
+        delete permissions[grantee];
+        delete granteeKeys[grantee];
+        grantees.remove(grantee);
+    }
+    
+    /**
+     * @dev Records a group's grant, adding the group to the file's groups if it is new
+     * @param groups Groups the file is shared with
+     * @param groupPermissions What each group was granted
+     * @param groupId Group identifier
+     * @param accessLevel Level of access to grant
+     * @param expiresAt Timestamp when access expires (0 for no expiration)
+     * @param maxGroups Upper bound on groups per file
+     */
+    function setGroupPermission(
+        bytes32[] storage groups,
+        mapping(bytes32 => FileStructs.AccessPermission) storage groupPermissions,
+        bytes32 groupId,
+        FileStructs.AccessLevel accessLevel,
+        uint256 expiresAt,
+        uint256 maxGroups
+    ) public {
+        if (!groupPermissions[groupId].hasAccess) {
+            require(groups.length < maxGroups, "Too many groups");
+            groups.push(groupId);
+        }
+        
+        groupPermissions[groupId] = FileStructs.AccessPermission({
+            hasAccess: true,
+            level: accessLevel,
+            grantedAt: block.timestamp,
+            expiresAt: expiresAt,
+            usesLeft: 0
+        });
+    }
+    
+    /**
+     * @dev Removes a group's grant and the group from the file's groups
+     * @param groups Groups the file is shared with
+     * @param groupPermissions What each group was granted
+     * @param groupId Group identifier
+     */
+    function removeGroup(
+        bytes32[] storage groups,
+        mapping(bytes32 => FileStructs.AccessPermission) storage groupPermissions,
+        bytes32 groupId
+    ) public {
+        require(groupPermissions[groupId].hasAccess, "No access to revoke");
+        
+        for (uint256 i = 0; i < groups.length; i++) {
+            if (groups[i] == groupId) {
+                groups[i] = groups[groups.length - 1];
+                groups.pop();
+                break;
+            }
+        }
+        delete groupPermissions[groupId];
+    }
+    
+    /**
+     * @dev Revokes every direct grant, with its wrapped key, and every group grant of a file
+     * @param fileId File identifier
+     * @param grantees Accounts holding a direct grant
+     * @param permissions Direct grants by grantee
+     * @param granteeKeys Wrapped keys by grantee
+     * @param groups Groups the file is shared with
+     * @param groupPermissions What each group was granted
+     * @param revokedBy Account revoking the grants
+     */
+    function revokeAll(
+        bytes32 fileId,
+        EnumerableSet.AddressSet storage grantees,
+        mapping(address => FileStructs.AccessPermission) storage permissions,
+        mapping(address => bytes) storage granteeKeys,
+        bytes32[] storage groups,
+        mapping(bytes32 => FileStructs.AccessPermission) storage groupPermissions,
+        address revokedBy
+    ) public {
+        while (grantees.length() > 0) {
+            address grantee = grantees.at(grantees.length() - 1);
+            dropPermission(grantees, permissions, granteeKeys, grantee);
+            emit FileAccessRevoked(fileId, grantee, revokedBy);
+        }
+        
+        while (groups.length > 0) {
+            bytes32 groupId = groups[groups.length - 1];
+            groups.pop();
+            delete groupPermissions[groupId];
+            emit GroupAccessRevoked(fileId, groupId, revokedBy);
+        }
+    }
+    
+    /**
+     * @dev Gets the level a user holds on a file other than as its owner: the
+     * higher of their own unexpired grant and their groups' grants
+     * @param permissions Direct grants by grantee
+     * @param groups Groups the file is shared with
+     * @param groupPermissions What each group was granted
+     * @param groupRegistry GroupRegistry the groups belong to (zero to ignore groups)
+     * @param user Address to check
+     * @return level Effective access level (NONE if the user has no access)
+     */
+    function levelOf(
+        mapping(address => FileStructs.AccessPermission) storage permissions,
+        bytes32[] storage groups,
+        mapping(bytes32 => FileStructs.AccessPermission) storage groupPermissions,
+        IGroupRegistry groupRegistry,
+        address user
+    ) public view returns (FileStructs.AccessLevel level) {
+        FileStructs.AccessPermission storage permission = permissions[user];
+        if (permission.hasAccess &&
+            (permission.expiresAt == 0 || block.timestamp <= permission.expiresAt)) {
+            level = permission.level;
+        }
+        
+        if (address(groupRegistry) == address(0)) {
+            return level;
+        }
+        
+        for (uint256 i = 0; i < groups.length; i++) {
+            FileStructs.AccessPermission storage groupPermission = groupPermissions[groups[i]];
+            if (uint8(groupPermission.level) > uint8(level) &&
+                (groupPermission.expiresAt == 0 || block.timestamp <= groupPermission.expiresAt) &&
+                groupRegistry.isMember(groups[i], user)) {
+                level = groupPermission.level;
+            }
+        }
+    }
+}
\ No newline at end of file
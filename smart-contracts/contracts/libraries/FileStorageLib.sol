@@ -0,0 +1,295 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.17;
+
+import "./FileStructs.sol";
+import "./SecurityUtils.sol";
+
+/**
+ * @title FileStorageLib
+ * @dev Bookkeeping for where and how a file's content is stored: storage
+ * locations, chunk records and version history. Deployed on its own and linked
+ * into FileRegistry, which keeps the state and emits the events.
+ */
+library FileStorageLib {
+    
+    /**
+     * @dev Records a storage location unless it is already recorded
+     * @param locations A file's recorded locations
+     * @param location Location to record
+     * @param maxLocations Upper bound on recorded locations
+     */
+    function addLocation(
+        FileStructs.StorageLocation[] storage locations,
+        FileStructs.StorageLocation memory location,
+        uint256 maxLocations
+    ) public {
+        require(bytes(location.protocol).length > 0, "Protocol cannot be empty");
+        require(bytes(location.location).length > 0, "Location cannot be empty");
+        require(!location.isEncrypted || bytes(location.encryptionType).length > 0, "Encryption type required");
+        require(locations.length < maxLocations, "Too many storage locations");
+        require(
+            findLocation(locations, location.protocol, location.location) == type(uint256).max,
+            "Location already recorded"
+        );
+        
+        locations.push(location);
+    }
+    
+    /**
+     * @dev Removes a recorded storage location
+     * @param locations A file's recorded locations
+     * @param protocol Storage protocol of the location
+     * @param location Protocol-specific location identifier
+     */
+    function removeLocation(
+        FileStructs.StorageLocation[] storage locations,
+        string memory protocol,
+        string memory location
+    ) public {
+        uint256 index = findLocation(locations, protocol, location);
+        require(index != type(uint256).max, "Location not found");
+        
+        locations[index] = locations[locations.length - 1];
+        locations.pop();
+    }
+    
+    /**
+     * @dev Records the next chunk hashes of a chunked file
+     * The batch completing the file must make the chunks add up to its Merkle root.
+     * @param chunks Chunks recorded so far for the file's Merkle root
+     * @param fileId File identifier
+     * @param merkleRoot Merkle root the chunks must add up to
+     * @param chunkCount Number of chunks the file is split into
+     * @param minChunkSize Minimum size of every chunk but the last
+     * @param chunkHashes SHA-256 hashes of the stored chunks, continuing the sequence
+     * @param sizes Stored size of each chunk in bytes
+     * @return recorded Number of chunks recorded after this batch
+     */
+    function addChunks(
+        FileStructs.FileChunk[] storage chunks,
+        bytes32 fileId,
+        bytes32 merkleRoot,
+        uint256 chunkCount,
+        uint256 minChunkSize,
+        bytes32[] memory chunkHashes,
+        uint256[] memory sizes
+    ) public returns (uint256 recorded) {
+        require(chunkHashes.length > 0 && chunkHashes.length == sizes.length, "Invalid chunk batch");
+        require(chunkCount > 0, "File is not chunked");
+        require(chunks.length + chunkHashes.length <= chunkCount, "Too many chunks");
+        
+        for (uint256 i = 0; i < chunkHashes.length; i++) {
+            uint256 sequence = chunks.length;
+            
+            require(sizes[i] > 0, "Invalid chunk size");
+            // Only the last chunk may be smaller than the minimum chunk size
+            require(sequence == chunkCount - 1 || sizes[i] >= minChunkSize, "Chunk below minimum size");
+            
+            chunks.push(FileStructs.FileChunk({
+                chunkId: SecurityUtils.computeChunkHash(fileId, sequence, abi.encodePacked(chunkHashes[i])),
+                fileId: fileId,
+                sequence: sequence,
+                contentHash: chunkHashes[i],
+                size: sizes[i]
+            }));
+        }
+        
+        recorded = chunks.length;
+        if (recorded == chunkCount) {
+            bytes32[] memory leaves = new bytes32[](chunkCount);
+            for (uint256 i = 0; i < chunkCount; i++) {
+                leaves[i] = chunks[i].contentHash;
+            }
+            require(SecurityUtils.computeMerkleRoot(leaves) == merkleRoot, "Chunks do not match Merkle root");
+        }
+    }
+    
+    /**
+     * @dev Gets a page of chunk records
+     * @param chunks Recorded chunks
+     * @param offset Sequence number of the first chunk to return
+     * @param limit Maximum number of chunks to return
+     * @return page Chunk records in sequence order
+     */
+    function chunkPage(
+        FileStructs.FileChunk[] storage chunks,
+        uint256 offset,
+        uint256 limit
+    ) public view returns (FileStructs.FileChunk[] memory page) {
+        if (offset >= chunks.length) {
+            return new FileStructs.FileChunk[](0);
+        }
+        
+        uint256 end = offset + limit > chunks.length ? chunks.length : offset + limit;
+        page = new FileStructs.FileChunk[](end - offset);
+        for (uint256 i = offset; i < end; i++) {
+            page[i - offset] = chunks[i];
+        }
+        
+        return page;
+    }
+    
+    /**
+     * @dev Records a file's current content as its next version
+     * @param versions Versions recorded so far for the file
+     * @param file The file's metadata
+     * @param creator Account making the change
+     * @param changeDescription What changed in this version
+     * @return version Number of the new version (1 is the registration)
+     * @return versionId Identifier of the new version
+     */
+    function appendVersion(
+        FileStructs.FileVersion[] storage versions,
+        FileStructs.FileMetadata storage file,
+        address creator,
+        string memory changeDescription
+    ) public returns (uint256 version, bytes32 versionId) {
+        version = versions.length + 1;
+        versionId = keccak256(abi.encodePacked(file.fileId, version, file.contentHash));
+        
+        versions.push(FileStructs.FileVersion({
+            versionId: versionId,
+            fileId: file.fileId,
+            contentHash: file.contentHash,
+            encryptionKey: file.encryptionKey,
+            fileSize: file.fileSize,
+            createdAt: block.timestamp,
+            creator: creator,
+            changeDescription: changeDescription
+        }));
+    }
+    
+    /**
+     * @dev Gets the content of a recorded version, to roll a file back to
+     * @param versions Recorded versions
+     * @param file The file's metadata
+     * @param version Version number (1 is the registration)
+     * @return contentHash Content hash of the version
+     * @return encryptionKey Key stored with the version, empty if the file still uses it
+     * @return fileSize Size of the version in bytes
+     */
+    function versionContent(
+        FileStructs.FileVersion[] storage versions,
+        FileStructs.FileMetadata storage file,
+        uint256 version
+    ) public view returns (bytes32 contentHash, bytes memory encryptionKey, uint256 fileSize) {
+        require(version > 0 && version <= versions.length, "Version does not exist");
+        
+        FileStructs.FileVersion storage target = versions[version - 1];
+        
+        // Restoring an older key counts as changing it
+        if (keccak256(target.encryptionKey) != keccak256(file.encryptionKey)) {
+            encryptionKey = target.encryptionKey;
+        }
+        return (target.contentHash, encryptionKey, target.fileSize);
+    }
+    
+    /**
+     * @dev Checks whether a version holds the given content, newest first
+     * @param versions Recorded versions
+     * @param contentHash Content hash to look for
+     * @return True if some version has the content hash
+     */
+    function hasContent(
+        FileStructs.FileVersion[] storage versions,
+        bytes32 contentHash
+    ) public view returns (bool) {
+        for (uint256 i = versions.length; i > 0; i--) {
+            if (versions[i - 1].contentHash == contentHash) {
+                return true;
+            }
+        }
+        return false;
+    }
+    
+    /**
+     * @dev Gets a page of versions, oldest first
+     * @param versions Recorded versions
+     * @param offset Number of versions to skip
+     * @param limit Maximum number of versions to return
+     * @param withKeys Whether to include the key stored with each version
+     * @return page File versions (with blank keys unless withKeys is set)
+     */
+    function versionPage(
+        FileStructs.FileVersion[] storage versions,
+        uint256 offset,
+        uint256 limit,
+        bool withKeys
+    ) public view returns (FileStructs.FileVersion[] memory page) {
+        if (offset >= versions.length) {
+            return new FileStructs.FileVersion[](0);
+        }
+        
+        uint256 end = offset + limit > versions.length ? versions.length : offset + limit;
+        page = new FileStructs.FileVersion[](end - offset);
+        for (uint256 i = offset; i < end; i++) {
+            page[i - offset] = versions[i];
+            if (!withKeys) {
+                page[i - offset].encryptionKey = "";
+            }
+        }
+        
+        return page;
+    }
+    
+    /**
+     * @dev Erases a file for purging it, a bounded number of versions at a time.
+     * Versions are erased newest first, each with the chunk count of its
+     * content; once none are left, the file's metadata and storage locations
+     * are erased too.
+     * @param files Metadata by file
+     * @param locations Recorded locations by file
+     * @param versions Recorded versions by file
+     * @param chunkCounts Chunk counts by file and Merkle root
+     * @param fileId File identifier
+     * @param maxVersions Maximum number of versions to erase in this call
+     * @return erased Whether the file is now fully erased
+     */
+    function erase(
+        mapping(bytes32 => FileStructs.FileMetadata) storage files,
+        mapping(bytes32 => FileStructs.StorageLocation[]) storage locations,
+        mapping(bytes32 => FileStructs.FileVersion[]) storage versions,
+        mapping(bytes32 => mapping(bytes32 => uint256)) storage chunkCounts,
+        bytes32 fileId,
+        uint256 maxVersions
+    ) public returns (bool erased) {
+        FileStructs.FileVersion[] storage fileVersions = versions[fileId];
+        for (uint256 i = 0; i < maxVersions && fileVersions.length > 0; i++) {
+            delete chunkCounts[fileId][fileVersions[fileVersions.length - 1].contentHash];
+            fileVersions.pop();
+        }
+        
+        if (fileVersions.length > 0) {
+            return false;
+        }
+        
+        delete locations[fileId];
+        delete files[fileId];
+        return true;
+    }
+    
+    /**
+     * @dev Finds a recorded storage location
+     * @param locations A file's recorded locations
+     * @param protocol Storage protocol
+     * @param location Protocol-specific location identifier
+     * @return Index of the location, or type(uint256).max if not recorded
+     */
+    function findLocation(
+        FileStructs.StorageLocation[] storage locations,
+        string memory protocol,
+        string memory location
+    ) internal view returns (uint256) {
+        bytes32 protocolHash = keccak256(bytes(protocol));
+        bytes32 locationHash = keccak256(bytes(location));
+        
+        for (uint256 i = 0; i < locations.length; i++) {
+            if (keccak256(bytes(locations[i].protocol)) == protocolHash &&
+                keccak256(bytes(locations[i].location)) == locationHash) {
+                return i;
+            }
+        }
+        
+        return type(uint256).max;
+    }
+}
\ No newline at end of file
@@ -32,6 +32,7 @@ library FileStructs {
         uint256 updatedAt;        // Last update timestamp
         bool isPublic;            // Whether file is publicly accessible
         bool isDeleted;           // Logical deletion flag
+        uint256 deletedAt;        // Deletion timestamp (0 unless deleted)
         bool exists;              // Existence flag to distinguish null entries
     }
     
@@ -44,13 +45,23 @@ library FileStructs {
         string name;
         address owner;
         bytes32 contentHash;
-        bytes encryptionKey;      // Empty for non-owners
+        bytes encryptionKey;      // Key wrapped for the caller (empty if none)
         uint256 fileSize;
         string contentType;
         uint256 createdAt;
         uint256 updatedAt;
         bool isPublic;
         bool isDeleted;
+        uint256 deletedAt;
+    }
+    
+    /**
+     * @dev Structure for filtering file listings
+     */
+    struct FileFilter {
+        bool deleted;             // List deleted files instead of live ones
+        uint256 createdFrom;      // Only files registered at or after this time
+        uint256 createdTo;        // Only files registered at or before this time (0 for no bound)
     }
     
     /**
@@ -75,6 +86,29 @@ library FileStructs {
         AccessLevel level;        // Level of access
         uint256 grantedAt;        // When access was granted
         uint256 expiresAt;        // When access expires (0 for no expiration)
+        uint256 usesLeft;         // Remaining uses of a use-limited grant (0 for unlimited)
+    }
+    
+    /**
+     * @dev Structure for a named group of accounts files can be shared with
+     */
+    struct Group {
+        bytes32 groupId;
+        string name;
+        address owner;            // Manages membership; always a member
+        uint256 createdAt;
+        bool exists;
+    }
+    
+    /**
+     * @dev Structure for group view (return type)
+     */
+    struct GroupView {
+        bytes32 groupId;
+        string name;
+        address owner;
+        uint256 createdAt;
+        uint256 memberCount;
     }
     
     /**
@@ -84,9 +118,9 @@ library FileStructs {
     struct FileChunk {
         bytes32 chunkId;
         bytes32 fileId;
-        uint256 sequence;
-        bytes32 contentHash;
-        uint256 size;
+        uint256 sequence;         // Position of the chunk, from 0
+        bytes32 contentHash;      // SHA-256 of the stored chunk
+        uint256 size;             // Stored size in bytes
     }
     
     /**
@@ -94,7 +128,7 @@ library FileStructs {
      */
     struct StorageLocation {
         bytes32 fileId;
-        string protocol;          // e.g., "ipfs", "swarm", "arweave"
+        string protocol;          // e.g., "ipfs", "swarm", "arweave", "local"
         string location;          // Protocol-specific location identifier
         bool isEncrypted;
         string encryptionType;    // e.g., "aes256-gcm"
@@ -0,0 +1,25 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.17;
+
+/**
+ * @title ProposalStructs
+ * @dev Library defining multi-admin proposal data structures
+ */
+library ProposalStructs {
+    
+    /**
+     * @dev Structure for a call admins propose and approve together
+     */
+    struct Proposal {
+        uint256 proposalId;           // Position in the proposal list, from 0
+        address proposer;             // Admin who proposed the call
+        address target;               // Contract to call
+        bytes data;                   // Calldata to send
+        string description;           // What the call is for
+        uint256 createdAt;            // When the proposal was made
+        uint256 expiresAt;            // Approvals and execution must come before this
+        uint256 approvalCount;        // Approvals given, including the proposer's
+        bool executed;                // Whether the call was made
+        uint256 executedAt;           // When the call was made, if it was
+    }
+}
\ No newline at end of file
@@ -7,23 +7,26 @@ pragma solidity ^0.8.17;
  */
 library SecurityUtils {
     /**
-     * @dev Generates a proof of delivery hash
+     * @dev Generates a proof of delivery hash, the message a recipient signs as their receipt
      * @param transferId ID of the transfer
      * @param fileId ID of the file
      * @param recipient Address of the recipient
-     * @param timestamp Time of completion
+     * @param contentHash Hash of the content the recipient received
+     * @param timestamp Time of receipt
      * @return hash Proof of delivery hash
      */
     function generateProofOfDelivery(
         bytes32 transferId,
         bytes32 fileId,
         address recipient,
+        bytes32 contentHash,
         uint256 timestamp
     ) internal pure returns (bytes32 hash) {
         return keccak256(abi.encodePacked(
             transferId,
             fileId,
             recipient,
+            contentHash,
             timestamp
         ));
     }
@@ -112,4 +115,28 @@ library SecurityUtils {
     ) internal pure returns (bytes32) {
         return keccak256(abi.encodePacked(fileId, chunkIndex, chunkData));
     }
+    
+    /**
+     * @dev Computes the Merkle root over ordered chunk hashes
+     * Pairs are hashed as keccak256(left, right); an odd node is carried up unchanged,
+     * so a single chunk's root is its own hash.
+     * @param leaves Chunk hashes in sequence order (overwritten)
+     * @return Merkle root
+     */
+    function computeMerkleRoot(bytes32[] memory leaves) internal pure returns (bytes32) {
+        require(leaves.length > 0, "No leaves");
+        
+        uint256 count = leaves.length;
+        while (count > 1) {
+            uint256 next = 0;
+            for (uint256 i = 0; i < count; i += 2) {
+                leaves[next++] = i + 1 < count
+                    ? keccak256(abi.encodePacked(leaves[i], leaves[i + 1]))
+                    : leaves[i];
+            }
+            count = next;
+        }
+        
+        return leaves[0];
+    }
 }
\ No newline at end of file
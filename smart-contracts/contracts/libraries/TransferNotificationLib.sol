@@ -0,0 +1,90 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.17;
+
+import "./TransferStructs.sol";
+
+/**
+ * @title TransferNotificationLib
+ * @dev Bookkeeping for the notifications parties receive as their transfers
+ * change status. Deployed on its own and linked into TransferContract, which
+ * keeps each user's notifications and emits the events.
+ */
+library TransferNotificationLib {
+    using EnumerableSet for EnumerableSet.UintSet;
+    
+    /**
+     * @dev Adds an unread notification of a transfer's current status
+     * @param inbox The notified user's notifications
+     * @param transfer The transfer
+     * @param message Message or reason to pass on
+     * @return index Index of the new notification
+     */
+    function addNotification(
+        TransferStructs.Inbox storage inbox,
+        TransferStructs.Transfer storage transfer,
+        string memory message
+    ) public returns (uint256 index) {
+        index = inbox.notifications.length;
+        
+        inbox.notifications.push(TransferStructs.TransferNotification({
+            transferId: transfer.transferId,
+            fileId: transfer.fileId,
+            sender: transfer.sender,
+            recipient: transfer.recipient,
+            status: transfer.status,
+            message: message,
+            timestamp: block.timestamp,
+            isRead: false
+        }));
+        inbox.unread.add(index);
+    }
+    
+    /**
+     * @dev Marks notifications as read; ones already read are left as they are
+     * @param inbox The user's notifications
+     * @param indexes Index of each notification
+     */
+    function markRead(
+        TransferStructs.Inbox storage inbox,
+        uint256[] memory indexes
+    ) public {
+        for (uint256 i = 0; i < indexes.length; i++) {
+            require(indexes[i] < inbox.notifications.length, "Notification does not exist");
+            
+            inbox.notifications[indexes[i]].isRead = true;
+            inbox.unread.remove(indexes[i]);
+        }
+    }
+    
+    /**
+     * @dev Gets a page of the unread notifications, in no particular order
+     * @param inbox The user's notifications
+     * @param offset Number of unread notifications to skip
+     * @param limit Maximum number of notifications to return (0 for all)
+     * @return unread Unread notifications
+     * @return indexes Index of each unread notification, to mark it read by
+     * @return total Total number of unread notifications
+     */
+    function getUnread(
+        TransferStructs.Inbox storage inbox,
+        uint256 offset,
+        uint256 limit
+    )
+        public
+        view
+        returns (TransferStructs.TransferNotification[] memory unread, uint256[] memory indexes, uint256 total)
+    {
+        total = inbox.unread.length();
+        uint256 count = offset >= total ? 0 : total - offset;
+        if (limit != 0 && limit < count) {
+            count = limit;
+        }
+        
+        unread = new TransferStructs.TransferNotification[](count);
+        indexes = new uint256[](count);
+        for (uint256 i = 0; i < count; i++) {
+            indexes[i] = inbox.unread.at(offset + i);
+            unread[i] = inbox.notifications[indexes[i]];
+        }
+    }
+}
\ No newline at end of file
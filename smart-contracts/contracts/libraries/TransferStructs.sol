@@ -2,6 +2,7 @@
 pragma solidity ^0.8.17;
 
 import "./FileStructs.sol";
+import "@openzeppelin/contracts/utils/structs/EnumerableSet.sol";
 
 /**
  * @title TransferStructs
@@ -49,6 +50,11 @@ library TransferStructs {
         bytes32 proofOfDelivery;       // Cryptographic proof of successful transfer
         string disputeReason;          // Reason if disputed
         Resolution resolution;         // Resolution if disputed
+        bytes recipientKey;            // File key wrapped for the recipient (empty if none)
+        uint256 accessDuration;        // Seconds the recipient's access lasts after completion (0 for no limit)
+        uint256 accessUses;            // Uses the recipient's access allows (0 for no limit)
+        bool transfersOwnership;       // Whether the recipient becomes the file's owner on completion
+        FileStructs.AccessLevel retainedAccess; // Access the sender keeps after handing ownership over
     }
     
     /**
@@ -68,6 +74,33 @@ library TransferStructs {
         bytes32 proofOfDelivery;
         string disputeReason;
         Resolution resolution;
+        bytes recipientKey;
+        uint256 accessDuration;
+        uint256 accessUses;
+        bool transfersOwnership;
+        FileStructs.AccessLevel retainedAccess;
+    }
+    
+    /**
+     * @dev Structure for filtering transfer listings (zero values match everything)
+     */
+    struct TransferFilter {
+        TransferStatus status;         // Only transfers in this status (NONE for any)
+        address counterparty;          // Only transfers with this recipient or sender (zero for any)
+        uint256 initiatedFrom;         // Only transfers initiated at or after this time
+        uint256 initiatedTo;           // Only transfers initiated at or before this time (0 for no bound)
+    }
+    
+    /**
+     * @dev Structure for a signed receipt confirming delivery
+     */
+    struct DeliveryReceipt {
+        bytes32 transferId;            // Transfer the receipt confirms
+        bytes32 fileId;                // File that was delivered
+        address recipient;             // Recipient who signed the receipt
+        bytes32 contentHash;           // Hash of the content the recipient received
+        uint256 receivedAt;            // When the recipient received the content
+        bytes signature;               // Recipient's signature over the proof of delivery
     }
     
     /**
@@ -98,14 +131,27 @@ library TransferStructs {
     
     /**
      * @dev Structure for transfer notification
+     * status is the status the transfer moved to; message is the transfer's
+     * message for new transfers and the reason for rejections and disputes.
      */
     struct TransferNotification {
         bytes32 transferId;
         bytes32 fileId;
         address sender;
         address recipient;
+        TransferStatus status;
         string message;
         uint256 timestamp;
         bool isRead;
     }
+    
+    /**
+     * @dev Structure for a user's notifications, in the order they were made
+     * unread holds the indexes of the unread ones, so they can be listed
+     * without walking every notification the user ever received.
+     */
+    struct Inbox {
+        TransferNotification[] notifications;
+        EnumerableSet.UintSet unread;
+    }
 }
\ No newline at end of file
@@ -16,22 +16,46 @@ const COINMARKETCAP_API_KEY = process.env.COINMARKETCAP_API_KEY || "";
  */
 module.exports = {
   solidity: {
-    version: "0.8.17",
-    settings: {
-      optimizer: {
-        enabled: true,
-        runs: 200
+    compilers: [
+      {
+        version: "0.8.17",
+        settings: {
+          optimizer: {
+            enabled: true,
+            runs: 200
+          }
+        }
+      }
+    ],
+    overrides: {
+      // FileRegistry and TransferContract are close to the 24 KiB deployment
+      // limit (EIP-170), so they are optimized for size rather than for call cost
+      "contracts/FileRegistry.sol": {
+        version: "0.8.17",
+        settings: {
+          optimizer: {
+            enabled: true,
+            runs: 1
+          }
+        }
+      },
+      "contracts/TransferContract.sol": {
+        version: "0.8.17",
+        settings: {
+          optimizer: {
+            enabled: true,
+            runs: 1
+          }
+        }
       }
     }
   },
   networks: {
     hardhat: {
-      chainId: 1337,
-      allowUnlimitedContractSize: true
+      chainId: 1337
     },
     localhost: {
-      url: "http://127.0.0.1:8545",
-      allowUnlimitedContractSize: true
+      url: "http://127.0.0.1:8545"
     },
     goerli: {
       url: `https://goerli.infura.io/v3/${INFURA_API_KEY}`,
@@ -72,7 +96,8 @@ module.exports = {
   contractSizer: {
     alphaSort: true,
     runOnCompile: true,
-    disambiguatePaths: false
+    disambiguatePaths: false,
+    strict: true
   },
   paths: {
     sources: "./contracts",
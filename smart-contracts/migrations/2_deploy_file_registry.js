@@ -1,14 +1,22 @@
 const FileRegistry = artifacts.require("FileRegistry");
 const TransferContract = artifacts.require("TransferContract");
 const AuditContract = artifacts.require("AuditContract");
+const SystemConfig = artifacts.require("SystemConfig");
+const AccessControlContract = artifacts.require("AccessControlContract");
+const AdminProposals = artifacts.require("AdminProposals");
+const GroupRegistry = artifacts.require("GroupRegistry");
 
 // Libraries
 const FileStructs = artifacts.require("FileStructs");
 const TransferStructs = artifacts.require("TransferStructs");
+const FileStorageLib = artifacts.require("FileStorageLib");
+const FileAccessLib = artifacts.require("FileAccessLib");
+const TransferNotificationLib = artifacts.require("TransferNotificationLib");
 
 module.exports = async function(deployer, network, accounts) {
   const admin = accounts[0];
   const operator = accounts[1];
+  const coAdmin = accounts[2];
   
   console.log(`Deploying contracts with admin: ${admin}`);
   console.log(`Network: ${network}`);
@@ -16,10 +24,16 @@ module.exports = async function(deployer, network, accounts) {
   // Deploy libraries first
   await deployer.deploy(FileStructs);
   await deployer.deploy(TransferStructs);
+  await deployer.deploy(FileStorageLib);
+  await deployer.deploy(FileAccessLib);
+  await deployer.deploy(TransferNotificationLib);
   
   // Link libraries to contracts
   await deployer.link(FileStructs, [FileRegistry, TransferContract]);
   await deployer.link(TransferStructs, TransferContract);
+  await deployer.link(FileStorageLib, FileRegistry);
+  await deployer.link(FileAccessLib, FileRegistry);
+  await deployer.link(TransferNotificationLib, TransferContract);
   
   // Deploy AuditContract first as it has no dependencies
   console.log("Deploying AuditContract...");
@@ -45,6 +59,28 @@ module.exports = async function(deployer, network, accounts) {
   const transferContract = await TransferContract.deployed();
   console.log(`TransferContract deployed at: ${transferContract.address}`);
   
+  // Deploy the contracts that configure and govern the system
+  console.log("Deploying SystemConfig...");
+  await deployer.deploy(SystemConfig, admin);
+  const systemConfig = await SystemConfig.deployed();
+  console.log(`SystemConfig deployed at: ${systemConfig.address}`);
+  
+  console.log("Deploying AccessControlContract...");
+  await deployer.deploy(AccessControlContract, admin);
+  const accessControlContract = await AccessControlContract.deployed();
+  console.log(`AccessControlContract deployed at: ${accessControlContract.address}`);
+  
+  console.log("Deploying AdminProposals...");
+  const approvalWindow = 2 * 24 * 60 * 60; // 2 days
+  await deployer.deploy(AdminProposals, accessControlContract.address, approvalWindow);
+  const adminProposals = await AdminProposals.deployed();
+  console.log(`AdminProposals deployed at: ${adminProposals.address}`);
+  
+  console.log("Deploying GroupRegistry...");
+  await deployer.deploy(GroupRegistry, admin);
+  const groupRegistry = await GroupRegistry.deployed();
+  console.log(`GroupRegistry deployed at: ${groupRegistry.address}`);
+  
   // Set up roles and permissions
   if (network !== 'mainnet') {
     console.log("Setting up roles and permissions...");
@@ -54,6 +90,11 @@ module.exports = async function(deployer, network, accounts) {
     await auditContract.grantRole(RECORDER_ROLE, transferContract.address, { from: admin });
     console.log(`Granted RECORDER_ROLE to TransferContract in AuditContract`);
     
+    // Record file operations in AuditContract
+    await auditContract.grantRole(RECORDER_ROLE, fileRegistry.address, { from: admin });
+    await fileRegistry.setAuditContract(auditContract.address, { from: admin });
+    console.log(`Granted RECORDER_ROLE to FileRegistry and linked it to AuditContract`);
+    
     // Grant OPERATOR_ROLE to specified account
     const OPERATOR_ROLE = web3.utils.soliditySha3("OPERATOR_ROLE");
     await fileRegistry.grantRole(OPERATOR_ROLE, operator, { from: admin });
@@ -68,5 +109,48 @@ module.exports = async function(deployer, network, accounts) {
     }
   }
   
+  // Register contract addresses and link the contracts to each other
+  await systemConfig.setContractAddress("FileRegistry", fileRegistry.address, { from: admin });
+  await systemConfig.setContractAddress("TransferContract", transferContract.address, { from: admin });
+  await systemConfig.setContractAddress("AuditContract", auditContract.address, { from: admin });
+  await systemConfig.setContractAddress("AccessControl", accessControlContract.address, { from: admin });
+  await systemConfig.setContractAddress("GroupRegistry", groupRegistry.address, { from: admin });
+  await systemConfig.setContractAddress("AdminProposals", adminProposals.address, { from: admin });
+  await fileRegistry.setSystemConfig(systemConfig.address, { from: admin });
+  await transferContract.setSystemConfig(systemConfig.address, { from: admin });
+  await accessControlContract.addTrustedContract(fileRegistry.address, { from: admin });
+  await accessControlContract.addTrustedContract(transferContract.address, { from: admin });
+  await accessControlContract.addTrustedContract(auditContract.address, { from: admin });
+  await fileRegistry.setAccessControl(accessControlContract.address, { from: admin });
+  await fileRegistry.setGroupRegistry(groupRegistry.address, { from: admin });
+  await fileRegistry.setTransferContract(transferContract.address, { from: admin });
+  console.log("Linked the contracts through SystemConfig and AccessControlContract");
+  
+  // Make admin calls need the approval of two admins
+  const DEFAULT_ADMIN_ROLE = "0x" + "00".repeat(32);
+  const ADMIN_ROLE = web3.utils.soliditySha3("ADMIN_ROLE");
+  await accessControlContract.grantMultipleRoles(coAdmin, [ADMIN_ROLE], { from: admin });
+  await accessControlContract.setMinAdminThreshold(2, { from: admin });
+  console.log(`Granted ADMIN_ROLE to ${coAdmin} and set the admin threshold to 2`);
+  
+  // Hand admin calls over to AdminProposals, then give up the deploying
+  // admin's own roles. It keeps ADMIN_ROLE on AccessControlContract, which is
+  // what lets it propose and approve
+  const CONFIG_MANAGER_ROLE = web3.utils.soliditySha3("CONFIG_MANAGER_ROLE");
+  const RECORDER_ROLE = web3.utils.soliditySha3("RECORDER_ROLE");
+  for (const target of [fileRegistry, transferContract, auditContract, groupRegistry, systemConfig, accessControlContract]) {
+    await target.grantRole(DEFAULT_ADMIN_ROLE, adminProposals.address, { from: admin });
+    await target.grantRole(ADMIN_ROLE, adminProposals.address, { from: admin });
+  }
+  await systemConfig.grantRole(CONFIG_MANAGER_ROLE, adminProposals.address, { from: admin });
+  for (const target of [fileRegistry, transferContract, auditContract, groupRegistry, systemConfig]) {
+    await target.renounceRole(ADMIN_ROLE, admin, { from: admin });
+    await target.renounceRole(DEFAULT_ADMIN_ROLE, admin, { from: admin });
+  }
+  await auditContract.renounceRole(RECORDER_ROLE, admin, { from: admin });
+  await systemConfig.renounceRole(CONFIG_MANAGER_ROLE, admin, { from: admin });
+  await accessControlContract.renounceRole(DEFAULT_ADMIN_ROLE, admin, { from: admin });
+  console.log(`Handed admin calls over to AdminProposals and renounced the roles of ${admin}`);
+  
   console.log("Deployment completed successfully!");
 };
\ No newline at end of file
@@ -2,15 +2,22 @@ const hre = require("hardhat");
 const fs = require("fs");
 const path = require("path");
 
-async function main() {
-  console.log("Starting local deployment...");
-  
+/**
+ * Deploys and wires up the system contracts, then hands admin calls over to
+ * AdminProposals
+ * @returns {Promise<{deploymentInfo: Object, contracts: Object}>} Deployment
+ * information as saved to the deployments directory, and the deployed contracts
+ */
+async function deploy() {
   // Get signers
-  const [deployer, admin, operator] = await hre.ethers.getSigners();
+  const [deployer, admin, operator, coAdmin] = await hre.ethers.getSigners();
   console.log(`Deploying contracts with account: ${deployer.address}`);
-  console.log(`Admin account: ${admin.address}`);
+  console.log(`Admin accounts: ${admin.address}, ${coAdmin.address}`);
   console.log(`Operator account: ${operator.address}`);
   
+  // Indexers start reading events from here
+  const startBlock = await hre.ethers.provider.getBlockNumber();
+  
   // Deploy libraries first
   console.log("\nDeploying libraries...");
   
@@ -29,6 +36,21 @@ async function main() {
   await securityUtils.deployed();
   console.log(`SecurityUtils deployed to: ${securityUtils.address}`);
   
+  const FileStorageLib = await hre.ethers.getContractFactory("FileStorageLib");
+  const fileStorageLib = await FileStorageLib.deploy();
+  await fileStorageLib.deployed();
+  console.log(`FileStorageLib deployed to: ${fileStorageLib.address}`);
+  
+  const FileAccessLib = await hre.ethers.getContractFactory("FileAccessLib");
+  const fileAccessLib = await FileAccessLib.deploy();
+  await fileAccessLib.deployed();
+  console.log(`FileAccessLib deployed to: ${fileAccessLib.address}`);
+  
+  const TransferNotificationLib = await hre.ethers.getContractFactory("TransferNotificationLib");
+  const transferNotificationLib = await TransferNotificationLib.deploy();
+  await transferNotificationLib.deployed();
+  console.log(`TransferNotificationLib deployed to: ${transferNotificationLib.address}`);
+  
   // Deploy configuration contract
   console.log("\nDeploying SystemConfig...");
   const SystemConfig = await hre.ethers.getContractFactory("SystemConfig");
@@ -43,6 +65,14 @@ async function main() {
   await accessControlContract.deployed();
   console.log(`AccessControlContract deployed to: ${accessControlContract.address}`);
   
+  // Deploy AdminProposals, approved by AccessControlContract's admins
+  console.log("\nDeploying AdminProposals...");
+  const approvalWindow = 2 * 24 * 60 * 60; // 2 days
+  const AdminProposals = await hre.ethers.getContractFactory("AdminProposals");
+  const adminProposals = await AdminProposals.deploy(accessControlContract.address, approvalWindow);
+  await adminProposals.deployed();
+  console.log(`AdminProposals deployed to: ${adminProposals.address}`);
+  
   // Deploy AuditContract
   console.log("\nDeploying AuditContract...");
   const AuditContract = await hre.ethers.getContractFactory("AuditContract");
@@ -50,13 +80,18 @@ async function main() {
   await auditContract.deployed();
   console.log(`AuditContract deployed to: ${auditContract.address}`);
   
+  // Deploy GroupRegistry
+  console.log("\nDeploying GroupRegistry...");
+  const GroupRegistry = await hre.ethers.getContractFactory("GroupRegistry");
+  const groupRegistry = await GroupRegistry.deploy(admin.address);
+  await groupRegistry.deployed();
+  console.log(`GroupRegistry deployed to: ${groupRegistry.address}`);
+  
   // Deploy FileRegistry with links to libraries
   console.log("\nDeploying FileRegistry...");
   const maxFileSize = 100 * 1024 * 1024; // 100 MB
   const FileRegistryFactory = await hre.ethers.getContractFactory("FileRegistry", {
-    libraries: {
-      FileStructs: fileStructs.address
-    }
+    libraries: { FileStorageLib: fileStorageLib.address, FileAccessLib: fileAccessLib.address }
   });
   const fileRegistry = await FileRegistryFactory.deploy(admin.address, maxFileSize);
   await fileRegistry.deployed();
@@ -65,10 +100,7 @@ async function main() {
   // Deploy TransferContract with links to libraries
   console.log("\nDeploying TransferContract...");
   const TransferContractFactory = await hre.ethers.getContractFactory("TransferContract", {
-    libraries: {
-      FileStructs: fileStructs.address,
-      TransferStructs: transferStructs.address
-    }
+    libraries: { TransferNotificationLib: transferNotificationLib.address }
   });
   const transferContract = await TransferContractFactory.deploy(
     fileRegistry.address,
@@ -90,6 +122,11 @@ async function main() {
   await grantRecorderTx.wait();
   console.log(`Granted RECORDER_ROLE to TransferContract in AuditContract`);
   
+  // Record file operations in AuditContract
+  await auditContract.connect(admin).grantRole(RECORDER_ROLE, fileRegistry.address);
+  await fileRegistry.connect(admin).setAuditContract(auditContract.address);
+  console.log(`Granted RECORDER_ROLE to FileRegistry and linked it to AuditContract`);
+  
   // Grant OPERATOR_ROLE to operator in both contracts
   const OPERATOR_ROLE = hre.ethers.utils.id("OPERATOR_ROLE");
   await fileRegistry.connect(admin).grantRole(OPERATOR_ROLE, operator.address);
@@ -101,33 +138,106 @@ async function main() {
   await systemConfig.connect(admin).setContractAddress("TransferContract", transferContract.address);
   await systemConfig.connect(admin).setContractAddress("AuditContract", auditContract.address);
   await systemConfig.connect(admin).setContractAddress("AccessControl", accessControlContract.address);
+  await systemConfig.connect(admin).setContractAddress("GroupRegistry", groupRegistry.address);
   console.log("Registered contract addresses in SystemConfig");
   
+  // Have FileRegistry and TransferContract enforce the SystemConfig limits
+  await fileRegistry.connect(admin).setSystemConfig(systemConfig.address);
+  await transferContract.connect(admin).setSystemConfig(systemConfig.address);
+  console.log("Linked FileRegistry and TransferContract to SystemConfig");
+  
   // Add contracts as trusted in AccessControlContract
   await accessControlContract.connect(admin).addTrustedContract(fileRegistry.address);
   await accessControlContract.connect(admin).addTrustedContract(transferContract.address);
   await accessControlContract.connect(admin).addTrustedContract(auditContract.address);
   console.log("Added contracts as trusted in AccessControlContract");
   
+  // Let trusted contracts (TransferContract) grant access on behalf of file owners
+  await fileRegistry.connect(admin).setAccessControl(accessControlContract.address);
+  console.log("Linked FileRegistry to AccessControlContract");
+  
+  // Let files be shared with GroupRegistry groups
+  await fileRegistry.connect(admin).setGroupRegistry(groupRegistry.address);
+  console.log("Linked FileRegistry to GroupRegistry");
+  
+  // Cancel open transfers of files when they are deleted
+  await fileRegistry.connect(admin).setTransferContract(transferContract.address);
+  console.log("Linked FileRegistry to TransferContract");
+  
+  // Make admin calls need the approval of two admins
+  const DEFAULT_ADMIN_ROLE = hre.ethers.constants.HashZero;
+  const ADMIN_ROLE = hre.ethers.utils.id("ADMIN_ROLE");
+  await accessControlContract.connect(admin).grantMultipleRoles(coAdmin.address, [ADMIN_ROLE]);
+  await accessControlContract.connect(admin).setMinAdminThreshold(2);
+  console.log(`Granted ADMIN_ROLE to ${coAdmin.address} and set the admin threshold to 2`);
+  
+  // Let proposals approved by enough admins make admin calls and manage roles on every contract
+  for (const target of [fileRegistry, transferContract, auditContract, groupRegistry, systemConfig, accessControlContract]) {
+    await target.connect(admin).grantRole(DEFAULT_ADMIN_ROLE, adminProposals.address);
+    await target.connect(admin).grantRole(ADMIN_ROLE, adminProposals.address);
+  }
+  const CONFIG_MANAGER_ROLE = hre.ethers.utils.id("CONFIG_MANAGER_ROLE");
+  await systemConfig.connect(admin).grantRole(CONFIG_MANAGER_ROLE, adminProposals.address);
+  await systemConfig.connect(admin).setContractAddress("AdminProposals", adminProposals.address);
+  console.log("Granted DEFAULT_ADMIN_ROLE and ADMIN_ROLE to AdminProposals in every contract");
+  
+  // Give up the deploying admin's own roles, so admin calls can only be made
+  // through proposals. It keeps ADMIN_ROLE on AccessControlContract, which is
+  // what lets it propose and approve
+  for (const target of [fileRegistry, transferContract, auditContract, groupRegistry, systemConfig]) {
+    await target.connect(admin).renounceRole(ADMIN_ROLE, admin.address);
+    await target.connect(admin).renounceRole(DEFAULT_ADMIN_ROLE, admin.address);
+  }
+  await auditContract.connect(admin).renounceRole(RECORDER_ROLE, admin.address);
+  await systemConfig.connect(admin).renounceRole(CONFIG_MANAGER_ROLE, admin.address);
+  await accessControlContract.connect(admin).renounceRole(DEFAULT_ADMIN_ROLE, admin.address);
+  console.log(`Renounced the admin roles of ${admin.address}`);
+  
   // Save deployment information
   const deploymentInfo = {
     network: hre.network.name,
     timestamp: new Date().toISOString(),
     deployer: deployer.address,
     admin: admin.address,
+    coAdmin: coAdmin.address,
     operator: operator.address,
+    startBlock,
     contracts: {
       FileStructs: fileStructs.address,
       TransferStructs: transferStructs.address,
       SecurityUtils: securityUtils.address,
+      FileStorageLib: fileStorageLib.address,
+      FileAccessLib: fileAccessLib.address,
+      TransferNotificationLib: transferNotificationLib.address,
       SystemConfig: systemConfig.address,
       AccessControlContract: accessControlContract.address,
+      AdminProposals: adminProposals.address,
       AuditContract: auditContract.address,
+      GroupRegistry: groupRegistry.address,
       FileRegistry: fileRegistry.address,
       TransferContract: transferContract.address
     }
   };
   
+  return {
+    deploymentInfo,
+    contracts: {
+      systemConfig,
+      accessControlContract,
+      adminProposals,
+      auditContract,
+      groupRegistry,
+      fileRegistry,
+      transferContract
+    }
+  };
+}
+
+async function main() {
+  console.log("Starting local deployment...");
+  
+  const { deploymentInfo } = await deploy();
+  
   const deploymentDir = path.join(__dirname, "../deployments");
   if (!fs.existsSync(deploymentDir)) {
     fs.mkdirSync(deploymentDir, { recursive: true });
@@ -142,9 +252,13 @@ async function main() {
   console.log("\nDeployment completed successfully!");
 }
 
-main()
-  .then(() => process.exit(0))
-  .catch((error) => {
-    console.error(error);
-    process.exit(1);
-  });
\ No newline at end of file
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error(error);
+      process.exit(1);
+    });
+}
+
+module.exports = { deploy };
\ No newline at end of file
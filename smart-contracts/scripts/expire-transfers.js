@@ -0,0 +1,141 @@
+const hre = require("hardhat");
+const fs = require("fs");
+const path = require("path");
+
+// Mirrors TransferStructs.TransferStatus
+const INITIATED = 1;
+
+// Transfers expired per expireTransfers transaction
+const BATCH_SIZE = 50;
+
+/**
+ * Finds transfers still awaiting acceptance past their deadline. Only the
+ * TransferInitiated events after the cursor's block are read; transfers seen
+ * before stay in the cursor until they leave INITIATED, so each round costs
+ * the new transfers and the open ones rather than every transfer ever made.
+ * @param {ethers.Contract} transferContract TransferContract connected to an operator
+ * @param {{block: number, open: Set<string>}} cursor Last block read and the
+ * transfers still open as of the last round; updated in place
+ * @param {ethers.providers.Block} latest Latest block
+ * @returns {Promise<string[]>} Overdue transfer identifiers
+ */
+async function findOverdueTransfers(transferContract, cursor, latest) {
+  if (latest.number > cursor.block) {
+    const initiated = await transferContract.queryFilter(
+      transferContract.filters.TransferInitiated(),
+      cursor.block + 1,
+      latest.number
+    );
+    for (const event of initiated) {
+      cursor.open.add(event.args.transferId);
+    }
+    cursor.block = latest.number;
+  }
+
+  const overdue = [];
+  for (const transferId of cursor.open) {
+    const transfer = await transferContract.getTransfer(transferId);
+    if (transfer.status !== INITIATED) {
+      cursor.open.delete(transferId);
+    } else if (transfer.deadline.lt(latest.timestamp)) {
+      overdue.push(transferId);
+    }
+  }
+
+  return overdue;
+}
+
+/**
+ * Expires overdue transfers in batches.
+ * @param {ethers.Contract} transferContract TransferContract connected to an operator
+ * @param {{block: number, open: Set<string>}} cursor Transfers seen so far, see findOverdueTransfers
+ * @returns {Promise<number>} Number of transfers expired
+ */
+async function expireOverdueTransfers(transferContract, cursor) {
+  const latest = await hre.ethers.provider.getBlock("latest");
+  const overdue = await findOverdueTransfers(transferContract, cursor, latest);
+  let expired = 0;
+
+  for (let i = 0; i < overdue.length; i += BATCH_SIZE) {
+    const batch = overdue.slice(i, i + BATCH_SIZE);
+    const tx = await transferContract.expireTransfers(batch);
+    const receipt = await tx.wait();
+
+    const count = receipt.events.filter((e) => e.event === "TransferExpired").length;
+    console.log(`Expired ${count} of ${batch.length} transfers in ${receipt.transactionHash}`);
+    expired += count;
+  }
+
+  return expired;
+}
+
+/**
+ * Checkpoints the audit records logged since the last checkpoint, one
+ * transaction per MAX_CHECKPOINT_RECORDS records.
+ * @param {ethers.Contract} auditContract AuditContract connected to any account
+ * @returns {Promise<number>} Number of records checkpointed
+ */
+async function checkpointAuditLog(auditContract) {
+  const total = await auditContract.getTotalRecordCount();
+  let checkpointed = 0;
+
+  for (;;) {
+    const count = await auditContract.getCheckpointCount();
+    const covered = count.isZero()
+      ? hre.ethers.constants.Zero
+      : (await auditContract.getCheckpoint(count.sub(1))).toSequence;
+    if (covered.gte(total)) {
+      return checkpointed;
+    }
+
+    const tx = await auditContract.createCheckpoint();
+    const receipt = await tx.wait();
+    const { fromSequence, toSequence, merkleRoot } = receipt.events.find((e) => e.event === "CheckpointCreated").args;
+    console.log(`Checkpointed records ${fromSequence}-${toSequence.sub(1)} under ${merkleRoot}`);
+    checkpointed += toSequence.sub(fromSequence).toNumber();
+  }
+}
+
+async function main() {
+  const deploymentFile = path.join(__dirname, "../deployments", `${hre.network.name}-deployment.json`);
+  if (!fs.existsSync(deploymentFile)) {
+    throw new Error(`No deployment found at ${deploymentFile}; run the deploy script first`);
+  }
+  const deployment = JSON.parse(fs.readFileSync(deploymentFile, "utf8"));
+
+  // Expiring is open to anyone, but listing other users' transfers needs OPERATOR_ROLE
+  const [, , operator] = await hre.ethers.getSigners();
+  const transferContract = await hre.ethers.getContractAt(
+    "TransferContract",
+    deployment.contracts.TransferContract,
+    operator
+  );
+  const auditContract = await hre.ethers.getContractAt(
+    "AuditContract",
+    deployment.contracts.AuditContract,
+    operator
+  );
+
+  // KEEPER_INTERVAL (seconds) keeps the keeper running; otherwise it runs once
+  const interval = Number(process.env.KEEPER_INTERVAL || 0);
+
+  // Transfers are read from the deployment's first block on, then only new ones
+  const cursor = { block: (deployment.startBlock || 0) - 1, open: new Set() };
+
+  do {
+    const expired = await expireOverdueTransfers(transferContract, cursor);
+    const checkpointed = await checkpointAuditLog(auditContract);
+    console.log(`${new Date().toISOString()} expired ${expired} overdue transfer(s), checkpointed ${checkpointed} audit record(s)`);
+
+    if (interval > 0) {
+      await new Promise((resolve) => setTimeout(resolve, interval * 1000));
+    }
+  } while (interval > 0);
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
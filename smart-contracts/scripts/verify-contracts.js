@@ -53,6 +53,36 @@ async function main() {
     console.error("Error verifying SecurityUtils:", error.message);
   }
   
+  try {
+    await hre.run("verify:verify", {
+      address: contracts.FileStorageLib,
+      contract: "contracts/libraries/FileStorageLib.sol:FileStorageLib"
+    });
+    console.log("FileStorageLib verified successfully");
+  } catch (error) {
+    console.error("Error verifying FileStorageLib:", error.message);
+  }
+  
+  try {
+    await hre.run("verify:verify", {
+      address: contracts.FileAccessLib,
+      contract: "contracts/libraries/FileAccessLib.sol:FileAccessLib"
+    });
+    console.log("FileAccessLib verified successfully");
+  } catch (error) {
+    console.error("Error verifying FileAccessLib:", error.message);
+  }
+  
+  try {
+    await hre.run("verify:verify", {
+      address: contracts.TransferNotificationLib,
+      contract: "contracts/libraries/TransferNotificationLib.sol:TransferNotificationLib"
+    });
+    console.log("TransferNotificationLib verified successfully");
+  } catch (error) {
+    console.error("Error verifying TransferNotificationLib:", error.message);
+  }
+  
   // Verify config contracts
   console.log("\nVerifying configuration contracts...");
   
@@ -89,13 +119,24 @@ async function main() {
     console.error("Error verifying AuditContract:", error.message);
   }
   
+  try {
+    await hre.run("verify:verify", {
+      address: contracts.GroupRegistry,
+      constructorArguments: [deploymentInfo.admin]
+    });
+    console.log("GroupRegistry verified successfully");
+  } catch (error) {
+    console.error("Error verifying GroupRegistry:", error.message);
+  }
+  
   // FileRegistry verification with library linking
   try {
     await hre.run("verify:verify", {
       address: contracts.FileRegistry,
       constructorArguments: [deploymentInfo.admin, 100 * 1024 * 1024], // 100 MB
       libraries: {
-        FileStructs: contracts.FileStructs
+        FileStorageLib: contracts.FileStorageLib,
+        FileAccessLib: contracts.FileAccessLib
       }
     });
     console.log("FileRegistry verified successfully");
@@ -113,8 +154,7 @@ async function main() {
         deploymentInfo.admin
       ],
       libraries: {
-        FileStructs: contracts.FileStructs,
-        TransferStructs: contracts.TransferStructs
+        TransferNotificationLib: contracts.TransferNotificationLib
       }
     });
     console.log("TransferContract verified successfully");
@@ -0,0 +1,116 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+describe("AdminProposals", function () {
+  let accessControl;
+  let adminProposals;
+  let systemConfig;
+  
+  let owner;
+  let admin2;
+  let admin3;
+  let outsider;
+  
+  const ADMIN_ROLE = ethers.utils.id("ADMIN_ROLE");
+  const oneDay = 24 * 60 * 60;
+  let snapshot;
+  
+  beforeEach(async function () {
+    // Other test files compare chain time to the wall clock, so the time
+    // travel here is rolled back after each test
+    snapshot = await ethers.provider.send("evm_snapshot", []);
+    [owner, admin2, admin3, outsider] = await ethers.getSigners();
+    
+    const AccessControlFactory = await ethers.getContractFactory("AccessControlContract");
+    accessControl = await AccessControlFactory.deploy(owner.address);
+    await accessControl.deployed();
+    
+    await accessControl.grantMultipleRoles(admin2.address, [ADMIN_ROLE]);
+    await accessControl.grantMultipleRoles(admin3.address, [ADMIN_ROLE]);
+    await accessControl.setMinAdminThreshold(2);
+    
+    const AdminProposalsFactory = await ethers.getContractFactory("AdminProposals");
+    adminProposals = await AdminProposalsFactory.deploy(accessControl.address, oneDay);
+    await adminProposals.deployed();
+    
+    const SystemConfigFactory = await ethers.getContractFactory("SystemConfig");
+    systemConfig = await SystemConfigFactory.deploy(owner.address);
+    await systemConfig.deployed();
+    
+    await systemConfig.grantRole(ADMIN_ROLE, adminProposals.address);
+  });
+  
+  afterEach(async function () {
+    await ethers.provider.send("evm_revert", [snapshot]);
+  });
+  
+  async function propose(signer, target, data) {
+    const tx = await adminProposals.connect(signer).propose(target.address, data, "test proposal");
+    const receipt = await tx.wait();
+    return receipt.events.find(e => e.event === 'ProposalCreated').args.proposalId;
+  }
+  
+  it("Should make the call once enough admins approve it", async function () {
+    const proposalId = await propose(owner, systemConfig, systemConfig.interface.encodeFunctionData("pause"));
+    
+    await expect(adminProposals.execute(proposalId)).to.be.revertedWith("Not enough approvals");
+    await expect(adminProposals.connect(outsider).approve(proposalId)).to.be.revertedWith("Caller is not an admin");
+    await expect(adminProposals.approve(proposalId)).to.be.revertedWith("Already approved");
+    
+    await expect(adminProposals.connect(admin2).approve(proposalId))
+      .to.emit(adminProposals, "ProposalApproved")
+      .withArgs(proposalId, admin2.address, 2);
+    expect(await adminProposals.getApprovers(proposalId)).to.deep.equal([owner.address, admin2.address]);
+    
+    await expect(adminProposals.connect(admin3).execute(proposalId))
+      .to.emit(adminProposals, "ProposalExecuted")
+      .withArgs(proposalId, admin3.address);
+    expect(await systemConfig.paused()).to.be.true;
+    
+    const proposal = await adminProposals.getProposal(proposalId);
+    expect(proposal.executed).to.be.true;
+    expect(proposal.target).to.equal(systemConfig.address);
+    await expect(adminProposals.execute(proposalId)).to.be.revertedWith("Proposal already executed");
+    await expect(adminProposals.connect(admin3).approve(proposalId)).to.be.revertedWith("Proposal already executed");
+  });
+  
+  it("Should only count approvals from current admins within the window", async function () {
+    const proposalId = await propose(owner, systemConfig, systemConfig.interface.encodeFunctionData("pause"));
+    await adminProposals.connect(admin2).approve(proposalId);
+    
+    // admin2 no longer counts once their role is gone
+    await accessControl.revokeRoleSafely(ADMIN_ROLE, admin2.address);
+    expect(await adminProposals.getValidApprovalCount(proposalId)).to.equal(1);
+    await expect(adminProposals.execute(proposalId)).to.be.revertedWith("Not enough approvals");
+    
+    await ethers.provider.send("evm_increaseTime", [oneDay]);
+    await ethers.provider.send("evm_mine");
+    
+    await expect(adminProposals.connect(admin3).approve(proposalId)).to.be.revertedWith("Proposal expired");
+    await expect(adminProposals.execute(proposalId)).to.be.revertedWith("Proposal expired");
+    expect(await systemConfig.paused()).to.be.false;
+  });
+  
+  it("Should pass on failed calls and change its own settings only through proposals", async function () {
+    // SystemConfig is not paused, so unpause fails and the proposal stays open
+    const failing = await propose(owner, systemConfig, systemConfig.interface.encodeFunctionData("unpause"));
+    await adminProposals.connect(admin2).approve(failing);
+    await expect(adminProposals.execute(failing)).to.be.revertedWith("Pausable: not paused");
+    expect((await adminProposals.getProposal(failing)).executed).to.be.false;
+    
+    await expect(adminProposals.setApprovalWindow(2 * oneDay)).to.be.revertedWith("Only through a proposal");
+    
+    const proposalId = await propose(admin2, adminProposals, adminProposals.interface.encodeFunctionData("setApprovalWindow", [2 * oneDay]));
+    await adminProposals.connect(admin3).approve(proposalId);
+    await adminProposals.execute(proposalId);
+    expect(await adminProposals.approvalWindow()).to.equal(2 * oneDay);
+    
+    const [proposals, total] = await adminProposals.getProposals(0, 0);
+    expect(total).to.equal(2);
+    expect(proposals[1].proposer).to.equal(admin2.address);
+    
+    await expect(
+      adminProposals.propose(outsider.address, "0x8456cb59", "not a contract")
+    ).to.be.revertedWith("Target is not a contract");
+  });
+});
\ No newline at end of file
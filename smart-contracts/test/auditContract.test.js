@@ -0,0 +1,146 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { constants } = require("@openzeppelin/test-helpers");
+
+describe("AuditContract", function () {
+  let auditContract;
+  
+  let owner;
+  let recorder;
+  let counterparty;
+  let outsider;
+  
+  const fileId = ethers.utils.id("audited-file");
+  const transferId = ethers.utils.id("audited-transfer");
+  const anyRecord = { action: 0, actor: constants.ZERO_ADDRESS };
+  
+  // AuditStructs.AuditAction
+  const TRANSFER_INITIATED = 1;
+  const TRANSFER_REJECTED = 3;
+  
+  beforeEach(async function () {
+    [owner, recorder, counterparty, outsider] = await ethers.getSigners();
+    
+    const AuditContractFactory = await ethers.getContractFactory("AuditContract");
+    auditContract = await AuditContractFactory.deploy(owner.address);
+    await auditContract.deployed();
+    
+    await auditContract.addRecorder(recorder.address);
+  });
+  
+  it("Should record typed actions in a hash-linked trail", async function () {
+    const reasonHash = ethers.utils.id("Wrong file");
+    
+    await expect(
+      auditContract.connect(recorder).recordAction(fileId, TRANSFER_INITIATED, counterparty.address, transferId, ethers.constants.HashZero)
+    ).to.emit(auditContract, "AuditRecorded");
+    await auditContract.connect(recorder).recordAction(fileId, TRANSFER_REJECTED, counterparty.address, transferId, reasonHash);
+    
+    const [records, total] = await auditContract.getAuditTrail(fileId, 0, 0);
+    expect(total).to.equal(2);
+    expect(records[1].action).to.equal(TRANSFER_REJECTED);
+    expect(records[1].actor).to.equal(recorder.address);
+    expect(records[1].counterparty).to.equal(counterparty.address);
+    expect(records[1].transferId).to.equal(transferId);
+    expect(records[1].payloadHash).to.equal(reasonHash);
+    expect(records[1].previousRecordHash).to.equal(records[0].recordId);
+    expect(await auditContract.verifyAuditTrail(fileId)).to.be.true;
+    
+    await expect(
+      auditContract.connect(recorder).recordAction(fileId, 0, counterparty.address, transferId, ethers.constants.HashZero)
+    ).to.be.revertedWith("Action required");
+    await expect(
+      auditContract.connect(outsider).recordAction(fileId, TRANSFER_INITIATED, counterparty.address, transferId, ethers.constants.HashZero)
+    ).to.be.revertedWith("Must have recorder role");
+  });
+  
+  it("Should page through records filtered by action and actor", async function () {
+    for (const [signer, action] of [[recorder, TRANSFER_INITIATED], [owner, TRANSFER_INITIATED], [recorder, TRANSFER_REJECTED], [recorder, TRANSFER_INITIATED]]) {
+      await auditContract.connect(signer).recordAction(fileId, action, counterparty.address, transferId, ethers.constants.HashZero);
+    }
+    const [all] = await auditContract.getAuditTrail(fileId, 0, 0);
+    
+    let [records, total] = await auditContract.getAuditTrailPage(fileId, { ...anyRecord, action: TRANSFER_INITIATED }, 0, 2);
+    expect(total).to.equal(3);
+    expect(records.map(r => r.recordId)).to.deep.equal([all[0].recordId, all[1].recordId]);
+    
+    [records, total] = await auditContract.getAuditTrailPage(fileId, { action: TRANSFER_INITIATED, actor: recorder.address }, 1, 0);
+    expect(total).to.equal(2);
+    expect(records.map(r => r.recordId)).to.deep.equal([all[3].recordId]);
+    
+    [records, total] = await auditContract.getAuditTrailPage(fileId, anyRecord, 4, 0);
+    expect(records).to.have.lengthOf(0);
+    expect(total).to.equal(4);
+  });
+  
+  it("Should chain records from all files into one log whose IDs hash their contents", async function () {
+    const otherFileId = ethers.utils.id("other-file");
+    await auditContract.connect(recorder).recordAction(fileId, TRANSFER_INITIATED, counterparty.address, transferId, ethers.constants.HashZero);
+    await auditContract.connect(recorder).recordAction(otherFileId, TRANSFER_INITIATED, counterparty.address, transferId, ethers.constants.HashZero);
+    await auditContract.connect(recorder).recordAction(fileId, TRANSFER_REJECTED, counterparty.address, transferId, ethers.utils.id("Wrong file"));
+    
+    const [log, total] = await auditContract.getAuditLog(0, 0);
+    expect(total).to.equal(3);
+    expect(log.map(r => r.sequence.toNumber())).to.deep.equal([0, 1, 2]);
+    expect(log[1].previousGlobalHash).to.equal(log[0].recordId);
+    expect(log[2].previousGlobalHash).to.equal(log[1].recordId);
+    expect(log[2].previousRecordHash).to.equal(log[0].recordId);
+    expect(await auditContract.getRecordCount(fileId)).to.equal(2);
+    expect((await auditContract.getRecordBySequence(2)).recordId).to.equal(log[2].recordId);
+    
+    const r = log[2];
+    expect(r.recordId).to.equal(ethers.utils.keccak256(ethers.utils.defaultAbiCoder.encode(
+      ["uint256", "bytes32", "address", "uint8", "address", "bytes32", "bytes32", "uint256", "bytes32", "bytes32"],
+      [r.sequence, r.fileId, r.actor, r.action, r.counterparty, r.transferId, r.payloadHash, r.timestamp, r.previousRecordHash, r.previousGlobalHash]
+    )));
+    await expect(auditContract.getRecordBySequence(3)).to.be.revertedWith("Record not found");
+  });
+  
+  it("Should checkpoint the log and prove any record is included", async function () {
+    await expect(auditContract.createCheckpoint()).to.be.revertedWith("No records to checkpoint");
+    
+    for (let i = 0; i < 5; i++) {
+      await auditContract.connect(recorder).recordAction(fileId, TRANSFER_INITIATED, counterparty.address, transferId, ethers.constants.HashZero);
+    }
+    await expect(auditContract.connect(outsider).createCheckpoint())
+      .to.emit(auditContract, "CheckpointCreated");
+    await auditContract.connect(recorder).recordAction(fileId, TRANSFER_REJECTED, counterparty.address, transferId, ethers.constants.HashZero);
+    
+    const [log] = await auditContract.getAuditLog(0, 0);
+    const checkpoint = await auditContract.getCheckpoint(0);
+    expect(checkpoint.fromSequence).to.equal(0);
+    expect(checkpoint.toSequence).to.equal(5);
+    expect(checkpoint.lastRecordId).to.equal(log[4].recordId);
+    await expect(auditContract.getInclusionProof(5)).to.be.revertedWith("Record not checkpointed");
+    
+    await auditContract.createCheckpoint();
+    expect(await auditContract.getCheckpointCount()).to.equal(2);
+    
+    for (let sequence = 0; sequence < log.length; sequence++) {
+      const [checkpointIndex, proof] = await auditContract.getInclusionProof(sequence);
+      expect(checkpointIndex).to.equal(sequence < 5 ? 0 : 1);
+      expect(await auditContract.verifyInclusion(log[sequence].recordId, checkpointIndex, proof)).to.be.true;
+    }
+    
+    const [, proof] = await auditContract.getInclusionProof(2);
+    expect(await auditContract.verifyInclusion(log[3].recordId, 0, proof)).to.be.false;
+  });
+  
+  it("Should hash leaves apart from inner nodes so a subtree cannot pass as a record", async function () {
+    for (let i = 0; i < 4; i++) {
+      await auditContract.connect(recorder).recordAction(fileId, TRANSFER_INITIATED, counterparty.address, transferId, ethers.constants.HashZero);
+    }
+    await auditContract.createCheckpoint();
+    const [log] = await auditContract.getAuditLog(0, 0);
+    
+    const leaf = (recordId) => ethers.utils.solidityKeccak256(["bytes1", "bytes32"], ["0x00", recordId]);
+    const hashPair = (a, b) => ethers.utils.solidityKeccak256(["bytes32", "bytes32"], a.toLowerCase() < b.toLowerCase() ? [a, b] : [b, a]);
+    const root = hashPair(hashPair(leaf(log[0].recordId), leaf(log[1].recordId)), hashPair(leaf(log[2].recordId), leaf(log[3].recordId)));
+    expect((await auditContract.getCheckpoint(0)).merkleRoot).to.equal(root);
+    
+    // With raw IDs as leaves, the node over the first two records would pass with the rest of their proof
+    const [, proof] = await auditContract.getInclusionProof(0);
+    const innerNode = hashPair(leaf(log[0].recordId), proof[0]);
+    expect(await auditContract.verifyInclusion(innerNode, 0, proof.slice(1))).to.be.false;
+  });
+});
\ No newline at end of file
@@ -25,11 +25,17 @@ describe("FileRegistry", function () {
     FileStructs = await FileStructsFactory.deploy();
     await FileStructs.deployed();
     
-    // Deploy FileRegistry contract
+    // Deploy FileRegistry contract, linked to its storage and access libraries
+    const FileStorageLibFactory = await ethers.getContractFactory("FileStorageLib");
+    const fileStorageLib = await FileStorageLibFactory.deploy();
+    await fileStorageLib.deployed();
+    
+    const FileAccessLibFactory = await ethers.getContractFactory("FileAccessLib");
+    const fileAccessLib = await FileAccessLibFactory.deploy();
+    await fileAccessLib.deployed();
+    
     const FileRegistryFactory = await ethers.getContractFactory("FileRegistry", {
-      libraries: {
-        FileStructs: FileStructs.address
-      }
+      libraries: { FileStorageLib: fileStorageLib.address, FileAccessLib: fileAccessLib.address }
     });
     fileRegistry = await FileRegistryFactory.deploy(owner.address, maxFileSize);
     await fileRegistry.deployed();
@@ -199,6 +205,567 @@ describe("FileRegistry", function () {
     });
   });
   
+  describe("Wrapped Keys", function () {
+    let fileId;
+    const ownerKey = ethers.utils.hexlify(ethers.utils.randomBytes(126));
+    const granteeKey = ethers.utils.hexlify(ethers.utils.randomBytes(126));
+    const READ_ACCESS = 1;
+    
+    beforeEach(async function () {
+      const tx = await fileRegistry.registerFile(
+        testFileName,
+        testContentHash,
+        ownerKey,
+        testFileSize,
+        testContentType,
+        false
+      );
+      
+      const receipt = await tx.wait();
+      const event = receipt.events.find(e => e.event === 'FileRegistered');
+      fileId = event.args.fileId;
+    });
+    
+    it("Should return each caller their own wrapped key", async function () {
+      await expect(
+        fileRegistry.grantAccessWithKey(fileId, user1.address, READ_ACCESS, 0, granteeKey)
+      ).to.emit(fileRegistry, "WrappedKeyStored").withArgs(fileId, user1.address);
+      await fileRegistry.grantAccess(fileId, user2.address, READ_ACCESS, 0);
+      
+      expect((await fileRegistry.getFileMetadata(fileId)).encryptionKey).to.equal(ownerKey);
+      expect((await fileRegistry.connect(user1).getFileMetadata(fileId)).encryptionKey).to.equal(granteeKey);
+      expect((await fileRegistry.connect(user2).getFileMetadata(fileId)).encryptionKey).to.equal("0x");
+    });
+    
+    it("Should let the owner issue a key to an existing grantee", async function () {
+      await fileRegistry.grantAccess(fileId, user1.address, READ_ACCESS, 0);
+      await fileRegistry.setWrappedKey(fileId, user1.address, granteeKey);
+      
+      expect((await fileRegistry.connect(user1).getFileMetadata(fileId)).encryptionKey).to.equal(granteeKey);
+    });
+    
+    it("Should drop the wrapped key when access is revoked", async function () {
+      await fileRegistry.grantAccessWithKey(fileId, user1.address, READ_ACCESS, 0, granteeKey);
+      await fileRegistry.revokeAccess(fileId, user1.address);
+      await fileRegistry.grantAccess(fileId, user1.address, READ_ACCESS, 0);
+      
+      expect((await fileRegistry.connect(user1).getFileMetadata(fileId)).encryptionKey).to.equal("0x");
+    });
+    
+    it("Should only let the owner store non-empty keys", async function () {
+      await expect(
+        fileRegistry.connect(user1).setWrappedKey(fileId, user2.address, granteeKey)
+      ).to.be.revertedWith("Not authorized to manage access");
+      
+      await expect(
+        fileRegistry.setWrappedKey(fileId, user1.address, "0x")
+      ).to.be.revertedWith("Wrapped key cannot be empty");
+      
+      await expect(
+        fileRegistry.setWrappedKey(fileId, owner.address, granteeKey)
+      ).to.be.revertedWith("Cannot set key for self");
+    });
+    
+    describe("Grants on behalf of the owner", function () {
+      let trusted;
+      
+      beforeEach(async function () {
+        trusted = (await ethers.getSigners())[4];
+        
+        const AccessControlFactory = await ethers.getContractFactory("AccessControlContract");
+        const accessControl = await AccessControlFactory.deploy(owner.address);
+        await accessControl.deployed();
+        await accessControl.addTrustedContract(trusted.address);
+        
+        await expect(fileRegistry.connect(admin).setAccessControl(accessControl.address))
+          .to.emit(fileRegistry, "AccessControlUpdated").withArgs(accessControl.address);
+      });
+      
+      it("Should let trusted contracts grant access with a key in the owner's name", async function () {
+        await expect(
+          fileRegistry.connect(trusted).grantAccessOnBehalf(fileId, owner.address, user1.address, READ_ACCESS, 0, 0, granteeKey)
+        ).to.emit(fileRegistry, "FileAccessGranted").withArgs(fileId, user1.address, READ_ACCESS, owner.address);
+        
+        expect(await fileRegistry.checkAccess(fileId, user1.address, READ_ACCESS)).to.be.true;
+        expect((await fileRegistry.connect(user1).getFileMetadata(fileId)).encryptionKey).to.equal(granteeKey);
+      });
+      
+      it("Should refuse untrusted callers and grantors who cannot manage access", async function () {
+        await expect(
+          fileRegistry.connect(user2).grantAccessOnBehalf(fileId, owner.address, user1.address, READ_ACCESS, 0, 0, "0x")
+        ).to.be.revertedWith("Caller is not a trusted contract");
+        
+        await expect(
+          fileRegistry.connect(trusted).grantAccessOnBehalf(fileId, user2.address, user1.address, READ_ACCESS, 0, 0, "0x")
+        ).to.be.revertedWith("Not authorized to manage access");
+      });
+      
+      it("Should count down use-limited grants and revoke them with the last use", async function () {
+        await fileRegistry.connect(trusted).grantAccessOnBehalf(fileId, owner.address, user1.address, READ_ACCESS, 0, 2, granteeKey);
+        expect((await fileRegistry.getAccessPermission(fileId, user1.address)).usesLeft).to.equal(2);
+        
+        await expect(fileRegistry.connect(user1).useAccess(fileId))
+          .to.emit(fileRegistry, "FileAccessUsed").withArgs(fileId, user1.address, 1);
+        expect(await fileRegistry.checkAccess(fileId, user1.address, READ_ACCESS)).to.be.true;
+        
+        await expect(fileRegistry.connect(user1).useAccess(fileId))
+          .to.emit(fileRegistry, "FileAccessRevoked").withArgs(fileId, user1.address, user1.address);
+        expect(await fileRegistry.checkAccess(fileId, user1.address, READ_ACCESS)).to.be.false;
+        expect((await fileRegistry.getAccessPermission(fileId, user1.address)).hasAccess).to.be.false;
+        
+        await expect(fileRegistry.connect(user1).useAccess(fileId)).to.be.revertedWith("Access denied");
+        await expect(fileRegistry.useAccess(fileId)).to.be.revertedWith("Access is not use-limited");
+      });
+    });
+  });
+  
+  describe("Group Access", function () {
+    let fileId;
+    let groupId;
+    let groupRegistry;
+    const READ_ACCESS = 1;
+    const WRITE_ACCESS = 2;
+    
+    beforeEach(async function () {
+      const GroupRegistryFactory = await ethers.getContractFactory("GroupRegistry");
+      groupRegistry = await GroupRegistryFactory.deploy(owner.address);
+      await groupRegistry.deployed();
+      await fileRegistry.connect(admin).setGroupRegistry(groupRegistry.address);
+      
+      // user2 runs the team; the file's owner is not a member
+      let tx = await groupRegistry.connect(user2).createGroup("Team", [user1.address]);
+      let receipt = await tx.wait();
+      groupId = receipt.events.find(e => e.event === 'GroupCreated').args.groupId;
+      
+      tx = await fileRegistry.registerFile(
+        testFileName,
+        testContentHash,
+        "0x",
+        testFileSize,
+        testContentType,
+        false
+      );
+      receipt = await tx.wait();
+      fileId = receipt.events.find(e => e.event === 'FileRegistered').args.fileId;
+    });
+    
+    it("Should give every member the group's access level", async function () {
+      await expect(fileRegistry.grantGroupAccess(fileId, groupId, WRITE_ACCESS, 0))
+        .to.emit(fileRegistry, "GroupAccessGranted").withArgs(fileId, groupId, WRITE_ACCESS, owner.address);
+      
+      expect(await fileRegistry.getFileGroups(fileId)).to.deep.equal([groupId]);
+      expect((await fileRegistry.getGroupPermission(fileId, groupId)).level).to.equal(WRITE_ACCESS);
+      expect(await fileRegistry.checkAccess(fileId, user1.address, WRITE_ACCESS)).to.be.true;
+      expect(await fileRegistry.checkAccess(fileId, admin.address, READ_ACCESS)).to.be.false;
+      
+      // Members can read metadata and update through hasFileAccess
+      expect((await fileRegistry.connect(user1).getFileMetadata(fileId)).fileId).to.equal(fileId);
+      await fileRegistry.connect(user1).updateFile(fileId, ethers.utils.id("team-edit"), "0x", testFileSize);
+    });
+    
+    it("Should follow membership changes and revocation", async function () {
+      await fileRegistry.grantGroupAccess(fileId, groupId, READ_ACCESS, 0);
+      
+      await groupRegistry.connect(user2).removeMembers(groupId, [user1.address]);
+      expect(await fileRegistry.checkAccess(fileId, user1.address, READ_ACCESS)).to.be.false;
+      await expect(fileRegistry.connect(user1).getFileMetadata(fileId)).to.be.revertedWith("Access denied");
+      
+      expect(await fileRegistry.checkAccess(fileId, user2.address, READ_ACCESS)).to.be.true;
+      await expect(fileRegistry.revokeGroupAccess(fileId, groupId))
+        .to.emit(fileRegistry, "GroupAccessRevoked").withArgs(fileId, groupId, owner.address);
+      expect(await fileRegistry.checkAccess(fileId, user2.address, READ_ACCESS)).to.be.false;
+      expect(await fileRegistry.getFileGroups(fileId)).to.deep.equal([]);
+    });
+    
+    it("Should only let the owner share with existing groups", async function () {
+      await expect(
+        fileRegistry.connect(user1).grantGroupAccess(fileId, groupId, READ_ACCESS, 0)
+      ).to.be.revertedWith("Not authorized to manage access");
+      await expect(
+        fileRegistry.grantGroupAccess(fileId, ethers.utils.id("no-such-group"), READ_ACCESS, 0)
+      ).to.be.revertedWith("Group does not exist");
+      await expect(
+        fileRegistry.revokeGroupAccess(fileId, groupId)
+      ).to.be.revertedWith("No access to revoke");
+    });
+  });
+  
+  describe("Delegated Administration", function () {
+    let fileId;
+    let delegate;
+    let puppet;
+    const READ_ACCESS = 1;
+    const WRITE_ACCESS = 2;
+    const ADMIN_ACCESS = 3;
+    
+    beforeEach(async function () {
+      [, , , , delegate, puppet] = await ethers.getSigners();
+      
+      const tx = await fileRegistry.registerFile(
+        testFileName,
+        testContentHash,
+        "0x",
+        testFileSize,
+        testContentType,
+        false
+      );
+      const receipt = await tx.wait();
+      fileId = receipt.events.find(e => e.event === 'FileRegistered').args.fileId;
+      
+      await fileRegistry.grantAccess(fileId, delegate.address, ADMIN_ACCESS, 0);
+    });
+    
+    it("Should let ADMIN grantees grant and revoke as themselves", async function () {
+      await expect(fileRegistry.connect(delegate).grantAccess(fileId, user1.address, WRITE_ACCESS, 0))
+        .to.emit(fileRegistry, "FileAccessGranted").withArgs(fileId, user1.address, WRITE_ACCESS, delegate.address);
+      await fileRegistry.connect(delegate).grantAccess(fileId, user2.address, ADMIN_ACCESS, 0);
+      expect(await fileRegistry.checkAccess(fileId, user1.address, WRITE_ACCESS)).to.be.true;
+      
+      await expect(fileRegistry.connect(delegate).revokeAccess(fileId, user1.address))
+        .to.emit(fileRegistry, "FileAccessRevoked").withArgs(fileId, user1.address, delegate.address);
+      expect(await fileRegistry.checkAccess(fileId, user1.address, READ_ACCESS)).to.be.false;
+      
+      // Revoked delegates lose the power at once
+      await fileRegistry.revokeAccess(fileId, delegate.address);
+      await expect(
+        fileRegistry.connect(delegate).grantAccess(fileId, user1.address, READ_ACCESS, 0)
+      ).to.be.revertedWith("Not authorized to manage access");
+    });
+    
+    it("Should not let WRITE grantees or group admins manage access", async function () {
+      await fileRegistry.grantAccess(fileId, user1.address, WRITE_ACCESS, 0);
+      await expect(
+        fileRegistry.connect(user1).grantAccess(fileId, puppet.address, READ_ACCESS, 0)
+      ).to.be.revertedWith("Not authorized to manage access");
+      await expect(
+        fileRegistry.connect(user1).grantAccess(fileId, user1.address, ADMIN_ACCESS, 0)
+      ).to.be.revertedWith("Not authorized to manage access");
+      await expect(
+        fileRegistry.connect(user1).revokeAccess(fileId, delegate.address)
+      ).to.be.revertedWith("Not authorized to manage access");
+      
+      // Group owners decide membership, so ADMIN through a group does not delegate
+      const GroupRegistryFactory = await ethers.getContractFactory("GroupRegistry");
+      const groupRegistry = await GroupRegistryFactory.deploy(owner.address);
+      await groupRegistry.deployed();
+      await fileRegistry.connect(admin).setGroupRegistry(groupRegistry.address);
+      
+      const tx = await groupRegistry.connect(user2).createGroup("Team", []);
+      const groupId = (await tx.wait()).events.find(e => e.event === 'GroupCreated').args.groupId;
+      await fileRegistry.grantGroupAccess(fileId, groupId, ADMIN_ACCESS, 0);
+      
+      await groupRegistry.connect(user2).addMembers(groupId, [puppet.address]);
+      await expect(
+        fileRegistry.connect(puppet).grantAccess(fileId, user2.address, ADMIN_ACCESS, 0)
+      ).to.be.revertedWith("Not authorized to manage access");
+    });
+    
+    it("Should not let delegates touch the owner or themselves", async function () {
+      await expect(
+        fileRegistry.connect(delegate).grantAccess(fileId, owner.address, READ_ACCESS, 0)
+      ).to.be.revertedWith("Cannot change owner access");
+      await expect(
+        fileRegistry.connect(delegate).revokeAccess(fileId, owner.address)
+      ).to.be.revertedWith("No access to revoke");
+      await expect(
+        fileRegistry.connect(delegate).grantAccess(fileId, delegate.address, ADMIN_ACCESS, 0)
+      ).to.be.revertedWith("Cannot grant access to self");
+      
+      expect(await fileRegistry.checkAccess(fileId, owner.address, ADMIN_ACCESS)).to.be.true;
+    });
+    
+    it("Should not let delegates outlast their own access through others", async function () {
+      const latest = (await ethers.provider.getBlock("latest")).timestamp;
+      const expiresAt = latest + 3600;
+      await fileRegistry.grantAccess(fileId, delegate.address, ADMIN_ACCESS, expiresAt);
+      
+      await expect(
+        fileRegistry.connect(delegate).grantAccess(fileId, puppet.address, ADMIN_ACCESS, 0)
+      ).to.be.revertedWith("Grant outlasts own access");
+      await expect(
+        fileRegistry.connect(delegate).grantAccess(fileId, puppet.address, ADMIN_ACCESS, expiresAt + 1)
+      ).to.be.revertedWith("Grant outlasts own access");
+      
+      // A puppet granted within the delegate's window cannot hand back a longer grant
+      await fileRegistry.connect(delegate).grantAccess(fileId, puppet.address, ADMIN_ACCESS, expiresAt);
+      await expect(
+        fileRegistry.connect(puppet).grantAccess(fileId, delegate.address, ADMIN_ACCESS, 0)
+      ).to.be.revertedWith("Grant outlasts own access");
+      
+      await ethers.provider.send("evm_increaseTime", [3601]);
+      await ethers.provider.send("evm_mine");
+      await expect(
+        fileRegistry.connect(puppet).grantAccess(fileId, user1.address, READ_ACCESS, 0)
+      ).to.be.revertedWith("Not authorized to manage access");
+    });
+  });
+  
+  describe("Storage Locations", function () {
+    let fileId;
+    const cid = "bafkreihdwdcefgh4dqkjv67uzcmw7ojee6xedzdetojuzjevtenxquvyku";
+    const WRITE_ACCESS = 2;
+    const READ_ACCESS = 1;
+    
+    beforeEach(async function () {
+      const tx = await fileRegistry.registerFile(
+        testFileName,
+        testContentHash,
+        ethers.utils.randomBytes(32),
+        testFileSize,
+        testContentType,
+        false
+      );
+      
+      const receipt = await tx.wait();
+      const event = receipt.events.find(e => e.event === 'FileRegistered');
+      fileId = event.args.fileId;
+    });
+    
+    it("Should record and list storage locations", async function () {
+      await expect(
+        fileRegistry.addStorageLocation(fileId, "ipfs", cid, true, "AES-256-GCM")
+      ).to.emit(fileRegistry, "StorageLocationAdded").withArgs(fileId, "ipfs", cid);
+      await fileRegistry.addStorageLocation(fileId, "local", testContentHash.slice(2), true, "AES-256-GCM");
+      
+      const locations = await fileRegistry.getStorageLocations(fileId);
+      expect(locations.length).to.equal(2);
+      expect(locations[0].fileId).to.equal(fileId);
+      expect(locations[0].protocol).to.equal("ipfs");
+      expect(locations[0].location).to.equal(cid);
+      expect(locations[0].isEncrypted).to.equal(true);
+      expect(locations[0].encryptionType).to.equal("AES-256-GCM");
+      expect(locations[1].protocol).to.equal("local");
+    });
+    
+    it("Should remove a storage location", async function () {
+      await fileRegistry.addStorageLocation(fileId, "ipfs", cid, false, "");
+      await fileRegistry.addStorageLocation(fileId, "local", "abc", false, "");
+      
+      await expect(
+        fileRegistry.removeStorageLocation(fileId, "ipfs", cid)
+      ).to.emit(fileRegistry, "StorageLocationRemoved").withArgs(fileId, "ipfs", cid);
+      
+      const locations = await fileRegistry.getStorageLocations(fileId);
+      expect(locations.length).to.equal(1);
+      expect(locations[0].location).to.equal("abc");
+      
+      await expect(
+        fileRegistry.removeStorageLocation(fileId, "ipfs", cid)
+      ).to.be.revertedWith("Location not found");
+    });
+    
+    it("Should reject invalid and duplicate locations", async function () {
+      await expect(
+        fileRegistry.addStorageLocation(fileId, "", cid, false, "")
+      ).to.be.revertedWith("Protocol cannot be empty");
+      
+      await expect(
+        fileRegistry.addStorageLocation(fileId, "ipfs", "", false, "")
+      ).to.be.revertedWith("Location cannot be empty");
+      
+      await expect(
+        fileRegistry.addStorageLocation(fileId, "ipfs", cid, true, "")
+      ).to.be.revertedWith("Encryption type required");
+      
+      await fileRegistry.addStorageLocation(fileId, "ipfs", cid, false, "");
+      await expect(
+        fileRegistry.addStorageLocation(fileId, "ipfs", cid, false, "")
+      ).to.be.revertedWith("Location already recorded");
+    });
+    
+    it("Should cap the number of locations per file", async function () {
+      const max = await fileRegistry.MAX_STORAGE_LOCATIONS();
+      for (let i = 0; i < max.toNumber(); i++) {
+        await fileRegistry.addStorageLocation(fileId, "local", `location-${i}`, false, "");
+      }
+      
+      await expect(
+        fileRegistry.addStorageLocation(fileId, "local", "one-too-many", false, "")
+      ).to.be.revertedWith("Too many storage locations");
+    });
+    
+    it("Should require write access to record and read access to list", async function () {
+      await expect(
+        fileRegistry.connect(user1).addStorageLocation(fileId, "ipfs", cid, false, "")
+      ).to.be.revertedWith("Access denied");
+      await expect(
+        fileRegistry.connect(user1).getStorageLocations(fileId)
+      ).to.be.revertedWith("Access denied");
+      
+      await fileRegistry.grantAccess(fileId, user1.address, READ_ACCESS, 0);
+      expect((await fileRegistry.connect(user1).getStorageLocations(fileId)).length).to.equal(0);
+      await expect(
+        fileRegistry.connect(user1).addStorageLocation(fileId, "ipfs", cid, false, "")
+      ).to.be.revertedWith("Insufficient access level");
+      
+      await fileRegistry.grantAccess(fileId, user2.address, WRITE_ACCESS, 0);
+      await fileRegistry.connect(user2).addStorageLocation(fileId, "ipfs", cid, false, "");
+      expect((await fileRegistry.getStorageLocations(fileId)).length).to.equal(1);
+    });
+  });
+  
+  describe("Chunked Files", function () {
+    const chunkHashes = [0, 1, 2, 3, 4].map(i => ethers.utils.id(`chunk-${i}`));
+    const chunkSize = 1024;
+    const sizes = [chunkSize, chunkSize, chunkSize, chunkSize, 100];
+    
+    function merkleRoot(leaves) {
+      let level = [...leaves];
+      while (level.length > 1) {
+        const next = [];
+        for (let i = 0; i < level.length; i += 2) {
+          next.push(i + 1 < level.length
+            ? ethers.utils.solidityKeccak256(["bytes32", "bytes32"], [level[i], level[i + 1]])
+            : level[i]);
+        }
+        level = next;
+      }
+      return level[0];
+    }
+    
+    async function registerChunked(root, chunkCount) {
+      const tx = await fileRegistry.registerChunkedFile(
+        testFileName,
+        root,
+        ethers.utils.randomBytes(32),
+        4196,
+        testContentType,
+        false,
+        chunkCount
+      );
+      const receipt = await tx.wait();
+      return receipt.events.find(e => e.event === 'FileRegistered').args.fileId;
+    }
+    
+    beforeEach(async function () {
+      await fileRegistry.setChunkLimits(chunkSize, 5);
+    });
+    
+    it("Should record chunks in batches and complete against the Merkle root", async function () {
+      const root = merkleRoot(chunkHashes);
+      const fileId = await registerChunked(root, 5);
+      
+      await expect(
+        fileRegistry.addFileChunks(fileId, chunkHashes.slice(0, 2), sizes.slice(0, 2))
+      ).to.emit(fileRegistry, "FileChunksRecorded").withArgs(fileId, 2, 5);
+      
+      let info = await fileRegistry.getChunkInfo(fileId);
+      expect(info.chunkCount).to.equal(5);
+      expect(info.recordedChunks).to.equal(2);
+      
+      await expect(
+        fileRegistry.addFileChunks(fileId, chunkHashes.slice(2), sizes.slice(2))
+      ).to.emit(fileRegistry, "FileChunksCompleted").withArgs(fileId, root);
+      
+      info = await fileRegistry.getChunkInfo(fileId);
+      expect(info.recordedChunks).to.equal(5);
+      
+      const page = await fileRegistry.getFileChunks(fileId, 3, 10);
+      expect(page.length).to.equal(2);
+      expect(page[0].sequence).to.equal(3);
+      expect(page[0].contentHash).to.equal(chunkHashes[3]);
+      expect(page[1].size).to.equal(100);
+      expect(page[1].chunkId).to.equal(ethers.utils.solidityKeccak256(
+        ["bytes32", "uint256", "bytes32"], [fileId, 4, chunkHashes[4]]
+      ));
+      expect((await fileRegistry.getFileChunks(fileId, 5, 10)).length).to.equal(0);
+    });
+    
+    it("Should use a single chunk's hash as its root", async function () {
+      const fileId = await registerChunked(chunkHashes[0], 1);
+      
+      await expect(
+        fileRegistry.addFileChunks(fileId, [chunkHashes[0]], [10])
+      ).to.emit(fileRegistry, "FileChunksCompleted").withArgs(fileId, chunkHashes[0]);
+    });
+    
+    it("Should reject chunks that do not add up to the root", async function () {
+      const fileId = await registerChunked(merkleRoot(chunkHashes), 5);
+      const swapped = [chunkHashes[1], chunkHashes[0], ...chunkHashes.slice(2)];
+      
+      await expect(
+        fileRegistry.addFileChunks(fileId, swapped, sizes)
+      ).to.be.revertedWith("Chunks do not match Merkle root");
+    });
+    
+    it("Should enforce chunk limits", async function () {
+      await expect(registerChunked(merkleRoot(chunkHashes), 6)).to.be.revertedWith("Invalid chunk count");
+      await expect(registerChunked(merkleRoot(chunkHashes), 0)).to.be.revertedWith("Invalid chunk count");
+      
+      const fileId = await registerChunked(merkleRoot(chunkHashes), 5);
+      await expect(
+        fileRegistry.addFileChunks(fileId, chunkHashes.slice(0, 1), [chunkSize - 1])
+      ).to.be.revertedWith("Chunk below minimum size");
+      await expect(
+        fileRegistry.addFileChunks(fileId, chunkHashes.slice(0, 2), sizes.slice(0, 1))
+      ).to.be.revertedWith("Invalid chunk batch");
+      await expect(
+        fileRegistry.addFileChunks(fileId, [...chunkHashes, chunkHashes[0]], [...sizes, 1])
+      ).to.be.revertedWith("Too many chunks");
+    });
+    
+    it("Should only let the owner add chunks to chunked files", async function () {
+      const fileId = await registerChunked(merkleRoot(chunkHashes), 5);
+      await fileRegistry.grantAccess(fileId, user1.address, 2, 0);
+      
+      await expect(
+        fileRegistry.connect(user1).addFileChunks(fileId, chunkHashes, sizes)
+      ).to.be.revertedWith("Only owner can add chunks");
+      
+      const tx = await fileRegistry.registerFile(
+        testFileName, testContentHash, "0x", testFileSize, testContentType, false
+      );
+      const plainId = (await tx.wait()).events.find(e => e.event === 'FileRegistered').args.fileId;
+      await expect(
+        fileRegistry.addFileChunks(plainId, chunkHashes.slice(0, 1), [chunkSize])
+      ).to.be.revertedWith("File is not chunked");
+      expect((await fileRegistry.getChunkInfo(plainId)).chunkCount).to.equal(0);
+    });
+    
+    it("Should purge a chunked file along with its versions", async function () {
+      const root = merkleRoot(chunkHashes);
+      const fileId = await registerChunked(root, 5);
+      await fileRegistry.addFileChunks(fileId, chunkHashes, sizes);
+      await fileRegistry.updateFile(fileId, ethers.utils.id("new-content"), "0x", 4196);
+      expect(await fileRegistry.getFileVersionCount(fileId)).to.equal(2);
+      
+      await fileRegistry.deleteFile(fileId);
+      const restoreWindow = await fileRegistry.restoreWindow();
+      await ethers.provider.send("evm_increaseTime", [restoreWindow.toNumber() + 1]);
+      await ethers.provider.send("evm_mine");
+      
+      await expect(fileRegistry.purgeFile(fileId))
+        .to.emit(fileRegistry, "FilePurged").withArgs(fileId);
+      await expect(fileRegistry.getFileVersionCount(fileId)).to.be.revertedWith("File does not exist");
+      await expect(fileRegistry.getChunkInfo(fileId)).to.be.revertedWith("File does not exist");
+    });
+    
+    it("Should purge a file with many versions over several calls", async function () {
+      const tx = await fileRegistry.registerFile(
+        testFileName, testContentHash, "0x", testFileSize, testContentType, false
+      );
+      const fileId = (await tx.wait()).events.find(e => e.event === 'FileRegistered').args.fileId;
+      const maxPurgeVersions = (await fileRegistry.MAX_PURGE_VERSIONS()).toNumber();
+      for (let i = 0; i < maxPurgeVersions + 1; i++) {
+        await fileRegistry.updateFile(fileId, ethers.utils.id(`content-${i}`), "0x", testFileSize);
+      }
+      expect(await fileRegistry.getFileVersionCount(fileId)).to.equal(maxPurgeVersions + 2);
+      
+      await fileRegistry.deleteFile(fileId);
+      const restoreWindow = await fileRegistry.restoreWindow();
+      await ethers.provider.send("evm_increaseTime", [restoreWindow.toNumber() + 1]);
+      await ethers.provider.send("evm_mine");
+      
+      expect(await fileRegistry.callStatic.purgeFile(fileId)).to.be.false;
+      await expect(fileRegistry.purgeFile(fileId)).to.not.emit(fileRegistry, "FilePurged");
+      expect(await fileRegistry.getFileVersionCount(fileId)).to.equal(2);
+      
+      await expect(fileRegistry.purgeFile(fileId))
+        .to.emit(fileRegistry, "FilePurged").withArgs(fileId);
+      await expect(fileRegistry.getFileVersionCount(fileId)).to.be.revertedWith("File does not exist");
+    });
+  });
+  
   describe("File Operations", function () {
     let privateFileId;
     let publicFileId;
@@ -297,12 +864,9 @@ describe("FileRegistry", function () {
       
       // Deleted files should not be accessible to other users
       const READ_ACCESS = 1;
-      await fileRegistry.grantAccess(
-        privateFileId,
-        user1.address,
-        READ_ACCESS,
-        0
-      );
+      await expect(
+        fileRegistry.grantAccess(privateFileId, user1.address, READ_ACCESS, 0)
+      ).to.be.revertedWith("File is deleted");
       
       const accessToDeletedFile = await fileRegistry.checkAccess(
         privateFileId,
@@ -324,6 +888,415 @@ describe("FileRegistry", function () {
         fileRegistry.connect(user1).deleteFile(privateFileId)
       ).to.be.revertedWith("Not authorized");
     });
+    
+    it("Should revoke every grant and block changes when a file is deleted", async function () {
+      const READ_ACCESS = 1;
+      const WRITE_ACCESS = 2;
+      const wrappedKey = ethers.utils.hexlify(ethers.utils.randomBytes(48));
+      await fileRegistry.grantAccessWithKey(privateFileId, user1.address, WRITE_ACCESS, 0, wrappedKey);
+      
+      const GroupRegistryFactory = await ethers.getContractFactory("GroupRegistry");
+      const groupRegistry = await GroupRegistryFactory.deploy(owner.address);
+      await groupRegistry.deployed();
+      await fileRegistry.connect(admin).setGroupRegistry(groupRegistry.address);
+      const tx = await groupRegistry.connect(user2).createGroup("Team", []);
+      const groupId = (await tx.wait()).events.find(e => e.event === 'GroupCreated').args.groupId;
+      await fileRegistry.grantGroupAccess(privateFileId, groupId, READ_ACCESS, 0);
+      
+      await expect(fileRegistry.deleteFile(privateFileId))
+        .to.emit(fileRegistry, "FileAccessRevoked").withArgs(privateFileId, user1.address, owner.address)
+        .and.to.emit(fileRegistry, "GroupAccessRevoked").withArgs(privateFileId, groupId, owner.address)
+        .and.to.emit(fileRegistry, "FileDeleted").withArgs(privateFileId);
+      
+      expect((await fileRegistry.getAccessPermission(privateFileId, user1.address)).hasAccess).to.be.false;
+      expect(await fileRegistry.getFileGroups(privateFileId)).to.deep.equal([]);
+      expect(await fileRegistry.checkAccess(privateFileId, user2.address, READ_ACCESS)).to.be.false;
+      
+      // Former grantees can neither change nor read the file
+      await expect(
+        fileRegistry.connect(user1).updateFile(privateFileId, ethers.utils.id("new"), "0x", testFileSize)
+      ).to.be.revertedWith("File is deleted");
+      await expect(
+        fileRegistry.connect(user1).getFileMetadata(privateFileId)
+      ).to.be.revertedWith("Access denied");
+      
+      // The owner still sees the metadata, but not the key
+      const metadata = await fileRegistry.getFileMetadata(privateFileId);
+      expect(metadata.deletedAt).to.be.gt(0);
+      expect(metadata.encryptionKey).to.equal("0x");
+      
+      expect(await fileRegistry.getUserFiles(owner.address)).to.deep.equal([publicFileId]);
+      expect(await fileRegistry.getDeletedFiles(owner.address)).to.deep.equal([privateFileId]);
+    });
+    
+    it("Should restore deleted files within the restore window and purge them after it", async function () {
+      const READ_ACCESS = 1;
+      await fileRegistry.grantAccess(privateFileId, user1.address, READ_ACCESS, 0);
+      await fileRegistry.deleteFile(privateFileId);
+      
+      await expect(fileRegistry.purgeFile(privateFileId)).to.be.revertedWith("Restore window still open");
+      await expect(
+        fileRegistry.connect(user1).restoreFile(privateFileId)
+      ).to.be.revertedWith("Not authorized");
+      
+      await expect(fileRegistry.restoreFile(privateFileId))
+        .to.emit(fileRegistry, "FileRestored").withArgs(privateFileId, owner.address);
+      
+      const metadata = await fileRegistry.getFileMetadata(privateFileId);
+      expect(metadata.isDeleted).to.be.false;
+      expect(metadata.encryptionKey).to.not.equal("0x");
+      expect((await fileRegistry.getStorageUsage(owner.address)).used).to.equal(testFileSize.mul(2));
+      expect(await fileRegistry.getUserFiles(owner.address)).to.include(privateFileId);
+      
+      // Grants revoked by the deletion stay revoked
+      expect(await fileRegistry.checkAccess(privateFileId, user1.address, READ_ACCESS)).to.be.false;
+      await expect(fileRegistry.restoreFile(privateFileId)).to.be.revertedWith("File is not deleted");
+      
+      // Once the window has passed the file can only be purged
+      await fileRegistry.deleteFile(privateFileId);
+      const restoreWindow = await fileRegistry.restoreWindow();
+      await ethers.provider.send("evm_increaseTime", [restoreWindow.toNumber() + 1]);
+      await ethers.provider.send("evm_mine");
+      
+      await expect(fileRegistry.restoreFile(privateFileId)).to.be.revertedWith("Restore window has passed");
+      await expect(fileRegistry.purgeFile(privateFileId))
+        .to.emit(fileRegistry, "FilePurged").withArgs(privateFileId);
+      
+      expect(await fileRegistry.getDeletedFiles(owner.address)).to.deep.equal([]);
+      await expect(fileRegistry.getFileMetadata(privateFileId)).to.be.revertedWith("File does not exist");
+    });
+    
+    it("Should page through a user's files, leaving out files the caller cannot view", async function () {
+      const liveFiles = { deleted: false, createdFrom: 0, createdTo: 0 };
+      
+      let [files, total] = await fileRegistry.getUserFilesPage(owner.address, liveFiles, 0, 1);
+      expect(total).to.equal(2);
+      expect(files.map(f => f.fileId)).to.deep.equal([privateFileId]);
+      expect(files[0].encryptionKey).to.not.equal("0x");
+      
+      [files, total] = await fileRegistry.getUserFilesPage(owner.address, liveFiles, 1, 1);
+      expect(files.map(f => f.fileId)).to.deep.equal([publicFileId]);
+      
+      // Others only see the files they may view, without the owner's key
+      [files, total] = await fileRegistry.connect(user1).getUserFilesPage(owner.address, liveFiles, 0, 0);
+      expect(total).to.equal(1);
+      expect(files[0].fileId).to.equal(publicFileId);
+      expect(files[0].encryptionKey).to.equal("0x");
+      
+      await fileRegistry.deleteFile(privateFileId);
+      [files, total] = await fileRegistry.getUserFilesPage(owner.address, { ...liveFiles, deleted: true }, 0, 0);
+      expect(files.map(f => f.fileId)).to.deep.equal([privateFileId]);
+      
+      const { createdAt } = await fileRegistry.getFileMetadata(publicFileId);
+      [files, total] = await fileRegistry.getUserFilesPage(owner.address, { ...liveFiles, createdTo: createdAt.sub(1) }, 0, 0);
+      expect(total).to.equal(0);
+    });
+  });
+  
+  describe("Version History", function () {
+    let fileId;
+    const firstKey = ethers.utils.hexlify(ethers.utils.randomBytes(32));
+    const secondKey = ethers.utils.hexlify(ethers.utils.randomBytes(32));
+    const secondHash = ethers.utils.id("second-content");
+    const WRITE_ACCESS = 2;
+    
+    beforeEach(async function () {
+      const tx = await fileRegistry.registerFile(
+        testFileName,
+        testContentHash,
+        firstKey,
+        testFileSize,
+        testContentType,
+        false
+      );
+      
+      const receipt = await tx.wait();
+      const event = receipt.events.find(e => e.event === 'FileRegistered');
+      fileId = event.args.fileId;
+    });
+    
+    it("Should record the registration as version 1", async function () {
+      expect(await fileRegistry.getFileVersionCount(fileId)).to.equal(1);
+      
+      const version = await fileRegistry.getFileVersion(fileId, 1);
+      expect(version.fileId).to.equal(fileId);
+      expect(version.contentHash).to.equal(testContentHash);
+      expect(version.encryptionKey).to.equal(firstKey);
+      expect(version.fileSize).to.equal(testFileSize);
+      expect(version.creator).to.equal(owner.address);
+      expect(version.changeDescription).to.equal("Initial version");
+    });
+    
+    it("Should append a version on every update", async function () {
+      await expect(
+        fileRegistry.updateFileWithDescription(fileId, secondHash, secondKey, 2048, "Fix typos")
+      ).to.emit(fileRegistry, "FileVersionCreated");
+      await fileRegistry.grantAccess(fileId, user1.address, WRITE_ACCESS, 0);
+      await fileRegistry.connect(user1).updateFile(fileId, ethers.utils.id("third-content"), "0x", 4096);
+      
+      expect(await fileRegistry.getFileVersionCount(fileId)).to.equal(3);
+      
+      const versions = await fileRegistry.getFileVersions(fileId, 1, 10);
+      expect(versions.length).to.equal(2);
+      expect(versions[0].contentHash).to.equal(secondHash);
+      expect(versions[0].encryptionKey).to.equal(secondKey);
+      expect(versions[0].changeDescription).to.equal("Fix typos");
+      expect(versions[1].creator).to.equal(user1.address);
+      expect(versions[1].encryptionKey).to.equal(secondKey);
+      expect(versions[1].changeDescription).to.equal("");
+      expect(versions[0].versionId).to.not.equal(versions[1].versionId);
+      
+      expect((await fileRegistry.getFileVersions(fileId, 3, 10)).length).to.equal(0);
+    });
+    
+    it("Should only show version keys to the owner", async function () {
+      await fileRegistry.grantAccess(fileId, user1.address, WRITE_ACCESS, 0);
+      
+      const version = await fileRegistry.connect(user1).getFileVersion(fileId, 1);
+      expect(version.contentHash).to.equal(testContentHash);
+      expect(version.encryptionKey).to.equal("0x");
+      
+      await expect(
+        fileRegistry.connect(user2).getFileVersions(fileId, 0, 10)
+      ).to.be.revertedWith("Access denied");
+    });
+    
+    it("Should roll back to a previous version as a new version", async function () {
+      await fileRegistry.updateFileWithDescription(fileId, secondHash, secondKey, 2048, "Rewrite");
+      
+      await expect(
+        fileRegistry.rollbackFile(fileId, 1, "Rewrite was wrong")
+      ).to.emit(fileRegistry, "FileRolledBack").withArgs(fileId, 1, 3);
+      
+      const metadata = await fileRegistry.getFileMetadata(fileId);
+      expect(metadata.contentHash).to.equal(testContentHash);
+      expect(metadata.encryptionKey).to.equal(firstKey);
+      expect(metadata.fileSize).to.equal(testFileSize);
+      
+      const latest = await fileRegistry.getFileVersion(fileId, 3);
+      expect(latest.contentHash).to.equal(testContentHash);
+      expect(latest.changeDescription).to.equal("Rewrite was wrong");
+      
+      await expect(
+        fileRegistry.rollbackFile(fileId, 4, "")
+      ).to.be.revertedWith("Version does not exist");
+      await expect(
+        fileRegistry.rollbackFile(fileId, 0, "")
+      ).to.be.revertedWith("Version does not exist");
+    });
+    
+    it("Should only let writers roll back to versions with the current key", async function () {
+      await fileRegistry.updateFileWithDescription(fileId, secondHash, secondKey, 2048, "Re-keyed");
+      await fileRegistry.updateFile(fileId, ethers.utils.id("third-content"), "0x", 4096);
+      await fileRegistry.grantAccess(fileId, user1.address, WRITE_ACCESS, 0);
+      
+      await expect(
+        fileRegistry.connect(user1).rollbackFile(fileId, 1, "")
+      ).to.be.revertedWith("Only owner can change encryption key");
+      
+      await fileRegistry.connect(user1).rollbackFile(fileId, 2, "");
+      expect((await fileRegistry.getFileMetadata(fileId)).contentHash).to.equal(secondHash);
+      
+      await fileRegistry.grantAccess(fileId, user2.address, 1, 0);
+      await expect(
+        fileRegistry.connect(user2).rollbackFile(fileId, 1, "")
+      ).to.be.revertedWith("Insufficient access level");
+    });
+  });
+  
+  describe("SystemConfig Limits", function () {
+    let systemConfig;
+    const encryptionKey = ethers.utils.randomBytes(32);
+    const mb = (n) => ethers.utils.parseUnits(String(n), "mwei");
+    
+    beforeEach(async function () {
+      const SystemConfigFactory = await ethers.getContractFactory("SystemConfig");
+      systemConfig = await SystemConfigFactory.deploy(owner.address);
+      await systemConfig.deployed();
+      
+      await fileRegistry.connect(admin).setSystemConfig(systemConfig.address);
+    });
+    
+    async function register(signer, size, key = encryptionKey) {
+      const tx = await fileRegistry.connect(signer).registerFile(
+        testFileName, testContentHash, key, size, testContentType, false
+      );
+      const receipt = await tx.wait();
+      return receipt.events.find(e => e.event === 'FileRegistered').args.fileId;
+    }
+    
+    it("Should take limits from SystemConfig instead of its own", async function () {
+      const limits = await fileRegistry.getStorageLimits();
+      expect(limits.fileSizeLimit).to.equal(await systemConfig.maxFileSize());
+      expect(limits.storagePerUser).to.equal(await systemConfig.maxStoragePerUser());
+      expect(await fileRegistry.getSystemConfig()).to.equal(systemConfig.address);
+      
+      // Above FileRegistry's own 100 MB, within SystemConfig's 1 GB
+      await register(user1, mb(150));
+      
+      await systemConfig.setStorageSetting("maxFileSize", mb(2));
+      await expect(register(user1, mb(3))).to.be.revertedWith("Invalid file size");
+      
+      await fileRegistry.connect(admin).setSystemConfig(constants.ZERO_ADDRESS);
+      expect((await fileRegistry.getStorageLimits()).fileSizeLimit).to.equal(maxFileSize);
+    });
+    
+    it("Should reject unencrypted registrations while encryption is enforced", async function () {
+      await expect(register(user1, testFileSize, "0x")).to.be.revertedWith("Encryption required");
+      
+      await systemConfig.setSecuritySettings(false, "AES-256-GCM", 256);
+      await register(user1, testFileSize, "0x");
+    });
+    
+    it("Should track storage usage and enforce the per-user quota", async function () {
+      await systemConfig.setStorageSetting("maxFileSize", mb(2));
+      await systemConfig.setStorageSetting("maxStoragePerUser", mb(3));
+      
+      const first = await register(user1, mb(2));
+      await register(user1, mb(1));
+      await expect(register(user1, 1)).to.be.revertedWith("Storage quota exceeded");
+      
+      // Other users have their own quota
+      await register(user2, mb(2));
+      
+      let usage = await fileRegistry.getStorageUsage(user1.address);
+      expect(usage.used).to.equal(mb(3));
+      expect(usage.quota).to.equal(mb(3));
+      
+      // Shrinking a file and deleting one free up quota
+      await fileRegistry.connect(user1).updateFile(first, testContentHash, "0x", mb(1));
+      await register(user1, mb(1));
+      await expect(
+        fileRegistry.connect(user1).updateFile(first, testContentHash, "0x", mb(2))
+      ).to.be.revertedWith("Storage quota exceeded");
+      
+      await fileRegistry.connect(user1).deleteFile(first);
+      usage = await fileRegistry.getStorageUsage(user1.address);
+      expect(usage.used).to.equal(mb(2));
+    });
+    
+    it("Should only let admins change the SystemConfig link", async function () {
+      const ADMIN_ROLE = ethers.utils.id("ADMIN_ROLE");
+      await expect(
+        fileRegistry.connect(user1).setSystemConfig(constants.ZERO_ADDRESS)
+      ).to.be.revertedWith(`AccessControl: account ${user1.address.toLowerCase()} is missing role ${ADMIN_ROLE}`);
+    });
+  });
+  
+  describe("Audit Trail", function () {
+    let auditContract;
+    const READ_ACCESS = 1;
+    
+    // AuditStructs.AuditAction
+    const FILE_REGISTERED = 10;
+    const FILE_UPDATED = 11;
+    const ACCESS_GRANTED = 12;
+    const ACCESS_REVOKED = 13;
+    const OWNERSHIP_TRANSFERRED = 16;
+    const FILE_DELETED = 17;
+    const ACCESS_USED = 20;
+    const WRAPPED_KEY_STORED = 21;
+    const STORAGE_LOCATION_ADDED = 22;
+    const STORAGE_LOCATION_REMOVED = 23;
+    
+    beforeEach(async function () {
+      const AuditContractFactory = await ethers.getContractFactory("AuditContract");
+      auditContract = await AuditContractFactory.deploy(owner.address);
+      await auditContract.deployed();
+      
+      await auditContract.grantRole(await auditContract.RECORDER_ROLE(), fileRegistry.address);
+      await expect(fileRegistry.connect(admin).setAuditContract(auditContract.address))
+        .to.emit(fileRegistry, "AuditContractUpdated")
+        .withArgs(auditContract.address);
+    });
+    
+    it("Should record file operations under the account that performed them", async function () {
+      const tx = await fileRegistry.connect(user1).registerFile(
+        testFileName, testContentHash, "0x", testFileSize, testContentType, false
+      );
+      const receipt = await tx.wait();
+      const fileId = receipt.events.find(e => e.event === 'FileRegistered').args.fileId;
+      const newContentHash = ethers.utils.id("new-content-hash");
+      
+      await fileRegistry.connect(user1).grantAccess(fileId, user2.address, READ_ACCESS, 0);
+      await fileRegistry.connect(user1).updateFile(fileId, newContentHash, "0x", testFileSize);
+      await fileRegistry.connect(user1).revokeAccess(fileId, user2.address);
+      await fileRegistry.connect(admin).deleteFile(fileId);
+      
+      const [records, total] = await auditContract.getAuditTrail(fileId, 0, 0);
+      expect(total).to.equal(5);
+      expect(records.map(r => r.action)).to.deep.equal([FILE_REGISTERED, ACCESS_GRANTED, FILE_UPDATED, ACCESS_REVOKED, FILE_DELETED]);
+      expect(records.map(r => r.actor)).to.deep.equal([user1.address, user1.address, user1.address, user1.address, admin.address]);
+      expect(records[0].payloadHash).to.equal(testContentHash);
+      expect(records[1].counterparty).to.equal(user2.address);
+      expect(records[2].payloadHash).to.equal(newContentHash);
+      expect(records[3].counterparty).to.equal(user2.address);
+      expect(await auditContract.verifyAuditTrail(fileId)).to.be.true;
+    });
+    
+    it("Should record keys, storage locations, access uses and handovers", async function () {
+      const trusted = (await ethers.getSigners())[4];
+      const AccessControlFactory = await ethers.getContractFactory("AccessControlContract");
+      const accessControl = await AccessControlFactory.deploy(owner.address);
+      await accessControl.deployed();
+      await accessControl.addTrustedContract(trusted.address);
+      await fileRegistry.connect(admin).setAccessControl(accessControl.address);
+      
+      const key = ethers.utils.randomBytes(32);
+      const tx = await fileRegistry.connect(user1).registerFile(
+        testFileName, testContentHash, key, testFileSize, testContentType, false
+      );
+      const fileId = (await tx.wait()).events.find(e => e.event === 'FileRegistered').args.fileId;
+      const cid = "QmYwAPJzv5CZsnA625s3Xf2nemtYgPpHdWEz79ojWnPbdG";
+      
+      await fileRegistry.connect(user1).setWrappedKey(fileId, user2.address, key);
+      await fileRegistry.connect(user1).addStorageLocation(fileId, "ipfs", cid, true, "AES-256-GCM");
+      await fileRegistry.connect(user1).removeStorageLocation(fileId, "ipfs", cid);
+      await fileRegistry.connect(trusted).grantAccessOnBehalf(fileId, user1.address, user2.address, READ_ACCESS, 0, 1, key);
+      await fileRegistry.connect(user2).useAccess(fileId);
+      await fileRegistry.connect(trusted).transferOwnershipOnBehalf(fileId, user1.address, user2.address, READ_ACCESS, key);
+      
+      const [records] = await auditContract.getAuditTrail(fileId, 0, 0);
+      expect(records.map(r => r.action)).to.deep.equal([
+        FILE_REGISTERED, WRAPPED_KEY_STORED, STORAGE_LOCATION_ADDED, STORAGE_LOCATION_REMOVED,
+        ACCESS_GRANTED, ACCESS_USED, ACCESS_REVOKED, ACCESS_GRANTED, OWNERSHIP_TRANSFERRED
+      ]);
+      expect(records.map(r => r.actor)).to.deep.equal([
+        user1.address, user1.address, user1.address, user1.address,
+        user1.address, user2.address, user2.address, user2.address, user1.address
+      ]);
+      expect(records[1].counterparty).to.equal(user2.address);
+      expect(records[2].payloadHash).to.equal(ethers.utils.id(cid));
+      expect(records[3].payloadHash).to.equal(ethers.utils.id(cid));
+      // The last use leaves none, and revokes the grant
+      expect(records[5].payloadHash).to.equal(ethers.constants.HashZero);
+      expect(records[6].counterparty).to.equal(user2.address);
+      // The previous owner keeps read access, granted in the new owner's name
+      expect(records[7].counterparty).to.equal(user1.address);
+      expect(await auditContract.verifyAuditTrail(fileId)).to.be.true;
+    });
+    
+    it("Should only let recorders record on behalf of others and admins change the link", async function () {
+      await auditContract.addRecorder(user1.address);
+      await expect(
+        auditContract.connect(user1).recordActionOnBehalf(constants.ZERO_ADDRESS, testContentHash, FILE_REGISTERED, constants.ZERO_ADDRESS, ethers.constants.HashZero, ethers.constants.HashZero)
+      ).to.be.revertedWith("Invalid actor");
+      await expect(
+        auditContract.connect(user2).recordActionOnBehalf(user2.address, testContentHash, FILE_REGISTERED, constants.ZERO_ADDRESS, ethers.constants.HashZero, ethers.constants.HashZero)
+      ).to.be.revertedWith("Must have recorder role");
+      
+      const ADMIN_ROLE = ethers.utils.id("ADMIN_ROLE");
+      await expect(
+        fileRegistry.connect(user1).setAuditContract(constants.ZERO_ADDRESS)
+      ).to.be.revertedWith(`AccessControl: account ${user1.address.toLowerCase()} is missing role ${ADMIN_ROLE}`);
+      
+      // Without a link, operations are not recorded
+      await fileRegistry.connect(admin).setAuditContract(constants.ZERO_ADDRESS);
+      await fileRegistry.connect(user1).registerFile(
+        testFileName, testContentHash, "0x", testFileSize, testContentType, false
+      );
+      expect(await auditContract.getTotalRecordCount()).to.equal(0);
+    });
   });
   
   describe("Administrative Functions", function () {
@@ -381,13 +1354,16 @@ describe("FileRegistry", function () {
     });
     
     it("Should prevent non-admins from calling admin functions", async function () {
+      const missingAdminRole =
+        `AccessControl: account ${user1.address.toLowerCase()} is missing role ${ethers.utils.id("ADMIN_ROLE")}`;
+      
       await expect(
         fileRegistry.connect(user1).setMaxFileSize(1000000)
-      ).to.be.revertedWith("AccessControl");
+      ).to.be.revertedWith(missingAdminRole);
       
       await expect(
         fileRegistry.connect(user1).pause()
-      ).to.be.revertedWith("AccessControl");
+      ).to.be.revertedWith(missingAdminRole);
     });
   });
   
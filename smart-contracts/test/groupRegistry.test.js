@@ -0,0 +1,67 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+describe("GroupRegistry", function () {
+  let groupRegistry;
+  let owner;
+  let member1;
+  let member2;
+  let outsider;
+  let groupId;
+  
+  beforeEach(async function () {
+    [owner, member1, member2, outsider] = await ethers.getSigners();
+    
+    const GroupRegistryFactory = await ethers.getContractFactory("GroupRegistry");
+    groupRegistry = await GroupRegistryFactory.deploy(owner.address);
+    await groupRegistry.deployed();
+    
+    const tx = await groupRegistry.createGroup("Team", [member1.address]);
+    const receipt = await tx.wait();
+    groupId = receipt.events.find(e => e.event === 'GroupCreated').args.groupId;
+  });
+  
+  it("Should create a group with its owner and initial members", async function () {
+    const group = await groupRegistry.getGroup(groupId);
+    expect(group.name).to.equal("Team");
+    expect(group.owner).to.equal(owner.address);
+    expect(group.memberCount).to.equal(2);
+    
+    expect(await groupRegistry.isMember(groupId, owner.address)).to.be.true;
+    expect(await groupRegistry.isMember(groupId, member1.address)).to.be.true;
+    expect(await groupRegistry.getGroupMembers(groupId)).to.deep.equal([owner.address, member1.address]);
+    expect(await groupRegistry.getUserGroups(member1.address)).to.deep.equal([groupId]);
+    
+    await expect(groupRegistry.createGroup("", [])).to.be.revertedWith("Group name cannot be empty");
+  });
+  
+  it("Should let only the group owner add and remove members", async function () {
+    await expect(groupRegistry.addMembers(groupId, [member2.address]))
+      .to.emit(groupRegistry, "GroupMemberAdded").withArgs(groupId, member2.address);
+    await expect(groupRegistry.addMembers(groupId, [member2.address])).to.be.revertedWith("Already a member");
+    
+    await expect(
+      groupRegistry.connect(member1).removeMembers(groupId, [member2.address])
+    ).to.be.revertedWith("Only group owner");
+    await expect(groupRegistry.removeMembers(groupId, [owner.address])).to.be.revertedWith("Cannot remove group owner");
+    await expect(groupRegistry.removeMembers(groupId, [outsider.address])).to.be.revertedWith("Not a member");
+    
+    await expect(groupRegistry.removeMembers(groupId, [member2.address]))
+      .to.emit(groupRegistry, "GroupMemberRemoved").withArgs(groupId, member2.address);
+    expect(await groupRegistry.isMember(groupId, member2.address)).to.be.false;
+    expect(await groupRegistry.getUserGroups(member2.address)).to.deep.equal([]);
+  });
+  
+  it("Should hand a group over to a new owner", async function () {
+    await expect(groupRegistry.transferGroupOwnership(groupId, member2.address))
+      .to.emit(groupRegistry, "GroupOwnershipTransferred").withArgs(groupId, owner.address, member2.address);
+    
+    expect((await groupRegistry.getGroup(groupId)).owner).to.equal(member2.address);
+    expect(await groupRegistry.isMember(groupId, member2.address)).to.be.true;
+    
+    // The previous owner stays a member but no longer manages the group
+    await expect(groupRegistry.addMembers(groupId, [outsider.address])).to.be.revertedWith("Only group owner");
+    await groupRegistry.connect(member2).removeMembers(groupId, [owner.address]);
+    expect(await groupRegistry.isMember(groupId, owner.address)).to.be.false;
+  });
+});
\ No newline at end of file
@@ -0,0 +1,67 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { deploy } = require("../scripts/deploy-local");
+
+describe("Local deployment", function () {
+  let contracts;
+  
+  let admin;
+  let coAdmin;
+  
+  const DEFAULT_ADMIN_ROLE = ethers.constants.HashZero;
+  const ADMIN_ROLE = ethers.utils.id("ADMIN_ROLE");
+  const CONFIG_MANAGER_ROLE = ethers.utils.id("CONFIG_MANAGER_ROLE");
+  const RECORDER_ROLE = ethers.utils.id("RECORDER_ROLE");
+  
+  function missingRole(account, role) {
+    return `AccessControl: account ${account.address.toLowerCase()} is missing role ${role}`;
+  }
+  
+  before(async function () {
+    [, admin, , coAdmin] = await ethers.getSigners();
+    ({ contracts } = await deploy());
+  });
+  
+  it("Should leave the deploying admin no roles but proposing and approving", async function () {
+    const { fileRegistry, transferContract, auditContract, groupRegistry, systemConfig, accessControlContract, adminProposals } = contracts;
+    
+    for (const target of [fileRegistry, transferContract, auditContract, groupRegistry, systemConfig]) {
+      expect(await target.hasRole(DEFAULT_ADMIN_ROLE, admin.address)).to.be.false;
+      expect(await target.hasRole(ADMIN_ROLE, admin.address)).to.be.false;
+      expect(await target.hasRole(ADMIN_ROLE, adminProposals.address)).to.be.true;
+    }
+    expect(await auditContract.hasRole(RECORDER_ROLE, admin.address)).to.be.false;
+    expect(await systemConfig.hasRole(CONFIG_MANAGER_ROLE, admin.address)).to.be.false;
+    expect(await accessControlContract.hasRole(DEFAULT_ADMIN_ROLE, admin.address)).to.be.false;
+    expect(await accessControlContract.hasRole(ADMIN_ROLE, admin.address)).to.be.true;
+    expect(await accessControlContract.minAdminThreshold()).to.equal(2);
+    
+    await expect(fileRegistry.connect(admin).setMaxFileSize(1)).to.be.revertedWith(missingRole(admin, ADMIN_ROLE));
+    await expect(transferContract.connect(admin).pause()).to.be.revertedWith(missingRole(admin, ADMIN_ROLE));
+    await expect(systemConfig.connect(admin).pause()).to.be.revertedWith(missingRole(admin, ADMIN_ROLE));
+    await expect(
+      auditContract.connect(admin).grantRole(RECORDER_ROLE, admin.address)
+    ).to.be.revertedWith(missingRole(admin, DEFAULT_ADMIN_ROLE));
+    await expect(
+      accessControlContract.connect(admin).setMinAdminThreshold(1)
+    ).to.be.revertedWith(missingRole(admin, DEFAULT_ADMIN_ROLE));
+    await expect(
+      accessControlContract.connect(admin).addTrustedContract(admin.address)
+    ).to.be.revertedWith(missingRole(admin, DEFAULT_ADMIN_ROLE));
+  });
+  
+  it("Should make admin calls once two admins approve them", async function () {
+    const { fileRegistry, adminProposals } = contracts;
+    
+    const data = fileRegistry.interface.encodeFunctionData("setMaxFileSize", [1024]);
+    const tx = await adminProposals.connect(admin).propose(fileRegistry.address, data, "Lower the file size limit");
+    const receipt = await tx.wait();
+    const proposalId = receipt.events.find(e => e.event === 'ProposalCreated').args.proposalId;
+    
+    await expect(adminProposals.connect(admin).execute(proposalId)).to.be.revertedWith("Not enough approvals");
+    
+    await adminProposals.connect(coAdmin).approve(proposalId);
+    await adminProposals.connect(admin).execute(proposalId);
+    expect(await fileRegistry.maxFileSize()).to.equal(1024);
+  });
+});
\ No newline at end of file
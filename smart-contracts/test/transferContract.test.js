@@ -9,9 +9,13 @@ describe("TransferContract", function () {
   let TransferContract;
   let AuditContract;
   
+  let fileStorageLib;
+  let fileAccessLib;
+  let transferNotificationLib;
   let fileRegistry;
   let transferContract;
   let auditContract;
+  let accessControl;
   
   let owner;
   let sender;
@@ -25,6 +29,21 @@ describe("TransferContract", function () {
   const testFileSize = ethers.utils.parseUnits("1", "mwei"); // 1 MB
   const testContentType = "application/pdf";
   
+  /**
+   * Builds the proof of delivery for a receipt and signs it as the recipient
+   */
+  async function signReceipt(signer, transferId, contentHash = testContentHash, receivedAt) {
+    if (receivedAt === undefined) {
+      receivedAt = (await ethers.provider.getBlock("latest")).timestamp;
+    }
+    const proofOfDelivery = ethers.utils.solidityKeccak256(
+      ["bytes32", "bytes32", "address", "bytes32", "uint256"],
+      [transferId, fileId, await signer.getAddress(), contentHash, receivedAt]
+    );
+    const signature = await signer.signMessage(ethers.utils.arrayify(proofOfDelivery));
+    return { contentHash, receivedAt, signature, proofOfDelivery };
+  }
+  
   beforeEach(async function () {
     [owner, sender, recipient, admin] = await ethers.getSigners();
     
@@ -42,21 +61,28 @@ describe("TransferContract", function () {
     auditContract = await AuditContractFactory.deploy(owner.address);
     await auditContract.deployed();
     
-    // Deploy FileRegistry
+    // Deploy FileRegistry, linked to its storage and access libraries
+    const FileStorageLibFactory = await ethers.getContractFactory("FileStorageLib");
+    fileStorageLib = await FileStorageLibFactory.deploy();
+    await fileStorageLib.deployed();
+    
+    const FileAccessLibFactory = await ethers.getContractFactory("FileAccessLib");
+    fileAccessLib = await FileAccessLibFactory.deploy();
+    await fileAccessLib.deployed();
+    
     const FileRegistryFactory = await ethers.getContractFactory("FileRegistry", {
-      libraries: {
-        FileStructs: FileStructs.address
-      }
+      libraries: { FileStorageLib: fileStorageLib.address, FileAccessLib: fileAccessLib.address }
     });
     fileRegistry = await FileRegistryFactory.deploy(owner.address, maxFileSize);
     await fileRegistry.deployed();
     
-    // Deploy TransferContract
+    // Deploy TransferContract, linked to its notification library
+    const TransferNotificationLibFactory = await ethers.getContractFactory("TransferNotificationLib");
+    transferNotificationLib = await TransferNotificationLibFactory.deploy();
+    await transferNotificationLib.deployed();
+    
     const TransferContractFactory = await ethers.getContractFactory("TransferContract", {
-      libraries: {
-        FileStructs: FileStructs.address,
-        TransferStructs: TransferStructs.address
-      }
+      libraries: { TransferNotificationLib: transferNotificationLib.address }
     });
     transferContract = await TransferContractFactory.deploy(
       fileRegistry.address,
@@ -73,6 +99,16 @@ describe("TransferContract", function () {
     const RECORDER_ROLE = ethers.utils.id("RECORDER_ROLE");
     await auditContract.grantRole(RECORDER_ROLE, transferContract.address);
     
+    // Let TransferContract grant access on behalf of file owners
+    const AccessControlFactory = await ethers.getContractFactory("AccessControlContract");
+    accessControl = await AccessControlFactory.deploy(owner.address);
+    await accessControl.deployed();
+    await accessControl.addTrustedContract(transferContract.address);
+    await fileRegistry.setAccessControl(accessControl.address);
+    
+    // Let FileRegistry cancel a file's open transfers when it is deleted
+    await fileRegistry.setTransferContract(transferContract.address);
+    
     // Register a test file as sender
     await fileRegistry.connect(sender).registerFile(
       testFileName,
@@ -118,6 +154,38 @@ describe("TransferContract", function () {
       expect(transfer.accessLevel).to.equal(READ_ACCESS);
     });
     
+    it("Should carry a wrapped key for the recipient", async function () {
+      const recipientKey = ethers.utils.hexlify(ethers.utils.randomBytes(126));
+      
+      const tx = await transferContract.connect(sender).initiateTransferWithKey(
+        fileId,
+        recipient.address,
+        "Key included",
+        0,
+        1, // READ_ACCESS
+        recipientKey
+      );
+      
+      const receipt = await tx.wait();
+      const event = receipt.events.find(e => e.event === 'TransferInitiated');
+      
+      const transfer = await transferContract.connect(recipient).getTransfer(event.args.transferId);
+      expect(transfer.recipientKey).to.equal(recipientKey);
+    });
+    
+    it("Should fail to initiate a keyed transfer without a key", async function () {
+      await expect(
+        transferContract.connect(sender).initiateTransferWithKey(
+          fileId,
+          recipient.address,
+          "",
+          0,
+          1, // READ_ACCESS
+          "0x"
+        )
+      ).to.be.revertedWith("Recipient key cannot be empty");
+    });
+    
     it("Should fail to initiate transfer to invalid recipient", async function () {
       await expect(
         transferContract.connect(sender).initiateTransfer(
@@ -154,7 +222,7 @@ describe("TransferContract", function () {
           0,
           1 // READ_ACCESS
         )
-      ).to.be.revertedWith("No access to file");
+      ).to.be.revertedWith("Not authorized to share file");
     });
   });
   
@@ -183,6 +251,66 @@ describe("TransferContract", function () {
       expect(transfer.status).to.equal(2); // IN_PROGRESS
     });
     
+    it("Should cancel open transfers when the file is deleted", async function () {
+      const tx = await transferContract.connect(sender).initiateTransfer(
+        fileId,
+        admin.address,
+        "Second copy",
+        0,
+        1 // READ_ACCESS
+      );
+      const secondId = (await tx.wait()).events.find(e => e.event === 'TransferInitiated').args.transferId;
+      await transferContract.connect(recipient).acceptTransfer(transferId);
+      
+      await expect(fileRegistry.connect(sender).deleteFile(fileId))
+        .to.emit(transferContract, "TransferCancelled").withArgs(transferId)
+        .and.to.emit(transferContract, "TransferCancelled").withArgs(secondId);
+      
+      expect((await transferContract.connect(recipient).getTransfer(transferId)).status).to.equal(5); // CANCELLED
+      expect((await transferContract.connect(admin).getTransfer(secondId)).status).to.equal(5);
+      
+      // The cancellations are recorded under the account that deleted the file
+      const [records] = await auditContract.getAuditTrail(fileId, 0, 0);
+      const cancellations = records.filter(r => r.action === 8); // TRANSFER_CANCELLED
+      expect(cancellations.map(r => r.transferId)).to.have.members([transferId, secondId]);
+      expect(cancellations.map(r => r.actor)).to.deep.equal([sender.address, sender.address]);
+      expect(cancellations.map(r => r.counterparty)).to.have.members([recipient.address, admin.address]);
+      
+      // Only FileRegistry may cancel on a file's behalf, and deleted files cannot be sent
+      await expect(
+        transferContract.connect(sender).cancelFileTransfers(fileId, sender.address)
+      ).to.be.revertedWith("Only FileRegistry");
+      await expect(
+        transferContract.connect(sender).initiateTransfer(fileId, recipient.address, "", 0, 1)
+      ).to.be.revertedWith("Not authorized to share file");
+    });
+    
+    it("Should only cancel transfers that are still open when the file is deleted", async function () {
+      const others = (await ethers.getSigners()).slice(4, 7);
+      const ids = [];
+      for (const other of others) {
+        const tx = await transferContract.connect(sender).initiateTransfer(fileId, other.address, "", 0, 1);
+        ids.push((await tx.wait()).events.find(e => e.event === 'TransferInitiated').args.transferId);
+      }
+      
+      // Finish the first transfer and two of the others; only the last one stays open
+      await transferContract.connect(recipient).acceptTransfer(transferId);
+      const { contentHash, receivedAt, signature } = await signReceipt(recipient, transferId);
+      await transferContract.connect(recipient).completeTransfer(transferId, contentHash, receivedAt, signature);
+      await transferContract.connect(others[0]).rejectTransfer(ids[0], "Not needed");
+      await transferContract.connect(sender).cancelTransfer(ids[1]);
+      
+      const receipt = await (await fileRegistry.connect(sender).deleteFile(fileId)).wait();
+      const cancelled = receipt.logs
+        .filter(log => log.address === transferContract.address)
+        .map(log => transferContract.interface.parseLog(log))
+        .filter(event => event.name === "TransferCancelled");
+      expect(cancelled.map(event => event.args.transferId)).to.deep.equal([ids[2]]);
+      
+      expect((await transferContract.connect(recipient).getTransfer(transferId)).status).to.equal(3); // COMPLETED
+      expect((await transferContract.connect(others[0]).getTransfer(ids[0])).status).to.equal(4); // REJECTED
+    });
+    
     it("Should allow recipient to reject a transfer", async function () {
       const rejectReason = "Not needed at this time";
       await transferContract.connect(recipient).rejectTransfer(transferId, rejectReason);
@@ -202,9 +330,9 @@ describe("TransferContract", function () {
       // Accept transfer
       await transferContract.connect(recipient).acceptTransfer(transferId);
       
-      // Complete transfer
-      const proofOfDelivery = ethers.utils.id("proof-of-receipt");
-      await transferContract.connect(recipient).completeTransfer(transferId, proofOfDelivery);
+      // Complete transfer with the recipient's signed receipt
+      const { contentHash, receivedAt, signature, proofOfDelivery } = await signReceipt(recipient, transferId);
+      await transferContract.connect(recipient).completeTransfer(transferId, contentHash, receivedAt, signature);
       
       // Check transfer status
       const transfer = await transferContract.connect(recipient).getTransfer(transferId);
@@ -251,6 +379,584 @@ describe("TransferContract", function () {
     });
   });
   
+  describe("Transfer Listings", function () {
+    const anyTransfer = { status: 0, counterparty: constants.ZERO_ADDRESS, initiatedFrom: 0, initiatedTo: 0 };
+    let transferIds;
+    
+    beforeEach(async function () {
+      transferIds = [];
+      for (const to of [recipient, admin, recipient]) {
+        const tx = await transferContract.connect(sender).initiateTransfer(fileId, to.address, "", 0, 1);
+        transferIds.push((await tx.wait()).events.find(e => e.event === 'TransferInitiated').args.transferId);
+      }
+      await transferContract.connect(recipient).rejectTransfer(transferIds[0], "Wrong file");
+    });
+    
+    it("Should page through a user's transfers with their details", async function () {
+      let [transfers, total] = await transferContract.connect(sender).getUserSentTransfersPage(sender.address, anyTransfer, 0, 2);
+      expect(total).to.equal(3);
+      expect(transfers.map(t => t.transferId)).to.deep.equal(transferIds.slice(0, 2));
+      expect(transfers[0].status).to.equal(4); // REJECTED
+      
+      [transfers, total] = await transferContract.connect(sender).getUserSentTransfersPage(sender.address, anyTransfer, 2, 2);
+      expect(transfers.map(t => t.transferId)).to.deep.equal([transferIds[2]]);
+      
+      [transfers, total] = await transferContract.connect(sender).getUserSentTransfersPage(sender.address, anyTransfer, 3, 0);
+      expect(transfers).to.have.lengthOf(0);
+      expect(total).to.equal(3);
+      
+      await expect(
+        transferContract.connect(recipient).getUserSentTransfersPage(sender.address, anyTransfer, 0, 0)
+      ).to.be.revertedWith("Not authorized");
+    });
+    
+    it("Should filter listings by status, counterparty and date range", async function () {
+      let [transfers, total] = await transferContract.connect(recipient).getUserReceivedTransfersPage(
+        recipient.address, { ...anyTransfer, status: 1 }, 0, 0 // INITIATED
+      );
+      expect(total).to.equal(1);
+      expect(transfers[0].transferId).to.equal(transferIds[2]);
+      
+      [transfers, total] = await transferContract.connect(sender).getUserSentTransfersPage(
+        sender.address, { ...anyTransfer, counterparty: admin.address }, 0, 0
+      );
+      expect(transfers.map(t => t.transferId)).to.deep.equal([transferIds[1]]);
+      
+      const { initiatedAt } = await transferContract.connect(sender).getTransfer(transferIds[1]);
+      [transfers, total] = await transferContract.connect(sender).getUserSentTransfersPage(
+        sender.address, { ...anyTransfer, initiatedFrom: initiatedAt, initiatedTo: initiatedAt }, 0, 0
+      );
+      expect(transfers.map(t => t.transferId)).to.deep.equal([transferIds[1]]);
+    });
+  });
+  
+  describe("Recipient Access", function () {
+    async function deliver(transferId) {
+      await transferContract.connect(recipient).acceptTransfer(transferId);
+      const { contentHash, receivedAt, signature } = await signReceipt(recipient, transferId);
+      const tx = await transferContract.connect(recipient).completeTransfer(transferId, contentHash, receivedAt, signature);
+      const receipt = await tx.wait();
+      return receipt.events.find(e => e.event === 'RecipientAccessGranted').args;
+    }
+    
+    it("Should give the recipient access and their wrapped key on completion", async function () {
+      const recipientKey = "0x01" + "ab".repeat(125);
+      const tx = await transferContract.connect(sender).initiateTransferWithKey(
+        fileId,
+        recipient.address,
+        "With key",
+        0,
+        2, // WRITE_ACCESS
+        recipientKey
+      );
+      const receipt = await tx.wait();
+      const transferId = receipt.events.find(e => e.event === 'TransferInitiated').args.transferId;
+      
+      const outcome = await deliver(transferId);
+      expect(outcome.granted).to.be.true;
+      expect(outcome.failureReason).to.equal("");
+      
+      expect(await fileRegistry.checkAccess(fileId, recipient.address, 2)).to.be.true;
+      const metadata = await fileRegistry.connect(recipient).getFileMetadata(fileId);
+      expect(metadata.encryptionKey).to.equal(recipientKey);
+    });
+    
+    it("Should only let senders who can grant the access initiate transfers", async function () {
+      // A READ grantee cannot grant access in the owner's name, so cannot send the file on
+      await fileRegistry.connect(sender).grantAccess(fileId, owner.address, 1, 0);
+      await expect(
+        transferContract.connect(owner).initiateTransfer(fileId, recipient.address, "", 0, 1)
+      ).to.be.revertedWith("Not authorized to share file");
+      await expect(
+        transferContract.connect(owner).initiateBatchTransfer(fileId, [recipient.address, admin.address], "", 0, 1)
+      ).to.be.revertedWith("Not authorized to share file");
+      await expect(
+        transferContract.connect(owner).initiateTransferWithTerms(fileId, recipient.address, "", 0, 1, 0, 3, "0x")
+      ).to.be.revertedWith("Not authorized to share file");
+      
+      // A direct ADMIN grantee manages the file's access and may
+      await fileRegistry.connect(sender).grantAccess(fileId, owner.address, 3, 0);
+      await transferContract.connect(owner).initiateTransfer(fileId, recipient.address, "", 0, 2);
+    });
+    
+    it("Should report grants that fail instead of dropping them", async function () {
+      // The sender loses the right to grant access before the transfer completes
+      await fileRegistry.connect(sender).grantAccess(fileId, owner.address, 3, 0);
+      const tx = await transferContract.connect(owner).initiateTransfer(
+        fileId,
+        recipient.address,
+        "Forwarded",
+        0,
+        1 // READ_ACCESS
+      );
+      const receipt = await tx.wait();
+      const transferId = receipt.events.find(e => e.event === 'TransferInitiated').args.transferId;
+      await fileRegistry.connect(sender).revokeAccess(fileId, owner.address);
+      
+      const outcome = await deliver(transferId);
+      
+      expect(outcome.granted).to.be.false;
+      expect(outcome.failureReason).to.equal("Not authorized to manage access");
+      expect(await fileRegistry.checkAccess(fileId, recipient.address, 1)).to.be.false;
+      
+      // The transfer itself still completes
+      const transfer = await transferContract.connect(recipient).getTransfer(transferId);
+      expect(transfer.status).to.equal(3); // COMPLETED
+    });
+    
+    it("Should not grant access once TransferContract is no longer trusted", async function () {
+      await accessControl.removeTrustedContract(transferContract.address);
+      
+      const tx = await transferContract.connect(sender).initiateTransfer(
+        fileId,
+        recipient.address,
+        "Untrusted",
+        0,
+        1 // READ_ACCESS
+      );
+      const receipt = await tx.wait();
+      const transferId = receipt.events.find(e => e.event === 'TransferInitiated').args.transferId;
+      
+      const outcome = await deliver(transferId);
+      expect(outcome.granted).to.be.false;
+      expect(outcome.failureReason).to.equal("Caller is not a trusted contract");
+    });
+    
+    it("Should grant time-boxed access that lapses after the duration", async function () {
+      const oneDay = 24 * 60 * 60;
+      await expect(
+        transferContract.connect(sender).initiateTransferWithTerms(fileId, recipient.address, "", 0, 1, 0, 0, "0x")
+      ).to.be.revertedWith("No access limits given");
+      
+      const tx = await transferContract.connect(sender).initiateTransferWithTerms(
+        fileId,
+        recipient.address,
+        "For a day",
+        0,
+        1, // READ_ACCESS
+        oneDay,
+        0,
+        "0x"
+      );
+      const receipt = await tx.wait();
+      const transferId = receipt.events.find(e => e.event === 'TransferInitiated').args.transferId;
+      const limited = receipt.events.find(e => e.event === 'TransferAccessLimited').args;
+      expect(limited.accessDuration).to.equal(oneDay);
+      
+      expect((await deliver(transferId)).granted).to.be.true;
+      const transfer = await transferContract.connect(recipient).getTransfer(transferId);
+      expect(transfer.accessDuration).to.equal(oneDay);
+      
+      const permission = await fileRegistry.getAccessPermission(fileId, recipient.address);
+      expect(permission.expiresAt).to.equal(transfer.completedAt.add(oneDay));
+      expect(await fileRegistry.checkAccess(fileId, recipient.address, 1)).to.be.true;
+      
+      await ethers.provider.send("evm_increaseTime", [oneDay + 1]);
+      await ethers.provider.send("evm_mine");
+      expect(await fileRegistry.checkAccess(fileId, recipient.address, 1)).to.be.false;
+    });
+    
+    it("Should grant access for a number of uses", async function () {
+      const tx = await transferContract.connect(sender).initiateTransferWithTerms(
+        fileId,
+        recipient.address,
+        "Download once",
+        0,
+        1, // READ_ACCESS
+        0,
+        1,
+        "0x"
+      );
+      const receipt = await tx.wait();
+      const transferId = receipt.events.find(e => e.event === 'TransferInitiated').args.transferId;
+      
+      await deliver(transferId);
+      expect((await fileRegistry.getAccessPermission(fileId, recipient.address)).usesLeft).to.equal(1);
+      
+      await fileRegistry.connect(recipient).useAccess(fileId);
+      expect(await fileRegistry.checkAccess(fileId, recipient.address, 1)).to.be.false;
+    });
+    
+    it("Should hand ownership over and let the sender keep the access they chose", async function () {
+      const recipientKey = "0x02" + "cd".repeat(125);
+      const senderKey = (await fileRegistry.connect(sender).getFileMetadata(fileId)).encryptionKey;
+      await fileRegistry.connect(sender).grantAccess(fileId, recipient.address, 1, 0);
+      
+      const tx = await transferContract.connect(sender).initiateOwnershipTransfer(
+        fileId,
+        recipient.address,
+        "Yours now",
+        0,
+        1, // sender keeps READ_ACCESS
+        recipientKey
+      );
+      const receipt = await tx.wait();
+      const transferId = receipt.events.find(e => e.event === 'TransferInitiated').args.transferId;
+      expect(receipt.events.find(e => e.event === 'OwnershipTransferInitiated').args.retainedAccess).to.equal(1);
+      
+      expect((await deliver(transferId)).granted).to.be.true;
+      const transfer = await transferContract.connect(recipient).getTransfer(transferId);
+      expect(transfer.transfersOwnership).to.be.true;
+      
+      expect(await fileRegistry.getFileOwner(fileId)).to.equal(recipient.address);
+      expect(await fileRegistry.getUserFiles(sender.address)).to.deep.equal([]);
+      expect(await fileRegistry.getUserFiles(recipient.address)).to.deep.equal([fileId]);
+      expect((await fileRegistry.getStorageUsage(sender.address)).used).to.equal(0);
+      expect((await fileRegistry.getStorageUsage(recipient.address)).used).to.equal(testFileSize);
+      
+      // The new owner's earlier grant is gone; the old owner keeps READ and their own key
+      expect((await fileRegistry.getAccessPermission(fileId, recipient.address)).hasAccess).to.be.false;
+      expect((await fileRegistry.connect(recipient).getFileMetadata(fileId)).encryptionKey).to.equal(recipientKey);
+      expect((await fileRegistry.connect(sender).getFileMetadata(fileId)).encryptionKey).to.equal(senderKey);
+      expect(await fileRegistry.checkAccess(fileId, sender.address, 1)).to.be.true;
+      expect(await fileRegistry.checkAccess(fileId, sender.address, 2)).to.be.false;
+      await expect(
+        fileRegistry.connect(sender).grantAccess(fileId, admin.address, 1, 0)
+      ).to.be.revertedWith("Not authorized to manage access");
+    });
+    
+    it("Should only let owners hand files over, and only with a key for encrypted files", async function () {
+      await fileRegistry.connect(sender).grantAccess(fileId, owner.address, 3, 0);
+      await expect(
+        transferContract.connect(owner).initiateOwnershipTransfer(fileId, recipient.address, "", 0, 0, "0x")
+      ).to.be.revertedWith("Only owner can transfer ownership");
+      
+      const tx = await transferContract.connect(sender).initiateOwnershipTransfer(
+        fileId,
+        recipient.address,
+        "No key",
+        0,
+        0, // NO_ACCESS
+        "0x"
+      );
+      const receipt = await tx.wait();
+      const transferId = receipt.events.find(e => e.event === 'TransferInitiated').args.transferId;
+      
+      const outcome = await deliver(transferId);
+      expect(outcome.granted).to.be.false;
+      expect(outcome.failureReason).to.equal("New owner key required");
+      expect(await fileRegistry.getFileOwner(fileId)).to.equal(sender.address);
+    });
+  });
+  
+  describe("Delivery Receipts", function () {
+    let transferId;
+    
+    beforeEach(async function () {
+      const tx = await transferContract.connect(sender).initiateTransfer(
+        fileId,
+        recipient.address,
+        "Signed delivery",
+        0,
+        1 // READ_ACCESS
+      );
+      const receipt = await tx.wait();
+      transferId = receipt.events.find(e => e.event === 'TransferInitiated').args.transferId;
+      
+      await transferContract.connect(recipient).acceptTransfer(transferId);
+    });
+    
+    it("Should record the recipient's signed receipt", async function () {
+      const signed = await signReceipt(recipient, transferId);
+      
+      // The sender may submit the receipt the recipient signed
+      await transferContract.connect(sender).completeTransfer(
+        transferId, signed.contentHash, signed.receivedAt, signed.signature
+      );
+      
+      const transfer = await transferContract.connect(sender).getTransfer(transferId);
+      expect(transfer.status).to.equal(3); // COMPLETED
+      expect(transfer.proofOfDelivery).to.equal(signed.proofOfDelivery);
+      
+      const stored = await transferContract.connect(sender).getDeliveryReceipt(transferId);
+      expect(stored.recipient).to.equal(recipient.address);
+      expect(stored.fileId).to.equal(fileId);
+      expect(stored.contentHash).to.equal(signed.contentHash);
+      expect(stored.receivedAt).to.equal(signed.receivedAt);
+      expect(stored.signature).to.equal(signed.signature);
+    });
+    
+    it("Should reject receipts not signed by the recipient or not matching", async function () {
+      const forged = await signReceipt(sender, transferId);
+      await expect(
+        transferContract.connect(sender).completeTransfer(
+          transferId, forged.contentHash, forged.receivedAt, forged.signature
+        )
+      ).to.be.revertedWith("Invalid receipt signature");
+      
+      const signed = await signReceipt(recipient, transferId);
+      await expect(
+        transferContract.connect(recipient).completeTransfer(
+          transferId, ethers.utils.id("other content"), signed.receivedAt, signed.signature
+        )
+      ).to.be.revertedWith("Invalid receipt signature");
+      
+      const future = await signReceipt(recipient, transferId, testContentHash, signed.receivedAt + 3600);
+      await expect(
+        transferContract.connect(recipient).completeTransfer(
+          transferId, future.contentHash, future.receivedAt, future.signature
+        )
+      ).to.be.revertedWith("Invalid receipt time");
+      
+      await expect(
+        transferContract.connect(recipient).getDeliveryReceipt(transferId)
+      ).to.be.revertedWith("No receipt recorded");
+    });
+    
+    it("Should only accept receipts for the file's content", async function () {
+      const wrong = await signReceipt(recipient, transferId, ethers.utils.id("other content"));
+      await expect(
+        transferContract.connect(recipient).completeTransfer(
+          transferId, wrong.contentHash, wrong.receivedAt, wrong.signature
+        )
+      ).to.be.revertedWith("Receipt does not match file content");
+      await expect(
+        fileRegistry.isFileContent(fileId, testContentHash)
+      ).to.be.revertedWith("Only TransferContract");
+      
+      // Content the recipient fetched before the file was updated still counts
+      await fileRegistry.connect(sender).updateFile(fileId, ethers.utils.id("updated content"), "0x", 2048);
+      const signed = await signReceipt(recipient, transferId);
+      await transferContract.connect(recipient).completeTransfer(
+        transferId, signed.contentHash, signed.receivedAt, signed.signature
+      );
+      expect((await transferContract.connect(recipient).getTransfer(transferId)).status).to.equal(3); // COMPLETED
+    });
+    
+    it("Should only let the parties submit a receipt", async function () {
+      const signed = await signReceipt(recipient, transferId);
+      await expect(
+        transferContract.connect(admin).completeTransfer(
+          transferId, signed.contentHash, signed.receivedAt, signed.signature
+        )
+      ).to.be.revertedWith("Only sender or recipient can complete");
+    });
+  });
+  
+  describe("Transfer Expiry", function () {
+    const oneHour = 3600;
+    
+    async function initiate(message) {
+      const tx = await transferContract.connect(sender).initiateTransfer(
+        fileId,
+        recipient.address,
+        message,
+        0, // use default expiration
+        1 // READ_ACCESS
+      );
+      const receipt = await tx.wait();
+      return receipt.events.find(e => e.event === 'TransferInitiated').args.transferId;
+    }
+    
+    beforeEach(async function () {
+      await transferContract.connect(admin).setTransferExpirationTime(oneHour);
+    });
+    
+    it("Should let anyone expire an overdue transfer", async function () {
+      const transferId = await initiate("Expires soon");
+      
+      await ethers.provider.send("evm_increaseTime", [oneHour + 1]);
+      await ethers.provider.send("evm_mine");
+      
+      // Any account may expire, not just the parties
+      const tx = await transferContract.connect(owner).expireTransfer(transferId);
+      const receipt = await tx.wait();
+      expect(receipt.events.find(e => e.event === 'TransferExpired').args.transferId).to.equal(transferId);
+      
+      const transfer = await transferContract.connect(sender).getTransfer(transferId);
+      expect(transfer.status).to.equal(7); // EXPIRED
+      
+      const [records] = await auditContract.getAuditTrail(fileId, 0, 10);
+      const record = records[records.length - 1];
+      expect(record.action).to.equal(9); // TRANSFER_EXPIRED
+      expect(record.transferId).to.equal(transferId);
+      expect(record.counterparty).to.equal(recipient.address);
+      expect(record.actor).to.equal(owner.address);
+      
+      await expect(
+        transferContract.connect(recipient).acceptTransfer(transferId)
+      ).to.be.revertedWith("Transfer cannot be accepted");
+    });
+    
+    it("Should refuse to expire transfers that are not overdue and pending", async function () {
+      const transferId = await initiate("Still pending");
+      
+      await expect(
+        transferContract.expireTransfer(transferId)
+      ).to.be.revertedWith("Transfer not expirable");
+      
+      await transferContract.connect(recipient).acceptTransfer(transferId);
+      await ethers.provider.send("evm_increaseTime", [oneHour + 1]);
+      await ethers.provider.send("evm_mine");
+      
+      await expect(
+        transferContract.expireTransfer(transferId)
+      ).to.be.revertedWith("Transfer not expirable");
+      
+      await expect(
+        transferContract.expireTransfer(ethers.utils.id("missing"))
+      ).to.be.revertedWith("Transfer does not exist");
+    });
+    
+    it("Should expire overdue transfers in a batch and skip the rest", async function () {
+      const first = await initiate("First");
+      const second = await initiate("Second");
+      const accepted = await initiate("Accepted");
+      await transferContract.connect(recipient).acceptTransfer(accepted);
+      
+      await ethers.provider.send("evm_increaseTime", [oneHour + 1]);
+      await ethers.provider.send("evm_mine");
+      
+      const fresh = await initiate("Fresh");
+      const batch = [first, second, accepted, fresh, ethers.utils.id("missing")];
+      
+      expect(await transferContract.callStatic.expireTransfers(batch)).to.equal(2);
+      await transferContract.expireTransfers(batch);
+      
+      expect((await transferContract.connect(sender).getTransfer(first)).status).to.equal(7);
+      expect((await transferContract.connect(sender).getTransfer(second)).status).to.equal(7);
+      expect((await transferContract.connect(sender).getTransfer(accepted)).status).to.equal(2);
+      expect((await transferContract.connect(sender).getTransfer(fresh)).status).to.equal(1);
+      
+      // Already expired transfers are skipped on the next run
+      expect(await transferContract.callStatic.expireTransfers(batch)).to.equal(0);
+    });
+  });
+  
+  describe("Batch Transfers", function () {
+    let recipients;
+    
+    beforeEach(async function () {
+      const signers = await ethers.getSigners();
+      recipients = [recipient, signers[4], signers[5]];
+    });
+    
+    async function initiateBatch(to = recipients) {
+      const tx = await transferContract.connect(sender).initiateBatchTransfer(
+        fileId,
+        to.map(r => r.address),
+        "Quarterly deliverable",
+        0,
+        1 // READ_ACCESS
+      );
+      const receipt = await tx.wait();
+      return receipt.events.find(e => e.event === 'BatchTransferInitiated').args.batchId;
+    }
+    
+    async function complete(batch, index) {
+      const transferId = batch.transferIds[index];
+      await transferContract.connect(recipients[index]).acceptTransfer(transferId);
+      const { contentHash, receivedAt, signature } = await signReceipt(recipients[index], transferId);
+      return transferContract.connect(recipients[index]).completeTransfer(transferId, contentHash, receivedAt, signature);
+    }
+    
+    it("Should create one transfer per recipient under a batch", async function () {
+      const batchId = await initiateBatch();
+      const batch = await transferContract.connect(sender).getBatch(batchId);
+      
+      expect(batch.sender).to.equal(sender.address);
+      expect(batch.recipients).to.deep.equal(recipients.map(r => r.address));
+      expect(batch.transferIds.length).to.equal(3);
+      expect(batch.completedCount).to.equal(0);
+      expect(batch.allCompleted).to.be.false;
+      
+      for (let i = 0; i < recipients.length; i++) {
+        const transfer = await transferContract.connect(recipients[i]).getTransfer(batch.transferIds[i]);
+        expect(transfer.recipient).to.equal(recipients[i].address);
+        expect(transfer.message).to.equal("Quarterly deliverable");
+        expect(await transferContract.getTransferBatch(batch.transferIds[i])).to.equal(batchId);
+      }
+      
+      const sentTransfers = await transferContract.connect(sender).getUserSentTransfers(sender.address);
+      expect(sentTransfers.length).to.equal(3);
+    });
+    
+    it("Should track completions until every recipient has completed", async function () {
+      const batchId = await initiateBatch(recipients.slice(0, 2));
+      let batch = await transferContract.connect(sender).getBatch(batchId);
+      
+      await complete(batch, 0);
+      batch = await transferContract.connect(sender).getBatch(batchId);
+      expect(batch.completedCount).to.equal(1);
+      expect(batch.allCompleted).to.be.false;
+      
+      const tx = await complete(batch, 1);
+      const receipt = await tx.wait();
+      expect(receipt.events.some(e => e.event === 'BatchTransferCompleted')).to.be.true;
+      
+      batch = await transferContract.connect(sender).getBatch(batchId);
+      expect(batch.completedCount).to.equal(2);
+      expect(batch.allCompleted).to.be.true;
+      
+      // A completion confirmed in a dispute is not counted twice
+      await transferContract.connect(sender).disputeTransfer(batch.transferIds[1], "Wrong file");
+      await transferContract.connect(admin).resolveDispute(batch.transferIds[1], 1); // COMPLETED
+      
+      batch = await transferContract.connect(sender).getBatch(batchId);
+      expect(batch.completedCount).to.equal(2);
+      expect(batch.allCompleted).to.be.true;
+    });
+    
+    it("Should fit a batch to the most recipients allowed in one transaction", async function () {
+      const maxRecipients = (await transferContract.MAX_BATCH_RECIPIENTS()).toNumber();
+      const addresses = Array.from({ length: maxRecipients }, () => ethers.Wallet.createRandom().address);
+      
+      await expect(
+        transferContract.connect(sender).initiateBatchTransfer(
+          fileId, [...addresses, ethers.Wallet.createRandom().address], "", 0, 1
+        )
+      ).to.be.revertedWith("Invalid recipient count");
+      
+      // Every transfer is also recorded in the audit trail, the most costly setup
+      const tx = await transferContract.connect(sender).initiateBatchTransfer(
+        fileId, addresses, "Quarterly deliverable", 0, 1
+      );
+      const receipt = await tx.wait();
+      const { gasLimit } = await ethers.provider.getBlock(receipt.blockNumber);
+      expect(receipt.events.filter(e => e.event === 'TransferInitiated')).to.have.lengthOf(maxRecipients);
+      expect(receipt.gasUsed).to.be.lt(gasLimit);
+      expect(receipt.gasUsed).to.be.lt(2 ** 24); // EIP-7825 cap per transaction
+    });
+    
+    it("Should hand each recipient their own wrapped key", async function () {
+      const keys = ["0x01aa", "0x", "0x01cc"];
+      
+      await expect(
+        transferContract.connect(sender).initiateBatchTransferWithKeys(
+          fileId, recipients.map(r => r.address), "", 0, 1, keys.slice(0, 2)
+        )
+      ).to.be.revertedWith("Recipient keys do not match");
+      
+      const tx = await transferContract.connect(sender).initiateBatchTransferWithKeys(
+        fileId, recipients.map(r => r.address), "", 0, 1, keys
+      );
+      const receipt = await tx.wait();
+      const batchId = receipt.events.find(e => e.event === 'BatchTransferInitiated').args.batchId;
+      const batch = await transferContract.connect(sender).getBatch(batchId);
+      
+      for (let i = 0; i < recipients.length; i++) {
+        const transfer = await transferContract.connect(recipients[i]).getTransfer(batch.transferIds[i]);
+        expect(transfer.recipientKey).to.equal(keys[i]);
+      }
+    });
+    
+    it("Should reject invalid recipient lists and hide batches from others", async function () {
+      await expect(initiateBatch([])).to.be.revertedWith("Invalid recipient count");
+      await expect(
+        initiateBatch([recipient, recipients[1], recipient])
+      ).to.be.revertedWith("Duplicate recipient");
+      await expect(initiateBatch([recipient, sender])).to.be.revertedWith("Cannot transfer to self");
+      
+      const batchId = await initiateBatch();
+      await expect(
+        transferContract.connect(recipient).getBatch(batchId)
+      ).to.be.revertedWith("Not authorized");
+      await expect(
+        transferContract.connect(sender).getBatch(ethers.utils.id("missing"))
+      ).to.be.revertedWith("Batch does not exist");
+    });
+  });
+  
   describe("Dispute Handling", function () {
     let transferId;
     
@@ -320,6 +1026,36 @@ describe("TransferContract", function () {
       expect(transfer.resolution).to.equal(CANCELLED_RESOLUTION);
     });
     
+    it("Should not grant access again when confirming a completed transfer", async function () {
+      const { contentHash, receivedAt, signature } = await signReceipt(recipient, transferId);
+      await transferContract.connect(recipient).completeTransfer(transferId, contentHash, receivedAt, signature);
+      
+      // The owner takes the access back, then the recipient disputes the transfer
+      await fileRegistry.connect(sender).revokeAccess(fileId, recipient.address);
+      await transferContract.connect(recipient).disputeTransfer(transferId, "Access revoked");
+      
+      await expect(transferContract.connect(admin).resolveDispute(transferId, 1)) // COMPLETED
+        .to.not.emit(transferContract, "RecipientAccessGranted");
+      
+      const transfer = await transferContract.connect(admin).getTransfer(transferId);
+      expect(transfer.status).to.equal(3); // COMPLETED
+      expect(await fileRegistry.checkAccess(fileId, recipient.address, 1)).to.be.false;
+    });
+    
+    it("Should not cancel a transfer disputed after completing", async function () {
+      const { contentHash, receivedAt, signature } = await signReceipt(recipient, transferId);
+      await transferContract.connect(recipient).completeTransfer(transferId, contentHash, receivedAt, signature);
+      await transferContract.connect(sender).disputeTransfer(transferId, "Sent in error");
+      
+      await expect(
+        transferContract.connect(admin).resolveDispute(transferId, 2) // CANCELLED
+      ).to.be.revertedWith("Completed transfer cannot be cancelled");
+      
+      // The recipient keeps the access the completion granted
+      expect((await transferContract.connect(admin).getTransfer(transferId)).status).to.equal(6); // DISPUTED
+      expect(await fileRegistry.checkAccess(fileId, recipient.address, 1)).to.be.true;
+    });
+    
     it("Should prevent non-admins from resolving disputes", async function () {
       // Raise dispute
       await transferContract.connect(recipient).disputeTransfer(transferId, "Access issues");
@@ -328,7 +1064,117 @@ describe("TransferContract", function () {
       const COMPLETED_RESOLUTION = 1;
       await expect(
         transferContract.connect(sender).resolveDispute(transferId, COMPLETED_RESOLUTION)
-      ).to.be.revertedWith("AccessControl");
+      ).to.be.revertedWith(
+        `AccessControl: account ${sender.address.toLowerCase()} is missing role ${ethers.utils.id("ADMIN_ROLE")}`
+      );
+    });
+  });
+  
+  describe("Transfer Statistics", function () {
+    async function initiate(to = recipient) {
+      const tx = await transferContract.connect(sender).initiateTransfer(fileId, to.address, "", 0, 1);
+      return (await tx.wait()).events.find(e => e.event === 'TransferInitiated').args.transferId;
+    }
+    
+    it("Should count transfers by outcome, overall and per user", async function () {
+      const completed = await initiate();
+      await transferContract.connect(recipient).acceptTransfer(completed);
+      await ethers.provider.send("evm_increaseTime", [100]);
+      const { contentHash, receivedAt, signature } = await signReceipt(recipient, completed);
+      await transferContract.connect(recipient).completeTransfer(completed, contentHash, receivedAt, signature);
+      
+      await transferContract.connect(recipient).rejectTransfer(await initiate(), "Wrong file");
+      await transferContract.connect(sender).cancelTransfer(await initiate(admin));
+      await initiate();
+      
+      const stats = await transferContract.getTransferStats();
+      expect(stats.totalInitiated).to.equal(4);
+      expect(stats.totalCompleted).to.equal(1);
+      expect(stats.totalRejected).to.equal(1);
+      expect(stats.totalCancelled).to.equal(1);
+      expect(stats.averageCompletionTime).to.be.gte(100);
+      
+      const recipientStats = await transferContract.connect(recipient).getUserTransferStats(recipient.address);
+      expect(recipientStats.totalInitiated).to.equal(3);
+      expect(recipientStats.totalCancelled).to.equal(0);
+      expect(recipientStats.averageCompletionTime).to.equal(stats.averageCompletionTime);
+      
+      await expect(
+        transferContract.connect(recipient).getUserTransferStats(sender.address)
+      ).to.be.revertedWith("Not authorized");
+      expect((await transferContract.connect(admin).getUserTransferStats(sender.address)).totalInitiated).to.equal(4);
+    });
+    
+    it("Should count a completed transfer confirmed in a dispute once", async function () {
+      const transferId = await initiate();
+      await transferContract.connect(recipient).acceptTransfer(transferId);
+      const { contentHash, receivedAt, signature } = await signReceipt(recipient, transferId);
+      await transferContract.connect(recipient).completeTransfer(transferId, contentHash, receivedAt, signature);
+      
+      await transferContract.connect(sender).disputeTransfer(transferId, "Sent in error");
+      await transferContract.connect(admin).resolveDispute(transferId, 1); // COMPLETED
+      
+      const stats = await transferContract.getTransferStats();
+      expect(stats.totalDisputed).to.equal(1);
+      expect(stats.totalCompleted).to.equal(1);
+      expect(stats.totalCancelled).to.equal(0);
+    });
+  });
+  
+  describe("Notifications", function () {
+    it("Should notify the other party of each step and mark notifications read", async function () {
+      const tx = await transferContract.connect(sender).initiateTransfer(fileId, recipient.address, "Please review", 0, 1);
+      const transferId = (await tx.wait()).events.find(e => e.event === 'TransferInitiated').args.transferId;
+      
+      let [notifications, indexes] = await transferContract.connect(recipient).getUnreadNotifications(recipient.address, 0, 0);
+      expect(notifications).to.have.lengthOf(1);
+      expect(notifications[0].transferId).to.equal(transferId);
+      expect(notifications[0].sender).to.equal(sender.address);
+      expect(notifications[0].status).to.equal(1); // INITIATED
+      expect(notifications[0].message).to.equal("Please review");
+      
+      await expect(transferContract.connect(recipient).acceptTransfer(transferId))
+        .to.emit(transferContract, "NotificationCreated")
+        .withArgs(sender.address, 0, transferId, 2); // IN_PROGRESS
+      await transferContract.connect(sender).disputeTransfer(transferId, "Wrong version");
+      
+      [notifications, indexes] = await transferContract.connect(recipient).getUnreadNotifications(recipient.address, 0, 0);
+      expect(notifications.map(n => n.status)).to.deep.equal([1, 6]); // INITIATED, DISPUTED
+      expect(notifications[1].message).to.equal("Wrong version");
+      
+      await transferContract.connect(recipient).markNotificationRead(indexes[0]);
+      [notifications, indexes] = await transferContract.connect(recipient).getUnreadNotifications(recipient.address, 0, 0);
+      expect(indexes.map(Number)).to.deep.equal([1]);
+      
+      await expect(
+        transferContract.connect(recipient).markNotificationRead(2)
+      ).to.be.revertedWith("Notification does not exist");
+      await expect(
+        transferContract.connect(sender).getUnreadNotifications(recipient.address, 0, 0)
+      ).to.be.revertedWith("Not authorized");
+    });
+    
+    it("Should page unread notifications and mark several read at once", async function () {
+      for (const message of ["First", "Second", "Third"]) {
+        await transferContract.connect(sender).initiateTransfer(fileId, recipient.address, message, 0, 1);
+      }
+      
+      let [notifications, indexes, total] = await transferContract.connect(recipient).getUnreadNotifications(recipient.address, 0, 2);
+      expect(notifications.map(n => n.message)).to.deep.equal(["First", "Second"]);
+      expect(total).to.equal(3);
+      [notifications, indexes, total] = await transferContract.connect(recipient).getUnreadNotifications(recipient.address, 2, 2);
+      expect(indexes.map(Number)).to.deep.equal([2]);
+      [notifications] = await transferContract.connect(recipient).getUnreadNotifications(recipient.address, 3, 2);
+      expect(notifications).to.have.lengthOf(0);
+      
+      await expect(
+        transferContract.connect(recipient).markNotificationsRead([0, 3])
+      ).to.be.revertedWith("Notification does not exist");
+      await transferContract.connect(recipient).markNotificationsRead([0, 2, 0]);
+      [notifications, indexes, total] = await transferContract.connect(recipient).getUnreadNotifications(recipient.address, 0, 0);
+      expect(indexes.map(Number)).to.deep.equal([1]);
+      expect(notifications[0].message).to.equal("Second");
+      expect(total).to.equal(1);
     });
   });
   
@@ -365,16 +1211,17 @@ describe("TransferContract", function () {
       );
       
       // Third party should not be able to view sent transfers
+      const [, , , , thirdParty] = await ethers.getSigners();
       await expect(
-        transferContract.connect(admin).getUserSentTransfers(sender.address)
+        transferContract.connect(thirdParty).getUserSentTransfers(sender.address)
       ).to.be.revertedWith("Not authorized");
       
-      // Admin should be authorized to view transfer records
+      // Operators should be authorized to view transfer records
       const OPERATOR_ROLE = ethers.utils.id("OPERATOR_ROLE");
-      await transferContract.grantRole(OPERATOR_ROLE, admin.address);
+      await transferContract.grantRole(OPERATOR_ROLE, thirdParty.address);
       
-      // Now admin should be able to view records
-      const sentTransfers = await transferContract.connect(admin).getUserSentTransfers(sender.address);
+      // Now the operator should be able to view records
+      const sentTransfers = await transferContract.connect(thirdParty).getUserSentTransfers(sender.address);
       expect(sentTransfers.length).to.equal(1);
     });
   });
@@ -383,9 +1230,7 @@ describe("TransferContract", function () {
     it("Should allow admin to update contract references", async function () {
       // Deploy a new FileRegistry
       const newFileRegistryFactory = await ethers.getContractFactory("FileRegistry", {
-        libraries: {
-          FileStructs: FileStructs.address
-        }
+        libraries: { FileStorageLib: fileStorageLib.address, FileAccessLib: fileAccessLib.address }
       });
       const newFileRegistry = await newFileRegistryFactory.deploy(owner.address, maxFileSize);
       await newFileRegistry.deployed();
@@ -402,6 +1247,44 @@ describe("TransferContract", function () {
       await transferContract.connect(admin).setAuditContract(newAuditContract.address);
     });
     
+    it("Should take transfer timeouts from SystemConfig", async function () {
+      const SystemConfigFactory = await ethers.getContractFactory("SystemConfig");
+      const systemConfig = await SystemConfigFactory.deploy(owner.address);
+      await systemConfig.deployed();
+      
+      await transferContract.connect(admin).setSystemConfig(systemConfig.address);
+      await systemConfig.setTransferSetting("defaultTransferTimeout", 2 * 24 * 60 * 60);
+      
+      const timeouts = await transferContract.getTransferTimeouts();
+      expect(timeouts.defaultTimeout).to.equal(2 * 24 * 60 * 60);
+      expect(timeouts.maxTimeout).to.equal(30 * 24 * 60 * 60);
+      
+      // Deadline defaults to SystemConfig's timeout, not transferExpirationTime
+      const tx = await transferContract.connect(sender).initiateTransfer(
+        fileId,
+        recipient.address,
+        "Test message",
+        0,
+        1 // READ_ACCESS
+      );
+      const receipt = await tx.wait();
+      const block = await ethers.provider.getBlock(receipt.blockNumber);
+      const transferId = receipt.events.find(e => e.event === 'TransferInitiated').args.transferId;
+      const transfer = await transferContract.connect(sender).getTransfer(transferId);
+      expect(transfer.deadline).to.equal(block.timestamp + 2 * 24 * 60 * 60);
+      
+      // Deadlines beyond maxTransferTimeout are rejected
+      await expect(
+        transferContract.connect(sender).initiateTransfer(
+          fileId,
+          recipient.address,
+          "Test message",
+          block.timestamp + 31 * 24 * 60 * 60,
+          1 // READ_ACCESS
+        )
+      ).to.be.revertedWith("Deadline exceeds maximum timeout");
+    });
+    
     it("Should allow admin to pause and unpause the contract", async function () {
       // Pause the contract
       await transferContract.connect(admin).pause();